@@ -0,0 +1,136 @@
+// Service worker for the driver app
+//
+// Keeps the app shell, every bundle of the build and the data the driver last
+// loaded available without a connection. Writes never go through here: the app queues them in its
+// IndexedDB outbox and this worker only wakes the app up to send them
+// (Background Sync) when the connection returns.
+//
+// Registered for /driver/ only (like the web app manifest), so admin pages and
+// their data never pass through it.
+//
+// A new build installs alongside the running one and waits; the app asks the
+// driver before switching over (see src/utils/serviceWorker.js), so a shift in
+// progress is never reloaded from under them.
+
+// Registered as /sw.js?build=<id>; a new id is what makes the browser install a new version
+const BUILD_ID = new URL(self.location.href).searchParams.get('build') || 'dev';
+const SHELL_CACHE = `vms-shell-${BUILD_ID}`;
+const DATA_CACHE = 'vms-data-v1';
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/apple-touch-icon.png'
+];
+// Written by the build (build.manifest in vite.config.js)
+const ASSET_MANIFEST_URL = '/asset-manifest.json';
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+
+// The hashed JS, CSS and image files of this build. The first page load runs
+// before the worker controls it, so nothing it fetched is cached; without these
+// an offline start would get an index.html whose bundles are missing.
+const getBuildAssets = async () => {
+  const response = await fetch(ASSET_MANIFEST_URL, { cache: 'no-cache' });
+
+  // The dev server has no manifest and no worker; a missing one leaves the shell as it is
+  if (!response.ok) return [];
+
+  const chunks = Object.values(await response.json());
+  const files = chunks.flatMap(chunk => [chunk.file, ...(chunk.css || []), ...(chunk.assets || [])]);
+
+  return [...new Set(files)].map(file => `/${file}`);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([caches.open(SHELL_CACHE), getBuildAssets()])
+      .then(([cache, assets]) => cache.addAll([...SHELL_URLS, ...assets]))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => ![SHELL_CACHE, DATA_CACHE].includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Try the network and keep a copy; fall back to the copy when offline
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Build assets have content hashes in their names, so a cached copy never goes stale
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+
+  if (cached) return cached;
+
+  const response = await fetch(request);
+
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.pathname.startsWith('/rest/v1/') || url.pathname.startsWith('/storage/v1/object/public/')) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  }
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+
+  event.waitUntil(
+    self.clients.matchAll({ includeUncontrolled: true })
+      .then(clients => clients.forEach(client => client.postMessage({ type: 'outbox-sync' })))
+  );
+});
+
+self.addEventListener('message', (event) => {
+  // The driver accepted the update prompt
+  if (event.data?.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+
+  // Cached reads belong to the signed-in user; drop them on sign out
+  if (event.data?.type === 'clear-data') {
+    event.waitUntil(caches.delete(DATA_CACHE));
+  }
+});
@@ -0,0 +1,302 @@
+// scripts/migrate-inspection-storage.js
+//
+// One-off migration from the old per-vehicle inspection folders
+// (`Agreement-<vehicle>`, `PunchIn-<vehicle>`, `PunchOut-<vehicle>[-<log>]`)
+// to the per-time-log layout (`time-logs/<log>/<pre|post>/`).
+//
+// Every object is matched to a time log by its upload time: post-shift photos
+// belong to the shift that was running when they were uploaded, pre-shift
+// photos to the next shift that started on the vehicle. Inspection records are
+// matched the same way and updated to point at the new folder.
+//
+// Usage:
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+//     node scripts/migrate-inspection-storage.js [--dry-run]
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  INSPECTION_BUCKET,
+  getInspectionFolder,
+  isImageFile,
+  parseInspectionFileName
+} from '../src/utils/inspectionUtils.js';
+
+const LEGACY_FOLDER_PATTERN = /^(Agreement|PunchIn|PunchOut)-(.+)$/;
+const UUID_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?:-(.+))?$/i;
+
+// How long before punch-in pre-shift photos may have been taken
+const PRE_SHIFT_WINDOW_MS = 12 * 60 * 60 * 1000;
+// Slack for clock differences between the device and the database
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+const dryRun = process.argv.includes('--dry-run');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceRoleKey) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, serviceRoleKey, {
+  auth: { persistSession: false }
+});
+
+/**
+ * List every entry in a storage folder, following pagination
+ * @param {string} folder - Folder path ('' for the bucket root)
+ * @returns {Promise<Array>} Storage entries
+ */
+const listAll = async (folder) => {
+  const entries = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabase.storage
+      .from(INSPECTION_BUCKET)
+      .list(folder, { limit: PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } });
+
+    if (error) throw error;
+
+    entries.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) return entries;
+  }
+};
+
+/**
+ * Work out the inspection type and IDs encoded in a legacy folder name
+ * @param {string} folder - Legacy folder name
+ * @returns {Object|null} Object with inspectionType, vehicleId and timeLogId, or null
+ */
+const parseLegacyFolder = (folder) => {
+  const match = LEGACY_FOLDER_PATTERN.exec(folder);
+  if (!match) return null;
+
+  const [, prefix, rest] = match;
+  const ids = UUID_PATTERN.exec(rest);
+
+  return {
+    inspectionType: prefix === 'PunchOut' ? 'post' : 'pre',
+    vehicleId: ids ? ids[1] : rest,
+    timeLogId: ids?.[2] || null
+  };
+};
+
+/**
+ * Find the time log an upload belongs to
+ * @param {Array} logs - The vehicle's time logs, oldest first
+ * @param {string} inspectionType - Inspection type ('pre' or 'post')
+ * @param {number} uploadedAt - Upload time in ms
+ * @param {string|null} driverId - Driver who took the photos, when known
+ * @returns {Object|null} Matching time log
+ */
+const matchTimeLog = (logs, inspectionType, uploadedAt, driverId = null) => {
+  const candidates = driverId ? logs.filter(log => log.driver_id === driverId) : logs;
+
+  if (inspectionType === 'post') {
+    return candidates.find(log => {
+      const start = new Date(log.punch_in).getTime() - CLOCK_SKEW_MS;
+      const end = log.punch_out ? new Date(log.punch_out).getTime() + CLOCK_SKEW_MS : Infinity;
+      return uploadedAt >= start && uploadedAt <= end;
+    }) || null;
+  }
+
+  // Pre-shift photos are taken shortly before the next punch-in on the vehicle
+  return candidates.find(log => {
+    const start = new Date(log.punch_in).getTime();
+    return start + CLOCK_SKEW_MS >= uploadedAt && start - uploadedAt <= PRE_SHIFT_WINDOW_MS;
+  }) || null;
+};
+
+/**
+ * Get the time an object was uploaded, preferring the epoch in its file name
+ * @param {Object} file - Storage entry
+ * @returns {number} Upload time in ms
+ */
+const getUploadTime = (file) => {
+  const { capturedAt } = parseInspectionFileName(file.name);
+  return new Date(capturedAt || file.created_at).getTime();
+};
+
+const logsByVehicle = new Map();
+
+/**
+ * Load a vehicle's time logs once, oldest first
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Promise<Array>} Time logs
+ */
+const getVehicleLogs = async (vehicleId) => {
+  if (!logsByVehicle.has(vehicleId)) {
+    const { data, error } = await supabase
+      .from('time_logs')
+      .select('id, driver_id, vehicle_id, punch_in, punch_out')
+      .eq('vehicle_id', vehicleId)
+      .order('punch_in', { ascending: true });
+
+    if (error) throw error;
+
+    logsByVehicle.set(vehicleId, data || []);
+  }
+
+  return logsByVehicle.get(vehicleId);
+};
+
+/**
+ * Move a single object, copying before deleting so nothing is lost on failure
+ * @param {string} fromPath - Current object path
+ * @param {string} toPath - New object path
+ */
+const moveObject = async (fromPath, toPath) => {
+  if (dryRun) return;
+
+  const { error: copyError } = await supabase.storage.from(INSPECTION_BUCKET).copy(fromPath, toPath);
+  // A previous interrupted run may already have copied the object
+  if (copyError && !/already exists/i.test(copyError.message)) throw copyError;
+
+  const { error: removeError } = await supabase.storage.from(INSPECTION_BUCKET).remove([fromPath]);
+  if (removeError) throw removeError;
+};
+
+/**
+ * Re-file the objects in one legacy folder and return the time logs they went to
+ * @param {string} folder - Legacy folder name
+ * @param {Object} legacy - Parsed legacy folder
+ * @param {Object} summary - Running totals
+ * @returns {Promise<Map>} Map of time log ID to { log, count, firstUpload }
+ */
+const migrateFolder = async (folder, legacy, summary) => {
+  const logs = await getVehicleLogs(legacy.vehicleId);
+  const files = (await listAll(folder)).filter(file => isImageFile(file.name));
+  const filed = new Map();
+
+  for (const file of files) {
+    const uploadedAt = getUploadTime(file);
+    const log = legacy.timeLogId
+      ? logs.find(candidate => candidate.id === legacy.timeLogId)
+      : matchTimeLog(logs, legacy.inspectionType, uploadedAt);
+
+    if (!log) {
+      summary.unmatched.push(`${folder}/${file.name}`);
+      continue;
+    }
+
+    const target = `${getInspectionFolder(log.id, legacy.inspectionType)}/${file.name}`;
+    await moveObject(`${folder}/${file.name}`, target);
+    summary.moved++;
+
+    const entry = filed.get(log.id) || { log, count: 0, firstUpload: uploadedAt };
+    entry.count++;
+    entry.firstUpload = Math.min(entry.firstUpload, uploadedAt);
+    filed.set(log.id, entry);
+  }
+
+  return filed;
+};
+
+/**
+ * Point the legacy folder's inspection records at their time log folders,
+ * creating records for shifts whose photos were never recorded
+ * @param {string} folder - Legacy folder name
+ * @param {Object} legacy - Parsed legacy folder
+ * @param {Map} filed - Result of migrateFolder
+ * @param {Object} summary - Running totals
+ */
+const migrateRecords = async (folder, legacy, filed, summary) => {
+  const logs = await getVehicleLogs(legacy.vehicleId);
+
+  const { data: records, error } = await supabase
+    .from('vehicle_inspections')
+    .select('id, driver_id, time_log_id, inspection_type, timestamp')
+    .eq('images_folder', folder);
+
+  if (error) throw error;
+
+  const linked = new Set();
+
+  for (const record of records || []) {
+    const log = logs.find(candidate => candidate.id === record.time_log_id)
+      || matchTimeLog(logs, legacy.inspectionType, new Date(record.timestamp).getTime(), record.driver_id);
+
+    if (!log) {
+      summary.unmatchedRecords.push(record.id);
+      continue;
+    }
+
+    linked.add(log.id);
+    summary.updatedRecords++;
+
+    if (dryRun) continue;
+
+    const { error: updateError } = await supabase
+      .from('vehicle_inspections')
+      .update({
+        time_log_id: log.id,
+        images_folder: getInspectionFolder(log.id, record.inspection_type || legacy.inspectionType)
+      })
+      .eq('id', record.id);
+
+    if (updateError) throw updateError;
+  }
+
+  for (const { log, count, firstUpload } of filed.values()) {
+    if (linked.has(log.id)) continue;
+
+    summary.createdRecords++;
+
+    if (dryRun) continue;
+
+    const { error: insertError } = await supabase
+      .from('vehicle_inspections')
+      .insert([{
+        driver_id: log.driver_id,
+        vehicle_id: log.vehicle_id,
+        time_log_id: log.id,
+        inspection_type: legacy.inspectionType,
+        image_count: count,
+        images_folder: getInspectionFolder(log.id, legacy.inspectionType),
+        timestamp: new Date(firstUpload).toISOString(),
+      }]);
+
+    if (insertError) throw insertError;
+  }
+};
+
+const run = async () => {
+  const summary = {
+    folders: 0,
+    moved: 0,
+    updatedRecords: 0,
+    createdRecords: 0,
+    unmatched: [],
+    unmatchedRecords: []
+  };
+
+  const rootEntries = await listAll('');
+
+  for (const entry of rootEntries) {
+    const legacy = parseLegacyFolder(entry.name);
+    if (!legacy) continue;
+
+    summary.folders++;
+    console.log(`${dryRun ? '[dry run] ' : ''}Migrating ${entry.name}`);
+
+    const filed = await migrateFolder(entry.name, legacy, summary);
+    await migrateRecords(entry.name, legacy, filed, summary);
+  }
+
+  console.log(`\nLegacy folders:          ${summary.folders}`);
+  console.log(`Objects re-filed:        ${summary.moved}`);
+  console.log(`Inspections updated:     ${summary.updatedRecords}`);
+  console.log(`Inspections created:     ${summary.createdRecords}`);
+  console.log(`Unmatched objects:       ${summary.unmatched.length}`);
+  summary.unmatched.forEach(path => console.log(`  ${path}`));
+  console.log(`Unmatched inspections:   ${summary.unmatchedRecords.length}`);
+  summary.unmatchedRecords.forEach(id => console.log(`  ${id}`));
+};
+
+run().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
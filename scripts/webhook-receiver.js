@@ -0,0 +1,47 @@
+// scripts/webhook-receiver.js
+//
+// Local webhook receiver for trying out endpoints and the dispatcher. Prints
+// every delivery and whether its signature checks out, and answers with a
+// configurable status so retries can be exercised.
+//
+// Usage:
+//   WEBHOOK_SECRET=whsec_... [PORT=8788] [RESPOND_WITH=200] \
+//     pnpm run webhooks:receiver
+//
+// Register http://localhost:8788/ as an endpoint on the API Keys page and use
+// "Send test" (with `pnpm run api` running to dispatch it).
+
+import http from 'node:http';
+import { verifyWebhookSignature, WEBHOOK_SIGNATURE_HEADER } from '../src/utils/webhookUtils.js';
+
+const port = parseInt(process.env.PORT, 10) || 8788;
+const secret = process.env.WEBHOOK_SECRET;
+const respondWith = parseInt(process.env.RESPOND_WITH, 10) || 200;
+
+if (!secret) {
+  console.error('WEBHOOK_SECRET must be set to the endpoint\'s signing secret');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', async () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = req.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()];
+    const isValid = await verifyWebhookSignature(secret, signature, body);
+
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']}`);
+    console.log(`  signature: ${isValid ? 'valid' : 'INVALID'}`);
+    console.log(`  body: ${body}`);
+
+    // Reject bad signatures the way a real receiver should
+    res.writeHead(isValid ? respondWith : 401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: isValid }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/ (responding ${respondWith})`);
+});
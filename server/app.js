@@ -0,0 +1,133 @@
+// server/app.js
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import apiKeyService from '../src/services/apiKeyService.js';
+import { findRoute } from './routes.js';
+import { sendJson, readJsonBody, getApiKeyFromRequest } from './http.js';
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, X-API-Key, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS'
+};
+
+// Depot of the API key behind the request being handled
+const requestDepot = new AsyncLocalStorage();
+
+/**
+ * Depot the current request is scoped to, for setDepotResolver
+ * @returns {string|null} Depot of the calling API key, or null outside a request
+ */
+export const getRequestDepotId = () => requestDepot.getStore() ?? null;
+
+/**
+ * Check the request's API key against the scope the route needs
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} route - Matched route
+ * @returns {Promise<Object>} Object with the key record, or an error response
+ */
+const authenticate = async (req, route) => {
+  const apiKey = getApiKeyFromRequest(req);
+
+  if (!apiKey) {
+    return { key: null, response: { status: 401, body: { error: 'Unauthorized - API key required' } } };
+  }
+
+  const result = await apiKeyService.validateApiKey(apiKey, {
+    resource: route.resource,
+    access: req.method === 'GET' ? 'read' : 'write'
+  });
+
+  if (result.valid) {
+    return { key: result.data, response: null };
+  }
+
+  if (result.forbidden) {
+    return { key: null, response: { status: 403, body: { error: `Forbidden - ${result.error}` } } };
+  }
+
+  if (result.unauthorized) {
+    return { key: null, response: { status: 401, body: { error: `Unauthorized - ${result.error}` } } };
+  }
+
+  return { key: null, response: { status: 500, body: { error: 'Server error' } } };
+};
+
+/**
+ * Resolve a request to a { status, body } response
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} context - Filled in with the matched route and API key for metering
+ * @returns {Promise<Object>} Object with status, body and optional headers
+ */
+const handleRequest = async (req, context) => {
+  const url = new URL(req.url, 'http://localhost');
+  const { route, params, allowedMethods } = findRoute(req.method, url.pathname);
+
+  context.path = url.pathname;
+
+  if (!route) {
+    if (allowedMethods.length > 0) {
+      return {
+        status: 405,
+        body: { error: `Method ${req.method} not allowed` },
+        headers: { Allow: allowedMethods.join(', ') }
+      };
+    }
+
+    return { status: 404, body: { error: 'Not found' } };
+  }
+
+  context.route = route.path;
+
+  const { key, response } = await authenticate(req, route);
+  if (response) return response;
+
+  context.apiKeyId = key.id;
+
+  let body = {};
+  if (req.method === 'POST' || req.method === 'PUT') {
+    const parsed = await readJsonBody(req);
+    if (parsed.error) return { status: 400, body: { error: parsed.error } };
+    body = parsed.body;
+  }
+
+  // Keys only see and change their own depot's data
+  return requestDepot.run(key.depot_id, () => route.handler({ params, query: url.searchParams, body, apiKey: key }));
+};
+
+/**
+ * Create the request listener for the REST API
+ * @returns {Function} Listener for http.createServer
+ */
+export const createApiHandler = () => {
+  return async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    // Meter every request once the response has been sent
+    const startedAt = performance.now();
+    const context = { apiKeyId: null, route: null, path: req.url };
+
+    res.on('finish', () => {
+      apiKeyService.recordApiRequest({
+        ...context,
+        method: req.method,
+        status: res.statusCode,
+        latencyMs: Math.round(performance.now() - startedAt)
+      });
+    });
+
+    try {
+      const { status, body, headers = {} } = await handleRequest(req, context);
+      sendJson(res, status, body, { ...CORS_HEADERS, ...headers });
+    } catch (error) {
+      console.error(`Error handling ${req.method} ${req.url}:`, error);
+      sendJson(res, 500, { error: 'Server error' }, CORS_HEADERS);
+    }
+  };
+};
+
+export default createApiHandler;
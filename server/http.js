@@ -0,0 +1,99 @@
+// server/http.js
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra response headers
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Object with body, or error when the body is too large or not JSON
+ */
+export const readJsonBody = async (req) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      return { body: null, error: 'Request body is too large' };
+    }
+    chunks.push(chunk);
+  }
+
+  if (size === 0) {
+    return { body: {}, error: null };
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return { body: null, error: 'Request body must be a JSON object' };
+    }
+
+    return { body, error: null };
+  } catch {
+    return { body: null, error: 'Request body is not valid JSON' };
+  }
+};
+
+/**
+ * Read the API key from the X-API-Key header, or an Authorization: Bearer header
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} API key
+ */
+export const getApiKeyFromRequest = (req) => {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) return String(headerKey).trim();
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Turn a service result ({ success, data, error, notFound, conflict }) into a route response
+ * @param {Object} result - Service result
+ * @param {number} successStatus - Status to use when the call succeeded
+ * @returns {Object} Object with status and body
+ */
+export const fromServiceResult = (result, successStatus = 200) => {
+  if (result.success) {
+    const body = { data: result.data ?? null };
+
+    // List results carry paging details
+    if (result.count !== undefined) {
+      body.count = result.count;
+      body.page = result.page;
+      body.limit = result.limit;
+    }
+
+    return { status: successStatus, body };
+  }
+
+  if (result.forbidden) return { status: 403, body: { error: result.error } };
+  if (result.notFound) return { status: 404, body: { error: result.error } };
+  if (result.conflict) return { status: 409, body: { error: result.error } };
+
+  return { status: 500, body: { error: result.error || 'Server error' } };
+};
+
+export default {
+  sendJson,
+  readJsonBody,
+  getApiKeyFromRequest,
+  fromServiceResult
+};
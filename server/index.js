@@ -0,0 +1,55 @@
+// server/index.js
+//
+// REST API for integrations and the webhook dispatcher. Run with `pnpm run api`;
+// see server/README.md.
+
+import http from 'node:http';
+import { createClient } from '@supabase/supabase-js';
+import { setSupabaseClient } from '../src/services/supabase.js';
+import apiKeyService from '../src/services/apiKeyService.js';
+import { setActingRole, SERVICE_ROLE } from '../src/utils/permissions.js';
+import { setDepotResolver } from '../src/utils/depotScope.js';
+import { createApiHandler, getRequestDepotId } from './app.js';
+import { startWebhookDispatcher } from './webhooks.js';
+
+const port = parseInt(process.env.PORT, 10) || 8787;
+const REVOKE_SWEEP_INTERVAL_MS = 60 * 1000;
+const webhookIntervalMs = parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS, 10) || 10000;
+const supabaseUrl = process.env.SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !serviceRoleKey) {
+  console.error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  process.exit(1);
+}
+
+// API keys stand in for a user session, so the server talks to the database with the service role
+setSupabaseClient(createClient(supabaseUrl, serviceRoleKey, {
+  auth: { persistSession: false }
+}));
+
+// Requests are authorised by API key scopes (see app.js), not by a user role, and scoped to the key's depot
+setActingRole(SERVICE_ROLE);
+setDepotResolver(getRequestDepotId);
+
+const server = http.createServer(createApiHandler());
+
+server.listen(port, () => {
+  console.log(`API server listening on http://localhost:${port}`);
+});
+
+// Revoke rotated keys once their grace period ends, so the event shows up in their history
+apiKeyService.revokeRotatedApiKeys();
+const revokeSweep = setInterval(apiKeyService.revokeRotatedApiKeys, REVOKE_SWEEP_INTERVAL_MS);
+
+// Send queued webhook deliveries
+const stopWebhookDispatcher = startWebhookDispatcher({ intervalMs: webhookIntervalMs });
+
+const shutdown = () => {
+  clearInterval(revokeSweep);
+  stopWebhookDispatcher();
+  server.close(() => process.exit(0));
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
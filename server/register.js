@@ -0,0 +1,9 @@
+// server/register.js
+//
+// The shared services under src/ use Vite-style extensionless imports
+// (`./supabase`). Register a resolve hook so Node can load them unchanged.
+// Loaded with `node --import ./server/register.js`.
+
+import { register } from 'node:module';
+
+register('./resolve-hooks.js', import.meta.url);
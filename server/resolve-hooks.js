@@ -0,0 +1,18 @@
+// server/resolve-hooks.js
+//
+// Module resolve hook: retry relative imports that fail to resolve with a
+// `.js` extension, the way Vite resolves them for the browser bundle.
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !isRelative || specifier.endsWith('.js')) {
+      throw error;
+    }
+
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
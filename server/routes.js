@@ -0,0 +1,214 @@
+// server/routes.js
+//
+// Handlers for the endpoints documented by apiKeyService.getApiEndpoints.
+// Each handler receives { params, query, body, apiKey } and returns
+// { status, body }; the query logic lives in the shared services.
+
+import vehicleService from '../src/services/vehicleService.js';
+import driverService from '../src/services/driverService.js';
+import timeLogService from '../src/services/timeLogService.js';
+import maintenanceService from '../src/services/maintenanceService.js';
+import { fromServiceResult } from './http.js';
+
+const VEHICLE_STATUSES = ['available', 'in-use', 'maintenance'];
+const MAINTENANCE_STATUSES = ['sorted', 'in-progress', 'resolved'];
+const VEHICLE_FIELDS = ['vehicle_number', 'make', 'model', 'status', 'assigned_driver_id'];
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read page/limit query parameters, capping the page size
+ * @param {URLSearchParams} query - Query parameters
+ * @returns {Object} Object with page, limit and includeCount
+ */
+const getPaging = (query) => {
+  const page = Math.max(parseInt(query.get('page'), 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.get('limit'), 10) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return { page, limit, includeCount: true };
+};
+
+/**
+ * Check an optional ISO date query parameter
+ * @param {string|null} value - Query value
+ * @returns {boolean} Whether the value is missing or a valid date
+ */
+const isValidDate = (value) => !value || !Number.isNaN(Date.parse(value));
+
+/**
+ * Keep only the vehicle columns clients are allowed to write
+ * @param {Object} body - Request body
+ * @returns {Object} Vehicle fields
+ */
+const pickVehicleFields = (body) => {
+  return Object.fromEntries(
+    Object.entries(body).filter(([key]) => VEHICLE_FIELDS.includes(key))
+  );
+};
+
+const badRequest = (error) => ({ status: 400, body: { error } });
+
+const listVehicles = async ({ query }) => {
+  const status = query.get('status');
+
+  if (status && !VEHICLE_STATUSES.includes(status)) {
+    return badRequest(`status must be one of: ${VEHICLE_STATUSES.join(', ')}`);
+  }
+
+  return fromServiceResult(await vehicleService.getAllVehicles({
+    ...getPaging(query),
+    status,
+    search: query.get('search') || ''
+  }));
+};
+
+const createVehicle = async ({ body }) => {
+  const vehicle = pickVehicleFields(body);
+
+  const missing = ['vehicle_number', 'make', 'model'].filter(field => !vehicle[field]);
+  if (missing.length > 0) {
+    return badRequest(`Missing required fields: ${missing.join(', ')}`);
+  }
+
+  if (vehicle.status && !VEHICLE_STATUSES.includes(vehicle.status)) {
+    return badRequest(`status must be one of: ${VEHICLE_STATUSES.join(', ')}`);
+  }
+
+  return fromServiceResult(await vehicleService.addVehicle({
+    status: 'available',
+    ...vehicle
+  }), 201);
+};
+
+const getVehicle = async ({ params }) => {
+  return fromServiceResult(await vehicleService.getVehicleById(params.id));
+};
+
+const updateVehicle = async ({ params, body }) => {
+  const updates = pickVehicleFields(body);
+
+  if (Object.keys(updates).length === 0) {
+    return badRequest(`No valid fields to update (allowed: ${VEHICLE_FIELDS.join(', ')})`);
+  }
+
+  if (updates.status && !VEHICLE_STATUSES.includes(updates.status)) {
+    return badRequest(`status must be one of: ${VEHICLE_STATUSES.join(', ')}`);
+  }
+
+  return fromServiceResult(await vehicleService.updateVehicle(params.id, updates));
+};
+
+const deleteVehicle = async ({ params }) => {
+  return fromServiceResult(await vehicleService.deleteVehicle(params.id));
+};
+
+const listDrivers = async ({ query }) => {
+  return fromServiceResult(await driverService.getAllDrivers({
+    ...getPaging(query),
+    search: query.get('search') || ''
+  }));
+};
+
+const listLogs = async ({ query }) => {
+  const startDate = query.get('start_date');
+  const endDate = query.get('end_date');
+
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    return badRequest('start_date and end_date must be ISO dates');
+  }
+
+  return fromServiceResult(await timeLogService.getTimeLogs({
+    ...getPaging(query),
+    driverId: query.get('driver_id'),
+    vehicleId: query.get('vehicle_id'),
+    startDate,
+    endDate
+  }));
+};
+
+const listMaintenance = async ({ query }) => {
+  const status = query.get('status');
+
+  if (status && !MAINTENANCE_STATUSES.includes(status)) {
+    return badRequest(`status must be one of: ${MAINTENANCE_STATUSES.join(', ')}`);
+  }
+
+  return fromServiceResult(await maintenanceService.getMaintenanceRequests({
+    ...getPaging(query),
+    status,
+    driverId: query.get('driver_id'),
+    vehicleId: query.get('vehicle_id')
+  }));
+};
+
+/**
+ * Route table: path patterns use `:name` for path parameters. `resource` is
+ * the API key scope the route needs (read for GET, write otherwise).
+ */
+export const routes = [
+  { method: 'GET', path: '/api/vehicles', resource: 'vehicles', handler: listVehicles },
+  { method: 'POST', path: '/api/vehicles', resource: 'vehicles', handler: createVehicle },
+  { method: 'GET', path: '/api/vehicles/:id', resource: 'vehicles', handler: getVehicle },
+  { method: 'PUT', path: '/api/vehicles/:id', resource: 'vehicles', handler: updateVehicle },
+  { method: 'DELETE', path: '/api/vehicles/:id', resource: 'vehicles', handler: deleteVehicle },
+  { method: 'GET', path: '/api/drivers', resource: 'drivers', handler: listDrivers },
+  { method: 'GET', path: '/api/logs', resource: 'logs', handler: listLogs },
+  { method: 'GET', path: '/api/maintenance', resource: 'maintenance', handler: listMaintenance }
+];
+
+/**
+ * Match a path against a route pattern
+ * @param {string} pattern - Route path pattern
+ * @param {string} pathname - Request path
+ * @returns {Object|null} Path parameters, or null when the path doesn't match
+ */
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/');
+  const pathParts = pathname.replace(/\/+$/, '').split('/');
+
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch {
+        // A malformed escape such as %E0%A4%A can't name anything
+        return null;
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Find the route for a request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {Object} Object with route and params, plus the allowed methods when only the path matched
+ */
+export const findRoute = (method, pathname) => {
+  const allowedMethods = [];
+
+  for (const route of routes) {
+    const params = matchPath(route.path, pathname);
+    if (!params) continue;
+
+    if (route.method === method) {
+      return { route, params, allowedMethods: [] };
+    }
+
+    allowedMethods.push(route.method);
+  }
+
+  return { route: null, params: null, allowedMethods };
+};
+
+export default {
+  routes,
+  findRoute
+};
@@ -0,0 +1,22 @@
+// server/routes.test.js
+//
+// Route matching. Run with `pnpm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRoute } from './routes.js';
+
+test('findRoute decodes path parameters', () => {
+  const { route, params } = findRoute('GET', '/api/vehicles/VAN%2012');
+
+  assert.equal(route.path, '/api/vehicles/:id');
+  assert.deepEqual(params, { id: 'VAN 12' });
+});
+
+test('findRoute treats a malformed escape as no match', () => {
+  const { route, params, allowedMethods } = findRoute('GET', '/api/vehicles/%E0%A4%A');
+
+  assert.equal(route, null);
+  assert.equal(params, null);
+  assert.deepEqual(allowedMethods, []);
+});
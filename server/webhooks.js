@@ -0,0 +1,149 @@
+// server/webhooks.js
+//
+// Webhook dispatcher. Deliveries are queued by database triggers (see
+// supabase/migrations/20261019040000_webhooks.sql); each run claims the due
+// ones, POSTs them with an HMAC signature and records the response.
+
+import webhookService from '../src/services/webhookService.js';
+import { buildWebhookSignatureHeader, WEBHOOK_SIGNATURE_HEADER } from '../src/utils/webhookUtils.js';
+
+export const DEFAULT_DISPATCH_OPTIONS = {
+  batchSize: 20,
+  timeoutMs: 10000,
+  maxAttempts: 8,
+  baseDelayMs: 30 * 1000,
+  maxDelayMs: 6 * 60 * 60 * 1000
+};
+
+/**
+ * Delay before the next attempt: doubles after every failure, capped at maxDelayMs
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} options - Dispatch options
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, { baseDelayMs, maxDelayMs } = DEFAULT_DISPATCH_OPTIONS) => {
+  return Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+};
+
+/**
+ * Send one delivery to its endpoint
+ * @param {Object} delivery - Delivery with id, event, data, created_at, url and secret
+ * @param {Object} options - Dispatch options (timeoutMs, fetch)
+ * @returns {Promise<Object>} Object with statusCode, error and durationMs
+ */
+export const sendDelivery = async (delivery, { timeoutMs = DEFAULT_DISPATCH_OPTIONS.timeoutMs, fetch: fetchImpl = fetch } = {}) => {
+  const body = JSON.stringify({
+    id: delivery.id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: delivery.data
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = performance.now();
+
+  try {
+    const response = await fetchImpl(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'VMS-Webhooks/1.0',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        [WEBHOOK_SIGNATURE_HEADER]: await buildWebhookSignatureHeader(delivery.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    // Drain the body so the connection can be reused; its contents aren't needed
+    await response.arrayBuffer().catch(() => null);
+
+    return {
+      statusCode: response.status,
+      error: response.ok ? null : `Endpoint responded with ${response.status}`,
+      durationMs: Math.round(performance.now() - startedAt)
+    };
+  } catch (error) {
+    return {
+      statusCode: null,
+      // fetch reports network failures as 'fetch failed' with the reason in cause
+      error: error.name === 'TimeoutError' ? `Timed out after ${timeoutMs} ms` : (error.cause?.message || error.message),
+      durationMs: Math.round(performance.now() - startedAt)
+    };
+  }
+};
+
+/**
+ * Claim and send the deliveries that are due
+ * @param {Object} options - Overrides for DEFAULT_DISPATCH_OPTIONS, plus optional fetch and
+ *   service (claimDueDeliveries and recordDeliveryAttempt, webhookService by default) implementations
+ * @returns {Promise<Object>} Counts of deliveries sent, succeeded, retried and failed
+ */
+export const dispatchDueDeliveries = async ({ service = webhookService, ...options } = {}) => {
+  const settings = { ...DEFAULT_DISPATCH_OPTIONS, ...options };
+  const summary = { sent: 0, succeeded: 0, retried: 0, failed: 0 };
+
+  // Deliveries are sent one after another, so the lease has to cover the whole batch timing out
+  const { success, data: deliveries, error } = await service.claimDueDeliveries({
+    limit: settings.batchSize,
+    leaseSeconds: Math.ceil(settings.timeoutMs / 1000) * settings.batchSize + 60
+  });
+
+  if (!success) {
+    console.error('Webhook dispatch skipped:', error);
+    return summary;
+  }
+
+  for (const delivery of deliveries) {
+    const result = await sendDelivery(delivery, settings);
+    const attempt = delivery.attempts + 1;
+    const retryAt = result.error && attempt < settings.maxAttempts
+      ? new Date(Date.now() + getRetryDelay(attempt, settings))
+      : null;
+
+    await service.recordDeliveryAttempt(delivery, { ...result, retryAt });
+
+    summary.sent++;
+    if (!result.error) summary.succeeded++;
+    else if (retryAt) summary.retried++;
+    else summary.failed++;
+  }
+
+  return summary;
+};
+
+/**
+ * Run the dispatcher on an interval; runs never overlap
+ * @param {Object} options - Dispatch options plus intervalMs
+ * @returns {Function} Stops the dispatcher
+ */
+export const startWebhookDispatcher = ({ intervalMs = 10000, ...options } = {}) => {
+  let isRunning = false;
+
+  const run = async () => {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await dispatchDueDeliveries(options);
+    } catch (error) {
+      console.error('Webhook dispatch failed:', error);
+    } finally {
+      isRunning = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  return () => clearInterval(timer);
+};
+
+export default {
+  DEFAULT_DISPATCH_OPTIONS,
+  getRetryDelay,
+  sendDelivery,
+  dispatchDueDeliveries,
+  startWebhookDispatcher
+};
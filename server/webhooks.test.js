@@ -0,0 +1,153 @@
+// server/webhooks.test.js
+//
+// Runs the webhook dispatcher against a local HTTP receiver, with an in-memory
+// stand-in for webhookService in place of the database queue.
+// Run with `pnpm test`.
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { sendDelivery, dispatchDueDeliveries } from './webhooks.js';
+import { verifyWebhookSignature, WEBHOOK_SIGNATURE_HEADER } from '../src/utils/webhookUtils.js';
+
+const SECRET = 'whsec_test';
+
+let server;
+let receiverUrl;
+let received = [];
+let respondWith = 200;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(respondWith, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  respondWith = 200;
+});
+
+const createDelivery = (overrides = {}) => ({
+  id: 'd2f6c1a4-0000-4000-8000-000000000001',
+  event: 'vehicle.status_changed',
+  data: { id: 'vehicle-1', status: 'maintenance', previous_status: 'available' },
+  created_at: '2026-10-19T08:00:00.000Z',
+  url: receiverUrl,
+  secret: SECRET,
+  attempts: 0,
+  ...overrides
+});
+
+// Hands out the given deliveries once and keeps every recorded attempt
+const createService = (deliveries) => {
+  const attempts = [];
+
+  return {
+    attempts,
+    claimDueDeliveries: async () => ({ success: true, data: deliveries }),
+    recordDeliveryAttempt: async (delivery, result) => {
+      attempts.push({ delivery, ...result });
+      return { success: true };
+    }
+  };
+};
+
+test('sendDelivery posts the signed event body', async () => {
+  const delivery = createDelivery();
+  const result = await sendDelivery(delivery);
+
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.error, null);
+  assert.equal(received.length, 1);
+
+  const [{ headers, body }] = received;
+
+  assert.deepEqual(JSON.parse(body), {
+    id: delivery.id,
+    event: delivery.event,
+    created_at: delivery.created_at,
+    data: delivery.data
+  });
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-webhook-id'], delivery.id);
+  assert.equal(headers['x-webhook-event'], delivery.event);
+
+  const signature = headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()];
+
+  assert.match(signature, /^t=\d+,v1=[0-9a-f]{64}$/);
+  assert.equal(await verifyWebhookSignature(SECRET, signature, body), true);
+  assert.equal(await verifyWebhookSignature('whsec_other', signature, body), false);
+  assert.equal(await verifyWebhookSignature(SECRET, signature, body.replace('maintenance', 'available')), false);
+});
+
+test('dispatchDueDeliveries records a successful delivery', async () => {
+  const service = createService([createDelivery()]);
+  const summary = await dispatchDueDeliveries({ service });
+
+  assert.deepEqual(summary, { sent: 1, succeeded: 1, retried: 0, failed: 0 });
+  assert.equal(received.length, 1);
+  assert.equal(service.attempts.length, 1);
+  assert.equal(service.attempts[0].statusCode, 200);
+  assert.equal(service.attempts[0].error, null);
+  assert.equal(service.attempts[0].retryAt, null);
+});
+
+test('dispatchDueDeliveries retries a 500 response with exponential backoff', async () => {
+  respondWith = 500;
+
+  const options = { baseDelayMs: 1000, maxDelayMs: 5000, maxAttempts: 5 };
+  const service = createService([
+    createDelivery({ attempts: 0 }),
+    createDelivery({ attempts: 2 }),
+    createDelivery({ attempts: 3 }),
+    createDelivery({ attempts: 4 })
+  ]);
+  const startedAt = Date.now();
+  const summary = await dispatchDueDeliveries({ ...options, service });
+  const finishedAt = Date.now();
+
+  assert.deepEqual(summary, { sent: 4, succeeded: 0, retried: 3, failed: 1 });
+  assert.equal(received.length, 4);
+
+  const delays = service.attempts.map(({ statusCode, error, retryAt }) => {
+    assert.equal(statusCode, 500);
+    assert.equal(error, 'Endpoint responded with 500');
+    return retryAt;
+  });
+
+  // 1st attempt: base delay; 3rd: four times that; 4th: capped at maxDelayMs; 5th: out of attempts
+  [1000, 4000, 5000].forEach((delay, index) => {
+    assert.ok(delays[index] instanceof Date);
+    assert.ok(delays[index].getTime() >= startedAt + delay);
+    assert.ok(delays[index].getTime() <= finishedAt + delay);
+  });
+  assert.equal(delays[3], null);
+});
+
+test('dispatchDueDeliveries retries an unreachable endpoint', async () => {
+  const closed = http.createServer();
+
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${closed.address().port}/`;
+  await new Promise(resolve => closed.close(resolve));
+
+  const service = createService([createDelivery({ url })]);
+  const summary = await dispatchDueDeliveries({ service });
+
+  assert.deepEqual(summary, { sent: 1, succeeded: 0, retried: 1, failed: 0 });
+  assert.equal(service.attempts[0].statusCode, null);
+  assert.ok(service.attempts[0].error);
+});
@@ -1,6 +1,7 @@
 import { useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import useAuthStore from './store/authStore';
+import { PERMISSIONS, hasPermission, getHomePath } from './utils/permissions';
 
 // Layouts
 import DriverLayout from './layouts/DriverLayout';
@@ -15,6 +16,7 @@ import Agreement from './pages/driver/Agreement';
 import PunchIn from './pages/driver/PunchIn';
 import PunchOut from './pages/driver/PunchOut';
 import DriverMaintenance from './pages/driver/Maintenance';
+import Reservations from './pages/driver/Reservations';
 
 // Admin Pages
 import Dashboard from './pages/admin/Dashboard';
@@ -23,6 +25,11 @@ import Vehicles from './pages/admin/Vehicles';
 import Logs from './pages/admin/Logs';
 import AdminMaintenance from './pages/admin/Maintenance';
 import ApiKeys from './pages/admin/ApiKeys';
+import Geofences from './pages/admin/Geofences';
+import Checklists from './pages/admin/Checklists';
+import AdminAgreements from './pages/admin/Agreements';
+import AgreementTemplates from './pages/admin/AgreementTemplates';
+import Schedule from './pages/admin/Schedule';
 
 // PDF Viewer
 import PdfViewer from './components/pdf/PdfViewer';
@@ -35,7 +42,7 @@ function App() {
   }, [checkAuthState]);
 
   // Protected route component
-  const ProtectedRoute = ({ children, allowedRole }) => {
+  const ProtectedRoute = ({ children, permission }) => {
     if (isLoading) {
       return (
         <div className="flex items-center justify-center h-screen bg-background">
@@ -48,8 +55,8 @@ function App() {
       return <Navigate to="/login" />;
     }
 
-    if (allowedRole && role !== allowedRole) {
-      return <Navigate to={role === 'admin' ? '/admin/dashboard' : '/driver/vehicles'} />;
+    if (permission && !hasPermission(role, permission)) {
+      return <Navigate to={getHomePath(role)} />;
     }
 
     return children;
@@ -62,7 +69,7 @@ function App() {
         
         {/* Driver Routes */}
         <Route path="/driver" element={
-          <ProtectedRoute allowedRole="driver">
+          <ProtectedRoute permission={PERMISSIONS.DRIVER_APP}>
             <DriverLayout />
           </ProtectedRoute>
         }>
@@ -71,22 +78,50 @@ function App() {
           <Route path="punch-in/:vehicleId" element={<PunchIn />} />
           <Route path="punch-out" element={<PunchOut />} />
           <Route path="maintenance" element={<DriverMaintenance />} />
+          <Route path="reservations" element={<Reservations />} />
           <Route index element={<Navigate to="vehicles" />} />
         </Route>
         
-        {/* Admin Routes */}
+        {/* Admin Routes (also used by fleet managers and mechanics) */}
         <Route path="/admin" element={
-          <ProtectedRoute allowedRole="admin">
+          <ProtectedRoute permission={PERMISSIONS.ADMIN_PANEL}>
             <AdminLayout />
           </ProtectedRoute>
         }>
-          <Route path="dashboard" element={<Dashboard />} />
-          <Route path="drivers" element={<Drivers />} />
-          <Route path="vehicles" element={<Vehicles />} />
-          <Route path="logs" element={<Logs />} />
-          <Route path="maintenance" element={<AdminMaintenance />} />
-          <Route path="api-keys" element={<ApiKeys />} />
-          <Route index element={<Navigate to="dashboard" />} />
+          <Route path="dashboard" element={
+            <ProtectedRoute permission={PERMISSIONS.DASHBOARD_VIEW}><Dashboard /></ProtectedRoute>
+          } />
+          <Route path="drivers" element={
+            <ProtectedRoute permission={PERMISSIONS.DRIVERS_MANAGE}><Drivers /></ProtectedRoute>
+          } />
+          <Route path="vehicles" element={
+            <ProtectedRoute permission={PERMISSIONS.VEHICLES_MANAGE}><Vehicles /></ProtectedRoute>
+          } />
+          <Route path="logs" element={
+            <ProtectedRoute permission={PERMISSIONS.LOGS_VIEW}><Logs /></ProtectedRoute>
+          } />
+          <Route path="schedule" element={
+            <ProtectedRoute permission={PERMISSIONS.SCHEDULE_MANAGE}><Schedule /></ProtectedRoute>
+          } />
+          <Route path="maintenance" element={
+            <ProtectedRoute permission={PERMISSIONS.MAINTENANCE_VIEW}><AdminMaintenance /></ProtectedRoute>
+          } />
+          <Route path="api-keys" element={
+            <ProtectedRoute permission={PERMISSIONS.API_KEYS_MANAGE}><ApiKeys /></ProtectedRoute>
+          } />
+          <Route path="geofences" element={
+            <ProtectedRoute permission={PERMISSIONS.GEOFENCES_MANAGE}><Geofences /></ProtectedRoute>
+          } />
+          <Route path="checklists" element={
+            <ProtectedRoute permission={PERMISSIONS.CHECKLISTS_MANAGE}><Checklists /></ProtectedRoute>
+          } />
+          <Route path="agreements" element={
+            <ProtectedRoute permission={PERMISSIONS.AGREEMENTS_VIEW}><AdminAgreements /></ProtectedRoute>
+          } />
+          <Route path="agreement-templates" element={
+            <ProtectedRoute permission={PERMISSIONS.AGREEMENTS_MANAGE}><AgreementTemplates /></ProtectedRoute>
+          } />
+          <Route index element={<Navigate to={getHomePath(role)} />} />
         </Route>
         
         {/* PDF Viewer Route */}
@@ -95,7 +130,7 @@ function App() {
         {/* Redirect root to login or appropriate dashboard */}
         <Route path="/" element={
           user ? (
-            <Navigate to={role === 'admin' ? '/admin/dashboard' : '/driver/vehicles'} />
+            <Navigate to={getHomePath(role)} />
           ) : (
             <Navigate to="/login" />
           )
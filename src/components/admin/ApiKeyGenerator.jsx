@@ -1,8 +1,39 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Button from '../common/Button';
 import Input from '../common/Input';
 import Card from '../common/Card';
+import apiKeyService from '../../services/apiKeyService';
 import { isNotEmpty } from '../../utils/validation';
+import { API_KEY_RESOURCES, isApiKeyExpired } from '../../utils/apiKeyUtils';
+
+// Expiry choices offered when generating a key, in days
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'never', label: 'Never' },
+  { value: 'custom', label: 'Custom date' }
+];
+
+// How long a rotated key keeps working, in hours
+const GRACE_OPTIONS = [
+  { value: 1, label: '1 hour' },
+  { value: 24, label: '24 hours' },
+  { value: 72, label: '3 days' },
+  { value: 168, label: '7 days' }
+];
+
+const HISTORY_LABELS = {
+  created: 'Created',
+  rotated: 'Rotated',
+  revoked: 'Revoked'
+};
+
+const ACCESS_LEVELS = [
+  { value: 'none', label: 'None' },
+  { value: 'read', label: 'Read' },
+  { value: 'write', label: 'Read & write' }
+];
 
 const ApiKeyGenerator = ({ 
   onGenerate,
@@ -11,8 +42,24 @@ const ApiKeyGenerator = ({
   ...props
 }) => {
   const [description, setDescription] = useState('');
+  const [access, setAccess] = useState(
+    Object.fromEntries(API_KEY_RESOURCES.map(resource => [resource, 'read']))
+  );
+  const [expiry, setExpiry] = useState('90');
+  const [customExpiry, setCustomExpiry] = useState('');
   const [error, setError] = useState('');
 
+  // Resolve the selected expiry option to an ISO timestamp (null = never expires)
+  const getExpiresAt = () => {
+    if (expiry === 'never') return null;
+    
+    if (expiry === 'custom') {
+      return customExpiry ? new Date(`${customExpiry}T23:59:59`).toISOString() : undefined;
+    }
+    
+    return new Date(Date.now() + Number(expiry) * 24 * 60 * 60 * 1000).toISOString();
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -23,9 +70,29 @@ const ApiKeyGenerator = ({
       return;
     }
     
-    // Generate API key
+    const scopes = API_KEY_RESOURCES
+      .filter(resource => access[resource] !== 'none')
+      .map(resource => `${resource}:${access[resource]}`);
+    
+    if (scopes.length === 0) {
+      setError('Give the key access to at least one resource.');
+      return;
+    }
+    
+    const expiresAt = getExpiresAt();
+    
+    if (expiresAt === undefined || isApiKeyExpired(expiresAt)) {
+      setError('Please choose an expiry date in the future.');
+      return;
+    }
+    
+    // Generate API key, clearing the form once it has been created
     if (onGenerate) {
-      onGenerate(description);
+      const created = await onGenerate({ description: description.trim(), scopes, expiresAt });
+      
+      if (created) {
+        setDescription('');
+      }
     }
   };
 
@@ -50,6 +117,59 @@ const ApiKeyGenerator = ({
             required
           />
           
+          <Input.Wrapper
+            label="Access"
+            helper="Write access lets the key create, update and delete records."
+          >
+            <div className="border border-gray-200 rounded-md divide-y divide-gray-200">
+              {API_KEY_RESOURCES.map(resource => (
+                <div key={resource} className="flex items-center justify-between px-4 py-2">
+                  <span className="text-sm font-medium text-gray-700 capitalize">{resource}</span>
+                  <div className="flex space-x-4">
+                    {ACCESS_LEVELS.map(level => (
+                      <label key={level.value} className="inline-flex items-center text-sm text-gray-600">
+                        <input
+                          type="radio"
+                          name={`access-${resource}`}
+                          value={level.value}
+                          checked={access[resource] === level.value}
+                          onChange={() => setAccess({ ...access, [resource]: level.value })}
+                          className="mr-1 text-primary focus:ring-primary"
+                        />
+                        {level.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </Input.Wrapper>
+          
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Input.Select
+              label="Expires"
+              id="expiry"
+              value={expiry}
+              onChange={(e) => setExpiry(e.target.value)}
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </Input.Select>
+            
+            {expiry === 'custom' && (
+              <Input
+                type="date"
+                label="Expiry Date"
+                id="customExpiry"
+                value={customExpiry}
+                onChange={(e) => setCustomExpiry(e.target.value)}
+                min={new Date().toISOString().slice(0, 10)}
+                required
+              />
+            )}
+          </div>
+          
           <Button
             type="submit"
             isFullWidth
@@ -115,18 +235,147 @@ ApiKeyGenerator.Generated = ({
   );
 };
 
+// Component to count down to a point in time, e.g. the end of a rotation grace period
+const Countdown = ({ until, onElapsed }) => {
+  const [now, setNow] = useState(Date.now());
+  const remaining = new Date(until).getTime() - now;
+  
+  useEffect(() => {
+    if (remaining <= 0) {
+      if (onElapsed) onElapsed();
+      return;
+    }
+    
+    const timer = setTimeout(() => setNow(Date.now()), 1000);
+    return () => clearTimeout(timer);
+  }, [now, remaining, onElapsed]);
+  
+  if (remaining <= 0) return <span>now</span>;
+  
+  // Show the two largest units, e.g. "2d 4h" or "12m 05s"
+  const totalSeconds = Math.floor(remaining / 1000);
+  const parts = [
+    [Math.floor(totalSeconds / 86400), 'd'],
+    [Math.floor(totalSeconds / 3600) % 24, 'h'],
+    [Math.floor(totalSeconds / 60) % 60, 'm'],
+    [totalSeconds % 60, 's']
+  ];
+  const first = parts.findIndex(([value]) => value > 0);
+  const shown = parts.slice(first, first + 2)
+    .map(([value, unit], i) => `${i > 0 ? String(value).padStart(2, '0') : value}${unit}`);
+  
+  return <span className="font-mono">{shown.join(' ')}</span>;
+};
+ApiKeyGenerator.Countdown = Countdown;
+
+// Component to display the created/rotated/revoked history of a key
+const History = ({ keyId }) => {
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  
+  useEffect(() => {
+    const fetchHistory = async () => {
+      setIsLoading(true);
+      
+      const result = await apiKeyService.getApiKeyHistory(keyId);
+      
+      if (result.success) {
+        setEvents(result.data);
+        setError(null);
+      } else {
+        setError('Failed to load key history.');
+      }
+      
+      setIsLoading(false);
+    };
+    
+    fetchHistory();
+  }, [keyId]);
+  
+  // Describe the event's details in one line
+  const describe = (event) => {
+    const { details = {} } = event;
+    
+    if (event.event === 'created' && details.rotated_from_prefix) {
+      return `Successor of ${details.rotated_from_prefix}`;
+    }
+    if (event.event === 'rotated') {
+      return `Replaced by ${details.successor_prefix}, old key valid until ${new Date(details.grace_ends_at).toLocaleString()}`;
+    }
+    if (event.event === 'revoked') {
+      return details.reason;
+    }
+    return null;
+  };
+  
+  if (isLoading) {
+    return <p className="text-xs text-gray-500 mt-3">Loading history...</p>;
+  }
+  
+  if (error) {
+    return <p className="text-xs text-red-600 mt-3">{error}</p>;
+  }
+  
+  return (
+    <ol className="mt-3 border-l-2 border-gray-200 pl-4 space-y-2">
+      {events.map(event => (
+        <li key={event.id} className="text-xs text-gray-600">
+          <span className="font-medium text-gray-800">{HISTORY_LABELS[event.event] || event.event}</span>
+          {' · '}{new Date(event.created_at).toLocaleString()}
+          {describe(event) && <div className="text-gray-500">{describe(event)}</div>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+ApiKeyGenerator.History = History;
+
 // Component to display API key list item
-ApiKeyGenerator.KeyItem = ({
+const KeyItem = ({
   id,
   description,
-  key,
+  keyPrefix,
+  scopes = [],
   createdAt,
   lastUsed,
+  expiresAt,
+  graceEndsAt,
+  revokedAt,
+  predecessor,
+  usageStats,
+  isSelected = false,
   onDelete,
+  onRotate,
+  onShowUsage,
+  onGraceElapsed,
   className = '',
   ...props
 }) => {
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isRotating, setIsRotating] = useState(false);
+  const [showRotate, setShowRotate] = useState(false);
+  const [graceHours, setGraceHours] = useState(24);
+  const [showHistory, setShowHistory] = useState(false);
+  const isExpired = isApiKeyExpired(expiresAt);
+  const isRevoked = Boolean(revokedAt) || isApiKeyExpired(graceEndsAt);
+  const isInGracePeriod = Boolean(graceEndsAt) && !isRevoked;
+  const isPredecessorInGracePeriod = Boolean(predecessor?.grace_ends_at)
+    && !predecessor.revoked_at
+    && !isApiKeyExpired(predecessor.grace_ends_at);
+  
+  const handleRotate = async () => {
+    setIsRotating(true);
+    
+    try {
+      if (onRotate) {
+        const rotated = await onRotate(id, graceHours);
+        if (rotated) setShowRotate(false);
+      }
+    } finally {
+      setIsRotating(false);
+    }
+  };
   
   const handleDelete = async () => {
     if (!window.confirm('Are you sure you want to delete this API key? This action cannot be undone.')) {
@@ -152,25 +401,94 @@ ApiKeyGenerator.KeyItem = ({
   
   return (
     <div 
-      className={`border-b last:border-b-0 py-4 px-6 hover:bg-gray-50 ${className}`}
+      className={`border-b last:border-b-0 py-4 px-6 ${isSelected ? 'bg-primary/5' : 'hover:bg-gray-50'} ${className}`}
       {...props}
     >
       <div className="flex justify-between items-start">
         <div>
-          <div className="font-medium text-gray-900 mb-1">{description}</div>
+          <div className="font-medium text-gray-900 mb-1">
+            {description}
+            {isRevoked ? (
+              <span className="ml-2 text-xs bg-gray-200 text-gray-700 px-2 py-0.5 rounded-full font-medium">
+                Revoked
+              </span>
+            ) : isExpired && (
+              <span className="ml-2 text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded-full font-medium">
+                Expired
+              </span>
+            )}
+          </div>
+          {isInGracePeriod && (
+            <div className="text-xs bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md px-2 py-1 mb-2 inline-block">
+              <i className="ri-time-line mr-1"></i>
+              Rotated - this key stops working in <Countdown until={graceEndsAt} onElapsed={onGraceElapsed} />
+            </div>
+          )}
+          {isPredecessorInGracePeriod && (
+            <div className="text-xs bg-blue-50 border border-blue-200 text-blue-800 rounded-md px-2 py-1 mb-2 inline-block">
+              <i className="ri-refresh-line mr-1"></i>
+              Replaces <code className="font-mono">{predecessor.key_prefix}</code>, which stops working in{' '}
+              <Countdown until={predecessor.grace_ends_at} />
+            </div>
+          )}
           <div className="text-sm text-gray-500 mb-2">
-            API Key: ••••••••{key.slice(-4)}
+            API Key: <code className="font-mono">{keyPrefix}_••••••••</code>
+          </div>
+          <div className="flex flex-wrap gap-1 mb-2">
+            {scopes.map(scope => (
+              <span
+                key={scope}
+                className={`text-xs px-2 py-0.5 rounded-md font-mono ${
+                  scope.endsWith(':write') ? 'bg-yellow-100 text-yellow-800' : 'bg-blue-100 text-blue-800'
+                }`}
+              >
+                {scope}
+              </span>
+            ))}
           </div>
-          <div className="flex text-xs text-gray-500">
+          <div className="flex flex-wrap text-xs text-gray-500">
             <div className="mr-4">
               <span className="font-medium">Created:</span> {formatDate(createdAt)}
             </div>
-            <div>
+            <div className="mr-4">
               <span className="font-medium">Last used:</span> {formatDate(lastUsed)}
             </div>
+            <div className="mr-4">
+              <span className="font-medium">Expires:</span> {expiresAt ? new Date(expiresAt).toLocaleDateString() : 'Never'}
+            </div>
+            {usageStats && (
+              <div>
+                <span className="font-medium">Requests:</span> {usageStats.lastDayCalls} today · {usageStats.lastWeek} / 7d · {usageStats.lastMonth} / 30d
+              </div>
+            )}
           </div>
         </div>
-        <div>
+        <div className="flex space-x-2">
+          {onShowUsage && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => onShowUsage(id)}
+            >
+              <i className="ri-bar-chart-2-line mr-1"></i> Usage
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setShowHistory(!showHistory)}
+          >
+            <i className="ri-history-line mr-1"></i> History
+          </Button>
+          {onRotate && !isRevoked && !isInGracePeriod && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setShowRotate(!showRotate)}
+            >
+              <i className="ri-refresh-line mr-1"></i> Rotate
+            </Button>
+          )}
           <Button
             variant="outline"
             size="sm"
@@ -182,14 +500,52 @@ ApiKeyGenerator.KeyItem = ({
           </Button>
         </div>
       </div>
+      
+      {/* Rotation: the successor is shown once, the old key keeps working for the grace period */}
+      {showRotate && (
+        <div className="mt-3 bg-gray-50 border border-gray-200 rounded-md p-3 flex flex-wrap items-center gap-3">
+          <span className="text-sm text-gray-700">Keep the old key working for</span>
+          <select
+            value={graceHours}
+            onChange={(e) => setGraceHours(Number(e.target.value))}
+            className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+          >
+            {GRACE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <Button
+            size="sm"
+            variant="primary"
+            onClick={handleRotate}
+            isLoading={isRotating}
+          >
+            Issue New Key
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => setShowRotate(false)}
+          >
+            Cancel
+          </Button>
+        </div>
+      )}
+      
+      {showHistory && <History keyId={id} />}
     </div>
   );
 };
+ApiKeyGenerator.KeyItem = KeyItem;
 
 // Component to display API keys list
 ApiKeyGenerator.KeysList = ({
   keys = [],
   onDelete,
+  onRotate,
+  onShowUsage,
+  onGraceElapsed,
+  selectedKeyId = null,
   isLoading = false,
   className = '',
   ...props
@@ -216,10 +572,20 @@ ApiKeyGenerator.KeysList = ({
               key={key.id}
               id={key.id}
               description={key.description}
-              key={key.api_key}
+              keyPrefix={key.key_prefix}
+              scopes={key.scopes}
               createdAt={key.created_at}
               lastUsed={key.last_used_at}
+              expiresAt={key.expires_at}
+              graceEndsAt={key.grace_ends_at}
+              revokedAt={key.revoked_at}
+              predecessor={keys.find(other => other.id === key.rotated_from_id)}
+              usageStats={key.usageStats}
+              isSelected={key.id === selectedKeyId}
               onDelete={onDelete}
+              onRotate={onRotate}
+              onShowUsage={onShowUsage}
+              onGraceElapsed={onGraceElapsed}
             />
           ))}
         </div>
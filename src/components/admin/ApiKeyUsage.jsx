@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import apiKeyService from '../../services/apiKeyService';
+
+const METHOD_COLORS = {
+  GET: 'bg-blue-100 text-blue-800',
+  POST: 'bg-green-100 text-green-800',
+  PUT: 'bg-yellow-100 text-yellow-800',
+  DELETE: 'bg-red-100 text-red-800'
+};
+
+const ApiKeyUsage = ({ apiKey, onClose, days = 30 }) => {
+  const [usage, setUsage] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch daily usage and top endpoints for the selected key
+  useEffect(() => {
+    const fetchUsage = async () => {
+      if (!apiKey) return;
+
+      setIsLoading(true);
+      setError(null);
+
+      const result = await apiKeyService.getApiKeyUsageDetails(apiKey.id, days);
+
+      if (result.success) {
+        setUsage(result.data);
+      } else {
+        setError('Failed to load usage for this key.');
+      }
+
+      setIsLoading(false);
+    };
+
+    fetchUsage();
+  }, [apiKey, days]);
+
+  if (!apiKey) return null;
+
+  const stats = apiKey.usageStats || {};
+  const peakCalls = Math.max(0, ...(usage?.daily || []).map(day => day.calls));
+  const maxCalls = Math.max(1, peakCalls);
+
+  const summary = [
+    { label: 'Last 24 hours', value: stats.lastDayCalls ?? 0 },
+    { label: 'Last 7 days', value: stats.lastWeek ?? 0 },
+    { label: 'Last 30 days', value: stats.lastMonth ?? 0 },
+    { label: 'Avg. response', value: stats.averageResponseTime != null ? `${stats.averageResponseTime} ms` : '—' }
+  ];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md border border-gray-100 mt-6 overflow-hidden">
+      <div className="px-6 py-4 bg-gray-50 border-b border-gray-100 flex items-center justify-between">
+        <div className="flex items-center">
+          <i className="ri-bar-chart-2-line text-primary mr-2"></i>
+          <h2 className="font-semibold text-gray-800">Usage: {apiKey.description}</h2>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600"
+          title="Close"
+        >
+          <i className="ri-close-line text-xl"></i>
+        </button>
+      </div>
+
+      <div className="p-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          {summary.map(item => (
+            <div key={item.label} className="bg-gray-50 rounded-md p-3 border border-gray-100">
+              <div className="text-xs text-gray-500">{item.label}</div>
+              <div className="text-lg font-bold text-gray-800">{item.value}</div>
+            </div>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-4 border-primary border-r-4 border-r-transparent"></div>
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <>
+            {/* Daily calls, errors stacked in red on top of successful calls */}
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Requests per day (UTC)</h3>
+            <div className="flex items-end h-40 gap-px border-b border-gray-200 mb-1">
+              {usage.daily.map(day => (
+                <div
+                  key={day.day}
+                  className="flex-1 flex flex-col justify-end h-full group"
+                  title={`${day.day}: ${day.calls} requests, ${day.errors} errors`}
+                >
+                  <div
+                    className="bg-red-400"
+                    style={{ height: `${(day.errors / maxCalls) * 100}%` }}
+                  ></div>
+                  <div
+                    className="bg-primary group-hover:bg-primary/80"
+                    style={{ height: `${((day.calls - day.errors) / maxCalls) * 100}%` }}
+                  ></div>
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-400 mb-6">
+              <span>{usage.daily[0]?.day}</span>
+              <span>Peak: {peakCalls} / day</span>
+              <span>{usage.daily[usage.daily.length - 1]?.day}</span>
+            </div>
+
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Top endpoints (last {days} days)</h3>
+            {usage.topEndpoints.length === 0 ? (
+              <p className="text-sm text-gray-500">This key hasn't made any requests yet.</p>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Endpoint</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Requests</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Errors</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Avg. time</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {usage.topEndpoints.map(endpoint => (
+                    <tr key={`${endpoint.method} ${endpoint.route}`}>
+                      <td className="px-4 py-2 text-sm">
+                        <span className={`text-xs px-2 py-0.5 rounded-md mr-2 ${METHOD_COLORS[endpoint.method] || 'bg-gray-100 text-gray-800'}`}>
+                          {endpoint.method}
+                        </span>
+                        <code className="text-gray-700">{endpoint.route}</code>
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">{endpoint.calls}</td>
+                      <td className="px-4 py-2 text-sm text-right">{endpoint.errors}</td>
+                      <td className="px-4 py-2 text-sm text-right">{endpoint.averageResponseTime} ms</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeyUsage;
@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import checklistService from '../../services/checklistService';
+import { CHECKLIST_RESULT_LABELS } from '../../utils/checklistUtils';
+
+const RESULT_STYLES = {
+  pass: 'bg-green-100 text-green-800',
+  fail: 'bg-red-100 text-red-800',
+  na: 'bg-gray-100 text-gray-800'
+};
+
+/**
+ * The pre-trip checklist a driver completed before a shift
+ */
+const ChecklistSummary = ({ timeLogId }) => {
+  const [response, setResponse] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchResponse = async () => {
+      setIsLoading(true);
+
+      const result = await checklistService.getResponseForTimeLog(timeLogId);
+
+      if (result.success) {
+        setResponse(result.data);
+      } else {
+        setError('Failed to load the checklist.');
+      }
+
+      setIsLoading(false);
+    };
+
+    fetchResponse();
+  }, [timeLogId]);
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading checklist...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (!response) {
+    return <p className="text-sm text-gray-500">No checklist was completed for this shift.</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-2">
+        {response.checklist_name} · completed {new Date(response.completed_at).toLocaleString()}
+      </p>
+
+      <ul className="divide-y divide-gray-100 border rounded-md">
+        {response.items.map(item => (
+          <li key={item.id} className="px-3 py-2 flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <p className="text-sm text-gray-800">
+                {item.label}
+                {item.critical && <span className="ml-2 text-xs text-red-700">Critical</span>}
+              </p>
+              {item.note && <p className="text-xs text-gray-500 mt-0.5">{item.note}</p>}
+              {item.photo_url && (
+                <a
+                  href={item.photo_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-xs text-primary hover:underline"
+                >
+                  <i className="ri-image-line mr-1"></i>
+                  View photo
+                </a>
+              )}
+            </div>
+            <span className={`shrink-0 text-xs px-2 py-0.5 rounded-full font-medium ${RESULT_STYLES[item.result]}`}>
+              {CHECKLIST_RESULT_LABELS[item.result]}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ChecklistSummary;
@@ -0,0 +1,352 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import damageService from '../../services/damageService';
+import AnnotatedImage from '../common/AnnotatedImage';
+import useAuthStore from '../../store/authStore';
+import { PERMISSIONS } from '../../utils/permissions';
+import {
+  getInspectionPairs,
+  pairPhotosByAngle,
+  toRegion,
+  isValidRegion,
+  describeDamageWindow
+} from '../../utils/damageUtils';
+
+const INSPECTION_TYPE_LABELS = {
+  pre: 'Pre-shift',
+  post: 'Post-shift'
+};
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+const describeInspection = (inspection) => {
+  const driver = inspection.drivers?.name ? ` (${inspection.drivers.name})` : '';
+  return `${INSPECTION_TYPE_LABELS[inspection.inspection_type]} ${formatTime(inspection.timestamp)}${driver}`;
+};
+
+// Pick the comparison to open first: the one covering the shift itself, else any touching it
+const getInitialPairIndex = (pairs, timeLogId) => {
+  if (!timeLogId) return 0;
+
+  const duringShift = pairs.findIndex(pair => pair.window.timeLogId === timeLogId);
+  if (duringShift !== -1) return duringShift;
+
+  const touchingShift = pairs.findIndex(pair => pair.before.time_log_id === timeLogId || pair.after.time_log_id === timeLogId);
+  return Math.max(touchingShift, 0);
+};
+
+/**
+ * Outline of a marked region, positioned over its photo
+ */
+const RegionBox = ({ region, className = 'border-red-500' }) => (
+  <div
+    className={`absolute border-2 pointer-events-none ${className}`}
+    style={{
+      left: `${region.x * 100}%`,
+      top: `${region.y * 100}%`,
+      width: `${region.width * 100}%`,
+      height: `${region.height * 100}%`
+    }}
+  ></div>
+);
+
+/**
+ * Photo on which an admin drags out a rectangle around new damage
+ */
+const MarkablePhoto = ({ image, regions, draft, onDraftChange, canMark }) => {
+  const startRef = useRef(null);
+
+  const toPoint = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    return {
+      x: (e.clientX - bounds.left) / bounds.width,
+      y: (e.clientY - bounds.top) / bounds.height
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!canMark) return;
+
+    e.currentTarget.setPointerCapture(e.pointerId);
+    startRef.current = toPoint(e);
+    onDraftChange(null);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!startRef.current) return;
+
+    onDraftChange(toRegion(startRef.current, toPoint(e)));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!startRef.current) return;
+
+    const region = toRegion(startRef.current, toPoint(e));
+    startRef.current = null;
+    onDraftChange(isValidRegion(region) ? region : null);
+  };
+
+  return (
+    <div
+      className={`relative select-none ${canMark ? 'cursor-crosshair touch-none' : ''}`}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+    >
+      <img src={image.url} alt={image.label} className="w-full rounded border" draggable={false} />
+      {regions.map(report => (
+        <RegionBox key={report.id} region={report.region} />
+      ))}
+      {draft && <RegionBox region={draft} className="border-yellow-400 border-dashed" />}
+    </div>
+  );
+};
+
+/**
+ * Side-by-side comparison of a vehicle's consecutive inspections, angle by angle,
+ * where admins mark new damage and see which shift window it appeared in
+ */
+const DamageComparison = ({ vehicleId, timeLogId = null }) => {
+  const { user, can } = useAuthStore();
+  const [inspections, setInspections] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [photos, setPhotos] = useState({}); // Photos by inspection id
+  const [pairIndex, setPairIndex] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draft, setDraft] = useState(null); // { label, image, region } being marked
+  const [note, setNote] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const requestedRef = useRef(new Set()); // Inspections whose photos were asked for
+
+  const canMark = can(PERMISSIONS.DAMAGE_MANAGE);
+  const pairs = useMemo(() => getInspectionPairs(inspections), [inspections]);
+  const pair = pairs[pairIndex] || null;
+
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      setError(null);
+
+      const [inspectionResult, reportResult] = await Promise.all([
+        damageService.getInspections(vehicleId),
+        damageService.getDamageReports(vehicleId)
+      ]);
+
+      if (inspectionResult.success && reportResult.success) {
+        setInspections(inspectionResult.data);
+        setReports(reportResult.data);
+        setPairIndex(getInitialPairIndex(getInspectionPairs(inspectionResult.data), timeLogId));
+      } else {
+        setError('Failed to load inspections.');
+      }
+
+      setIsLoading(false);
+    };
+
+    fetchData();
+  }, [vehicleId, timeLogId]);
+
+  // Load the photos of the compared inspections the first time they are shown
+  useEffect(() => {
+    if (!pair) return;
+
+    [pair.before, pair.after]
+      .filter(inspection => !requestedRef.current.has(inspection.id))
+      .forEach(async (inspection) => {
+        requestedRef.current.add(inspection.id);
+        const result = await damageService.getInspectionImages(inspection);
+        setPhotos(current => ({ ...current, [inspection.id]: result.success ? result.data : [] }));
+      });
+  }, [pair]);
+
+  const rows = pair && photos[pair.before.id] && photos[pair.after.id]
+    ? pairPhotosByAngle(photos[pair.before.id], photos[pair.after.id])
+    : null;
+
+  const handlePairChange = (index) => {
+    setPairIndex(index);
+    setDraft(null);
+    setNote('');
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError(null);
+
+    const result = await damageService.createDamageReport({
+      vehicleId,
+      beforeInspection: pair.before,
+      afterInspection: pair.after,
+      window: pair.window,
+      angle: draft.label,
+      imageUrl: draft.image.url,
+      region: draft.region,
+      note,
+      reportedBy: user?.id
+    });
+
+    setIsSaving(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setReports([result.data, ...reports]);
+    setDraft(null);
+    setNote('');
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm('Delete this damage report?')) return;
+
+    const result = await damageService.deleteDamageReport(report.id);
+
+    if (!result.success) {
+      setError('Failed to delete the damage report.');
+      return;
+    }
+
+    setReports(reports.filter(item => item.id !== report.id));
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading inspections...</p>;
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 bg-red-50 border-l-4 border-red-500 text-red-700 p-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+
+      {pairs.length === 0 ? (
+        <p className="text-sm text-gray-500">This vehicle needs at least two inspections to compare.</p>
+      ) : (
+        <>
+          <select
+            value={pairIndex}
+            onChange={(e) => handlePairChange(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary mb-2"
+            aria-label="Inspections to compare"
+          >
+            {pairs.map((option, index) => (
+              <option key={option.after.id} value={index}>
+                {describeInspection(option.before)} → {describeInspection(option.after)}
+              </option>
+            ))}
+          </select>
+
+          <p className="text-xs text-gray-500 mb-4">
+            {pair.window.duringShift
+              ? `Both inspections belong to ${pair.after.drivers?.name || 'the same driver'}'s shift; new damage is put down to it.`
+              : 'The inspections belong to different shifts; new damage appeared between them, while the vehicle was handed over.'}
+            {canMark && ' Drag over a photo on the right to mark new damage.'}
+          </p>
+
+          {!rows ? (
+            <p className="text-sm text-gray-500">Loading photos...</p>
+          ) : rows.length === 0 ? (
+            <p className="text-sm text-gray-500">Neither inspection has photos.</p>
+          ) : (
+            <div className="space-y-4">
+              {rows.map(row => (
+                <div key={row.label}>
+                  <p className="text-sm font-medium text-gray-700 mb-1">{row.label}</p>
+                  <div className="grid grid-cols-2 gap-2">
+                    {row.before ? (
+                      <AnnotatedImage src={row.before.url} alt={`${row.label} before`} annotations={row.before.annotations} imageClassName="w-full rounded border" />
+                    ) : (
+                      <div className="rounded border border-dashed flex items-center justify-center text-xs text-gray-400 min-h-[6rem]">
+                        No photo
+                      </div>
+                    )}
+                    {row.after ? (
+                      <MarkablePhoto
+                        image={row.after}
+                        regions={reports.filter(report => report.after_inspection_id === pair.after.id && report.angle === row.label)}
+                        draft={draft?.label === row.label ? draft.region : null}
+                        onDraftChange={(region) => setDraft(region ? { label: row.label, image: row.after, region } : null)}
+                        canMark={canMark}
+                      />
+                    ) : (
+                      <div className="rounded border border-dashed flex items-center justify-center text-xs text-gray-400 min-h-[6rem]">
+                        No photo
+                      </div>
+                    )}
+                  </div>
+
+                  {draft?.label === row.label && (
+                    <div className="mt-2 flex flex-col sm:flex-row gap-2">
+                      <input
+                        type="text"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                        placeholder="Describe the damage (e.g. scratch on rear bumper)"
+                      />
+                      <button
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className="bg-primary hover:bg-primary/90 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+                      >
+                        {isSaving ? 'Saving...' : 'Record Damage'}
+                      </button>
+                      <button
+                        onClick={() => setDraft(null)}
+                        className="text-gray-700 bg-gray-100 hover:bg-gray-200 py-2 px-4 rounded-md text-sm"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Chain of custody: every recorded damage and the window it appeared in */}
+      <h5 className="text-sm font-medium text-gray-700 mt-6 mb-2">Damage History</h5>
+      {reports.length === 0 ? (
+        <p className="text-sm text-gray-500">No damage has been recorded on this vehicle.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border rounded-md">
+          {reports.map(report => (
+            <li key={report.id} className="px-3 py-2 flex items-start gap-3">
+              <div className="relative w-24 shrink-0">
+                <img src={report.image_url} alt={report.angle} className="w-full rounded border" />
+                <RegionBox region={report.region} />
+              </div>
+              <div className="min-w-0 flex-1">
+                <p className="text-sm text-gray-800">
+                  {report.angle}{report.note ? `: ${report.note}` : ''}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {describeDamageWindow(report)} · {formatTime(report.window_start)} – {formatTime(report.window_end)}
+                </p>
+                {report.reporters?.name && (
+                  <p className="text-xs text-gray-400">Recorded by {report.reporters.name}</p>
+                )}
+              </div>
+              {canMark && (
+                <button
+                  onClick={() => handleDelete(report)}
+                  className="text-red-600 hover:text-red-900 shrink-0"
+                  title="Delete damage report"
+                >
+                  <i className="ri-delete-bin-line"></i>
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DamageComparison;
@@ -0,0 +1,218 @@
+import { useState, useEffect, useMemo } from 'react';
+import { breadcrumbs } from '../../services/supabase';
+import { analyzeRoute, createRouteProjection } from '../../utils/breadcrumbUtils';
+import { formatDistance } from '../../utils/readingUtils';
+import { formatDuration } from '../../utils/dateUtils';
+import { getMapUrl } from '../../utils/locationUtils';
+
+const WIDTH = 600;
+const HEIGHT = 320;
+const REPLAY_STEP_MS = 150;
+
+const formatClock = (time) => new Date(time).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * Replays a shift's route from its location breadcrumbs, drawn as a plain SVG trace
+ * (no map tiles) with its stops and idle periods
+ */
+const RouteReplay = ({ timeLogId }) => {
+  const [samples, setSamples] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  useEffect(() => {
+    const fetchBreadcrumbs = async () => {
+      setIsLoading(true);
+
+      const { data, error } = await breadcrumbs.getForTimeLog(timeLogId);
+
+      if (error) {
+        console.error(`Error fetching breadcrumbs for time log ${timeLogId}:`, error);
+        setError('Failed to load the route.');
+      } else {
+        setSamples(data || []);
+        setPosition(Math.max((data || []).length - 1, 0));
+      }
+
+      setIsLoading(false);
+    };
+
+    fetchBreadcrumbs();
+  }, [timeLogId]);
+
+  const route = useMemo(() => analyzeRoute(samples), [samples]);
+  const { points } = route;
+
+  const project = useMemo(
+    () => (points.length > 0 ? createRouteProjection(points, WIDTH, HEIGHT) : null),
+    [points]
+  );
+
+  // Step the marker along the route while playing
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    const timer = setInterval(() => {
+      setPosition(current => Math.min(current + 1, points.length - 1));
+    }, REPLAY_STEP_MS);
+
+    return () => clearInterval(timer);
+  }, [isPlaying, points.length]);
+
+  useEffect(() => {
+    if (isPlaying && position >= points.length - 1) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, position, points.length]);
+
+  const handlePlay = () => {
+    if (position >= points.length - 1) {
+      setPosition(0);
+    }
+
+    setIsPlaying(!isPlaying);
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading route...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (points.length < 2) {
+    return (
+      <p className="text-sm text-gray-500">
+        No route recorded. Routes are only tracked for drivers who turn on route sharing during their shift.
+      </p>
+    );
+  }
+
+  const toPath = (list) => list.map(point => {
+    const { x, y } = project(point);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  const current = project(points[position]);
+  const periods = [...route.stops, ...route.idlePeriods].sort((a, b) => a.start - b.start);
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3 text-sm">
+        <div>
+          <p className="text-gray-500">Distance travelled</p>
+          <p className="font-medium">{formatDistance(route.distance / 1000)}</p>
+        </div>
+        <div>
+          <p className="text-gray-500">Stops</p>
+          <p className="font-medium">
+            {route.stops.length}
+            {route.stoppedTime > 0 && <span className="text-gray-500 font-normal"> ({formatDuration(route.stoppedTime)})</span>}
+          </p>
+        </div>
+        <div>
+          <p className="text-gray-500">Idle</p>
+          <p className="font-medium">
+            {route.idlePeriods.length}
+            {route.idleTime > 0 && <span className="text-gray-500 font-normal"> ({formatDuration(route.idleTime)})</span>}
+          </p>
+        </div>
+        <div>
+          <p className="text-gray-500">Positions</p>
+          <p className="font-medium">{points.length}</p>
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full bg-gray-50 border rounded-lg">
+        <polyline points={toPath(points)} fill="none" stroke="currentColor" strokeWidth="3" className="text-gray-300" strokeLinejoin="round" />
+        <polyline points={toPath(points.slice(0, position + 1))} fill="none" stroke="currentColor" strokeWidth="3" className="text-primary" strokeLinejoin="round" />
+
+        {periods.map(period => {
+          const { x, y } = project(period);
+          return (
+            <circle
+              key={period.start}
+              cx={x}
+              cy={y}
+              r={period.type === 'stop' ? 8 : 6}
+              fill="currentColor"
+              fillOpacity="0.8"
+              className={period.type === 'stop' ? 'text-red-500' : 'text-yellow-400'}
+            >
+              <title>
+                {period.type === 'stop' ? 'Stop' : 'Idle'} {formatClock(period.start)}–{formatClock(period.end)} ({formatDuration(period.duration)})
+              </title>
+            </circle>
+          );
+        })}
+
+        <circle cx={project(points[0]).x} cy={project(points[0]).y} r="6" fill="currentColor" className="text-green-600">
+          <title>Start {formatClock(points[0].time)}</title>
+        </circle>
+        <circle cx={project(points[points.length - 1]).x} cy={project(points[points.length - 1]).y} r="6" fill="currentColor" className="text-secondary">
+          <title>End {formatClock(points[points.length - 1].time)}</title>
+        </circle>
+        <circle cx={current.x} cy={current.y} r="7" fill="white" stroke="currentColor" strokeWidth="3" className="text-primary" />
+      </svg>
+
+      <div className="flex items-center gap-3 mt-2">
+        <button
+          type="button"
+          onClick={handlePlay}
+          className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 w-8 h-8 rounded-full transition-colors shrink-0"
+          title={isPlaying ? 'Pause' : 'Replay'}
+        >
+          <i className={isPlaying ? 'ri-pause-fill' : 'ri-play-fill'}></i>
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={points.length - 1}
+          value={position}
+          onChange={(e) => {
+            setIsPlaying(false);
+            setPosition(Number(e.target.value));
+          }}
+          className="flex-1 accent-primary"
+        />
+        <span className="text-sm text-gray-600 w-20 text-right">{formatClock(points[position].time)}</span>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-xs text-gray-500 mt-2">
+        <span><span className="inline-block w-2 h-2 rounded-full bg-green-600 mr-1"></span>Start</span>
+        <span><span className="inline-block w-2 h-2 rounded-full bg-secondary mr-1"></span>End</span>
+        <span><span className="inline-block w-2 h-2 rounded-full bg-red-500 mr-1"></span>Stop</span>
+        <span><span className="inline-block w-2 h-2 rounded-full bg-yellow-400 mr-1"></span>Idle</span>
+      </div>
+
+      {periods.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-100 text-sm">
+          {periods.map(period => (
+            <li key={period.start} className="flex justify-between py-1">
+              <span className={period.type === 'stop' ? 'text-red-700' : 'text-yellow-700'}>
+                {period.type === 'stop' ? 'Stop' : 'Idle'} {formatClock(period.start)}–{formatClock(period.end)}
+              </span>
+              <span className="text-gray-600">
+                {formatDuration(period.duration)}
+                <a
+                  href={getMapUrl(period)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="ml-2 text-blue-600 hover:text-blue-900"
+                  title="Open location"
+                >
+                  <i className="ri-map-pin-line"></i>
+                </a>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RouteReplay;
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { NavLink, useLocation } from 'react-router-dom';
 import useAuthStore from '../../store/authStore';
+import { PERMISSIONS } from '../../utils/permissions';
 
 const Sidebar = ({ 
   isOpen, 
@@ -8,7 +9,7 @@ const Sidebar = ({
   isMobile = false 
 }) => {
   const location = useLocation();
-  const { user } = useAuthStore();
+  const { user, can } = useAuthStore();
   const [activeMenu, setActiveMenu] = useState(null);
 
   // Update active menu based on current route
@@ -29,51 +30,57 @@ const Sidebar = ({
     }
   }, [location]);
 
-  // Navigation items
+  // Navigation items, limited to the pages the user's role may open
   const navItems = [
     { 
       id: 'dashboard', 
       name: 'Dashboard',
       path: '/admin/dashboard', 
       icon: 'ri-dashboard-line',
-      description: 'System overview and statistics'
+      description: 'System overview and statistics',
+      permission: PERMISSIONS.DASHBOARD_VIEW
     },
     { 
       id: 'drivers', 
       name: 'Drivers',
       path: '/admin/drivers', 
       icon: 'ri-user-line',
-      description: 'Manage driver accounts'
+      description: 'Manage driver accounts',
+      permission: PERMISSIONS.DRIVERS_MANAGE
     },
     { 
       id: 'vehicles', 
       name: 'Vehicles',
       path: '/admin/vehicles', 
       icon: 'ri-car-line',
-      description: 'Manage vehicle fleet'
+      description: 'Manage vehicle fleet',
+      permission: PERMISSIONS.VEHICLES_MANAGE
     },
     { 
       id: 'logs', 
       name: 'Time Logs',
       path: '/admin/logs', 
       icon: 'ri-time-line',
-      description: 'View driver activity logs'
+      description: 'View driver activity logs',
+      permission: PERMISSIONS.LOGS_VIEW
     },
     { 
       id: 'maintenance', 
       name: 'Maintenance',
       path: '/admin/maintenance', 
       icon: 'ri-tools-line',
-      description: 'Manage vehicle maintenance requests'
+      description: 'Manage vehicle maintenance requests',
+      permission: PERMISSIONS.MAINTENANCE_VIEW
     },
     { 
       id: 'api-keys', 
       name: 'API Keys',
       path: '/admin/api-keys', 
       icon: 'ri-key-line',
-      description: 'Manage API integrations'
+      description: 'Manage API integrations',
+      permission: PERMISSIONS.API_KEYS_MANAGE
     }
-  ];
+  ].filter(item => can(item.permission));
 
   return (
     <>
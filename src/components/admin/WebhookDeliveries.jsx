@@ -0,0 +1,165 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import webhookService from '../../services/webhookService';
+import { getWebhookEventLabel } from '../../utils/webhookUtils';
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const WebhookDeliveries = ({ endpoint, onClose }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Fetch the most recent deliveries and their attempts
+  const fetchDeliveries = useCallback(async () => {
+    if (!endpoint) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    const result = await webhookService.getWebhookDeliveries(endpoint.id);
+
+    if (result.success) {
+      setDeliveries(result.data);
+    } else {
+      setError('Failed to load deliveries for this endpoint.');
+    }
+
+    setIsLoading(false);
+  }, [endpoint]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const handleRetry = async (deliveryId) => {
+    const result = await webhookService.retryWebhookDelivery(deliveryId);
+
+    if (!result.success) {
+      setError('Failed to queue the delivery again.');
+      return;
+    }
+
+    fetchDeliveries();
+  };
+
+  if (!endpoint) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md border border-gray-100 mt-6 overflow-hidden">
+      <div className="px-6 py-4 bg-gray-50 border-b border-gray-100 flex items-center justify-between">
+        <div className="flex items-center min-w-0">
+          <i className="ri-send-plane-line text-primary mr-2"></i>
+          <h2 className="font-semibold text-gray-800 truncate">Deliveries: {endpoint.url}</h2>
+        </div>
+        <div className="flex items-center">
+          <button
+            onClick={fetchDeliveries}
+            className="text-gray-400 hover:text-gray-600 mr-3"
+            title="Refresh"
+          >
+            <i className="ri-refresh-line text-xl"></i>
+          </button>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+            title="Close"
+          >
+            <i className="ri-close-line text-xl"></i>
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="px-6 pt-4 text-sm text-red-600">{error}</p>}
+
+      {isLoading ? (
+        <div className="p-8 text-center">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-4 border-primary border-r-4 border-r-transparent"></div>
+        </div>
+      ) : deliveries.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500">Nothing has been sent to this endpoint yet.</p>
+      ) : (
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Response</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Attempts</th>
+              <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {deliveries.map(delivery => (
+              <Fragment key={delivery.id}>
+                <tr
+                  className="hover:bg-gray-50 cursor-pointer"
+                  onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                >
+                  <td className="px-4 py-2 text-sm">
+                    <div className="text-gray-900">{getWebhookEventLabel(delivery.event)}</div>
+                    <div className="text-xs text-gray-500">{new Date(delivery.created_at).toLocaleString()}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${STATUS_COLORS[delivery.status]}`}>
+                      {delivery.status}
+                    </span>
+                    {delivery.status === 'pending' && delivery.attempts > 0 && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        Retry at {new Date(delivery.next_attempt_at).toLocaleTimeString()}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-sm font-mono text-gray-700">
+                    {delivery.last_status_code ?? (delivery.last_error ? 'No response' : '—')}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700">{delivery.attempts}</td>
+                  <td className="px-4 py-2 text-right">
+                    {delivery.status === 'failed' && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleRetry(delivery.id);
+                        }}
+                        className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-xs transition-colors"
+                      >
+                        Retry
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {expandedId === delivery.id && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-3 bg-gray-50">
+                      {delivery.attemptLog.length === 0 ? (
+                        <p className="text-xs text-gray-500">Not attempted yet.</p>
+                      ) : (
+                        <ol className="space-y-1">
+                          {delivery.attemptLog.map(attempt => (
+                            <li key={attempt.id} className="text-xs text-gray-600 flex flex-wrap gap-x-3">
+                              <span className="font-medium text-gray-800">#{attempt.attempt}</span>
+                              <span>{new Date(attempt.created_at).toLocaleString()}</span>
+                              <span className="font-mono">{attempt.status_code ?? 'no response'}</span>
+                              <span>{attempt.duration_ms} ms</span>
+                              {attempt.error && <span className="text-red-600">{attempt.error}</span>}
+                            </li>
+                          ))}
+                        </ol>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
@@ -0,0 +1,307 @@
+import { useState, useEffect } from 'react';
+import webhookService from '../../services/webhookService';
+import WebhookDeliveries from './WebhookDeliveries';
+import { WEBHOOK_EVENTS, getWebhookEventLabel } from '../../utils/webhookUtils';
+
+const WebhookEndpoints = ({ userId }) => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [url, setUrl] = useState('');
+  const [description, setDescription] = useState('');
+  const [events, setEvents] = useState(WEBHOOK_EVENTS.map(event => event.value));
+  const [revealedId, setRevealedId] = useState(null);
+  const [selectedEndpointId, setSelectedEndpointId] = useState(null);
+
+  // Fetch registered endpoints
+  useEffect(() => {
+    const fetchEndpoints = async () => {
+      if (!userId) return;
+
+      setIsLoading(true);
+
+      const result = await webhookService.getWebhookEndpoints(userId);
+
+      if (result.success) {
+        setEndpoints(result.data);
+      } else {
+        setError('Failed to load webhook endpoints.');
+      }
+
+      setIsLoading(false);
+    };
+
+    fetchEndpoints();
+  }, [userId]);
+
+  const toggleEvent = (event) => {
+    setEvents(events.includes(event)
+      ? events.filter(item => item !== event)
+      : [...events, event]);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSaving(true);
+
+    const result = await webhookService.createWebhookEndpoint(userId, {
+      url: url.trim(),
+      description: description.trim(),
+      events
+    });
+
+    setIsSaving(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setEndpoints([result.data, ...endpoints]);
+    setRevealedId(result.data.id);
+    setShowForm(false);
+    setUrl('');
+    setDescription('');
+  };
+
+  const handleToggleActive = async (endpoint) => {
+    const result = await webhookService.updateWebhookEndpoint(endpoint.id, { is_active: !endpoint.is_active });
+
+    if (!result.success) {
+      setError('Failed to update the endpoint.');
+      return;
+    }
+
+    setEndpoints(endpoints.map(item => item.id === endpoint.id ? result.data : item));
+  };
+
+  const handleSendTest = async (endpoint) => {
+    const result = await webhookService.sendTestEvent(endpoint.id);
+
+    if (!result.success) {
+      setError('Failed to queue a test event.');
+      return;
+    }
+
+    setNotice(`Test event queued for ${endpoint.url}. It is sent within a few seconds.`);
+    setSelectedEndpointId(endpoint.id);
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm('Delete this webhook endpoint? Its delivery log is deleted too.')) {
+      return;
+    }
+
+    const result = await webhookService.deleteWebhookEndpoint(endpoint.id);
+
+    if (!result.success) {
+      setError('Failed to delete the endpoint.');
+      return;
+    }
+
+    setEndpoints(endpoints.filter(item => item.id !== endpoint.id));
+    if (selectedEndpointId === endpoint.id) {
+      setSelectedEndpointId(null);
+    }
+  };
+
+  const handleCopySecret = (secret) => {
+    navigator.clipboard.writeText(secret);
+    setNotice('Signing secret copied to clipboard.');
+  };
+
+  return (
+    <>
+      <div className="bg-white rounded-lg shadow-md border border-gray-100 mt-6 overflow-hidden">
+        <div className="px-6 py-4 bg-gray-50 border-b border-gray-100 flex items-center justify-between">
+          <div className="flex items-center">
+            <i className="ri-webhook-line text-primary mr-2"></i>
+            <h2 className="font-semibold text-gray-800">Webhooks</h2>
+          </div>
+          <button
+            onClick={() => setShowForm(!showForm)}
+            className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors inline-flex items-center"
+          >
+            <i className={`${showForm ? 'ri-close-line' : 'ri-add-line'} mr-1`}></i>
+            {showForm ? 'Cancel' : 'Add Endpoint'}
+          </button>
+        </div>
+
+        {error && (
+          <div className="mx-6 mt-4 bg-red-50 border-l-4 border-red-500 text-red-700 p-3 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        {notice && (
+          <div className="mx-6 mt-4 bg-green-50 border-l-4 border-green-500 text-green-700 p-3 rounded text-sm flex justify-between">
+            <span>{notice}</span>
+            <button onClick={() => setNotice(null)} className="ml-2">
+              <i className="ri-close-line"></i>
+            </button>
+          </div>
+        )}
+
+        {showForm && (
+          <form onSubmit={handleCreate} className="p-6 border-b border-gray-100">
+            <div className="mb-4">
+              <label htmlFor="webhookUrl" className="block text-sm font-medium text-gray-700 mb-1">
+                Endpoint URL
+              </label>
+              <input
+                type="url"
+                id="webhookUrl"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="https://example.com/webhooks/fleet"
+                required
+              />
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor="webhookDescription" className="block text-sm font-medium text-gray-700 mb-1">
+                Description
+              </label>
+              <input
+                type="text"
+                id="webhookDescription"
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="e.g., Dispatch system"
+              />
+            </div>
+
+            <fieldset className="mb-4">
+              <legend className="block text-sm font-medium text-gray-700 mb-2">Events</legend>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {WEBHOOK_EVENTS.map(event => (
+                  <label key={event.value} className="inline-flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={events.includes(event.value)}
+                      onChange={() => toggleEvent(event.value)}
+                      className="mr-2 rounded text-primary focus:ring-primary"
+                    />
+                    {event.label}
+                    <code className="ml-2 text-xs text-gray-400">{event.value}</code>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <button
+              type="submit"
+              disabled={isSaving || events.length === 0}
+              className="bg-primary hover:bg-primary/90 text-white py-2 px-4 rounded-md font-medium transition-colors disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Add Endpoint'}
+            </button>
+          </form>
+        )}
+
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-4 border-primary border-r-4 border-r-transparent"></div>
+          </div>
+        ) : endpoints.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">
+            No webhook endpoints yet. Add one to have fleet events pushed to your systems.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {endpoints.map(endpoint => (
+              <li key={endpoint.id} className={`px-6 py-4 ${selectedEndpointId === endpoint.id ? 'bg-primary/5' : ''}`}>
+                <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex items-center">
+                      <code className="text-sm text-gray-900 break-all">{endpoint.url}</code>
+                      <span className={`ml-2 text-xs px-2 py-0.5 rounded-full font-medium ${
+                        endpoint.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                      }`}>
+                        {endpoint.is_active ? 'Active' : 'Paused'}
+                      </span>
+                    </div>
+                    {endpoint.description && (
+                      <div className="text-sm text-gray-500 mt-1">{endpoint.description}</div>
+                    )}
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {endpoint.events.map(event => (
+                        <span key={event} className="text-xs px-2 py-0.5 rounded-md bg-blue-100 text-blue-800">
+                          {getWebhookEventLabel(event)}
+                        </span>
+                      ))}
+                    </div>
+                    <div className="flex items-center text-xs text-gray-500 mt-2">
+                      <span className="font-medium mr-1">Signing secret:</span>
+                      <code className="font-mono">
+                        {revealedId === endpoint.id ? endpoint.secret : `${endpoint.secret.slice(0, 10)}••••••••`}
+                      </code>
+                      <button
+                        onClick={() => setRevealedId(revealedId === endpoint.id ? null : endpoint.id)}
+                        className="ml-2 text-gray-400 hover:text-gray-600"
+                        title={revealedId === endpoint.id ? 'Hide' : 'Reveal'}
+                      >
+                        <i className={revealedId === endpoint.id ? 'ri-eye-off-line' : 'ri-eye-line'}></i>
+                      </button>
+                      <button
+                        onClick={() => handleCopySecret(endpoint.secret)}
+                        className="ml-1 text-gray-400 hover:text-gray-600"
+                        title="Copy to Clipboard"
+                      >
+                        <i className="ri-clipboard-line"></i>
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="flex flex-wrap gap-2 md:justify-end shrink-0">
+                    <button
+                      onClick={() => handleSendTest(endpoint)}
+                      disabled={!endpoint.is_active}
+                      className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-full text-sm transition-colors disabled:opacity-50"
+                    >
+                      Send test
+                    </button>
+                    <button
+                      onClick={() => setSelectedEndpointId(selectedEndpointId === endpoint.id ? null : endpoint.id)}
+                      className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors"
+                    >
+                      Deliveries
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(endpoint)}
+                      className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-full text-sm transition-colors"
+                    >
+                      {endpoint.is_active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(endpoint)}
+                      className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-full text-sm transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {selectedEndpointId && (
+        <WebhookDeliveries
+          key={selectedEndpointId}
+          endpoint={endpoints.find(endpoint => endpoint.id === selectedEndpointId)}
+          onClose={() => setSelectedEndpointId(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default WebhookEndpoints;
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { ANNOTATION_COLOR, scaleShape, toAnnotationList } from '../../utils/annotationUtils';
+
+// How the overlay has to scale to stay on top of the photo for each object-fit
+const ASPECT_RATIOS = {
+  fill: 'none',
+  cover: 'xMidYMid slice',
+  contain: 'xMidYMid meet'
+};
+
+/**
+ * SVG elements for annotations on a photo of the given natural size
+ */
+const Shapes = ({ annotations, width, height }) => {
+  const strokeWidth = Math.max(width * 0.006, 1);
+  const fontSize = width * 0.035;
+
+  return toAnnotationList(annotations).map((annotation, index) => {
+    const shape = scaleShape(annotation, { width, height });
+
+    switch (shape.type) {
+      case 'circle':
+        return (
+          <ellipse key={index} cx={shape.x} cy={shape.y} rx={shape.rx} ry={shape.ry} fill="none" stroke={ANNOTATION_COLOR} strokeWidth={strokeWidth} />
+        );
+      case 'arrow':
+        return (
+          <g key={index} stroke={ANNOTATION_COLOR} strokeWidth={strokeWidth} strokeLinecap="round">
+            <line x1={shape.x1} y1={shape.y1} x2={shape.x2} y2={shape.y2} />
+            {shape.head.map(([x, y]) => (
+              <line key={`${x},${y}`} x1={shape.x2} y1={shape.y2} x2={x} y2={y} />
+            ))}
+          </g>
+        );
+      case 'freehand':
+        return (
+          <polyline
+            key={index}
+            points={shape.points.map(point => point.join(',')).join(' ')}
+            fill="none"
+            stroke={ANNOTATION_COLOR}
+            strokeWidth={strokeWidth}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        );
+      case 'text':
+        return (
+          <text
+            key={index}
+            x={shape.x}
+            y={shape.y}
+            fontSize={fontSize}
+            fontWeight="bold"
+            fill={ANNOTATION_COLOR}
+            stroke="white"
+            strokeWidth={fontSize * 0.15}
+            paintOrder="stroke"
+            dominantBaseline="hanging"
+          >
+            {shape.text}
+          </text>
+        );
+      default:
+        return null;
+    }
+  });
+};
+
+/**
+ * Photo with the annotations a driver put on it drawn over the top
+ * `fit` matches the image's object-fit class so the marks stay in place
+ */
+const AnnotatedImage = ({
+  src,
+  alt,
+  annotations = [],
+  fit = 'fill',
+  className = '',
+  imageClassName = '',
+  children
+}) => {
+  const [size, setSize] = useState(null);
+
+  return (
+    <div className={`relative ${className}`}>
+      <img
+        src={src}
+        alt={alt}
+        className={`block ${imageClassName}`}
+        onLoad={(e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+      />
+      {size && annotations?.length > 0 && (
+        <svg
+          className="absolute inset-0 w-full h-full pointer-events-none"
+          viewBox={`0 0 ${size.width} ${size.height}`}
+          preserveAspectRatio={ASPECT_RATIOS[fit]}
+        >
+          <Shapes annotations={annotations} width={size.width} height={size.height} />
+        </svg>
+      )}
+      {children}
+    </div>
+  );
+};
+
+AnnotatedImage.Shapes = Shapes;
+
+export default AnnotatedImage;
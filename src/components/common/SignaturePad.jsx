@@ -0,0 +1,158 @@
+import { forwardRef, useEffect, useImperativeHandle, useRef } from 'react';
+import { createSignatureRecord, drawStrokes, getPointerPressure } from '../../utils/signatureUtils';
+
+/**
+ * Signature pad that records vector strokes (position, pressure and timing per point)
+ * and draws them at the device's pixel ratio. Strokes are kept in CSS pixels, so the
+ * pad redraws them sharply when it is resized or first shown.
+ *
+ * The ref exposes clear(), isEmpty(), getDataURL() and sign({ content, signerId, signedAt }),
+ * which resolves to { image, record } with the record bound to the agreement text
+ */
+const SignaturePad = forwardRef(({
+  label = 'Sign Below',
+  clearLabel = 'Clear Signature',
+  compact = false,
+  onChange,
+  className = ''
+}, ref) => {
+  const canvasRef = useRef(null);
+  const strokesRef = useRef([]);
+  const currentStrokeRef = useRef(null);
+  const startTimeRef = useRef(null); // Points are timed from the first touch of the signature
+
+  // Size the canvas backing store to the pixel ratio and draw every stroke again
+  const redraw = () => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(canvas.offsetWidth * pixelRatio);
+    canvas.height = Math.round(canvas.offsetHeight * pixelRatio);
+
+    const context = canvas.getContext('2d');
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, canvas.offsetWidth, canvas.offsetHeight);
+    drawStrokes(context, strokesRef.current);
+  };
+
+  useEffect(() => {
+    redraw();
+
+    const resizeObserver = new ResizeObserver(redraw);
+    resizeObserver.observe(canvasRef.current);
+
+    return () => {
+      resizeObserver.disconnect();
+    };
+  }, []);
+
+  const toPoint = (e) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    return [
+      Math.round((e.clientX - bounds.left) * 10) / 10,
+      Math.round((e.clientY - bounds.top) * 10) / 10,
+      getPointerPressure(e),
+      Math.round(e.timeStamp - startTimeRef.current)
+    ];
+  };
+
+  // Draw only the newest segment of the stroke being signed
+  const drawLatest = (points) => {
+    drawStrokes(canvasRef.current.getContext('2d'), [{ points: points.slice(-2) }]);
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.button > 0) return;
+
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+
+    if (startTimeRef.current === null) {
+      startTimeRef.current = e.timeStamp;
+    }
+
+    const stroke = { pointerType: e.pointerType, points: [toPoint(e)] };
+    currentStrokeRef.current = stroke;
+    strokesRef.current = [...strokesRef.current, stroke];
+    drawLatest(stroke.points);
+  };
+
+  const handlePointerMove = (e) => {
+    const stroke = currentStrokeRef.current;
+    if (!stroke) return;
+
+    // Coalesced events carry the points the browser merged between frames
+    const events = e.nativeEvent.getCoalescedEvents?.() || [];
+
+    (events.length > 0 ? events : [e]).forEach((event) => {
+      stroke.points.push(toPoint(event));
+      drawLatest(stroke.points);
+    });
+  };
+
+  const handlePointerUp = () => {
+    if (!currentStrokeRef.current) return;
+
+    currentStrokeRef.current = null;
+    onChange?.(strokesRef.current);
+  };
+
+  const clear = () => {
+    strokesRef.current = [];
+    currentStrokeRef.current = null;
+    startTimeRef.current = null;
+    redraw();
+    onChange?.([]);
+  };
+
+  const getDataURL = () => canvasRef.current.toDataURL('image/png');
+
+  useImperativeHandle(ref, () => ({
+    clear,
+    isEmpty: () => strokesRef.current.length === 0,
+    getDataURL,
+    sign: async ({ content, signerId, signedAt }) => ({
+      image: getDataURL(),
+      record: await createSignatureRecord({
+        strokes: strokesRef.current,
+        pad: { width: canvasRef.current.offsetWidth, height: canvasRef.current.offsetHeight },
+        content,
+        signerId,
+        signedAt
+      })
+    })
+  }));
+
+  return (
+    <div className={className}>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+      </label>
+      <div className="border rounded-md p-1 bg-white">
+        <canvas
+          ref={canvasRef}
+          className={`block w-full ${compact ? 'h-32' : 'h-40'} touch-none`}
+          style={{ touchAction: 'none' }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+        ></canvas>
+      </div>
+      <div className={`flex justify-end ${compact ? 'mt-1' : 'mt-2'}`}>
+        <button
+          type="button"
+          onClick={clear}
+          className={`${compact ? 'text-xs' : 'text-sm'} text-gray-600 hover:text-gray-900`}
+        >
+          {clearLabel}
+        </button>
+      </div>
+    </div>
+  );
+});
+
+SignaturePad.displayName = 'SignaturePad';
+
+export default SignaturePad;
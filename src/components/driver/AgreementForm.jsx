@@ -1,181 +1,21 @@
 import { useState, useEffect, useRef } from 'react';
 import Button from '../common/Button';
 import Card from '../common/Card';
+import SignaturePad from '../common/SignaturePad';
 import useAuthStore from '../../store/authStore';
+import { DEFAULT_AGREEMENT_TEMPLATE, getTemplateValues, renderAgreementTemplate } from '../../utils/agreementTemplateUtils';
 
 const AgreementForm = ({
   vehicleData,
+  templateVersion = null,
   onSignComplete,
   className = '',
   ...props
 }) => {
   const [isAgreementSigned, setIsAgreementSigned] = useState(false);
   const { user } = useAuthStore();
-  const canvasRef = useRef(null);
   const signaturePadRef = useRef(null);
 
-  // Make sure canvas has proper dimensions
-  useEffect(() => {
-    if (canvasRef.current) {
-      const canvas = canvasRef.current;
-      
-      // Make sure canvas has proper dimensions
-      const resizeCanvas = () => {
-        canvas.width = canvas.offsetWidth || 300;
-        canvas.height = canvas.offsetHeight || 150;
-      };
-      
-      // Initial resize
-      resizeCanvas();
-      
-      // Set up resize observer to handle size changes
-      const resizeObserver = new ResizeObserver(resizeCanvas);
-      resizeObserver.observe(canvas);
-      
-      return () => {
-        resizeObserver.disconnect();
-      };
-    }
-  }, [canvasRef.current]);
-
-  // Initialize signature pad
-  useEffect(() => {
-    if (canvasRef.current) {
-      const canvas = canvasRef.current;
-      const context = canvas.getContext('2d');
-      
-      // Set canvas to be responsive
-      canvas.width = canvas.offsetWidth || 300;
-      canvas.height = canvas.offsetHeight || 150;
-      
-      // Set drawing style
-      context.strokeStyle = '#000000';
-      context.lineWidth = 2;
-      
-      // Drawing state
-      let isDrawing = false;
-      let lastX = 0;
-      let lastY = 0;
-      
-      // Mouse events
-      const startDrawing = (e) => {
-        isDrawing = true;
-        const rect = canvas.getBoundingClientRect();
-        [lastX, lastY] = [
-          e.clientX - rect.left,
-          e.clientY - rect.top
-        ];
-      };
-      
-      const draw = (e) => {
-        if (!isDrawing) return;
-        
-        const rect = canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        context.beginPath();
-        context.moveTo(lastX, lastY);
-        context.lineTo(x, y);
-        context.stroke();
-        
-        [lastX, lastY] = [x, y];
-      };
-      
-      const stopDrawing = () => {
-        isDrawing = false;
-      };
-      
-      // Touch events
-      const touchStart = (e) => {
-        e.preventDefault();
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        [lastX, lastY] = [
-          touch.clientX - rect.left,
-          touch.clientY - rect.top
-        ];
-        isDrawing = true;
-      };
-      
-      const touchMove = (e) => {
-        if (!isDrawing) return;
-        e.preventDefault();
-        
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        const x = touch.clientX - rect.left;
-        const y = touch.clientY - rect.top;
-        
-        context.beginPath();
-        context.moveTo(lastX, lastY);
-        context.lineTo(x, y);
-        context.stroke();
-        
-        [lastX, lastY] = [x, y];
-      };
-      
-      // Add event listeners
-      canvas.addEventListener('mousedown', startDrawing);
-      canvas.addEventListener('mousemove', draw);
-      canvas.addEventListener('mouseup', stopDrawing);
-      canvas.addEventListener('mouseout', stopDrawing);
-      
-      // Touch support
-      canvas.addEventListener('touchstart', touchStart);
-      canvas.addEventListener('touchmove', touchMove);
-      canvas.addEventListener('touchend', stopDrawing);
-      
-      // Save reference to clear function
-      signaturePadRef.current = {
-        clear: () => {
-          context.clearRect(0, 0, canvas.width, canvas.height);
-        },
-        isEmpty: () => {
-          // Make sure canvas has dimensions before checking
-          if (canvas.width === 0 || canvas.height === 0) {
-            // Re-set dimensions if they're 0
-            canvas.width = canvas.offsetWidth || 300;
-            canvas.height = canvas.offsetHeight || 150;
-            return true; // Consider it empty if we just had to reset dimensions
-          }
-          
-          try {
-            const pixelData = context.getImageData(0, 0, canvas.width, canvas.height).data;
-            for (let i = 3; i < pixelData.length; i += 4) {
-              if (pixelData[i] > 0) {
-                return false;
-              }
-            }
-            return true;
-          } catch (err) {
-            console.error("Error checking if canvas is empty:", err);
-            return true; // If we can't check, assume it's empty to prevent errors
-          }
-        },
-        getDataURL: () => {
-          // Ensure canvas has dimensions before getting data URL
-          if (canvas.width === 0 || canvas.height === 0) {
-            canvas.width = canvas.offsetWidth || 300;
-            canvas.height = canvas.offsetHeight || 150;
-          }
-          return canvas.toDataURL('image/png');
-        }
-      };
-      
-      // Cleanup
-      return () => {
-        canvas.removeEventListener('mousedown', startDrawing);
-        canvas.removeEventListener('mousemove', draw);
-        canvas.removeEventListener('mouseup', stopDrawing);
-        canvas.removeEventListener('mouseout', stopDrawing);
-        canvas.removeEventListener('touchstart', touchStart);
-        canvas.removeEventListener('touchmove', touchMove);
-        canvas.removeEventListener('touchend', stopDrawing);
-      };
-    }
-  }, [canvasRef.current]);
-
   // Reset signature pad on vehicle change
   useEffect(() => {
     if (signaturePadRef.current) {
@@ -184,31 +24,15 @@ const AgreementForm = ({
     }
   }, [vehicleData?.id]);
 
-  // Generate agreement text
+  // Fill in the given template version, or the built-in terms
   const generateAgreementText = () => {
     if (!vehicleData || !user) return '';
     
-    const today = new Date().toLocaleDateString();
-    
-    return `VEHICLE USAGE AGREEMENT
-
-Date: ${today}
-
-THIS AGREEMENT is made between:
-
-Driver: ${user.name || user.email}
-Vehicle: ${vehicleData.make} ${vehicleData.model} (Vehicle #${vehicleData.vehicle_number})
-
-Terms and Conditions:
-
-1. The Driver agrees to use the Vehicle for business purposes only.
-2. The Driver acknowledges receipt of the Vehicle in good working condition.
-3. The Driver agrees to return the Vehicle in the same condition, normal wear and tear excepted.
-4. The Driver agrees to report any maintenance issues promptly.
-5. The Driver agrees to follow all traffic laws and regulations.
-6. The Driver assumes responsibility for any tickets or fines incurred during usage.
-
-By signing below, the Driver acknowledges having read, understood, and agreed to the terms and conditions set forth above.`;
+    return renderAgreementTemplate(templateVersion?.body || DEFAULT_AGREEMENT_TEMPLATE, getTemplateValues({
+      driverName: user.name || user.email,
+      vehicle: vehicleData,
+      depotName: templateVersion?.depots?.name
+    }));
   };
 
   // Handle signature submission
@@ -221,16 +45,23 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
         return;
       }
       
-      // Get signature as data URL
-      const signatureDataUrl = signaturePadRef.current.getDataURL();
+      const agreementText = generateAgreementText();
+      const timestamp = new Date().toISOString();
+      const { image, record } = await signaturePadRef.current.sign({
+        content: agreementText,
+        signerId: user?.id || null,
+        signedAt: timestamp
+      });
       
       setIsAgreementSigned(true);
       
       if (onSignComplete) {
         onSignComplete({
-          signatureDataUrl,
-          agreementText: generateAgreementText(),
-          timestamp: new Date().toISOString()
+          signatureDataUrl: image,
+          signatureRecord: record,
+          agreementText,
+          templateVersionId: templateVersion?.id || null,
+          timestamp
         });
       }
     } catch (err) {
@@ -239,13 +70,6 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
     }
   };
 
-  // Clear signature
-  const clearSignature = () => {
-    if (signaturePadRef.current) {
-      signaturePadRef.current.clear();
-    }
-  };
-
   return (
     <Card className={className} {...props}>
       <Card.Header 
@@ -272,26 +96,7 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
               </pre>
             </div>
             
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Sign Below
-              </label>
-              <div className="border rounded-md p-1 bg-white">
-                <canvas 
-                  ref={canvasRef}
-                  className="w-full h-40 touch-none"
-                  style={{ touchAction: 'none' }}
-                ></canvas>
-              </div>
-              <div className="flex justify-end mt-2">
-                <button
-                  onClick={clearSignature}
-                  className="text-sm text-gray-600 hover:text-gray-900"
-                >
-                  Clear Signature
-                </button>
-              </div>
-            </div>
+            <SignaturePad ref={signaturePadRef} className="mb-4" />
             
             <Button
               isFullWidth
@@ -309,177 +114,16 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
 
 // Compact version that shows just the signature area
 AgreementForm.Compact = ({
+  agreementText,
+  signerId = null,
   onSignComplete,
   className = '',
   ...props
 }) => {
-  const canvasRef = useRef(null);
   const signaturePadRef = useRef(null);
 
-  // Make sure canvas has proper dimensions
-  useEffect(() => {
-    if (canvasRef.current) {
-      const canvas = canvasRef.current;
-      
-      // Make sure canvas has proper dimensions
-      const resizeCanvas = () => {
-        canvas.width = canvas.offsetWidth || 300;
-        canvas.height = canvas.offsetHeight || 150;
-      };
-      
-      // Initial resize
-      resizeCanvas();
-      
-      // Set up resize observer to handle size changes
-      const resizeObserver = new ResizeObserver(resizeCanvas);
-      resizeObserver.observe(canvas);
-      
-      return () => {
-        resizeObserver.disconnect();
-      };
-    }
-  }, [canvasRef.current]);
-
-  // Initialize signature pad
-  useEffect(() => {
-    if (canvasRef.current) {
-      const canvas = canvasRef.current;
-      const context = canvas.getContext('2d');
-      
-      // Set canvas to be responsive
-      canvas.width = canvas.offsetWidth || 300;
-      canvas.height = canvas.offsetHeight || 150;
-      
-      // Set drawing style
-      context.strokeStyle = '#000000';
-      context.lineWidth = 2;
-      
-      // Drawing state
-      let isDrawing = false;
-      let lastX = 0;
-      let lastY = 0;
-      
-      // Mouse events
-      const startDrawing = (e) => {
-        isDrawing = true;
-        const rect = canvas.getBoundingClientRect();
-        [lastX, lastY] = [
-          e.clientX - rect.left,
-          e.clientY - rect.top
-        ];
-      };
-      
-      const draw = (e) => {
-        if (!isDrawing) return;
-        
-        const rect = canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        context.beginPath();
-        context.moveTo(lastX, lastY);
-        context.lineTo(x, y);
-        context.stroke();
-        
-        [lastX, lastY] = [x, y];
-      };
-      
-      const stopDrawing = () => {
-        isDrawing = false;
-      };
-      
-      // Touch events
-      const touchStart = (e) => {
-        e.preventDefault();
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        [lastX, lastY] = [
-          touch.clientX - rect.left,
-          touch.clientY - rect.top
-        ];
-        isDrawing = true;
-      };
-      
-      const touchMove = (e) => {
-        if (!isDrawing) return;
-        e.preventDefault();
-        
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        const x = touch.clientX - rect.left;
-        const y = touch.clientY - rect.top;
-        
-        context.beginPath();
-        context.moveTo(lastX, lastY);
-        context.lineTo(x, y);
-        context.stroke();
-        
-        [lastX, lastY] = [x, y];
-      };
-      
-      // Add event listeners
-      canvas.addEventListener('mousedown', startDrawing);
-      canvas.addEventListener('mousemove', draw);
-      canvas.addEventListener('mouseup', stopDrawing);
-      canvas.addEventListener('mouseout', stopDrawing);
-      
-      // Touch support
-      canvas.addEventListener('touchstart', touchStart);
-      canvas.addEventListener('touchmove', touchMove);
-      canvas.addEventListener('touchend', stopDrawing);
-      
-      // Save reference to clear function
-      signaturePadRef.current = {
-        clear: () => {
-          context.clearRect(0, 0, canvas.width, canvas.height);
-        },
-        isEmpty: () => {
-          // Make sure canvas has dimensions before checking
-          if (canvas.width === 0 || canvas.height === 0) {
-            // Re-set dimensions if they're 0
-            canvas.width = canvas.offsetWidth || 300;
-            canvas.height = canvas.offsetHeight || 150;
-            return true; // Consider it empty if we just had to reset dimensions
-          }
-          
-          try {
-            const pixelData = context.getImageData(0, 0, canvas.width, canvas.height).data;
-            for (let i = 3; i < pixelData.length; i += 4) {
-              if (pixelData[i] > 0) {
-                return false;
-              }
-            }
-            return true;
-          } catch (err) {
-            console.error("Error checking if canvas is empty:", err);
-            return true; // If we can't check, assume it's empty to prevent errors
-          }
-        },
-        getDataURL: () => {
-          // Ensure canvas has dimensions before getting data URL
-          if (canvas.width === 0 || canvas.height === 0) {
-            canvas.width = canvas.offsetWidth || 300;
-            canvas.height = canvas.offsetHeight || 150;
-          }
-          return canvas.toDataURL('image/png');
-        }
-      };
-      
-      // Cleanup
-      return () => {
-        canvas.removeEventListener('mousedown', startDrawing);
-        canvas.removeEventListener('mousemove', draw);
-        canvas.removeEventListener('mouseup', stopDrawing);
-        canvas.removeEventListener('mouseout', stopDrawing);
-        canvas.removeEventListener('touchstart', touchStart);
-        canvas.removeEventListener('touchmove', touchMove);
-        canvas.removeEventListener('touchend', stopDrawing);
-      };
-    }
-  }, [canvasRef.current]);
-
   // Handle signature submission
-  const handleSubmit = () => {
+  const handleSubmit = async () => {
     if (!signaturePadRef.current) return;
     
     try {
@@ -488,13 +132,19 @@ AgreementForm.Compact = ({
         return;
       }
       
-      // Get signature as data URL
-      const signatureDataUrl = signaturePadRef.current.getDataURL();
+      // The record is bound to whatever text the caller shows next to the pad
+      const timestamp = new Date().toISOString();
+      const { image, record } = await signaturePadRef.current.sign({
+        content: agreementText || '',
+        signerId,
+        signedAt: timestamp
+      });
       
       if (onSignComplete) {
         onSignComplete({
-          signatureDataUrl,
-          timestamp: new Date().toISOString()
+          signatureDataUrl: image,
+          signatureRecord: record,
+          timestamp
         });
       }
     } catch (err) {
@@ -512,26 +162,13 @@ AgreementForm.Compact = ({
 
   return (
     <div className={className} {...props}>
-      <div className="mb-2">
-        <label className="block text-sm font-medium text-gray-700 mb-2">
-          Sign Here
-        </label>
-        <div className="border rounded-md p-1 bg-white">
-          <canvas 
-            ref={canvasRef}
-            className="w-full h-32 touch-none"
-            style={{ touchAction: 'none' }}
-          ></canvas>
-        </div>
-        <div className="flex justify-end mt-1">
-          <button
-            onClick={clearSignature}
-            className="text-xs text-gray-600 hover:text-gray-900"
-          >
-            Clear
-          </button>
-        </div>
-      </div>
+      <SignaturePad
+        ref={signaturePadRef}
+        label="Sign Here"
+        clearLabel="Clear"
+        compact
+        className="mb-2"
+      />
       
       <div className="flex justify-between">
         <Button
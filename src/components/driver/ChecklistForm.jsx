@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import ImageCapture from './ImageCapture';
+import Button from '../common/Button';
+import {
+  CHECKLIST_RESULTS,
+  CHECKLIST_RESULT_LABELS,
+  getCriticalFailures,
+  validateChecklistAnswers
+} from '../../utils/checklistUtils';
+
+const RESULT_STYLES = {
+  pass: 'bg-green-600 text-white border-green-600',
+  fail: 'bg-red-600 text-white border-red-600',
+  na: 'bg-gray-600 text-white border-gray-600'
+};
+
+/**
+ * Pre-trip checklist: every item is answered pass, fail or n/a, with an
+ * optional note and a required photo for each failure
+ */
+const ChecklistForm = ({ checklist, onSubmit, isSubmitting = false }) => {
+  const [answers, setAnswers] = useState(() => checklist.items.map(item => ({
+    ...item,
+    result: null,
+    note: '',
+    photo: null
+  })));
+  const [cameraItemId, setCameraItemId] = useState(null);
+  const [error, setError] = useState(null);
+  
+  const criticalFailures = getCriticalFailures(answers);
+  
+  const updateAnswer = (itemId, changes) => {
+    setAnswers(answers.map(answer => answer.id === itemId ? { ...answer, ...changes } : answer));
+    setError(null);
+  };
+  
+  const handleSubmit = () => {
+    const validationError = validateChecklistAnswers(answers);
+    
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    
+    onSubmit(answers);
+  };
+  
+  return (
+    <div>
+      <ul className="space-y-4">
+        {answers.map(answer => (
+          <li key={answer.id} className="border rounded-md p-3">
+            <div className="flex items-start justify-between gap-2 mb-2">
+              <span className="font-medium text-gray-800">{answer.label}</span>
+              {answer.critical && (
+                <span className="shrink-0 text-xs px-2 py-0.5 rounded-full bg-red-100 text-red-800 font-medium">
+                  Critical
+                </span>
+              )}
+            </div>
+            
+            <div className="grid grid-cols-3 gap-2">
+              {CHECKLIST_RESULTS.map(result => (
+                <button
+                  key={result}
+                  type="button"
+                  onClick={() => updateAnswer(answer.id, { result })}
+                  className={`py-2 text-sm rounded-md border transition-colors ${
+                    answer.result === result ? RESULT_STYLES[result] : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {CHECKLIST_RESULT_LABELS[result]}
+                </button>
+              ))}
+            </div>
+            
+            <input
+              type="text"
+              value={answer.note}
+              onChange={(e) => updateAnswer(answer.id, { note: e.target.value })}
+              className="mt-2 w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+              placeholder={answer.result === 'fail' ? 'What is wrong?' : 'Note (optional)'}
+            />
+            
+            {answer.result === 'fail' && (
+              <div className="mt-2">
+                {answer.photo ? (
+                  <div className="flex items-center">
+                    <img src={answer.photo} alt={answer.label} className="h-16 w-24 object-cover rounded border mr-3" />
+                    <button
+                      type="button"
+                      onClick={() => updateAnswer(answer.id, { photo: null })}
+                      className="text-sm text-red-600 hover:text-red-800"
+                    >
+                      Retake photo
+                    </button>
+                  </div>
+                ) : cameraItemId === answer.id ? (
+                  <ImageCapture
+                    maxImages={1}
+                    title={answer.label}
+                    instructions="Take a photo showing the problem."
+                    onCaptureComplete={({ images }) => {
+                      updateAnswer(answer.id, { photo: images[0] });
+                      setCameraItemId(null);
+                    }}
+                  />
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setCameraItemId(answer.id)}
+                    className="text-sm text-red-600 hover:underline"
+                  >
+                    <i className="ri-camera-line mr-1"></i>
+                    Take a photo of the problem (required)
+                  </button>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      
+      {criticalFailures.length > 0 && (
+        <p className="mt-4 text-sm text-red-700 bg-red-50 border border-red-200 rounded px-3 py-2">
+          <i className="ri-error-warning-line mr-1"></i>
+          A critical item failed. Submitting reports this vehicle for maintenance and takes it out of service,
+          so you will need to choose another vehicle.
+        </p>
+      )}
+      
+      {error && (
+        <p className="mt-4 text-sm text-red-600">
+          <i className="ri-error-warning-line mr-1"></i>
+          {error}
+        </p>
+      )}
+      
+      <div className="mt-4 flex justify-end">
+        <Button
+          variant={criticalFailures.length > 0 ? 'danger' : 'primary'}
+          onClick={handleSubmit}
+          isLoading={isSubmitting}
+          icon={<i className="ri-checkbox-multiple-line"></i>}
+        >
+          Submit Checklist
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ChecklistForm;
@@ -0,0 +1,198 @@
+import { useState, useRef } from 'react';
+import Button from '../common/Button';
+import AnnotatedImage from '../common/AnnotatedImage';
+import {
+  ANNOTATION_TOOLS,
+  ANNOTATION_TOOL_LABELS,
+  ANNOTATION_TOOL_ICONS,
+  createShape,
+  createTextNote
+} from '../../utils/annotationUtils';
+
+const TOOL_HINTS = {
+  circle: 'Drag from the middle of the damage outwards.',
+  arrow: 'Drag from where the arrow starts to what it points at.',
+  freehand: 'Draw around or over the damage.',
+  text: 'Tap where the note should go.'
+};
+
+/**
+ * Full-screen editor for marking existing damage on a photo with circles,
+ * arrows, freehand lines and text notes. The photo itself is never changed;
+ * the marks are handed back as shapes through onSave
+ */
+const ImageAnnotator = ({ src, label, annotations = [], onSave, onCancel }) => {
+  const [shapes, setShapes] = useState(annotations);
+  const [tool, setTool] = useState('circle');
+  const [size, setSize] = useState(null);
+  const [dragPoints, setDragPoints] = useState([]);
+  const [notePoint, setNotePoint] = useState(null); // Where a text note is being added
+  const [noteText, setNoteText] = useState('');
+  const isDraggingRef = useRef(false);
+  
+  const aspect = size ? size.width / size.height : 1;
+  const draft = dragPoints.length > 0 ? createShape(tool, dragPoints, aspect) : null;
+  
+  const toPoint = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max((e.clientX - bounds.left) / bounds.width, 0), 1),
+      y: Math.min(Math.max((e.clientY - bounds.top) / bounds.height, 0), 1)
+    };
+  };
+  
+  const handlePointerDown = (e) => {
+    if (tool === 'text') {
+      setNotePoint(toPoint(e));
+      setNoteText('');
+      return;
+    }
+    
+    e.currentTarget.setPointerCapture(e.pointerId);
+    isDraggingRef.current = true;
+    setDragPoints([toPoint(e)]);
+  };
+  
+  const handlePointerMove = (e) => {
+    if (!isDraggingRef.current) return;
+    
+    const point = toPoint(e);
+    
+    // Freehand keeps the whole path; the other tools only need both ends
+    setDragPoints(points => (tool === 'freehand' ? [...points, point] : [points[0], point]));
+  };
+  
+  const handlePointerUp = () => {
+    if (!isDraggingRef.current) return;
+    
+    isDraggingRef.current = false;
+    
+    if (draft) {
+      setShapes([...shapes, draft]);
+    }
+    
+    setDragPoints([]);
+  };
+  
+  const handleAddNote = () => {
+    const note = createTextNote(notePoint, noteText);
+    
+    if (note) {
+      setShapes([...shapes, note]);
+    }
+    
+    setNotePoint(null);
+    setNoteText('');
+  };
+  
+  const selectTool = (nextTool) => {
+    setTool(nextTool);
+    setNotePoint(null);
+  };
+  
+  return (
+    <div className="fixed inset-0 z-50 bg-black flex flex-col">
+      <div className="flex items-center justify-between px-3 py-2 bg-gray-900 text-white">
+        <span className="text-sm font-medium truncate">Mark damage{label ? ` - ${label}` : ''}</span>
+        <div className="flex gap-1">
+          <button
+            onClick={() => setShapes(shapes.slice(0, -1))}
+            disabled={shapes.length === 0}
+            className="p-2 rounded hover:bg-gray-700 disabled:opacity-40"
+            title="Undo"
+          >
+            <i className="ri-arrow-go-back-line"></i>
+          </button>
+          <button
+            onClick={() => setShapes([])}
+            disabled={shapes.length === 0}
+            className="p-2 rounded hover:bg-gray-700 disabled:opacity-40"
+            title="Clear all"
+          >
+            <i className="ri-delete-bin-line"></i>
+          </button>
+        </div>
+      </div>
+      
+      <div className="flex-1 min-h-0 flex items-center justify-center p-2">
+        <div
+          className="relative touch-none select-none cursor-crosshair"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        >
+          <img
+            src={src}
+            alt={label || 'Inspection photo'}
+            className="block max-w-full max-h-[70vh]"
+            draggable={false}
+            onLoad={(e) => setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+          />
+          {size && (
+            <svg
+              className="absolute inset-0 w-full h-full pointer-events-none"
+              viewBox={`0 0 ${size.width} ${size.height}`}
+              preserveAspectRatio="none"
+            >
+              <AnnotatedImage.Shapes annotations={draft ? [...shapes, draft] : shapes} width={size.width} height={size.height} />
+            </svg>
+          )}
+          {notePoint && (
+            <div
+              className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-red-500 border-2 border-white"
+              style={{ left: `${notePoint.x * 100}%`, top: `${notePoint.y * 100}%` }}
+            ></div>
+          )}
+        </div>
+      </div>
+      
+      {notePoint && (
+        <div className="flex gap-2 px-3 py-2 bg-gray-900">
+          <input
+            type="text"
+            value={noteText}
+            onChange={(e) => setNoteText(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddNote()}
+            className="flex-1 px-3 py-2 rounded-md text-sm"
+            placeholder="e.g. Dent was already here"
+            maxLength={80}
+            autoFocus
+          />
+          <Button variant="primary" size="sm" onClick={handleAddNote}>
+            Add Note
+          </Button>
+        </div>
+      )}
+      
+      <div className="px-3 py-3 bg-gray-900 pb-[calc(0.75rem+env(safe-area-inset-bottom))]">
+        <div className="grid grid-cols-4 gap-2 mb-3">
+          {ANNOTATION_TOOLS.map(option => (
+            <button
+              key={option}
+              onClick={() => selectTool(option)}
+              className={`py-2 rounded-md text-sm flex flex-col items-center ${
+                tool === option ? 'bg-primary text-white' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'
+              }`}
+            >
+              <i className={`${ANNOTATION_TOOL_ICONS[option]} text-lg`}></i>
+              {ANNOTATION_TOOL_LABELS[option]}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-400 mb-3 text-center">
+          {TOOL_HINTS[tool]}
+        </p>
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={() => onSave(shapes)} icon={<i className="ri-check-line"></i>}>
+            Done
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImageAnnotator;
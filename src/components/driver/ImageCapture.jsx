@@ -2,16 +2,40 @@ import { useState, useEffect, useRef } from 'react';
 import Button from '../common/Button';
 import Card from '../common/Card';
 import { supabase } from '../../services/supabase';
+import { getCurrentLocation } from '../../utils/locationUtils';
+import { getAngleLabel } from '../../utils/inspectionUtils';
+import VehicleSilhouette from './VehicleSilhouette';
+import ImageAnnotator from './ImageAnnotator';
+import AnnotatedImage from '../common/AnnotatedImage';
 
+// Put a value in one slot of a per-angle array, leaving the other slots as they are
+const fillSlot = (values, index, value) => {
+  return Array.from({ length: Math.max(values.length, index + 1) }, (_, i) => (i === index ? value : values[i] ?? null));
+};
+
+/**
+ * Camera capture for inspection photos. Given `angles` (see INSPECTION_STEPS) it runs
+ * guided: one step per angle with a silhouette overlay and a retake per slot, and each
+ * photo keeps its angle's label. Otherwise photos are labelled by capture order.
+ * With `annotatable` the driver can mark existing damage on each photo; the marks
+ * are passed on as shapes next to the photos, which stay untouched
+ */
 const ImageCapture = ({
   maxImages = 6,
+  angles = null,
+  annotatable = false,
   onCaptureComplete,
   title = 'Vehicle Inspection Images',
   instructions = 'Please take photos showing the vehicle condition from different angles.',
   className = '',
   ...props
 }) => {
-  const [images, setImages] = useState([]);
+  const [images, setImages] = useState([]); // Guided: one slot per angle, null until taken
+  const [currentStep, setCurrentStep] = useState(0);
+  const [captureTimes, setCaptureTimes] = useState([]); // ISO capture time for each entry in images
+  const [captureLocations, setCaptureLocations] = useState([]); // Pending location lookup for each entry in images
+  const [annotations, setAnnotations] = useState([]); // Shapes marked on each entry in images
+  const [annotatingIndex, setAnnotatingIndex] = useState(null);
   const [isCapturing, setIsCapturing] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState(null);
@@ -22,6 +46,11 @@ const ImageCapture = ({
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
 
+  const isGuided = Boolean(angles?.length);
+  const slotCount = isGuided ? angles.length : maxImages;
+  const takenCount = images.filter(Boolean).length;
+  const step = isGuided ? angles[currentStep] : null;
+
   // Cleanup function
   const cleanup = () => {
     if (stream) {
@@ -142,6 +171,23 @@ const ImageCapture = ({
     setIsCapturing(false);
   };
 
+  // Open the camera on one angle's step, to take or retake its photo
+  const startStep = (index) => {
+    setCurrentStep(index);
+    startCamera();
+  };
+
+  // Leave an optional angle out and go on to the next one still missing
+  const skipStep = () => {
+    const nextStep = angles.findIndex((angle, index) => index !== currentStep && !angle.optional && !images[index]);
+    
+    if (nextStep === -1) {
+      stopCamera();
+    } else {
+      setCurrentStep(nextStep);
+    }
+  };
+
   // Compress image with improved quality control
   const compressImage = async (dataUrl, quality = 0.6, maxWidth = 800) => {
     return new Promise((resolve) => {
@@ -208,22 +254,31 @@ const ImageCapture = ({
       // Compress the image more aggressively to keep file size small
       const compressedImage = await compressImage(imageDataUrl, 0.6, 800);
       
-      // Add to images array
-      setImages(prevImages => [...prevImages, compressedImage]);
-      
-      // Add timestamp and angle info
       const timestamp = new Date().toISOString();
-      const imageCount = images.length + 1;
-      let angle = "Front";
-      
-      switch(imageCount) {
-        case 1: angle = "Front"; break;
-        case 2: angle = "Driver Side"; break;
-        case 3: angle = "Rear"; break;
-        case 4: angle = "Passenger Side"; break;
-        case 5: angle = "Interior"; break;
-        case 6: angle = "Other"; break;
-        default: angle = `View ${imageCount}`;
+      
+      // Look the location up in the background so capturing isn't held up by the GPS fix
+      const locationLookup = getCurrentLocation().then(({ location }) => location);
+      
+      if (isGuided) {
+        // The photo goes in the current angle's slot, replacing an earlier take
+        setImages(prevImages => fillSlot(prevImages, currentStep, compressedImage));
+        setCaptureTimes(prevTimes => fillSlot(prevTimes, currentStep, timestamp));
+        setCaptureLocations(prevLocations => fillSlot(prevLocations, currentStep, locationLookup));
+        setAnnotations(prevAnnotations => fillSlot(prevAnnotations, currentStep, []));
+        
+        // Move on to the next angle still missing a photo
+        const nextStep = angles.findIndex((_, index) => index !== currentStep && !images[index]);
+        
+        if (nextStep === -1) {
+          stopCamera();
+        } else {
+          setCurrentStep(nextStep);
+        }
+      } else {
+        setImages(prevImages => [...prevImages, compressedImage]);
+        setCaptureTimes(prevTimes => [...prevTimes, timestamp]);
+        setCaptureLocations(prevLocations => [...prevLocations, locationLookup]);
+        setAnnotations(prevAnnotations => [...prevAnnotations, []]);
       }
       
       // Play a capture sound if available
@@ -248,18 +303,32 @@ const ImageCapture = ({
 
   // Process and upload images
   const handleUpload = async () => {
-    if (images.length === 0) {
+    if (takenCount === 0) {
       setError('Please capture at least one image before uploading.');
       return;
     }
     
+    const missingStep = isGuided && angles.find((angle, index) => !angle.optional && !images[index]);
+    
+    if (missingStep) {
+      setError(`Please take the ${missingStep.label} photo before uploading.`);
+      return;
+    }
+    
     try {
       setUploadProgress(10); // Start progress
       
+      // Skipped optional angles leave empty slots; every photo keeps its own label
+      const taken = images.map((_, index) => index).filter(index => images[index]);
+      
       // Forward the captured images to the parent component
       if (onCaptureComplete) {
         const result = await onCaptureComplete({
-          images,
+          images: taken.map(index => images[index]),
+          labels: taken.map(index => (isGuided ? angles[index].label : getAngleLabel(index))),
+          capturedAt: taken.map(index => captureTimes[index]),
+          locations: await Promise.all(taken.map(index => captureLocations[index])),
+          annotations: taken.map(index => annotations[index] || []),
           timestamp: new Date().toISOString(),
           uploadProgress: setUploadProgress
         });
@@ -285,8 +354,33 @@ const ImageCapture = ({
 
   // Delete an image
   const deleteImage = (index) => {
+    if (isGuided) {
+      // Other angles keep their slots
+      setImages(prevImages => fillSlot(prevImages, index, null));
+      setCaptureTimes(prevTimes => fillSlot(prevTimes, index, null));
+      setCaptureLocations(prevLocations => fillSlot(prevLocations, index, null));
+      setAnnotations(prevAnnotations => fillSlot(prevAnnotations, index, null));
+      return;
+    }
+    
     setImages(prevImages => prevImages.filter((_, i) => i !== index));
+    setCaptureTimes(prevTimes => prevTimes.filter((_, i) => i !== index));
+    setCaptureLocations(prevLocations => prevLocations.filter((_, i) => i !== index));
+    setAnnotations(prevAnnotations => prevAnnotations.filter((_, i) => i !== index));
   };
+  
+  // Button on a thumbnail that opens the annotation editor
+  const renderAnnotateButton = (index, label) => annotatable && (
+    <button
+      onClick={() => setAnnotatingIndex(index)}
+      disabled={uploadProgress > 0}
+      className="absolute top-1 left-1 bg-white bg-opacity-80 text-gray-800 rounded-full px-2 h-6 flex items-center text-xs"
+      aria-label={`Mark damage on ${label} photo`}
+    >
+      <i className="ri-edit-2-line mr-1"></i>
+      {annotations[index]?.length > 0 ? annotations[index].length : 'Mark'}
+    </button>
+  );
 
   return (
     <Card className={className} {...props}>
@@ -312,6 +406,23 @@ const ImageCapture = ({
             ></video>
             <canvas ref={canvasRef} className="hidden"></canvas>
             
+            {/* Current angle with an outline to frame the vehicle in */}
+            {step && (
+              <>
+                <VehicleSilhouette
+                  view={step.view}
+                  mirrored={step.mirrored}
+                  className="absolute inset-0 w-full h-full"
+                />
+                <div className="absolute top-0 left-0 right-0 bg-black bg-opacity-50 text-white px-3 py-2">
+                  <p className="text-sm font-medium">
+                    Step {currentStep + 1} of {angles.length}: {step.label}
+                  </p>
+                  <p className="text-xs opacity-80">{step.hint}</p>
+                </div>
+              </>
+            )}
+            
             {/* Camera control buttons */}
             <div className="absolute bottom-3 right-3 flex space-x-2">
               <button
@@ -333,16 +444,67 @@ const ImageCapture = ({
               )}
             </div>
           </div>
+        ) : isGuided ? (
+          <div className="mb-4">
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+              {angles.map((angle, index) => (
+                <div key={angle.label} className="relative">
+                  {images[index] ? (
+                    <>
+                      <AnnotatedImage
+                        src={images[index]}
+                        alt={angle.label}
+                        annotations={annotations[index]}
+                        fit="cover"
+                        imageClassName="w-full h-32 object-cover rounded-md"
+                      />
+                      {renderAnnotateButton(index, angle.label)}
+                      <button
+                        onClick={() => deleteImage(index)}
+                        className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 w-6 h-6 flex items-center justify-center"
+                        aria-label={`Delete ${angle.label} photo`}
+                      >
+                        <i className="ri-delete-bin-line text-xs"></i>
+                      </button>
+                      <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-50 text-white text-xs p-1 flex justify-between">
+                        <span>{angle.label}</span>
+                        <button
+                          onClick={() => startStep(index)}
+                          disabled={uploadProgress > 0}
+                          className="underline"
+                        >
+                          Retake
+                        </button>
+                      </div>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => startStep(index)}
+                      disabled={uploadProgress > 0}
+                      className="w-full h-32 rounded-md border-2 border-dashed border-gray-300 bg-gray-50 text-gray-500 hover:border-primary hover:text-primary flex flex-col items-center justify-center"
+                    >
+                      <i className="ri-camera-line text-2xl"></i>
+                      <span className="text-sm font-medium">{angle.label}</span>
+                      {angle.optional && <span className="text-xs">Optional</span>}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
         ) : images.length > 0 ? (
           <div className="mb-4">
             <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
               {images.map((img, index) => (
                 <div key={index} className="relative">
-                  <img 
-                    src={img} 
-                    alt={`Capture ${index + 1}`} 
-                    className="w-full h-32 object-cover rounded-md"
+                  <AnnotatedImage
+                    src={img}
+                    alt={`Capture ${index + 1}`}
+                    annotations={annotations[index]}
+                    fit="cover"
+                    imageClassName="w-full h-32 object-cover rounded-md"
                   />
+                  {renderAnnotateButton(index, getAngleLabel(index))}
                   <button
                     onClick={() => deleteImage(index)}
                     className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 w-6 h-6 flex items-center justify-center"
@@ -351,11 +513,7 @@ const ImageCapture = ({
                     <i className="ri-delete-bin-line text-xs"></i>
                   </button>
                   <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-50 text-white text-xs p-1">
-                    {index === 0 ? "Front" : 
-                     index === 1 ? "Driver Side" :
-                     index === 2 ? "Rear" :
-                     index === 3 ? "Passenger Side" :
-                     index === 4 ? "Interior" : "Other"}
+                    {getAngleLabel(index)}
                   </div>
                 </div>
               ))}
@@ -371,13 +529,15 @@ const ImageCapture = ({
         )}
         
         {/* Instructions and progress */}
-        {!isCapturing && images.length === 0 && (
+        {!isCapturing && takenCount === 0 && (
           <div className="text-center mb-4">
             <p className="text-gray-600 mb-2">
               {instructions}
             </p>
             <p className="text-sm text-gray-500">
-              Take photos of front, sides, rear, and any existing damage.
+              {isGuided
+                ? 'The camera walks you through each angle in turn. Tap a photo to retake it.'
+                : 'Take photos of front, sides, rear, and any existing damage.'}
             </p>
           </div>
         )}
@@ -397,11 +557,11 @@ const ImageCapture = ({
         )}
         
         {/* Status information */}
-        {images.length > 0 && !isCapturing && (
+        {takenCount > 0 && !isCapturing && (
           <div className="mb-4 bg-blue-50 p-3 rounded-md border border-blue-100">
             <p className="text-sm text-blue-700">
-              <span className="font-medium">{images.length}</span> of <span className="font-medium">{maxImages}</span> images captured
-              {images.length >= maxImages && ' (maximum reached)'}
+              <span className="font-medium">{takenCount}</span> of <span className="font-medium">{slotCount}</span> images captured
+              {takenCount >= slotCount && (isGuided ? ' (all angles done)' : ' (maximum reached)')}
             </p>
           </div>
         )}
@@ -412,14 +572,14 @@ const ImageCapture = ({
             <>
               <Button
                 variant="primary"
-                onClick={() => startCamera()}
+                onClick={() => (isGuided ? startStep(angles.findIndex((_, index) => !images[index])) : startCamera())}
                 icon={<i className="ri-camera-line"></i>}
-                disabled={images.length >= maxImages || uploadProgress > 0}
+                disabled={takenCount >= slotCount || uploadProgress > 0}
               >
-                {images.length > 0 ? "Capture More" : "Start Camera"}
+                {takenCount > 0 ? "Capture More" : "Start Camera"}
               </Button>
               
-              {images.length > 0 && (
+              {takenCount > 0 && (
                 <Button
                   variant="success"
                   onClick={handleUpload}
@@ -436,11 +596,21 @@ const ImageCapture = ({
                 variant="primary"
                 onClick={captureImage}
                 icon={<i className="ri-camera-line"></i>}
-                disabled={images.length >= maxImages}
+                disabled={!isGuided && images.length >= maxImages}
               >
-                Capture Image
+                {step ? `Capture ${step.label}` : 'Capture Image'}
               </Button>
               
+              {step?.optional && (
+                <Button
+                  variant="outline"
+                  onClick={skipStep}
+                  icon={<i className="ri-skip-forward-line"></i>}
+                >
+                  Skip
+                </Button>
+              )}
+              
               <Button
                 variant="outline"
                 onClick={stopCamera}
@@ -463,6 +633,19 @@ const ImageCapture = ({
             </p>
           </div>
         )}
+        
+        {annotatingIndex !== null && (
+          <ImageAnnotator
+            src={images[annotatingIndex]}
+            label={isGuided ? angles[annotatingIndex].label : getAngleLabel(annotatingIndex)}
+            annotations={annotations[annotatingIndex] || []}
+            onSave={(shapes) => {
+              setAnnotations(prevAnnotations => fillSlot(prevAnnotations, annotatingIndex, shapes));
+              setAnnotatingIndex(null);
+            }}
+            onCancel={() => setAnnotatingIndex(null)}
+          />
+        )}
       </Card.Body>
     </Card>
   );
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import { onInstallAvailable, promptInstall } from '../../utils/serviceWorker';
+
+const DISMISSED_STORAGE_KEY = 'vms.installDismissed';
+
+/**
+ * Suggests installing the driver app to the home screen, where it opens
+ * full screen and the camera works without the browser's toolbars in the way
+ */
+const InstallPrompt = () => {
+  const [isAvailable, setIsAvailable] = useState(false);
+  const [isDismissed, setIsDismissed] = useState(() => localStorage.getItem(DISMISSED_STORAGE_KEY) === 'true');
+  
+  useEffect(() => onInstallAvailable(setIsAvailable), []);
+  
+  const handleDismiss = () => {
+    localStorage.setItem(DISMISSED_STORAGE_KEY, 'true');
+    setIsDismissed(true);
+  };
+  
+  if (!isAvailable || isDismissed) return null;
+  
+  return (
+    <div className="mb-4 flex items-center justify-between gap-3 bg-white border border-gray-200 rounded-lg px-4 py-3 text-sm">
+      <div className="flex items-center text-gray-700">
+        <i className="ri-smartphone-line text-lg mr-2 text-primary"></i>
+        Install the driver app for quicker access and full-screen photos.
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        <button
+          type="button"
+          onClick={handleDismiss}
+          className="text-xs text-gray-500 hover:text-gray-700"
+        >
+          Not now
+        </button>
+        <button
+          type="button"
+          onClick={promptInstall}
+          className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-xs transition-colors"
+        >
+          Install
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default InstallPrompt;
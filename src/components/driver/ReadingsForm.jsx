@@ -0,0 +1,115 @@
+import { useState } from 'react';
+import ImageCapture from './ImageCapture';
+import { DISTANCE_UNIT, checkOdometerReading, formatDistance } from '../../utils/readingUtils';
+
+/**
+ * Odometer and fuel/charge level entry for punching in and out, with an optional dashboard photo.
+ * Readings are controlled by the parent through value and onChange.
+ */
+const ReadingsForm = ({
+  value,
+  onChange,
+  lastReading = null,
+  since = null,
+  title = 'Vehicle Readings',
+  className = ''
+}) => {
+  const [showCamera, setShowCamera] = useState(false);
+  const { warnings } = value.odometer === ''
+    ? { warnings: [] }
+    : checkOdometerReading(value.odometer, { lastReading, since });
+  
+  const update = (changes) => onChange({ ...value, ...changes });
+  
+  return (
+    <div className={`card ${className}`}>
+      <div className="card-header">
+        <h3 className="font-medium text-gray-800">{title}</h3>
+      </div>
+      
+      <div className="card-body space-y-4">
+        <div>
+          <label htmlFor="odometer" className="block text-sm font-medium text-gray-700 mb-1">
+            Odometer ({DISTANCE_UNIT}) <span className="text-red-500">*</span>
+          </label>
+          <input
+            id="odometer"
+            type="number"
+            inputMode="decimal"
+            min="0"
+            step="0.1"
+            value={value.odometer}
+            onChange={(e) => update({ odometer: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            placeholder={lastReading !== null ? `Last reading: ${formatDistance(lastReading)}` : 'Reading on the dashboard'}
+            required
+          />
+          {warnings.map(warning => (
+            <p key={warning} className="mt-2 text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded px-3 py-2">
+              <i className="ri-error-warning-line mr-1"></i>
+              {warning}. Double-check the reading; it is saved with a warning for the fleet office.
+            </p>
+          ))}
+        </div>
+        
+        <div>
+          <label htmlFor="fuelLevel" className="flex justify-between text-sm font-medium text-gray-700 mb-1">
+            <span>Fuel / charge level <span className="text-red-500">*</span></span>
+            <span>{value.fuelLevel}%</span>
+          </label>
+          <input
+            id="fuelLevel"
+            type="range"
+            min="0"
+            max="100"
+            step="5"
+            value={value.fuelLevel}
+            onChange={(e) => update({ fuelLevel: Number(e.target.value) })}
+            className="w-full accent-primary"
+          />
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>Empty</span>
+            <span>Half</span>
+            <span>Full</span>
+          </div>
+        </div>
+        
+        <div>
+          {value.photo ? (
+            <div className="flex items-center">
+              <img src={value.photo} alt="Dashboard" className="h-16 w-24 object-cover rounded border mr-3" />
+              <button
+                type="button"
+                onClick={() => update({ photo: null })}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Remove photo
+              </button>
+            </div>
+          ) : showCamera ? (
+            <ImageCapture
+              maxImages={1}
+              title="Dashboard Photo"
+              instructions="Take a photo of the dashboard showing the odometer and fuel or charge gauge."
+              onCaptureComplete={({ images }) => {
+                update({ photo: images[0] });
+                setShowCamera(false);
+              }}
+            />
+          ) : (
+            <button
+              type="button"
+              onClick={() => setShowCamera(true)}
+              className="text-sm text-primary hover:underline"
+            >
+              <i className="ri-camera-line mr-1"></i>
+              Add a dashboard photo (optional)
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReadingsForm;
@@ -0,0 +1,185 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { breadcrumbs } from '../../services/supabase';
+import outboxService, { OUTBOX_OPERATIONS } from '../../services/outboxService';
+import { getCurrentLocation } from '../../utils/locationUtils';
+import { isNetworkError } from '../../utils/networkUtils';
+import { BREADCRUMB_INTERVAL, BREADCRUMB_BATCH_SIZE } from '../../utils/breadcrumbUtils';
+
+const TRACKING_STORAGE_KEY = 'vms.trackLocation';
+const BUFFER_STORAGE_KEY = 'vms.breadcrumbs';
+
+// Samples waiting for upload are kept in localStorage so they survive reloads and dead spots
+const readBuffer = () => {
+  try {
+    return JSON.parse(localStorage.getItem(BUFFER_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const writeBuffer = (samples) => {
+  localStorage.setItem(BUFFER_STORAGE_KEY, JSON.stringify(samples));
+};
+
+// Send a batch the server refused one sample at a time, so a sample it will never
+// take (its shift was deleted, or its punch in refused and discarded) doesn't hold
+// back the rest. Samples whose punch in is still in the outbox are kept: their shift
+// just isn't on the server yet. Returns the samples to keep, and offline when the
+// connection dropped part way.
+const uploadEach = async (batch) => {
+  const kept = [];
+  
+  for (const [index, sample] of batch.entries()) {
+    const { error } = await breadcrumbs.upload([sample]);
+    
+    if (!error) continue;
+    
+    if (isNetworkError(error)) {
+      return { kept: [...kept, ...batch.slice(index)], offline: true };
+    }
+    
+    const punchIn = await outboxService.findQueued(
+      OUTBOX_OPERATIONS.PUNCH_IN,
+      payload => payload.timeLogId === sample.time_log_id
+    );
+    
+    if (punchIn) {
+      kept.push(sample);
+    } else {
+      console.warn('Location sample refused by the server, dropping it:', error);
+    }
+  }
+  
+  return { kept, offline: false };
+};
+
+/**
+ * Opt-in route tracking for the active shift: samples the position every
+ * BREADCRUMB_INTERVAL and uploads the samples in batches once online
+ */
+const ShiftTracker = ({ timeLog }) => {
+  const [isEnabled, setIsEnabled] = useState(() => localStorage.getItem(TRACKING_STORAGE_KEY) === 'true');
+  const [pendingCount, setPendingCount] = useState(() => readBuffer().length);
+  const [error, setError] = useState(null);
+  const isUploading = useRef(false);
+  const timeLogId = timeLog?.id;
+  const driverId = timeLog?.driver_id;
+  
+  // Upload buffered samples, including any left over from earlier shifts
+  const flush = useCallback(async () => {
+    if (isUploading.current || !navigator.onLine) return;
+    
+    isUploading.current = true;
+    
+    try {
+      // Samples before this index are waiting for their shift to reach the server
+      let kept = 0;
+      
+      while (readBuffer().length > kept) {
+        const batch = readBuffer().slice(kept, kept + BREADCRUMB_BATCH_SIZE);
+        const { error: uploadError } = await breadcrumbs.upload(batch);
+        
+        if (uploadError && isNetworkError(uploadError)) {
+          console.error('Error uploading location samples, keeping them for later:', uploadError);
+          break;
+        }
+        
+        const result = uploadError ? await uploadEach(batch) : { kept: [], offline: false };
+        
+        // Samples taken during the upload were appended behind the batch
+        const buffer = readBuffer();
+        writeBuffer([...buffer.slice(0, kept), ...result.kept, ...buffer.slice(kept + batch.length)]);
+        kept += result.kept.length;
+        
+        if (result.offline) break;
+      }
+      
+      setPendingCount(readBuffer().length);
+    } finally {
+      isUploading.current = false;
+    }
+  }, []);
+  
+  // Sample the position while the shift is open
+  useEffect(() => {
+    if (!isEnabled || !timeLogId) return;
+    
+    const sample = async () => {
+      const { location, error: locationError } = await getCurrentLocation();
+      
+      if (!location) {
+        setError(locationError);
+        return;
+      }
+      
+      setError(null);
+      
+      const buffer = readBuffer();
+      
+      // A cached fix comes back with its original timestamp; it's already buffered
+      if (buffer.some(item => item.time_log_id === timeLogId && item.recorded_at === location.capturedAt)) return;
+      
+      buffer.push({
+        time_log_id: timeLogId,
+        driver_id: driverId,
+        lat: location.lat,
+        lng: location.lng,
+        accuracy: location.accuracy,
+        recorded_at: location.capturedAt
+      });
+      writeBuffer(buffer);
+      setPendingCount(buffer.length);
+      
+      if (buffer.length >= BREADCRUMB_BATCH_SIZE) {
+        flush();
+      }
+    };
+    
+    sample();
+    const timer = setInterval(sample, BREADCRUMB_INTERVAL);
+    
+    return () => clearInterval(timer);
+  }, [isEnabled, timeLogId, driverId, flush]);
+  
+  // Send what is left when the connection returns and when the shift ends
+  useEffect(() => {
+    flush();
+    window.addEventListener('online', flush);
+    
+    return () => window.removeEventListener('online', flush);
+  }, [flush, timeLogId]);
+  
+  const toggleTracking = () => {
+    localStorage.setItem(TRACKING_STORAGE_KEY, String(!isEnabled));
+    setIsEnabled(!isEnabled);
+    setError(null);
+  };
+  
+  if (!timeLog) return null;
+  
+  return (
+    <div className="mb-4 flex flex-wrap items-center justify-between gap-2 bg-white border border-gray-200 rounded-lg px-4 py-2 text-sm">
+      <div className="flex items-center text-gray-700">
+        <i className={`ri-route-line mr-2 ${isEnabled ? 'text-green-600' : 'text-gray-400'}`}></i>
+        {isEnabled ? 'Route tracking is on for this shift' : 'Route tracking is off'}
+        {pendingCount > 0 && (
+          <span className="ml-2 text-xs text-gray-500">
+            ({pendingCount} {pendingCount === 1 ? 'position' : 'positions'} waiting to upload)
+          </span>
+        )}
+      </div>
+      {error && isEnabled && (
+        <span className="text-xs text-red-600">{error}</span>
+      )}
+      <button
+        type="button"
+        onClick={toggleTracking}
+        className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-xs transition-colors"
+      >
+        {isEnabled ? 'Turn off' : 'Share my route'}
+      </button>
+    </div>
+  );
+};
+
+export default ShiftTracker;
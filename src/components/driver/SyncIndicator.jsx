@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { OUTBOX_LABELS } from '../../services/outboxService';
+import useOutboxStore from '../../store/outboxStore';
+
+const formatQueuedAt = (time) => new Date(time).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Header badge showing what the driver app still has to send, with a panel
+ * to sync now and to retry or discard operations the server refused
+ */
+const SyncIndicator = ({ className = '' }) => {
+  const { operations, isOnline, isSyncing, sync, retry, discard } = useOutboxStore();
+  const [isOpen, setIsOpen] = useState(false);
+  
+  const conflicts = operations.filter(operation => operation.status === 'conflict');
+  
+  if (isOnline && operations.length === 0) return null;
+  
+  let badge = { icon: 'ri-time-line', text: `${operations.length} waiting to sync`, color: 'bg-yellow-100 text-yellow-800' };
+  
+  if (conflicts.length > 0) {
+    badge = { icon: 'ri-error-warning-line', text: `${conflicts.length} need attention`, color: 'bg-red-100 text-red-800' };
+  } else if (isSyncing) {
+    badge = { icon: 'ri-loader-4-line animate-spin', text: 'Syncing...', color: 'bg-blue-100 text-blue-800' };
+  } else if (!isOnline) {
+    badge = {
+      icon: 'ri-wifi-off-line',
+      text: operations.length > 0 ? `Offline · ${operations.length} waiting` : 'Offline',
+      color: 'bg-gray-200 text-gray-800'
+    };
+  }
+  
+  const handleDiscard = (operation) => {
+    if (window.confirm(`Discard this ${OUTBOX_LABELS[operation.type].toLowerCase()}? It will not be sent.`)) {
+      discard(operation.id);
+    }
+  };
+  
+  return (
+    <div className={`relative ${className}`}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center text-xs font-medium px-3 py-1 rounded-full ${badge.color}`}
+      >
+        <i className={`${badge.icon} mr-1`}></i>
+        {badge.text}
+      </button>
+      
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white text-gray-800 rounded-lg shadow-xl border z-50">
+          <div className="px-4 py-3 border-b flex justify-between items-center">
+            <h3 className="font-semibold text-sm">Waiting to sync</h3>
+            <button
+              type="button"
+              onClick={() => setIsOpen(false)}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <i className="ri-close-line text-lg"></i>
+            </button>
+          </div>
+          
+          {operations.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-gray-500">
+              Nothing to send. Anything you do offline is saved on this device and sent when you reconnect.
+            </p>
+          ) : (
+            <ul className="max-h-72 overflow-y-auto divide-y divide-gray-100">
+              {operations.map(operation => (
+                <li key={operation.id} className="px-4 py-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="font-medium">{OUTBOX_LABELS[operation.type]}</span>
+                    <span className="text-xs text-gray-500">{formatQueuedAt(operation.queuedAt)}</span>
+                  </div>
+                  {operation.status === 'conflict' && (
+                    <>
+                      <p className="text-xs text-red-600 mt-1">{operation.error}</p>
+                      <div className="flex justify-end space-x-3 mt-1">
+                        <button
+                          type="button"
+                          onClick={() => retry(operation.id)}
+                          className="text-xs text-primary hover:underline"
+                        >
+                          Retry
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDiscard(operation)}
+                          className="text-xs text-red-600 hover:underline"
+                        >
+                          Discard
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          
+          {operations.length > 0 && (
+            <div className="px-4 py-3 border-t flex justify-between items-center">
+              <span className="text-xs text-gray-500">
+                {isOnline ? 'Sent in the order you did them.' : 'Will send when you are back online.'}
+              </span>
+              <button
+                type="button"
+                onClick={sync}
+                disabled={!isOnline || isSyncing || conflicts.length > 0}
+                className="text-xs text-primary bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full disabled:opacity-50"
+              >
+                Sync now
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncIndicator;
@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react';
+import { onUpdateAvailable, applyUpdate } from '../../utils/serviceWorker';
+
+/**
+ * Offers to reload into a newly deployed build. The new version only takes
+ * over when the driver agrees, so nothing reloads in the middle of a step
+ */
+const UpdatePrompt = () => {
+  const [isAvailable, setIsAvailable] = useState(false);
+  const [isDismissed, setIsDismissed] = useState(false);
+  
+  useEffect(() => onUpdateAvailable(setIsAvailable), []);
+  
+  if (!isAvailable || isDismissed) return null;
+  
+  return (
+    <div className="fixed inset-x-4 bottom-20 md:bottom-6 md:left-auto md:right-6 md:w-96 z-50 bg-secondary text-white rounded-lg shadow-xl px-4 py-3 flex items-center justify-between gap-3 animate-slide-in-bottom">
+      <div className="flex items-center text-sm">
+        <i className="ri-refresh-line text-lg mr-2 text-primary"></i>
+        A new version of the app is available.
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        <button
+          type="button"
+          onClick={() => setIsDismissed(true)}
+          className="text-xs text-gray-300 hover:text-white"
+        >
+          Later
+        </button>
+        <button
+          type="button"
+          onClick={applyUpdate}
+          className="text-xs font-medium bg-primary hover:bg-primary/90 px-3 py-1 rounded-full"
+        >
+          Update
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
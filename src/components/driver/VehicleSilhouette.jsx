@@ -0,0 +1,72 @@
+// Outlines drawn on a 160 x 90 canvas, matching the 16:9 camera preview
+const VIEWS = {
+  front: (
+    <>
+      <path d="M40 70 L40 50 L50 44 L58 24 Q80 18 102 24 L110 44 L120 50 L120 70 Z" />
+      <path d="M60 27 Q80 22 100 27 L106 43 L54 43 Z" />
+      <rect x="44" y="52" width="14" height="6" rx="2" />
+      <rect x="102" y="52" width="14" height="6" rx="2" />
+      <rect x="66" y="55" width="28" height="7" rx="1" />
+      <rect x="42" y="70" width="12" height="8" rx="2" />
+      <rect x="106" y="70" width="12" height="8" rx="2" />
+    </>
+  ),
+  rear: (
+    <>
+      <path d="M40 70 L40 50 L50 44 L58 24 Q80 18 102 24 L110 44 L120 50 L120 70 Z" />
+      <path d="M60 28 Q80 24 100 28 L105 42 L55 42 Z" />
+      <rect x="43" y="50" width="10" height="9" rx="2" />
+      <rect x="107" y="50" width="10" height="9" rx="2" />
+      <rect x="70" y="56" width="20" height="6" rx="1" />
+      <rect x="42" y="70" width="12" height="8" rx="2" />
+      <rect x="106" y="70" width="12" height="8" rx="2" />
+    </>
+  ),
+  side: (
+    <>
+      <path d="M14 64 L14 50 Q16 44 28 42 L50 40 L64 26 Q70 22 80 22 L104 22 Q112 22 118 28 L130 40 L142 42 Q148 44 148 52 L148 64 Z" />
+      <path d="M56 40 L67 28 Q71 25 78 25 L88 25 L88 40 Z" />
+      <path d="M92 25 L103 25 Q110 25 114 29 L124 40 L92 40 Z" />
+      <circle cx="42" cy="66" r="10" />
+      <circle cx="122" cy="66" r="10" />
+    </>
+  ),
+  interior: (
+    <>
+      <path d="M10 40 Q80 28 150 40" />
+      <circle cx="56" cy="56" r="16" />
+      <circle cx="56" cy="56" r="4" />
+      <path d="M40 56 L52 56 M60 56 L72 56 M56 60 L56 72" />
+      <rect x="92" y="44" width="26" height="16" rx="2" />
+      <path d="M10 86 L30 60 M150 86 L130 60" />
+    </>
+  )
+};
+
+/**
+ * Dashed vehicle outline laid over the camera preview, so every photo of an
+ * angle is framed the same way
+ */
+const VehicleSilhouette = ({ view, mirrored = false, className = '' }) => {
+  if (!VIEWS[view]) return null;
+
+  return (
+    <svg
+      viewBox="0 0 160 90"
+      preserveAspectRatio="xMidYMid meet"
+      className={`pointer-events-none ${className}`}
+      style={mirrored ? { transform: 'scaleX(-1)' } : undefined}
+      fill="none"
+      stroke="white"
+      strokeOpacity="0.8"
+      strokeWidth="1"
+      strokeDasharray="3 2"
+      strokeLinejoin="round"
+      aria-hidden="true"
+    >
+      {VIEWS[view]}
+    </svg>
+  );
+};
+
+export default VehicleSilhouette;
@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { supabase, pdfService } from '../../services/supabase';
+import { supabase, pdfService, inspections } from '../../services/supabase';
 import Button from '../common/Button';
 import Loading from '../common/Loading';
+import AnnotatedImage from '../common/AnnotatedImage';
 
 const PdfViewer = () => {
   const { pdfId } = useParams();
@@ -32,6 +33,9 @@ const PdfViewer = () => {
               time_log_id,
               inspection_type,
               images_folder,
+              image_labels,
+              image_annotations,
+              pdf_url,
               timestamp,
               image_count,
               drivers:users(name, email),
@@ -52,6 +56,9 @@ const PdfViewer = () => {
                 time_log_id,
                 inspection_type,
                 images_folder,
+                image_labels,
+                image_annotations,
+                pdf_url,
                 timestamp,
                 image_count,
                 drivers:users(name, email),
@@ -59,22 +66,25 @@ const PdfViewer = () => {
                 time_logs(punch_in, punch_out)
               `)
               .eq('time_log_id', pdfId)
+              .order('timestamp', { ascending: false })
+              .limit(1)
               .single();
               
             if (timeLogError) throw new Error('Inspection record not found');
             
             setPdfData(byTimeLog);
-            await fetchImages(byTimeLog.images_folder);
+            await fetchImages(byTimeLog);
           } else {
             setPdfData(inspection);
-            await fetchImages(inspection.images_folder);
+            await fetchImages(inspection);
           }
         } else {
           setPdfData(data);
           if (data.images && data.images.length > 0) {
             setImages(data.images.map(img => ({
               url: img.image_url,
-              label: img.label
+              label: img.label,
+              annotations: img.annotations
             })));
           }
         }
@@ -86,38 +96,21 @@ const PdfViewer = () => {
       }
     };
     
-    const fetchImages = async (folderPath) => {
+    const fetchImages = async ({ images_folder: folderPath, image_labels: imageLabels, image_annotations: imageAnnotations }) => {
       if (!folderPath) return;
       
       try {
-        const { data: imageFiles } = await supabase.storage
-          .from('vehicle_images')
-          .list(folderPath);
+        // Inspection folders are keyed by time log, so this only returns this shift's photos
+        const { data: folderImages, error: imagesError } = await inspections.listImages(folderPath, imageLabels, imageAnnotations);
         
-        if (imageFiles && imageFiles.length > 0) {
-          const imageUrls = await Promise.all(
-            imageFiles.map(async (file, index) => {
-              const { data } = supabase.storage
-                .from('vehicle_images')
-                .getPublicUrl(`${folderPath}/${file.name}`);
-              
-              // Determine label based on file name or index
-              let label = 'Image';
-              if (file.name.includes('1-')) label = 'Front';
-              else if (file.name.includes('2-')) label = 'Driver Side';
-              else if (file.name.includes('3-')) label = 'Rear';
-              else if (file.name.includes('4-')) label = 'Passenger Side';
-              else if (file.name.includes('5-')) label = 'Interior';
-              else label = `Image ${index + 1}`;
-              
-              return {
-                url: data.publicUrl,
-                label
-              };
-            })
-          );
-          
-          setImages(imageUrls);
+        if (imagesError) throw imagesError;
+        
+        if (folderImages.length > 0) {
+          setImages(folderImages.map(image => ({
+            url: image.url,
+            label: image.label,
+            annotations: image.annotations
+          })));
         }
       } catch (err) {
         console.error('Error fetching images:', err);
@@ -168,6 +161,9 @@ const PdfViewer = () => {
   const inspectionType = pdfData.inspection_type || 
                          (pdfData.time_logs?.punch_out ? 'post' : 'pre');
 
+  // Older records only carry a placeholder /api/pdf/:id link
+  const hasStoredPdf = Boolean(pdfData.pdf_url) && !pdfData.pdf_url.startsWith('/api/pdf/');
+
   return (
     <div className="max-w-4xl mx-auto my-8 p-6 bg-white rounded-lg shadow">
       <div className="text-center mb-6 pb-6 border-b">
@@ -242,10 +238,11 @@ const PdfViewer = () => {
                 {image.label || `Image ${index + 1}`}
               </div>
               <div className="p-2">
-                <img 
-                  src={image.url} 
+                <AnnotatedImage
+                  src={image.url}
                   alt={`Vehicle inspection ${image.label || index + 1}`}
-                  className="w-full h-auto rounded"
+                  annotations={image.annotations}
+                  imageClassName="w-full h-auto rounded"
                 />
               </div>
             </div>
@@ -264,13 +261,24 @@ const PdfViewer = () => {
         >
           Go Back
         </Button>
-        <Button
-          variant="primary"
-          onClick={() => window.print()}
-          icon={<i className="ri-printer-line"></i>}
-        >
-          Print Report
-        </Button>
+        <div className="flex space-x-3">
+          {hasStoredPdf && (
+            <Button
+              variant="outline"
+              onClick={() => window.open(pdfData.pdf_url, '_blank', 'noopener')}
+              icon={<i className="ri-file-pdf-line"></i>}
+            >
+              Download PDF
+            </Button>
+          )}
+          <Button
+            variant="primary"
+            onClick={() => window.print()}
+            icon={<i className="ri-printer-line"></i>}
+          >
+            Print Report
+          </Button>
+        </div>
       </div>
     </div>
   );
@@ -1,11 +1,12 @@
 import { useState, useEffect } from 'react';
 import { Outlet, NavLink, useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
+import { PERMISSIONS, ROLE_LABELS } from '../utils/permissions';
 import mainLogo from '../assets/mainlogo.png'; // Import the logo at the top
 
 const AdminLayout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { user, logout } = useAuthStore();
+  const { user, role, can, depotId, depots, switchDepot, logout } = useAuthStore();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -21,15 +22,20 @@ const AdminLayout = () => {
     }
   };
 
-  // Navigation items
+  // Navigation items, limited to the pages the user's role may open
   const navItems = [
-    { name: 'Dashboard', path: '/admin/dashboard', icon: 'ri-dashboard-line' },
-    { name: 'Drivers', path: '/admin/drivers', icon: 'ri-user-line' },
-    { name: 'Vehicles', path: '/admin/vehicles', icon: 'ri-car-line' },
-    { name: 'Time Logs', path: '/admin/logs', icon: 'ri-time-line' },
-    { name: 'Maintenance', path: '/admin/maintenance', icon: 'ri-tools-line' },
-    { name: 'API Keys', path: '/admin/api-keys', icon: 'ri-key-line' },
-  ];
+    { name: 'Dashboard', path: '/admin/dashboard', icon: 'ri-dashboard-line', permission: PERMISSIONS.DASHBOARD_VIEW },
+    { name: 'Drivers', path: '/admin/drivers', icon: 'ri-user-line', permission: PERMISSIONS.DRIVERS_MANAGE },
+    { name: 'Vehicles', path: '/admin/vehicles', icon: 'ri-car-line', permission: PERMISSIONS.VEHICLES_MANAGE },
+    { name: 'Time Logs', path: '/admin/logs', icon: 'ri-time-line', permission: PERMISSIONS.LOGS_VIEW },
+    { name: 'Schedule', path: '/admin/schedule', icon: 'ri-calendar-line', permission: PERMISSIONS.SCHEDULE_MANAGE },
+    { name: 'Maintenance', path: '/admin/maintenance', icon: 'ri-tools-line', permission: PERMISSIONS.MAINTENANCE_VIEW },
+    { name: 'Geofences', path: '/admin/geofences', icon: 'ri-map-pin-range-line', permission: PERMISSIONS.GEOFENCES_MANAGE },
+    { name: 'Checklists', path: '/admin/checklists', icon: 'ri-checkbox-multiple-line', permission: PERMISSIONS.CHECKLISTS_MANAGE },
+    { name: 'Agreements', path: '/admin/agreements', icon: 'ri-quill-pen-line', permission: PERMISSIONS.AGREEMENTS_VIEW },
+    { name: 'Agreement Templates', path: '/admin/agreement-templates', icon: 'ri-file-list-3-line', permission: PERMISSIONS.AGREEMENTS_MANAGE },
+    { name: 'API Keys', path: '/admin/api-keys', icon: 'ri-key-line', permission: PERMISSIONS.API_KEYS_MANAGE },
+  ].filter(item => can(item.permission));
 
   return (
     <div className="flex h-screen bg-gray-50">
@@ -94,12 +100,34 @@ const AdminLayout = () => {
               <i className="ri-menu-line text-2xl"></i>
             </button>
 
+            {/* Depot switcher (super admins only) */}
+            {can(PERMISSIONS.DEPOTS_SWITCH) && depots.length > 0 && (
+              <div className="ml-4 flex items-center">
+                <i className="ri-building-line text-gray-500 mr-2"></i>
+                <select
+                  value={depotId || ''}
+                  onChange={(e) => switchDepot(e.target.value)}
+                  className="text-sm border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary"
+                  aria-label="Depot"
+                >
+                  {depots.map(depot => (
+                    <option key={depot.id} value={depot.id}>{depot.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* User dropdown */}
             <div className="ml-auto flex items-center">
               <div className="relative">
                 <div className="flex items-center">
                   <span className="hidden md:inline-block mr-3 text-sm font-medium text-gray-700">
                     {user?.email || 'Admin'}
+                    {ROLE_LABELS[role] && (
+                      <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                        {ROLE_LABELS[role]}
+                      </span>
+                    )}
                   </span>
                   <button
                     type="button"
@@ -117,7 +145,8 @@ const AdminLayout = () => {
 
         {/* Page content */}
         <main className="flex-1 overflow-y-auto bg-gray-50 p-6">
-          <Outlet />
+          {/* Remount the page when the depot changes so it reloads that depot's data */}
+          <Outlet key={depotId} />
         </main>
       </div>
     </div>
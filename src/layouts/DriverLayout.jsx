@@ -1,30 +1,48 @@
 import { useState, useEffect } from 'react';
 import { Outlet, NavLink, useNavigate, useLocation } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
-import { timeLogs } from '../services/supabase';
+import useOutboxStore from '../store/outboxStore';
+import outboxService from '../services/outboxService';
+import { clearCachedData, isStandalone } from '../utils/serviceWorker';
+import ShiftTracker from '../components/driver/ShiftTracker';
+import SyncIndicator from '../components/driver/SyncIndicator';
+import InstallPrompt from '../components/driver/InstallPrompt';
+import UpdatePrompt from '../components/driver/UpdatePrompt';
 import mainLogo from '../assets/mainlogo.png'; // Import the logo
 
 const DriverLayout = () => {
   const [activeTimeLog, setActiveTimeLog] = useState(null);
   const { user, logout } = useAuthStore();
+  const { operations, start } = useOutboxStore();
   const navigate = useNavigate();
   const location = useLocation();
 
-  // Check if driver has an active time log
+  // Send queued work whenever the connection allows
+  useEffect(() => start(), [start]);
+
+  // Check if driver has an active time log (including one punched in offline)
   useEffect(() => {
     const checkActiveTimeLog = async () => {
       if (user) {
-        const { data } = await timeLogs.getActiveForDriver(user.id);
-        setActiveTimeLog(data);
+        const { success, data } = await outboxService.getActiveShift(user.id);
+        if (success) {
+          setActiveTimeLog(data);
+        }
       }
     };
 
     checkActiveTimeLog();
-  }, [user, location.pathname]);
+  }, [user, location.pathname, operations.length]);
 
   const handleLogout = async () => {
+    // Queued work stays on the device, but can't be sent without a session
+    if (operations.length > 0 && !window.confirm(`${operations.length} changes are still waiting to sync and will only be sent after you sign in again. Log out anyway?`)) {
+      return;
+    }
+
     const { success } = await logout();
     if (success) {
+      clearCachedData();
       navigate('/login');
     }
   };
@@ -37,11 +55,15 @@ const DriverLayout = () => {
     if (path.includes('punch-in')) return 'Punch In';
     if (path.includes('punch-out')) return 'Punch Out';
     if (path.includes('maintenance')) return 'Maintenance Report';
+    if (path.includes('reservations')) return 'Reservations';
     return 'Driver Panel';
   };
 
+  // Installed, there is no browser back button; steps outside the bottom navigation get their own
+  const showBackButton = isStandalone() && ['agreement', 'punch-in'].some(step => location.pathname.includes(step));
+
   return (
-    <div className="flex h-screen bg-gray-100">
+    <div className="flex h-dvh bg-gray-100">
       {/* Sidebar for desktop */}
       <div className="hidden md:flex md:w-64 md:flex-col md:fixed md:inset-y-0 bg-secondary text-white shadow-lg">
         <div className="flex items-center justify-center h-16 border-b border-secondary-700 px-4">
@@ -93,6 +115,20 @@ const DriverLayout = () => {
               <i className="ri-tools-line text-lg leading-none mr-3"></i>
               <span>Report Maintenance</span>
             </NavLink>
+            
+            <NavLink
+              to="/driver/reservations"
+              className={({ isActive }) =>
+                `flex items-center px-4 py-3 text-sm font-medium rounded-md transition-all ${
+                  isActive
+                    ? 'bg-primary text-white shadow-md'
+                    : 'text-gray-300 hover:bg-secondary-800 hover:text-white'
+                }`
+              }
+            >
+              <i className="ri-calendar-line text-lg leading-none mr-3"></i>
+              <span>Reservations</span>
+            </NavLink>
           </nav>
           
           {/* Logout button at bottom of sidebar */}
@@ -111,13 +147,23 @@ const DriverLayout = () => {
       {/* Mobile header and content */}
       <div className="md:pl-64 flex flex-col flex-1 w-full">
         {/* Top navbar - mobile only */}
-        <header className="bg-secondary text-white shadow-md md:hidden">
+        <header className="bg-secondary text-white shadow-md md:hidden pt-[env(safe-area-inset-top)]">
           <div className="container mx-auto px-4">
-            <div className="flex items-center justify-center h-16">
+            <div className="relative flex items-center justify-center h-16">
+              {showBackButton && (
+                <button
+                  onClick={() => navigate(-1)}
+                  className="absolute left-0 p-2 text-white"
+                  aria-label="Back"
+                >
+                  <i className="ri-arrow-left-line text-xl"></i>
+                </button>
+              )}
               {/* Logo centered */}
               <div className="flex items-center">
                 <img src={mainLogo} alt="Logo" className="h-8" />
               </div>
+              <SyncIndicator className="absolute right-0" />
             </div>
           </div>
         </header>
@@ -134,6 +180,7 @@ const DriverLayout = () => {
           <div className="px-6 py-4 flex items-center justify-between">
             <h1 className="text-2xl font-bold text-gray-800">{getPageTitle()}</h1>
             <div className="flex items-center">
+              <SyncIndicator className="mr-4" />
               <span className="mr-3 text-sm font-medium text-gray-700">
                 {user?.email || 'Driver'}
               </span>
@@ -143,12 +190,16 @@ const DriverLayout = () => {
 
         {/* Main content */}
         <main className="flex-1 overflow-y-auto bg-gray-50 p-4 md:p-6">
+          <InstallPrompt />
+          <ShiftTracker timeLog={activeTimeLog} />
           <Outlet />
         </main>
 
+        <UpdatePrompt />
+
         {/* Bottom navigation - visible on mobile */}
-        <nav className="bg-secondary text-white md:hidden">
-          <div className="grid grid-cols-4 h-16">
+        <nav className="bg-secondary text-white md:hidden pb-[env(safe-area-inset-bottom)]">
+          <div className="grid grid-cols-5 h-16">
             <NavLink
               to="/driver/vehicles"
               className={({ isActive }) =>
@@ -192,6 +243,18 @@ const DriverLayout = () => {
               <span className="text-xs mt-1">Maintenance</span>
             </NavLink>
             
+            <NavLink
+              to="/driver/reservations"
+              className={({ isActive }) =>
+                `flex flex-col items-center justify-center ${
+                  isActive ? 'bg-primary' : ''
+                }`
+              }
+            >
+              <i className="ri-calendar-line text-lg"></i>
+              <span className="text-xs mt-1">Bookings</span>
+            </NavLink>
+            
             {/* Added Logout button to footer */}
             <button
               onClick={handleLogout}
@@ -14,6 +14,11 @@ import 'remixicon/fonts/remixicon.css'
 // Import storage access configuration
 import { configureStorageAccess } from './utils/storageAccess.js'
 
+// Service worker that keeps the driver app usable offline
+import { registerServiceWorker } from './utils/serviceWorker.js'
+
+registerServiceWorker()
+
 // Create a wrapper component to configure storage access on app startup
 const AppWithStorageConfig = () => {
   useEffect(() => {
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
+import { getHomePath } from '../utils/permissions';
 import mainLogo from '../assets/mainlogo.png'; // Import the logo at the top
 
 const Login = () => {
@@ -22,7 +23,7 @@ const Login = () => {
     const { success, role, error } = await login(email, password);
     
     if (success) {
-      navigate(role === 'admin' ? '/admin/dashboard' : '/driver/vehicles');
+      navigate(getHomePath(role));
     } else {
       setError(error || 'Login failed. Please check your credentials.');
     }
@@ -0,0 +1,606 @@
+import { useState, useEffect, useRef } from 'react';
+import { vehicles } from '../../services/supabase';
+import agreementTemplateService from '../../services/agreementTemplateService';
+import useAuthStore from '../../store/authStore';
+import {
+  AGREEMENT_PLACEHOLDERS,
+  TEMPLATE_VERSION_STATUS_LABELS,
+  AGREEMENT_VALIDITY_LABELS,
+  DEFAULT_AGREEMENT_TEMPLATE,
+  getTemplateValues,
+  renderAgreementTemplate,
+  getTemplateVersions,
+  getPublishedVersion,
+  getDraftVersion,
+  describeValidityPolicy
+} from '../../utils/agreementTemplateUtils';
+
+const STATUS_STYLES = {
+  draft: 'bg-yellow-100 text-yellow-800',
+  published: 'bg-green-100 text-green-800',
+  retired: 'bg-gray-200 text-gray-700'
+};
+
+const formatTime = (time) => new Date(time).toLocaleString();
+
+const AgreementTemplates = () => {
+  const { depotId, depots } = useAuthStore();
+  const [templates, setTemplates] = useState([]);
+  const [vehicleList, setVehicleList] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [name, setName] = useState('');
+  const [body, setBody] = useState('');
+  const [assignedIds, setAssignedIds] = useState([]);
+  const [validity, setValidity] = useState({ policy: 'shift', days: '' });
+  const [openVersionId, setOpenVersionId] = useState(null); // Version whose text is shown in the history
+  const [isSaving, setIsSaving] = useState(false);
+  const bodyRef = useRef(null);
+  
+  // Fetch templates and the vehicles they can be assigned to
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      
+      const [templateResult, { data: vehicleData, error: vehicleError }] = await Promise.all([
+        agreementTemplateService.getTemplates(),
+        vehicles.getAll()
+      ]);
+      
+      if (templateResult.success && !vehicleError) {
+        setTemplates(templateResult.data);
+        setVehicleList(vehicleData || []);
+      } else {
+        setError('Failed to load agreement templates.');
+      }
+      
+      setIsLoading(false);
+    };
+    
+    fetchData();
+  }, []);
+  
+  const selected = templates.find(template => template.id === selectedId) || null;
+  const draft = selected ? getDraftVersion(selected) : null;
+  const published = selected ? getPublishedVersion(selected) : null;
+  const isDirty = selected && body !== (draft || published)?.body;
+  
+  // What the text looks like for a driver, filled in with sample values
+  const preview = renderAgreementTemplate(body, getTemplateValues({
+    driverName: 'Sam Driver',
+    vehicle: vehicleList[0] || { make: 'Ford', model: 'Transit', vehicle_number: 'V-001' },
+    depotName: depots.find(depot => depot.id === depotId)?.name || 'Main depot'
+  }));
+  
+  const openTemplate = (template) => {
+    setError(null);
+    setSelectedId(template.id);
+    setName(template.name);
+    setBody((getDraftVersion(template) || getPublishedVersion(template))?.body || DEFAULT_AGREEMENT_TEMPLATE);
+    setAssignedIds(vehicleList.filter(vehicle => vehicle.agreement_template_id === template.id).map(vehicle => vehicle.id));
+    setValidity({ policy: template.validity_policy || 'shift', days: template.validity_days || '' });
+    setOpenVersionId(null);
+  };
+  
+  const replaceTemplate = (template) => {
+    setTemplates(templates.map(item => item.id === template.id ? template : item));
+  };
+  
+  // Put a placeholder at the cursor
+  const insertPlaceholder = (key) => {
+    const textarea = bodyRef.current;
+    const start = textarea?.selectionStart ?? body.length;
+    const end = textarea?.selectionEnd ?? body.length;
+    
+    setBody(`${body.slice(0, start)}{{${key}}}${body.slice(end)}`);
+    textarea?.focus();
+  };
+  
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSaving(true);
+    
+    const result = await agreementTemplateService.createTemplate({ name: newName, body: DEFAULT_AGREEMENT_TEMPLATE });
+    
+    setIsSaving(false);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    setTemplates([...templates, result.data]);
+    setShowForm(false);
+    setNewName('');
+    openTemplate(result.data);
+  };
+  
+  const handleRename = async () => {
+    setError(null);
+    
+    const result = await agreementTemplateService.renameTemplate(selected.id, name);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    replaceTemplate(result.data);
+  };
+  
+  const saveDraft = async () => {
+    setError(null);
+    setIsSaving(true);
+    
+    const result = await agreementTemplateService.saveDraft(selected, body);
+    
+    setIsSaving(false);
+    
+    if (!result.success) {
+      setError(result.error);
+      return null;
+    }
+    
+    replaceTemplate(result.data);
+    return result.data;
+  };
+  
+  const handlePublish = async () => {
+    const message = published
+      ? `Publish this text as version ${draft?.version || published.version + 1}? Drivers using "${selected.name}" will have to sign it at their next checkout.`
+      : `Publish "${selected.name}"? Drivers of its vehicles will sign it from their next checkout.`;
+    
+    if (!window.confirm(message)) return;
+    
+    // Unsaved changes go into the draft first
+    const template = isDirty || !draft ? await saveDraft() : selected;
+    if (!template) return;
+    
+    setIsSaving(true);
+    
+    const result = await agreementTemplateService.publishVersion(getDraftVersion(template).id);
+    
+    if (result.success) {
+      const refreshed = await agreementTemplateService.getTemplate(template.id);
+      if (refreshed.success) replaceTemplate(refreshed.data);
+    } else {
+      setError(result.error);
+    }
+    
+    setIsSaving(false);
+  };
+  
+  const handleDiscardDraft = async () => {
+    if (!window.confirm(`Discard the draft of version ${draft.version}?`)) return;
+    
+    const result = await agreementTemplateService.discardDraft(draft.id);
+    
+    if (!result.success) {
+      setError('Failed to discard the draft.');
+      return;
+    }
+    
+    replaceTemplate({ ...selected, versions: selected.versions.filter(version => version.id !== draft.id) });
+    setBody(published?.body || DEFAULT_AGREEMENT_TEMPLATE);
+  };
+  
+  const handleSetDefault = async (template) => {
+    const result = await agreementTemplateService.setDefaultTemplate(template.id);
+    
+    if (!result.success) {
+      setError('Failed to change the default template.');
+      return;
+    }
+    
+    setTemplates(templates.map(item => ({ ...item, is_default: item.id === template.id })));
+  };
+  
+  const handleSaveAssignment = async () => {
+    setError(null);
+    
+    const result = await agreementTemplateService.assignVehicles(selected.id, assignedIds);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    setVehicleList(vehicleList.map(vehicle => {
+      if (assignedIds.includes(vehicle.id)) return { ...vehicle, agreement_template_id: selected.id };
+      if (vehicle.agreement_template_id === selected.id) return { ...vehicle, agreement_template_id: null };
+      return vehicle;
+    }));
+  };
+  
+  const handleSaveValidity = async () => {
+    setError(null);
+    
+    const result = await agreementTemplateService.setValidityPolicy(selected.id, validity);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    replaceTemplate(result.data);
+  };
+  
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    
+    const result = await agreementTemplateService.deleteTemplate(template.id);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    setTemplates(templates.filter(item => item.id !== template.id));
+    if (selectedId === template.id) {
+      setSelectedId(null);
+    }
+  };
+  
+  const toggleVehicle = (vehicleId) => {
+    setAssignedIds(assignedIds.includes(vehicleId)
+      ? assignedIds.filter(id => id !== vehicleId)
+      : [...assignedIds, vehicleId]);
+  };
+  
+  const countVehicles = (template) => vehicleList.filter(vehicle => vehicle.agreement_template_id === template.id).length;
+  
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Agreement Templates</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            The terms drivers sign before taking a vehicle. A vehicle uses the template assigned to it, otherwise the
+            default template. Publishing a new version makes drivers sign again at their next checkout.
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors inline-flex items-center shrink-0"
+        >
+          <i className={`${showForm ? 'ri-close-line' : 'ri-add-line'} mr-1`}></i>
+          {showForm ? 'Cancel' : 'Add Template'}
+        </button>
+      </div>
+      
+      {error && (
+        <div className="mb-6 bg-red-50 border-l-4 border-red-500 text-red-700 p-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+      
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-white rounded-lg shadow p-6 mb-6 flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex-1">
+            <label htmlFor="templateName" className="block text-sm font-medium text-gray-700 mb-1">
+              Name
+            </label>
+            <input
+              type="text"
+              id="templateName"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              placeholder="e.g. Standard vehicle usage agreement"
+              required
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-primary hover:bg-primary/90 text-white py-2 px-4 rounded-md font-medium transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : 'Create Draft'}
+          </button>
+        </form>
+      )}
+      
+      <div className="bg-white rounded-lg shadow overflow-hidden mb-6">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-4 border-primary border-r-4 border-r-transparent"></div>
+          </div>
+        ) : templates.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">
+            No templates yet. Drivers sign the built-in vehicle usage agreement.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {templates.map(template => {
+              const templatePublished = getPublishedVersion(template);
+              const templateDraft = getDraftVersion(template);
+              
+              return (
+                <li
+                  key={template.id}
+                  className={`px-6 py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3 ${
+                    template.id === selectedId ? 'bg-primary/5' : ''
+                  }`}
+                >
+                  <div className="min-w-0">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <span className="font-medium text-gray-900">{template.name}</span>
+                      {template.is_default && (
+                        <span className="text-xs px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-800">Default</span>
+                      )}
+                      {templateDraft && (
+                        <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${STATUS_STYLES.draft}`}>
+                          Draft v{templateDraft.version}
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-sm text-gray-500 mt-1">
+                      {templatePublished
+                        ? `Version ${templatePublished.version} published ${formatTime(templatePublished.published_at)}`
+                        : 'Not published yet'}
+                      {' · '}
+                      {template.is_default && countVehicles(template) === 0
+                        ? 'All vehicles without their own template'
+                        : `${countVehicles(template)} assigned ${countVehicles(template) === 1 ? 'vehicle' : 'vehicles'}`}
+                      {' · '}
+                      {describeValidityPolicy(template)}
+                    </div>
+                  </div>
+                  
+                  <div className="flex flex-wrap gap-2 md:justify-end shrink-0">
+                    <button
+                      onClick={() => openTemplate(template)}
+                      className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors"
+                    >
+                      Edit
+                    </button>
+                    {!template.is_default && (
+                      <button
+                        onClick={() => handleSetDefault(template)}
+                        className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-full text-sm transition-colors"
+                      >
+                        Make Default
+                      </button>
+                    )}
+                    {!templatePublished && (
+                      <button
+                        onClick={() => handleDelete(template)}
+                        className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-full text-sm transition-colors"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+      
+      {selected && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 bg-white rounded-lg shadow p-6">
+            <div className="flex flex-col sm:flex-row sm:items-end gap-2 mb-4">
+              <div className="flex-1">
+                <label htmlFor="selectedTemplateName" className="block text-sm font-medium text-gray-700 mb-1">
+                  Template name
+                </label>
+                <input
+                  type="text"
+                  id="selectedTemplateName"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                />
+              </div>
+              {name !== selected.name && (
+                <button
+                  onClick={handleRename}
+                  className="text-gray-700 bg-gray-100 hover:bg-gray-200 py-2 px-4 rounded-md text-sm"
+                >
+                  Rename
+                </button>
+              )}
+            </div>
+            
+            <div className="flex items-center justify-between mb-1">
+              <label htmlFor="templateBody" className="block text-sm font-medium text-gray-700">
+                {draft ? `Draft of version ${draft.version}` : `Version ${(published?.version || 0) + 1} (not saved yet)`}
+              </label>
+              {isDirty && <span className="text-xs text-yellow-700">Unsaved changes</span>}
+            </div>
+            <div className="flex flex-wrap gap-1 mb-2">
+              {AGREEMENT_PLACEHOLDERS.map(placeholder => (
+                <button
+                  key={placeholder.key}
+                  type="button"
+                  onClick={() => insertPlaceholder(placeholder.key)}
+                  className="text-xs font-mono bg-gray-100 hover:bg-gray-200 text-gray-700 px-2 py-1 rounded"
+                  title={`Insert ${placeholder.label.toLowerCase()}`}
+                >
+                  {`{{${placeholder.key}}}`}
+                </button>
+              ))}
+            </div>
+            <textarea
+              id="templateBody"
+              ref={bodyRef}
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              rows={16}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            
+            <div className="flex flex-wrap gap-2 mt-3 mb-6">
+              <button
+                onClick={saveDraft}
+                disabled={isSaving || !isDirty}
+                className="text-gray-700 bg-gray-100 hover:bg-gray-200 py-2 px-4 rounded-md text-sm disabled:opacity-50"
+              >
+                Save Draft
+              </button>
+              <button
+                onClick={handlePublish}
+                disabled={isSaving || (!draft && !isDirty)}
+                className="bg-primary hover:bg-primary/90 text-white py-2 px-4 rounded-md text-sm font-medium disabled:opacity-50"
+              >
+                {isSaving ? 'Saving...' : 'Publish'}
+              </button>
+              {draft && (
+                <button
+                  onClick={handleDiscardDraft}
+                  disabled={isSaving}
+                  className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 py-2 px-4 rounded-md text-sm disabled:opacity-50"
+                >
+                  Discard Draft
+                </button>
+              )}
+            </div>
+            
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Preview</h3>
+            <div className="bg-gray-50 p-4 rounded border max-h-80 overflow-y-auto">
+              <pre className="whitespace-pre-wrap font-sans text-sm">{preview}</pre>
+            </div>
+          </div>
+          
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="font-semibold text-gray-800 mb-1">Validity</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                How long a signed agreement lasts before the driver signs again. Publishing a new version always
+                asks for a new signature; inspection photos are still taken every shift.
+              </p>
+              <div className="space-y-1 mb-3">
+                {Object.entries(AGREEMENT_VALIDITY_LABELS).map(([policy, label]) => (
+                  <label key={policy} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="validityPolicy"
+                      value={policy}
+                      checked={validity.policy === policy}
+                      onChange={() => setValidity({ ...validity, policy })}
+                      className="mr-2 text-primary focus:ring-primary"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              {validity.policy === 'days' && (
+                <div className="mb-3">
+                  <label htmlFor="validityDays" className="block text-sm font-medium text-gray-700 mb-1">
+                    Number of days
+                  </label>
+                  <input
+                    type="number"
+                    id="validityDays"
+                    min="1"
+                    step="1"
+                    value={validity.days}
+                    onChange={(e) => setValidity({ ...validity, days: e.target.value })}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+              )}
+              <button
+                onClick={handleSaveValidity}
+                disabled={validity.policy === selected.validity_policy
+                  && (validity.policy !== 'days' || Number(validity.days) === selected.validity_days)}
+                className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors disabled:opacity-50"
+              >
+                Save Validity
+              </button>
+            </div>
+            
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="font-semibold text-gray-800 mb-1">Vehicles</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                {selected.is_default
+                  ? 'Unticked vehicles without a template of their own use this default template.'
+                  : 'Ticked vehicles use this template instead of the default.'}
+              </p>
+              {vehicleList.length === 0 ? (
+                <p className="text-sm text-gray-500">No vehicles yet.</p>
+              ) : (
+                <ul className="space-y-1 max-h-64 overflow-y-auto mb-3">
+                  {vehicleList.map(vehicle => {
+                    const otherTemplate = vehicle.agreement_template_id && vehicle.agreement_template_id !== selected.id
+                      ? templates.find(template => template.id === vehicle.agreement_template_id)
+                      : null;
+                    
+                    return (
+                      <li key={vehicle.id}>
+                        <label className="flex items-center text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={assignedIds.includes(vehicle.id)}
+                            onChange={() => toggleVehicle(vehicle.id)}
+                            className="mr-2 text-primary focus:ring-primary"
+                          />
+                          <span className="truncate">
+                            {vehicle.vehicle_number} ({vehicle.make} {vehicle.model})
+                          </span>
+                          {otherTemplate && (
+                            <span className="ml-auto text-xs text-gray-400 shrink-0 pl-2">{otherTemplate.name}</span>
+                          )}
+                        </label>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+              <button
+                onClick={handleSaveAssignment}
+                className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors"
+              >
+                Save Vehicles
+              </button>
+            </div>
+            
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="font-semibold text-gray-800 mb-3">Version History</h3>
+              <ul className="divide-y divide-gray-100">
+                {getTemplateVersions(selected).map(version => (
+                  <li key={version.id} className="py-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-medium text-gray-800">Version {version.version}</span>
+                          <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${STATUS_STYLES[version.status]}`}>
+                            {TEMPLATE_VERSION_STATUS_LABELS[version.status]}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-500">
+                          {version.published_at
+                            ? `Published ${formatTime(version.published_at)}${version.publisher?.name ? ` by ${version.publisher.name}` : ''}`
+                            : `Last saved ${formatTime(version.updated_at)}`}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => setOpenVersionId(openVersionId === version.id ? null : version.id)}
+                        className="text-xs text-primary hover:underline shrink-0"
+                      >
+                        {openVersionId === version.id ? 'Hide' : 'View'}
+                      </button>
+                    </div>
+                    {openVersionId === version.id && (
+                      <pre className="mt-2 bg-gray-50 p-2 rounded border whitespace-pre-wrap font-mono text-xs max-h-60 overflow-y-auto">
+                        {version.body}
+                      </pre>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AgreementTemplates;
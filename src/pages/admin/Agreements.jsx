@@ -0,0 +1,371 @@
+import { useState, useEffect } from 'react';
+import agreementService, { MAX_ARCHIVE_AGREEMENTS, getAgreementTermsLabel } from '../../services/agreementService';
+import driverService from '../../services/driverService';
+import vehicleService from '../../services/vehicleService';
+import Button from '../../components/common/Button';
+import Loading from '../../components/common/Loading';
+
+const AGREEMENTS_PER_PAGE = 20;
+
+// Hand a generated file to the browser as a download
+const downloadFile = ({ blob, fileName }) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const Agreements = () => {
+  const [agreements, setAgreements] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [vehicleList, setVehicleList] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState({ driverId: '', vehicleId: '', from: '', to: '' });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalCount, setTotalCount] = useState(0);
+  const [openAgreement, setOpenAgreement] = useState(null); // Agreement whose text and signature are shown
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [isZipping, setIsZipping] = useState(false);
+  
+  // Drivers and vehicles to search by
+  useEffect(() => {
+    const fetchOptions = async () => {
+      const [driverResult, vehicleResult] = await Promise.all([
+        driverService.getAllDrivers(),
+        vehicleService.getAllVehicles()
+      ]);
+      
+      if (driverResult.success) setDrivers(driverResult.data);
+      if (vehicleResult.success) setVehicleList(vehicleResult.data);
+    };
+    
+    fetchOptions();
+  }, []);
+  
+  useEffect(() => {
+    const fetchAgreements = async () => {
+      setIsLoading(true);
+      setError(null);
+      
+      const result = await agreementService.getAgreements({
+        ...filters,
+        page: currentPage,
+        limit: AGREEMENTS_PER_PAGE
+      });
+      
+      if (result.success) {
+        setAgreements(result.data);
+        setTotalCount(result.count || 0);
+      } else {
+        setError('Failed to load agreements. Please try again.');
+      }
+      
+      setIsLoading(false);
+    };
+    
+    fetchAgreements();
+  }, [filters, currentPage]);
+  
+  const totalPages = Math.ceil(totalCount / AGREEMENTS_PER_PAGE);
+  const hasDateRange = Boolean(filters.from && filters.to);
+  
+  const updateFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setCurrentPage(1);
+  };
+  
+  const toggleAgreement = async (agreement) => {
+    if (openAgreement?.id === agreement.id) {
+      setOpenAgreement(null);
+      return;
+    }
+    
+    const result = await agreementService.getAgreement(agreement.id);
+    
+    if (!result.success) {
+      setError('Failed to load the agreement.');
+      return;
+    }
+    
+    setOpenAgreement(result.data);
+  };
+  
+  const handleDownload = async (agreement) => {
+    setError(null);
+    setDownloadingId(agreement.id);
+    
+    const result = await agreementService.getCertificate(agreement.id);
+    
+    setDownloadingId(null);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    downloadFile(result.data);
+  };
+  
+  const handleDownloadZip = async () => {
+    setError(null);
+    setIsZipping(true);
+    
+    const result = await agreementService.getCertificateArchive(filters);
+    
+    setIsZipping(false);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    downloadFile(result.data);
+  };
+  
+  if (isLoading && agreements.length === 0 && !error) {
+    return <Loading.Page />;
+  }
+  
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold mb-4 md:mb-0">Agreements</h1>
+        
+        <Button
+          variant="primary"
+          onClick={handleDownloadZip}
+          disabled={!hasDateRange || isZipping}
+          icon={<i className="ri-file-zip-line"></i>}
+        >
+          {isZipping ? 'Creating ZIP...' : 'Download ZIP'}
+        </Button>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+      
+      {/* Search */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="agreementDriver" className="block text-sm font-medium text-gray-700 mb-1">
+              Driver
+            </label>
+            <select
+              id="agreementDriver"
+              value={filters.driverId}
+              onChange={(e) => updateFilter('driverId', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">All drivers</option>
+              {drivers.map(driver => (
+                <option key={driver.id} value={driver.id}>{driver.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="agreementVehicle" className="block text-sm font-medium text-gray-700 mb-1">
+              Vehicle
+            </label>
+            <select
+              id="agreementVehicle"
+              value={filters.vehicleId}
+              onChange={(e) => updateFilter('vehicleId', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">All vehicles</option>
+              {vehicleList.map(vehicle => (
+                <option key={vehicle.id} value={vehicle.id}>
+                  {vehicle.vehicle_number} ({vehicle.make} {vehicle.model})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="agreementFrom" className="block text-sm font-medium text-gray-700 mb-1">
+              Signed From
+            </label>
+            <input
+              type="date"
+              id="agreementFrom"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => updateFilter('from', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+          </div>
+          <div>
+            <label htmlFor="agreementTo" className="block text-sm font-medium text-gray-700 mb-1">
+              Signed To
+            </label>
+            <input
+              type="date"
+              id="agreementTo"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => updateFilter('to', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          {hasDateRange
+            ? `The ZIP holds a PDF certificate for each of the ${totalCount} matching agreements (at most ${MAX_ARCHIVE_AGREEMENTS}).`
+            : 'Choose a date range to download its agreements as a ZIP.'}
+        </p>
+      </div>
+      
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {agreements.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No signed agreements match this search.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Signed
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Driver
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Vehicle
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Terms
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    IP Address
+                  </th>
+                  <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {agreements.map(agreement => (
+                  <AgreementRow
+                    key={agreement.id}
+                    agreement={agreement}
+                    openAgreement={openAgreement?.id === agreement.id ? openAgreement : null}
+                    isDownloading={downloadingId === agreement.id}
+                    onToggle={() => toggleAgreement(agreement)}
+                    onDownload={() => handleDownload(agreement)}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        
+        {totalPages > 1 && (
+          <div className="px-6 py-3 flex items-center justify-between border-t border-gray-200">
+            <div className="text-sm text-gray-700">
+              Page {currentPage} of {totalPages} ({totalCount} agreements)
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setCurrentPage(currentPage - 1)}
+                disabled={currentPage === 1}
+                className={`px-3 py-1 rounded-md text-sm font-medium ${
+                  currentPage === 1
+                    ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setCurrentPage(currentPage + 1)}
+                disabled={currentPage === totalPages}
+                className={`px-3 py-1 rounded-md text-sm font-medium ${
+                  currentPage === totalPages
+                    ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                }`}
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// One agreement, with its text and signature underneath when opened
+const AgreementRow = ({ agreement, openAgreement, isDownloading, onToggle, onDownload }) => {
+  return (
+    <>
+      <tr className="hover:bg-gray-50">
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+          {new Date(agreement.signed_at).toLocaleString()}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap">
+          <div className="text-sm font-medium text-gray-900">{agreement.driver?.name || 'Unknown Driver'}</div>
+          <div className="text-sm text-gray-500">{agreement.driver?.email}</div>
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap">
+          <div className="text-sm font-medium text-gray-900">{agreement.vehicle?.vehicle_number || 'Unknown Vehicle'}</div>
+          <div className="text-sm text-gray-500">
+            {agreement.vehicle && `${agreement.vehicle.make} ${agreement.vehicle.model}`}
+          </div>
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+          {getAgreementTermsLabel(agreement)}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+          {agreement.signer_ip || '-'}
+        </td>
+        <td className="px-6 py-4 whitespace-nowrap text-right text-sm space-x-2">
+          <button
+            onClick={onToggle}
+            className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors"
+          >
+            {openAgreement ? 'Hide' : 'View'}
+          </button>
+          <button
+            onClick={onDownload}
+            disabled={isDownloading}
+            className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-full text-sm transition-colors disabled:opacity-50"
+          >
+            {isDownloading ? 'Creating...' : 'PDF'}
+          </button>
+        </td>
+      </tr>
+      {openAgreement && (
+        <tr>
+          <td colSpan={6} className="px-6 py-4 bg-gray-50">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+              <pre className="lg:col-span-2 whitespace-pre-wrap font-sans text-sm text-gray-700 bg-white border rounded p-4 max-h-80 overflow-y-auto">
+                {openAgreement.content}
+              </pre>
+              <div className="space-y-2 text-sm">
+                {openAgreement.signature && (
+                  <img src={openAgreement.signature} alt="Driver signature" className="bg-white border rounded w-full" />
+                )}
+                <p className="text-gray-600 break-all">
+                  <span className="text-gray-500">Browser: </span>
+                  {openAgreement.signature_record?.device?.userAgent || openAgreement.signer_user_agent || 'Not recorded'}
+                </p>
+                {openAgreement.content_hash && (
+                  <p className="text-xs text-gray-500 font-mono break-all">SHA-256 {openAgreement.content_hash}</p>
+                )}
+              </div>
+            </div>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+export default Agreements;
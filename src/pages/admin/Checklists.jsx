@@ -0,0 +1,380 @@
+import { useState, useEffect } from 'react';
+import { vehicles } from '../../services/supabase';
+import checklistService from '../../services/checklistService';
+import { DEFAULT_CHECKLIST_ITEMS, createChecklistItem, describeChecklistTarget } from '../../utils/checklistUtils';
+
+const newForm = () => ({
+  name: 'Pre-trip checklist',
+  vehicle_id: '',
+  make: '',
+  model: '',
+  items: DEFAULT_CHECKLIST_ITEMS.map(({ label, critical }) => createChecklistItem(label, critical))
+});
+
+// Form fields for an existing checklist
+const toForm = (checklist) => ({
+  name: checklist.name,
+  vehicle_id: checklist.vehicle_id || '',
+  make: checklist.make || '',
+  model: checklist.model || '',
+  items: checklist.items
+});
+
+const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+
+const Checklists = () => {
+  const [checklists, setChecklists] = useState([]);
+  const [vehicleList, setVehicleList] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(newForm);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  // Fetch checklists and the vehicles they can target
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      
+      const [checklistResult, { data: vehicleData, error: vehicleError }] = await Promise.all([
+        checklistService.getChecklists(),
+        vehicles.getAll()
+      ]);
+      
+      if (checklistResult.success && !vehicleError) {
+        setChecklists(checklistResult.data);
+        setVehicleList(vehicleData || []);
+      } else {
+        setError('Failed to load checklists.');
+      }
+      
+      setIsLoading(false);
+    };
+    
+    fetchData();
+  }, []);
+  
+  const makes = unique(vehicleList.map(vehicle => vehicle.make));
+  const models = unique(vehicleList.filter(vehicle => vehicle.make === form.make).map(vehicle => vehicle.model));
+  
+  const updateForm = (changes) => setForm({ ...form, ...changes });
+  
+  const updateItem = (itemId, changes) => {
+    updateForm({ items: form.items.map(item => item.id === itemId ? { ...item, ...changes } : item) });
+  };
+  
+  const moveItem = (index, offset) => {
+    const items = [...form.items];
+    const [item] = items.splice(index, 1);
+    items.splice(index + offset, 0, item);
+    updateForm({ items });
+  };
+  
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setForm(newForm());
+  };
+  
+  const handleEdit = (checklist) => {
+    setError(null);
+    setEditingId(checklist.id);
+    setForm(toForm(checklist));
+    setShowForm(true);
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    
+    // A checklist targets one vehicle, or a make and model, or the whole depot
+    const checklist = {
+      name: form.name,
+      vehicle_id: form.vehicle_id || null,
+      make: form.vehicle_id ? null : form.make,
+      model: form.vehicle_id ? null : form.model,
+      items: form.items
+    };
+    
+    setIsSaving(true);
+    
+    const result = editingId
+      ? await checklistService.updateChecklist(editingId, checklist)
+      : await checklistService.createChecklist(checklist);
+    
+    setIsSaving(false);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    setChecklists(editingId
+      ? checklists.map(item => item.id === editingId ? result.data : item)
+      : [...checklists, result.data]);
+    closeForm();
+  };
+  
+  const handleToggleActive = async (checklist) => {
+    const result = await checklistService.updateChecklist(checklist.id, { is_active: !checklist.is_active });
+    
+    if (!result.success) {
+      setError('Failed to update the checklist.');
+      return;
+    }
+    
+    setChecklists(checklists.map(item => item.id === checklist.id ? result.data : item));
+  };
+  
+  const handleDelete = async (checklist) => {
+    if (!window.confirm(`Delete the checklist "${checklist.name}"? Checklists drivers already completed are kept.`)) {
+      return;
+    }
+    
+    const result = await checklistService.deleteChecklist(checklist.id);
+    
+    if (!result.success) {
+      setError('Failed to delete the checklist.');
+      return;
+    }
+    
+    setChecklists(checklists.filter(item => item.id !== checklist.id));
+    if (editingId === checklist.id) {
+      closeForm();
+    }
+  };
+  
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Pre-trip Checklists</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Checks drivers complete before taking a vehicle. The most specific active checklist applies: the vehicle's own,
+            then its make and model, then its make, then the depot-wide one. A failed critical item takes the vehicle out of service.
+          </p>
+        </div>
+        <button
+          onClick={() => (showForm ? closeForm() : setShowForm(true))}
+          className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors inline-flex items-center shrink-0"
+        >
+          <i className={`${showForm ? 'ri-close-line' : 'ri-add-line'} mr-1`}></i>
+          {showForm ? 'Cancel' : 'Add Checklist'}
+        </button>
+      </div>
+      
+      {error && (
+        <div className="mb-6 bg-red-50 border-l-4 border-red-500 text-red-700 p-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+      
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="font-semibold text-gray-800 mb-4">{editingId ? 'Edit Checklist' : 'New Checklist'}</h2>
+          
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <div>
+              <label htmlFor="checklistName" className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                type="text"
+                id="checklistName"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                required
+              />
+            </div>
+            
+            <div>
+              <label htmlFor="checklistVehicle" className="block text-sm font-medium text-gray-700 mb-1">
+                Vehicle
+              </label>
+              <select
+                id="checklistVehicle"
+                value={form.vehicle_id}
+                onChange={(e) => updateForm({ vehicle_id: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="">Any vehicle</option>
+                {vehicleList.map(vehicle => (
+                  <option key={vehicle.id} value={vehicle.id}>
+                    {vehicle.vehicle_number} ({vehicle.make} {vehicle.model})
+                  </option>
+                ))}
+              </select>
+            </div>
+            
+            <div>
+              <label htmlFor="checklistMake" className="block text-sm font-medium text-gray-700 mb-1">
+                Make
+              </label>
+              <select
+                id="checklistMake"
+                value={form.make}
+                onChange={(e) => updateForm({ make: e.target.value, model: '' })}
+                disabled={Boolean(form.vehicle_id)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary disabled:bg-gray-100"
+              >
+                <option value="">Any make</option>
+                {makes.map(make => (
+                  <option key={make} value={make}>{make}</option>
+                ))}
+              </select>
+            </div>
+            
+            <div>
+              <label htmlFor="checklistModel" className="block text-sm font-medium text-gray-700 mb-1">
+                Model
+              </label>
+              <select
+                id="checklistModel"
+                value={form.model}
+                onChange={(e) => updateForm({ model: e.target.value })}
+                disabled={Boolean(form.vehicle_id) || !form.make}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary disabled:bg-gray-100"
+              >
+                <option value="">Any model</option>
+                {models.map(model => (
+                  <option key={model} value={model}>{model}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          
+          <div className="mb-4">
+            <span className="block text-sm font-medium text-gray-700 mb-2">Items</span>
+            <ul className="space-y-2">
+              {form.items.map((item, index) => (
+                <li key={item.id} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={item.label}
+                    onChange={(e) => updateItem(item.id, { label: e.target.value })}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                    placeholder="What the driver checks"
+                    required
+                  />
+                  <label className="inline-flex items-center text-sm text-gray-700 shrink-0">
+                    <input
+                      type="checkbox"
+                      checked={item.critical}
+                      onChange={(e) => updateItem(item.id, { critical: e.target.checked })}
+                      className="mr-1 text-primary focus:ring-primary"
+                    />
+                    Critical
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => moveItem(index, -1)}
+                    disabled={index === 0}
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <i className="ri-arrow-up-line"></i>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveItem(index, 1)}
+                    disabled={index === form.items.length - 1}
+                    className="text-gray-500 hover:text-gray-700 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <i className="ri-arrow-down-line"></i>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => updateForm({ items: form.items.filter(other => other.id !== item.id) })}
+                    className="text-red-600 hover:text-red-900"
+                    title="Remove item"
+                  >
+                    <i className="ri-delete-bin-line"></i>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              type="button"
+              onClick={() => updateForm({ items: [...form.items, createChecklistItem()] })}
+              className="mt-2 text-sm text-primary hover:underline"
+            >
+              <i className="ri-add-line mr-1"></i>
+              Add item
+            </button>
+          </div>
+          
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-primary hover:bg-primary/90 text-white py-2 px-4 rounded-md font-medium transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Checklist'}
+          </button>
+        </form>
+      )}
+      
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-4 border-primary border-r-4 border-r-transparent"></div>
+          </div>
+        ) : checklists.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">
+            No checklists yet. Drivers only sign the agreement and take inspection photos before punching in.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {checklists.map(checklist => (
+              <li key={checklist.id} className="px-6 py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center flex-wrap gap-2">
+                    <span className="font-medium text-gray-900">{checklist.name}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${
+                      checklist.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                    }`}>
+                      {checklist.is_active ? 'Active' : 'Paused'}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-500 mt-1">
+                    {describeChecklistTarget(checklist)}
+                    {' · '}
+                    {checklist.items.length} {checklist.items.length === 1 ? 'item' : 'items'}
+                    {checklist.items.some(item => item.critical) && (
+                      ` (${checklist.items.filter(item => item.critical).length} critical)`
+                    )}
+                  </div>
+                </div>
+                
+                <div className="flex flex-wrap gap-2 md:justify-end shrink-0">
+                  <button
+                    onClick={() => handleEdit(checklist)}
+                    className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(checklist)}
+                    className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-full text-sm transition-colors"
+                  >
+                    {checklist.is_active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(checklist)}
+                    className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-full text-sm transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Checklists;
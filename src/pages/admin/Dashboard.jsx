@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '../../services/supabase';
+import { fromDepot } from '../../services/supabase';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({
@@ -26,8 +26,7 @@ const Dashboard = () => {
       
       try {
         // Fetch vehicle statistics
-        const { data: vehicles } = await supabase
-          .from('vehicles')
+        const { data: vehicles } = await fromDepot('vehicles')
           .select('*');
           
         const availableVehicles = vehicles?.filter(v => v.status === 'available') || [];
@@ -35,21 +34,18 @@ const Dashboard = () => {
         const maintenanceVehicles = vehicles?.filter(v => v.status === 'maintenance') || [];
         
         // Fetch driver statistics
-        const { data: drivers } = await supabase
-          .from('users')
+        const { data: drivers } = await fromDepot('users')
           .select('*')
           .eq('role', 'driver');
           
-        const { data: activeLogs } = await supabase
-          .from('time_logs')
+        const { data: activeLogs } = await fromDepot('time_logs')
           .select('driver_id')
           .is('punch_out', null);
           
         const activeDriverIds = [...new Set(activeLogs?.map(log => log.driver_id) || [])];
         
         // Fetch maintenance requests
-        const { data: maintenanceRequests } = await supabase
-          .from('maintenance_requests')
+        const { data: maintenanceRequests } = await fromDepot('maintenance_requests')
           .select('*')
           .order('created_at', { ascending: false });
           
@@ -58,8 +54,7 @@ const Dashboard = () => {
         const resolved = maintenanceRequests?.filter(r => r.status === 'resolved') || [];
         
         // Fetch recent activities (time logs only)
-        const { data: recentLogs } = await supabase
-          .from('time_logs')
+        const { data: recentLogs } = await fromDepot('time_logs')
           .select(`
             id,
             driver_id,
@@ -73,8 +68,7 @@ const Dashboard = () => {
           .limit(5);
           
         // Fetch maintenance activities separately
-        const { data: recentMaintenance } = await supabase
-          .from('maintenance_requests')
+        const { data: recentMaintenance } = await fromDepot('maintenance_requests')
           .select(`
             id,
             driver_id,
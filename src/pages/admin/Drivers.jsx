@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '../../services/supabase';
+import { supabase, fromDepot } from '../../services/supabase';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
 
@@ -28,8 +28,7 @@ const Drivers = () => {
       setError(null);
       
       try {
-        const { data, error } = await supabase
-          .from('users')
+        const { data, error } = await fromDepot('users')
           .select(`
             id,
             name,
@@ -78,8 +77,7 @@ const Drivers = () => {
       if (authError) throw authError;
       
       // Add user to the users table
-      const { error: dbError } = await supabase
-        .from('users')
+      const { error: dbError } = await fromDepot('users')
         .insert([{
           id: authData.user.id,
           name,
@@ -104,8 +102,7 @@ const Drivers = () => {
       setTimeout(() => setSuccess(null), 3000);
       
       // Refresh driver list
-      const { data } = await supabase
-        .from('users')
+      const { data } = await fromDepot('users')
         .select(`
           id,
           name,
@@ -143,8 +140,7 @@ const Drivers = () => {
     
     try {
       // Update user in the users table
-      const { error: dbError } = await supabase
-        .from('users')
+      const { error: dbError } = await fromDepot('users')
         .update({
           name,
           phone,
@@ -168,8 +164,7 @@ const Drivers = () => {
       setTimeout(() => setSuccess(null), 3000);
       
       // Refresh driver list
-      const { data } = await supabase
-        .from('users')
+      const { data } = await fromDepot('users')
         .select(`
           id,
           name,
@@ -201,8 +196,7 @@ const Drivers = () => {
       
       // If deactivating a driver, check if they have active vehicles
       if (!newStatus) {
-        const { data: activeVehicles } = await supabase
-          .from('vehicles')
+        const { data: activeVehicles } = await fromDepot('vehicles')
           .select('id')
           .eq('assigned_driver_id', driverId)
           .eq('status', 'in-use');
@@ -213,8 +207,7 @@ const Drivers = () => {
       }
       
       // Update user status
-      const { error } = await supabase
-        .from('users')
+      const { error } = await fromDepot('users')
         .update({ is_active: newStatus })
         .eq('id', driverId);
       
@@ -249,8 +242,7 @@ const Drivers = () => {
     
     try {
       // Update any assigned vehicles to available
-      const { error: vehicleError } = await supabase
-        .from('vehicles')
+      const { error: vehicleError } = await fromDepot('vehicles')
         .update({ 
           status: 'available',
           assigned_driver_id: null
@@ -260,8 +252,7 @@ const Drivers = () => {
       if (vehicleError) throw vehicleError;
       
       // Delete user from users table
-      const { error: dbError } = await supabase
-        .from('users')
+      const { error: dbError } = await fromDepot('users')
         .delete()
         .eq('id', driverId);
       
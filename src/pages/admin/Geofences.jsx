@@ -0,0 +1,420 @@
+import { useState, useEffect } from 'react';
+import { vehicles } from '../../services/supabase';
+import geofenceService from '../../services/geofenceService';
+import { formatCoordinates, getCurrentLocation, getMapUrl, parsePolygonPoints } from '../../utils/locationUtils';
+
+const EMPTY_FORM = {
+  name: '',
+  vehicle_id: '',
+  shape: 'circle',
+  center_lat: '',
+  center_lng: '',
+  radius_m: '200',
+  pointsText: '',
+  enforcement: 'flag'
+};
+
+// Form fields for an existing fence
+const toForm = (fence) => ({
+  name: fence.name,
+  vehicle_id: fence.vehicle_id || '',
+  shape: fence.shape,
+  center_lat: fence.center_lat ?? '',
+  center_lng: fence.center_lng ?? '',
+  radius_m: fence.radius_m ?? '200',
+  pointsText: (fence.points || []).map(([lat, lng]) => `${lat}, ${lng}`).join('\n'),
+  enforcement: fence.enforcement
+});
+
+const Geofences = () => {
+  const [fences, setFences] = useState([]);
+  const [vehicleList, setVehicleList] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isLocating, setIsLocating] = useState(false);
+  
+  // Fetch fences and the vehicles they can be limited to
+  useEffect(() => {
+    const fetchData = async () => {
+      setIsLoading(true);
+      
+      const [fenceResult, { data: vehicleData, error: vehicleError }] = await Promise.all([
+        geofenceService.getGeofences(),
+        vehicles.getAll()
+      ]);
+      
+      if (fenceResult.success && !vehicleError) {
+        setFences(fenceResult.data);
+        setVehicleList(vehicleData || []);
+      } else {
+        setError('Failed to load geofences.');
+      }
+      
+      setIsLoading(false);
+    };
+    
+    fetchData();
+  }, []);
+  
+  const updateForm = (changes) => setForm({ ...form, ...changes });
+  
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+  
+  const handleEdit = (fence) => {
+    setError(null);
+    setEditingId(fence.id);
+    setForm(toForm(fence));
+    setShowForm(true);
+  };
+  
+  // Center the circle on where the admin is standing
+  const handleUseMyLocation = async () => {
+    setIsLocating(true);
+    
+    const { location, error } = await getCurrentLocation();
+    
+    setIsLocating(false);
+    
+    if (!location) {
+      setError(error);
+      return;
+    }
+    
+    updateForm({ center_lat: location.lat.toFixed(6), center_lng: location.lng.toFixed(6) });
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    
+    const points = form.shape === 'polygon' ? parsePolygonPoints(form.pointsText) : null;
+    
+    if (form.shape === 'polygon' && !points) {
+      setError('Enter one "latitude, longitude" pair per line.');
+      return;
+    }
+    
+    const fence = {
+      name: form.name,
+      vehicle_id: form.vehicle_id || null,
+      shape: form.shape,
+      center_lat: form.shape === 'circle' ? Number(form.center_lat) : null,
+      center_lng: form.shape === 'circle' ? Number(form.center_lng) : null,
+      radius_m: form.shape === 'circle' ? Number(form.radius_m) : null,
+      points,
+      enforcement: form.enforcement
+    };
+    
+    setIsSaving(true);
+    
+    const result = editingId
+      ? await geofenceService.updateGeofence(editingId, fence)
+      : await geofenceService.createGeofence(fence);
+    
+    setIsSaving(false);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    setFences(editingId
+      ? fences.map(item => item.id === editingId ? result.data : item)
+      : [...fences, result.data]);
+    closeForm();
+  };
+  
+  const handleToggleActive = async (fence) => {
+    const result = await geofenceService.updateGeofence(fence.id, { is_active: !fence.is_active });
+    
+    if (!result.success) {
+      setError('Failed to update the geofence.');
+      return;
+    }
+    
+    setFences(fences.map(item => item.id === fence.id ? result.data : item));
+  };
+  
+  const handleDelete = async (fence) => {
+    if (!window.confirm(`Delete the geofence "${fence.name}"?`)) {
+      return;
+    }
+    
+    const result = await geofenceService.deleteGeofence(fence.id);
+    
+    if (!result.success) {
+      setError('Failed to delete the geofence.');
+      return;
+    }
+    
+    setFences(fences.filter(item => item.id !== fence.id));
+    if (editingId === fence.id) {
+      closeForm();
+    }
+  };
+  
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">Geofences</h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Areas drivers must punch in and out from. A vehicle with its own fences is only checked against those;
+            other vehicles are checked against the depot-wide fences.
+          </p>
+        </div>
+        <button
+          onClick={() => (showForm ? closeForm() : setShowForm(true))}
+          className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors inline-flex items-center shrink-0"
+        >
+          <i className={`${showForm ? 'ri-close-line' : 'ri-add-line'} mr-1`}></i>
+          {showForm ? 'Cancel' : 'Add Geofence'}
+        </button>
+      </div>
+      
+      {error && (
+        <div className="mb-6 bg-red-50 border-l-4 border-red-500 text-red-700 p-3 rounded text-sm">
+          {error}
+        </div>
+      )}
+      
+      {showForm && (
+        <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 mb-6">
+          <h2 className="font-semibold text-gray-800 mb-4">{editingId ? 'Edit Geofence' : 'New Geofence'}</h2>
+          
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label htmlFor="fenceName" className="block text-sm font-medium text-gray-700 mb-1">
+                Name
+              </label>
+              <input
+                type="text"
+                id="fenceName"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder="e.g., North yard"
+                required
+              />
+            </div>
+            
+            <div>
+              <label htmlFor="fenceVehicle" className="block text-sm font-medium text-gray-700 mb-1">
+                Applies to
+              </label>
+              <select
+                id="fenceVehicle"
+                value={form.vehicle_id}
+                onChange={(e) => updateForm({ vehicle_id: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="">Whole depot</option>
+                {vehicleList.map(vehicle => (
+                  <option key={vehicle.id} value={vehicle.id}>
+                    {vehicle.vehicle_number} ({vehicle.make} {vehicle.model})
+                  </option>
+                ))}
+              </select>
+            </div>
+            
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Shape</span>
+              <div className="flex gap-4">
+                {[['circle', 'Circle'], ['polygon', 'Polygon']].map(([value, label]) => (
+                  <label key={value} className="inline-flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="fenceShape"
+                      checked={form.shape === value}
+                      onChange={() => updateForm({ shape: value })}
+                      className="mr-2 text-primary focus:ring-primary"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+            
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">Punches outside the fence</span>
+              <div className="flex gap-4">
+                {[['flag', 'Allow and flag'], ['block', 'Block']].map(([value, label]) => (
+                  <label key={value} className="inline-flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="fenceEnforcement"
+                      checked={form.enforcement === value}
+                      onChange={() => updateForm({ enforcement: value })}
+                      className="mr-2 text-primary focus:ring-primary"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+          
+          {form.shape === 'circle' ? (
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4 items-end">
+              <div>
+                <label htmlFor="fenceLat" className="block text-sm font-medium text-gray-700 mb-1">
+                  Center latitude
+                </label>
+                <input
+                  type="number"
+                  id="fenceLat"
+                  step="any"
+                  value={form.center_lat}
+                  onChange={(e) => updateForm({ center_lat: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="fenceLng" className="block text-sm font-medium text-gray-700 mb-1">
+                  Center longitude
+                </label>
+                <input
+                  type="number"
+                  id="fenceLng"
+                  step="any"
+                  value={form.center_lng}
+                  onChange={(e) => updateForm({ center_lng: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                  required
+                />
+              </div>
+              <div>
+                <label htmlFor="fenceRadius" className="block text-sm font-medium text-gray-700 mb-1">
+                  Radius (m)
+                </label>
+                <input
+                  type="number"
+                  id="fenceRadius"
+                  min="1"
+                  value={form.radius_m}
+                  onChange={(e) => updateForm({ radius_m: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+                  required
+                />
+              </div>
+              <button
+                type="button"
+                onClick={handleUseMyLocation}
+                disabled={isLocating}
+                className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-3 py-2 rounded-md text-sm transition-colors disabled:opacity-50"
+              >
+                <i className="ri-focus-3-line mr-1"></i>
+                {isLocating ? 'Locating...' : 'Use my location'}
+              </button>
+            </div>
+          ) : (
+            <div className="mb-4">
+              <label htmlFor="fencePoints" className="block text-sm font-medium text-gray-700 mb-1">
+                Corners (one "latitude, longitude" per line, at least 3)
+              </label>
+              <textarea
+                id="fencePoints"
+                rows="5"
+                value={form.pointsText}
+                onChange={(e) => updateForm({ pointsText: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                placeholder={'51.50721, -0.12758\n51.50735, -0.12601\n51.50642, -0.12590'}
+                required
+              />
+            </div>
+          )}
+          
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-primary hover:bg-primary/90 text-white py-2 px-4 rounded-md font-medium transition-colors disabled:opacity-50"
+          >
+            {isSaving ? 'Saving...' : editingId ? 'Save Changes' : 'Add Geofence'}
+          </button>
+        </form>
+      )}
+      
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-4 border-primary border-r-4 border-r-transparent"></div>
+          </div>
+        ) : fences.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">
+            No geofences yet. Drivers can punch in and out from anywhere; their location is still recorded.
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {fences.map(fence => (
+              <li key={fence.id} className="px-6 py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                <div className="min-w-0">
+                  <div className="flex items-center flex-wrap gap-2">
+                    <span className="font-medium text-gray-900">{fence.name}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${
+                      fence.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                    }`}>
+                      {fence.is_active ? 'Active' : 'Paused'}
+                    </span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full font-medium ${
+                      fence.enforcement === 'block' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                    }`}>
+                      {fence.enforcement === 'block' ? 'Blocks punches outside' : 'Flags punches outside'}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-500 mt-1">
+                    {fence.vehicles ? `Vehicle ${fence.vehicles.vehicle_number}` : 'Whole depot'}
+                    {' · '}
+                    {fence.shape === 'circle' ? (
+                      <a
+                        href={getMapUrl({ lat: fence.center_lat, lng: fence.center_lng })}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        {fence.radius_m} m around {formatCoordinates({ lat: fence.center_lat, lng: fence.center_lng })}
+                      </a>
+                    ) : (
+                      `Polygon with ${fence.points.length} corners`
+                    )}
+                  </div>
+                </div>
+                
+                <div className="flex flex-wrap gap-2 md:justify-end shrink-0">
+                  <button
+                    onClick={() => handleEdit(fence)}
+                    className="text-primary hover:text-primary/80 bg-primary/10 hover:bg-primary/20 px-3 py-1 rounded-full text-sm transition-colors"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(fence)}
+                    className="text-gray-700 bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-full text-sm transition-colors"
+                  >
+                    {fence.is_active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(fence)}
+                    className="text-red-600 hover:text-red-900 bg-red-50 hover:bg-red-100 px-3 py-1 rounded-full text-sm transition-colors"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Geofences;
@@ -1,9 +1,22 @@
 import { useState, useEffect } from 'react';
-import { supabase, storage } from '../../services/supabase';
+import { supabase, fromDepot, inspections } from '../../services/supabase';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
+import AnnotatedImage from '../../components/common/AnnotatedImage';
+import RouteReplay from '../../components/admin/RouteReplay';
+import ChecklistSummary from '../../components/admin/ChecklistSummary';
+import DamageComparison from '../../components/admin/DamageComparison';
 import jsPDF from 'jspdf';
-import 'jspdf-autotable';
+import {
+  loadPdfImages,
+  drawPhotoPages,
+  drawComparisonPages,
+  drawPdfHeader,
+  drawDetailSection,
+  addPdfFooters
+} from '../../utils/pdfUtils';
+import { formatDistance, getTripDistance, groupMileage, summarizeMileage } from '../../utils/readingUtils';
+import { formatCoordinates, getMapUrl } from '../../utils/locationUtils';
 
 const Logs = () => {
   const [isLoading, setIsLoading] = useState(true);
@@ -14,6 +27,7 @@ const Logs = () => {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isPdfGenerating, setIsPdfGenerating] = useState(false);
   const [currentTime, setCurrentTime] = useState(new Date());
+  const [mileage, setMileage] = useState(null);
   
   // Filters
   const [dateFilter, setDateFilter] = useState('all');
@@ -41,54 +55,88 @@ const Logs = () => {
       setError(null);
       
       try {
-        let query = supabase
-          .from('time_logs')
+        // Apply date filter
+        const applyDateFilter = (query) => {
+          if (dateFilter === 'today') {
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+            query = query.gte('punch_in', today.toISOString());
+          } else if (dateFilter === 'week') {
+            const weekAgo = new Date();
+            weekAgo.setDate(weekAgo.getDate() - 7);
+            query = query.gte('punch_in', weekAgo.toISOString());
+          } else if (dateFilter === 'month') {
+            const monthAgo = new Date();
+            monthAgo.setMonth(monthAgo.getMonth() - 1);
+            query = query.gte('punch_in', monthAgo.toISOString());
+          } else if (dateFilter === 'custom' && startDate && endDate) {
+            const start = new Date(startDate);
+            start.setHours(0, 0, 0, 0);
+            
+            const end = new Date(endDate);
+            end.setHours(23, 59, 59, 999);
+            
+            query = query
+              .gte('punch_in', start.toISOString())
+              .lte('punch_in', end.toISOString());
+          }
+          
+          return query;
+        };
+        
+        const query = applyDateFilter(fromDepot('time_logs')
           .select(`
             id,
+            driver_id,
+            vehicle_id,
             punch_in,
             punch_out,
             created_at,
+            start_odometer,
+            end_odometer,
+            start_fuel_level,
+            end_fuel_level,
+            start_dashboard_photo_url,
+            end_dashboard_photo_url,
+            reading_warnings,
+            start_location,
+            end_location,
+            start_inside_geofence,
+            end_inside_geofence,
             drivers:users!time_logs_driver_id_fkey(id, name, email),
             vehicles(id, vehicle_number, make, model)
           `, { count: 'exact' })
-          .order('punch_in', { ascending: false });
+          .order('punch_in', { ascending: false }));
         
-        // Apply date filter
-        if (dateFilter === 'today') {
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          query = query.gte('punch_in', today.toISOString());
-        } else if (dateFilter === 'week') {
-          const weekAgo = new Date();
-          weekAgo.setDate(weekAgo.getDate() - 7);
-          query = query.gte('punch_in', weekAgo.toISOString());
-        } else if (dateFilter === 'month') {
-          const monthAgo = new Date();
-          monthAgo.setMonth(monthAgo.getMonth() - 1);
-          query = query.gte('punch_in', monthAgo.toISOString());
-        } else if (dateFilter === 'custom' && startDate && endDate) {
-          const start = new Date(startDate);
-          start.setHours(0, 0, 0, 0);
-          
-          const end = new Date(endDate);
-          end.setHours(23, 59, 59, 999);
-          
-          query = query
-            .gte('punch_in', start.toISOString())
-            .lte('punch_in', end.toISOString());
-        }
+        // Mileage totals cover the whole period, not just the current page
+        const mileageQuery = applyDateFilter(fromDepot('time_logs')
+          .select(`
+            start_odometer,
+            end_odometer,
+            drivers:users!time_logs_driver_id_fkey(name),
+            vehicles(vehicle_number)
+          `)
+          .not('end_odometer', 'is', null));
         
         // Calculate pagination
         const from = (currentPage - 1) * logsPerPage;
         const to = from + logsPerPage - 1;
         
         // Execute query with pagination
-        const { data, error, count } = await query
-          .range(from, to);
+        const [{ data, error, count }, { data: mileageLogs, error: mileageError }] = await Promise.all([
+          query.range(from, to),
+          mileageQuery
+        ]);
         
         if (error) throw error;
+        if (mileageError) throw mileageError;
         
         setLogs(data || []);
+        setMileage({
+          total: summarizeMileage(mileageLogs),
+          byDriver: groupMileage(mileageLogs, log => log.drivers?.name || 'Unknown Driver'),
+          byVehicle: groupMileage(mileageLogs, log => log.vehicles?.vehicle_number || 'Unknown Vehicle')
+        });
         setTotalPages(Math.ceil((count || 0) / logsPerPage));
       } catch (err) {
         console.error('Error fetching logs:', err);
@@ -101,6 +149,24 @@ const Logs = () => {
     fetchLogs();
   }, [dateFilter, startDate, endDate, currentPage]);
 
+  // Find a log's pre- or post-shift inspection and list its images in capture order
+  const fetchInspectionImages = async (log, inspectionType) => {
+    const { data: inspection, error: inspectionError } = await inspections.getForTimeLog(log.id, inspectionType);
+    
+    if (inspectionError) throw inspectionError;
+    if (!inspection) return [];
+    
+    const { data: images, error: imagesError } = await inspections.listImages(inspection.images_folder, inspection.image_labels, inspection.image_annotations);
+    
+    if (imagesError) throw imagesError;
+    
+    return images.map(image => ({
+      ...image,
+      capturedAt: image.capturedAt || inspection.timestamp,
+      location: inspection.image_locations?.[image.index] || null
+    }));
+  };
+
   // Generate PDF for a time log
   const generatePdf = async (log, type = 'punch-in') => {
     if (!log) return;
@@ -110,82 +176,45 @@ const Logs = () => {
     try {
       // Create new PDF document
       const doc = new jsPDF();
-      const pageWidth = doc.internal.pageSize.getWidth();
       
       // Set title and header
-      const title = type === 'punch-in' 
-        ? `Punch-In Report: ${new Date(log.punch_in).toLocaleString()}`
-        : `Punch-Out Report: ${new Date(log.punch_out).toLocaleString()}`;
+      const title = type === 'punch-in' ? 'Punch-In Report' : 'Punch-Out Report';
+      const reportTime = type === 'punch-in' ? log.punch_in : log.punch_out;
       
-      doc.setFontSize(18);
-      doc.text(title, pageWidth / 2, 15, { align: 'center' });
+      let y = drawPdfHeader(doc, title, new Date(reportTime).toLocaleString());
       
       // Add driver and vehicle info
-      doc.setFontSize(12);
-      doc.text(`Driver: ${log.drivers?.name || 'Unknown Driver'}`, 20, 30);
-      doc.text(`Email: ${log.drivers?.email || 'Unknown'}`, 20, 38);
-      doc.text(`Vehicle: ${log.vehicles?.vehicle_number || 'Unknown'} - ${log.vehicles ? `${log.vehicles.make} ${log.vehicles.model}` : ''}`, 20, 46);
+      y = drawDetailSection(doc, 'Driver & Vehicle', [
+        ['Driver', log.drivers?.name || 'Unknown Driver'],
+        ['Email', log.drivers?.email || 'Unknown'],
+        ['Vehicle', `${log.vehicles?.vehicle_number || 'Unknown'}${log.vehicles ? ` - ${log.vehicles.make} ${log.vehicles.model}` : ''}`]
+      ], y);
       
       // Add time information
-      doc.text(`Punch In: ${new Date(log.punch_in).toLocaleString()}`, 20, 60);
-      
-      if (log.punch_out) {
-        doc.text(`Punch Out: ${new Date(log.punch_out).toLocaleString()}`, 20, 68);
-        
-        // Calculate duration
-        const punchIn = new Date(log.punch_in);
-        const punchOut = new Date(log.punch_out);
-        const durationMs = punchOut - punchIn;
-        const hours = Math.floor(durationMs / 3600000);
-        const minutes = Math.floor((durationMs % 3600000) / 60000);
-        const seconds = Math.floor((durationMs % 60000) / 1000);
-        
-        doc.text(`Duration: ${hours}h ${minutes}m ${seconds}s`, 20, 76);
-      } else {
-        doc.text(`Status: In Progress`, 20, 68);
-      }
+      drawDetailSection(doc, 'Shift', [
+        ['Punch In', new Date(log.punch_in).toLocaleString()],
+        ['Punch Out', log.punch_out ? new Date(log.punch_out).toLocaleString() : 'In Progress'],
+        ['Duration', calculateDuration(log.punch_in, log.punch_out)]
+      ], y);
       
       // Try to fetch and add images
       try {
-        // Get folder name based on type
-        const folderPrefix = type === 'punch-in' ? 'PunchIn' : 'PunchOut';
-        const folderPath = `${folderPrefix}-${log.vehicle_id}`;
+        const preImages = await fetchInspectionImages(log, 'pre');
+        const postImages = log.punch_out ? await fetchInspectionImages(log, 'post') : [];
         
-        // List files in the folder
-        const { data: files } = await storage.listFiles('vehicle_images', folderPath);
+        const [prePhotos, postPhotos] = await Promise.all([
+          loadPdfImages(preImages),
+          loadPdfImages(type === 'punch-out' ? postImages : [])
+        ]);
         
-        if (files && files.length > 0) {
-          doc.addPage();
-          doc.text('Vehicle Inspection Images', pageWidth / 2, 15, { align: 'center' });
-          
-          // Add images to PDF (max 6 images to keep file size manageable)
-          const imagesToInclude = files.slice(0, 6);
-          let yPosition = 30;
+        if (type === 'punch-in') {
+          drawPhotoPages(doc, prePhotos, 'Pre-Shift Inspection Photos');
+        } else {
+          drawPhotoPages(doc, postPhotos, 'Post-Shift Inspection Photos');
           
-          for (let i = 0; i < imagesToInclude.length; i++) {
-            const file = imagesToInclude[i];
-            const publicUrl = storage.getPublicUrl('vehicle_images', `${folderPath}/${file.name}`);
-            
-            try {
-              // Only add image if we have enough space on the page
-              if (yPosition > 240) {
-                doc.addPage();
-                yPosition = 30;
-              }
-              
-              doc.text(`Image ${i+1}`, 20, yPosition);
-              
-              // Use a placeholder instead of actual image to keep things simple and fast
-              doc.setDrawColor(200);
-              doc.setFillColor(240);
-              doc.rect(20, yPosition + 5, 170, 80, 'FD');
-              doc.setFontSize(10);
-              doc.text(`Vehicle image (${file.name})`, 105, yPosition + 45, { align: 'center' });
-              
-              yPosition += 90;
-            } catch (imgErr) {
-              console.error('Error adding image to PDF:', imgErr);
-            }
+          // Side-by-side comparison is only meaningful when both sets exist
+          if (prePhotos.length > 0 && postPhotos.length > 0) {
+            drawComparisonPages(doc, prePhotos, postPhotos);
           }
         }
       } catch (filesErr) {
@@ -193,10 +222,8 @@ const Logs = () => {
         // Continue without images if there's an error
       }
       
-      // Add timestamp and footer
-      const timestamp = new Date().toLocaleString();
-      doc.setFontSize(10);
-      doc.text(`Generated on: ${timestamp}`, 20, doc.internal.pageSize.getHeight() - 10);
+      // Add timestamp and page numbers to every page
+      addPdfFooters(doc, `Generated on: ${new Date().toLocaleString()}`);
       
       // Save the PDF
       doc.save(`${type === 'punch-in' ? 'PunchIn' : 'PunchOut'}_${log.id}.pdf`);
@@ -214,15 +241,11 @@ const Logs = () => {
     setSelectedLog(log);
     
     try {
-      // Get both pre and post inspection images
-      const preFolder = `PunchIn-${log.vehicle_id}`;
-      const postFolder = `PunchOut-${log.vehicle_id}`;
-      
-      // Fetch inspection records
-      const { data: inspections, error: inspError } = await supabase
+      // Fetch the inspections linked to this time log
+      const { data: logInspections, error: inspError } = await supabase
         .from('vehicle_inspections')
         .select('*')
-        .or(`vehicle_id.eq.${log.vehicle_id},time_log_id.eq.${log.id}`);
+        .eq('time_log_id', log.id);
       
       if (inspError) throw inspError;
       
@@ -230,28 +253,13 @@ const Logs = () => {
       let images = [];
       
       try {
-        // Pre images
-        const { data: preFiles } = await storage.listFiles('vehicle_images', preFolder);
-        if (preFiles && preFiles.length > 0) {
-          const preImages = preFiles.map(file => ({
-            name: file.name,
-            type: 'pre',
-            url: storage.getPublicUrl('vehicle_images', `${preFolder}/${file.name}`)
-          }));
-          images = [...images, ...preImages];
-        }
+        const preImages = await fetchInspectionImages(log, 'pre');
+        images = preImages.map(image => ({ ...image, type: 'pre' }));
         
         // Post images if log is completed
         if (log.punch_out) {
-          const { data: postFiles } = await storage.listFiles('vehicle_images', postFolder);
-          if (postFiles && postFiles.length > 0) {
-            const postImages = postFiles.map(file => ({
-              name: file.name,
-              type: 'post',
-              url: storage.getPublicUrl('vehicle_images', `${postFolder}/${file.name}`)
-            }));
-            images = [...images, ...postImages];
-          }
+          const postImages = await fetchInspectionImages(log, 'post');
+          images = [...images, ...postImages.map(image => ({ ...image, type: 'post' }))];
         }
       } catch (imgErr) {
         console.log('Could not fetch images (this is normal if none exist):', imgErr);
@@ -260,7 +268,7 @@ const Logs = () => {
       // Update selected log with inspection data
       setSelectedLog({
         ...log,
-        inspections: inspections || [],
+        inspections: logInspections || [],
         inspection_images: images
       });
       
@@ -455,6 +463,39 @@ const Logs = () => {
         )}
       </div>
       
+      {/* Mileage */}
+      {mileage && mileage.total.measuredTrips > 0 && (
+        <div className="bg-white rounded-lg shadow p-4 mb-6">
+          <div className="flex flex-wrap items-baseline justify-between mb-3">
+            <h2 className="font-medium text-gray-700">Mileage</h2>
+            <p className="text-sm text-gray-500">
+              {formatDistance(mileage.total.totalDistance)} over {mileage.total.measuredTrips} trips
+              ({formatDistance(mileage.total.averageTripDistance)} per trip)
+            </p>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {[['By Driver', mileage.byDriver], ['By Vehicle', mileage.byVehicle]].map(([heading, groups]) => (
+              <div key={heading}>
+                <h3 className="text-sm font-medium text-gray-500 mb-2">{heading}</h3>
+                <ul className="divide-y divide-gray-100 text-sm">
+                  {Object.entries(groups)
+                    .sort(([, a], [, b]) => b.totalDistance - a.totalDistance)
+                    .map(([name, summary]) => (
+                      <li key={name} className="flex justify-between py-1">
+                        <span className="text-gray-900">{name}</span>
+                        <span className="text-gray-600">
+                          {formatDistance(summary.totalDistance)}
+                          <span className="text-xs text-gray-400 ml-2">{summary.measuredTrips} trips</span>
+                        </span>
+                      </li>
+                    ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
@@ -475,6 +516,9 @@ const Logs = () => {
                 <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Duration
                 </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Distance
+                </th>
                 <th scope="col" className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Actions
                 </th>
@@ -483,7 +527,7 @@ const Logs = () => {
             <tbody className="bg-white divide-y divide-gray-200">
               {filteredLogs.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                  <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
                     {searchTerm ? 'No logs match your search' : 'No time logs found for the selected period'}
                   </td>
                 </tr>
@@ -535,6 +579,17 @@ const Logs = () => {
                         {calculateDuration(log.punch_in, log.punch_out)}
                       </div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm text-gray-900">
+                        {formatDistance(getTripDistance(log)) || '-'}
+                      </div>
+                      {log.reading_warnings?.length > 0 && (
+                        <div className="text-xs text-yellow-700" title={log.reading_warnings.join('\n')}>
+                          <i className="ri-error-warning-line mr-1"></i>
+                          {log.reading_warnings.length === 1 ? '1 warning' : `${log.reading_warnings.length} warnings`}
+                        </div>
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <button
                         onClick={() => handleViewLog(log)}
@@ -676,6 +731,110 @@ const Logs = () => {
                     {calculateDuration(selectedLog.punch_in, selectedLog.punch_out)}
                   </p>
                 </div>
+                
+                <div>
+                  <h4 className="text-sm font-medium text-gray-500 mb-1">Distance</h4>
+                  <p className="text-base font-medium">
+                    {formatDistance(getTripDistance(selectedLog)) || 'Not recorded'}
+                  </p>
+                </div>
+              </div>
+              
+              {/* Punch locations */}
+              <div className="border-t pt-4 mb-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-3">Location</h4>
+                
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {[
+                    ['Punch In', selectedLog.start_location, selectedLog.start_inside_geofence],
+                    ['Punch Out', selectedLog.end_location, selectedLog.end_inside_geofence]
+                  ].map(([label, location, insideGeofence]) => (
+                    <div key={label}>
+                      <p className="text-sm font-medium text-gray-500">{label}</p>
+                      {location ? (
+                        <a
+                          href={getMapUrl(location)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-sm text-blue-600 hover:text-blue-900"
+                        >
+                          <i className="ri-map-pin-line mr-1"></i>
+                          {formatCoordinates(location)}
+                        </a>
+                      ) : (
+                        <p className="text-sm">Not recorded</p>
+                      )}
+                      {insideGeofence === true && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          Inside geofence
+                        </span>
+                      )}
+                      {insideGeofence === false && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          Outside geofence
+                        </span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+              
+              {/* Route replay from the shift's breadcrumbs */}
+              <div className="border-t pt-4 mb-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-3">Route</h4>
+                <RouteReplay timeLogId={selectedLog.id} />
+              </div>
+              
+              {/* Pre-trip checklist answers */}
+              <div className="border-t pt-4 mb-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-3">Pre-trip Checklist</h4>
+                <ChecklistSummary timeLogId={selectedLog.id} />
+              </div>
+              
+              {/* Odometer and fuel readings */}
+              <div className="border-t pt-4 mb-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-3">Readings</h4>
+                
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {[
+                    ['Punch In', selectedLog.start_odometer, selectedLog.start_fuel_level, selectedLog.start_dashboard_photo_url],
+                    ['Punch Out', selectedLog.end_odometer, selectedLog.end_fuel_level, selectedLog.end_dashboard_photo_url]
+                  ].map(([label, odometer, fuelLevel, photoUrl]) => (
+                    <div key={label} className="flex items-start">
+                      {photoUrl && (
+                        <a href={photoUrl} target="_blank" rel="noopener noreferrer" className="mr-3">
+                          <img src={photoUrl} alt={`Dashboard at ${label}`} className="h-16 w-24 object-cover rounded border" />
+                        </a>
+                      )}
+                      <div>
+                        <p className="text-sm font-medium text-gray-500">{label}</p>
+                        <p className="text-sm">
+                          Odometer: {odometer !== null && odometer !== undefined ? formatDistance(odometer) : 'Not recorded'}
+                        </p>
+                        <p className="text-sm">
+                          Fuel / charge: {fuelLevel !== null && fuelLevel !== undefined ? `${fuelLevel}%` : 'Not recorded'}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                
+                {selectedLog.reading_warnings?.length > 0 && (
+                  <ul className="mt-3 space-y-1">
+                    {selectedLog.reading_warnings.map(warning => (
+                      <li key={warning} className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-200 rounded px-3 py-2">
+                        <i className="ri-error-warning-line mr-1"></i>
+                        {warning}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              
+              {/* This shift's photos against the inspections before and after it */}
+              <div className="border-t pt-4 mb-6">
+                <h4 className="text-sm font-medium text-gray-700 mb-3">Damage Comparison</h4>
+                <DamageComparison vehicleId={selectedLog.vehicle_id} timeLogId={selectedLog.id} />
               </div>
               
               {/* Vehicle Images */}
@@ -686,13 +845,25 @@ const Logs = () => {
                   <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
                     {selectedLog.inspection_images.map((image, index) => (
                       <div key={index} className="relative border rounded-lg overflow-hidden">
-                        <img 
-                          src={image.url} 
-                          alt={`Inspection ${index + 1}`} 
-                          className="w-full h-32 object-cover"
+                        <AnnotatedImage
+                          src={image.url}
+                          alt={`Inspection ${index + 1}`}
+                          annotations={image.annotations}
+                          fit="cover"
+                          imageClassName="w-full h-32 object-cover"
                         />
-                        <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-50 text-white text-xs p-1">
-                          {image.type === 'pre' ? 'Before Task' : 'After Task'}
+                        <div className="absolute bottom-0 left-0 right-0 bg-black bg-opacity-50 text-white text-xs p-1 flex justify-between">
+                          <span>{image.type === 'pre' ? 'Before Task' : 'After Task'}</span>
+                          {image.location && (
+                            <a
+                              href={getMapUrl(image.location)}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              title={formatCoordinates(image.location)}
+                            >
+                              <i className="ri-map-pin-line"></i>
+                            </a>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '../../services/supabase';
+import { fromDepot } from '../../services/supabase';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
+import maintenanceService from '../../services/maintenanceService';
+import useAuthStore from '../../store/authStore';
+import { PERMISSIONS } from '../../utils/permissions';
 
 const Maintenance = () => {
   const [isLoading, setIsLoading] = useState(true);
@@ -11,6 +14,11 @@ const Maintenance = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [notes, setNotes] = useState([]);
+  const [noteText, setNoteText] = useState('');
+  const [isSavingNote, setIsSavingNote] = useState(false);
+  const { user, can } = useAuthStore();
+  const canUpdate = can(PERMISSIONS.MAINTENANCE_UPDATE);
   
   // Filters
   const [statusFilter, setStatusFilter] = useState('all');
@@ -23,8 +31,7 @@ const Maintenance = () => {
       
       try {
         // Build query
-        let query = supabase
-          .from('maintenance_requests')
+        let query = fromDepot('maintenance_requests')
           .select(`
             id,
             description,
@@ -64,26 +71,14 @@ const Maintenance = () => {
     setError(null);
     
     try {
-      const updates = {
-        status: newStatus,
-      };
+      const { success, data, error } = await maintenanceService.updateRequestStatus(requestId, newStatus);
       
-      // If marking as resolved, add timestamp
-      if (newStatus === 'resolved') {
-        updates.resolved_at = new Date().toISOString();
-      }
-      
-      const { error } = await supabase
-        .from('maintenance_requests')
-        .update(updates)
-        .eq('id', requestId);
-      
-      if (error) throw error;
+      if (!success) throw new Error(error);
       
       // Update local state
       setRequests(requests.map(req => 
         req.id === requestId 
-          ? { ...req, status: newStatus, resolved_at: newStatus === 'resolved' ? new Date().toISOString() : req.resolved_at } 
+          ? { ...req, status: data.status, resolved_at: data.resolved_at } 
           : req
       ));
       
@@ -105,9 +100,37 @@ const Maintenance = () => {
   };
 
   // View request details
-  const handleViewRequest = (request) => {
+  const handleViewRequest = async (request) => {
     setSelectedRequest(request);
     setIsModalOpen(true);
+    setNotes([]);
+    setNoteText('');
+    
+    const { success, data } = await maintenanceService.getRequestNotes(request.id);
+    if (success) {
+      setNotes(data);
+    }
+  };
+
+  // Add a note to the open request
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    
+    if (!noteText.trim()) return;
+    
+    setIsSavingNote(true);
+    setError(null);
+    
+    const { success, data, error } = await maintenanceService.addRequestNote(selectedRequest.id, user.id, noteText);
+    
+    if (success) {
+      setNotes([...notes, data]);
+      setNoteText('');
+    } else {
+      setError(error || 'Failed to add note. Please try again.');
+    }
+    
+    setIsSavingNote(false);
   };
 
   // Get status badge
@@ -345,7 +368,7 @@ const Maintenance = () => {
                         View
                       </button>
                       
-                      {request.status !== 'resolved' && (
+                      {canUpdate && request.status !== 'resolved' && (
                         <div className="inline-block relative group">
                           <button className="text-gray-600 hover:text-gray-900">
                             <i className="ri-more-2-fill"></i>
@@ -471,11 +494,50 @@ const Maintenance = () => {
                   </p>
                 </div>
               </div>
+              
+              <div>
+                <h4 className="text-sm font-medium text-gray-500 mb-2">Notes</h4>
+                {notes.length === 0 ? (
+                  <p className="text-sm text-gray-500 mb-3">No notes yet.</p>
+                ) : (
+                  <ul className="space-y-2 mb-3">
+                    {notes.map(note => (
+                      <li key={note.id} className="bg-gray-50 p-3 rounded border">
+                        <p className="text-sm text-gray-700 whitespace-pre-wrap">{note.note}</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {note.author?.name || note.author?.email || 'Unknown'} · {new Date(note.created_at).toLocaleString()}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                
+                {canUpdate && (
+                  <form onSubmit={handleAddNote}>
+                    <textarea
+                      value={noteText}
+                      onChange={(e) => setNoteText(e.target.value)}
+                      rows={3}
+                      placeholder="Add a note, e.g. parts ordered or work done"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-primary"
+                    />
+                    <div className="flex justify-end mt-2">
+                      <Button
+                        type="submit"
+                        variant="outline"
+                        disabled={isSavingNote || !noteText.trim()}
+                      >
+                        {isSavingNote ? 'Saving...' : 'Add Note'}
+                      </Button>
+                    </div>
+                  </form>
+                )}
+              </div>
             </div>
             
             <div className="px-6 py-4 border-t flex justify-between">
               <div>
-                {selectedRequest.status !== 'resolved' && (
+                {canUpdate && selectedRequest.status !== 'resolved' && (
                   <div className="flex space-x-2">
                     {selectedRequest.status === 'sorted' && (
                       <Button
@@ -0,0 +1,507 @@
+import { useState, useEffect } from 'react';
+import reservationService from '../../services/reservationService';
+import driverService from '../../services/driverService';
+import vehicleService from '../../services/vehicleService';
+import {
+  RESERVATION_KINDS,
+  RESERVATION_KIND_LABELS,
+  formatReservationWindow,
+  getReservationsForDay,
+  getWeekDays,
+  toReservationWindow
+} from '../../utils/reservationUtils';
+import Button from '../../components/common/Button';
+import Loading from '../../components/common/Loading';
+
+const EMPTY_FORM = { driverId: '', vehicleId: '', date: '', startTime: '', endTime: '', notes: '' };
+
+const KIND_STYLES = {
+  [RESERVATION_KINDS.SHIFT]: 'bg-blue-100 text-blue-800 hover:bg-blue-200',
+  [RESERVATION_KINDS.RESERVATION]: 'bg-amber-100 text-amber-800 hover:bg-amber-200'
+};
+
+// Date and time input values in local time
+const toDateInput = (date) => date.toLocaleDateString('en-CA');
+const toTimeInput = (date) => date.toTimeString().slice(0, 5);
+
+const Schedule = () => {
+  const [weekOf, setWeekOf] = useState(new Date());
+  const [reservations, setReservations] = useState([]);
+  const [drivers, setDrivers] = useState([]);
+  const [vehicleList, setVehicleList] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [holdMinutes, setHoldMinutes] = useState('');
+  const [isSavingHold, setIsSavingHold] = useState(false);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingReservation, setEditingReservation] = useState(null); // Booking being changed, null for a new shift
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const weekDays = getWeekDays(weekOf);
+  const weekStart = weekDays[0].getTime();
+  
+  // Drivers, vehicles and the depot's hold time
+  useEffect(() => {
+    const fetchOptions = async () => {
+      const [driverResult, vehicleResult, holdResult] = await Promise.all([
+        driverService.getAllDrivers(),
+        vehicleService.getAllVehicles(),
+        reservationService.getHoldMinutes()
+      ]);
+      
+      if (driverResult.success) setDrivers(driverResult.data);
+      if (vehicleResult.success) setVehicleList(vehicleResult.data);
+      if (holdResult.success) setHoldMinutes(String(holdResult.data));
+    };
+    
+    fetchOptions();
+  }, []);
+  
+  // Bookings of the week shown
+  useEffect(() => {
+    const fetchReservations = async () => {
+      setIsLoading(true);
+      setError(null);
+      
+      const from = new Date(weekStart);
+      const to = new Date(weekStart);
+      to.setDate(to.getDate() + 7);
+      
+      const result = await reservationService.getReservations({ from, to });
+      
+      if (result.success) {
+        setReservations(result.data);
+      } else {
+        setError('Failed to load the schedule. Please try again.');
+      }
+      
+      setIsLoading(false);
+    };
+    
+    fetchReservations();
+  }, [weekStart]);
+  
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+  
+  const moveWeek = (weeks) => {
+    const date = new Date(weekStart);
+    date.setDate(date.getDate() + weeks * 7);
+    setWeekOf(date);
+  };
+  
+  const openNewShift = (vehicleId = '', day = new Date()) => {
+    setEditingReservation(null);
+    setForm({ ...EMPTY_FORM, vehicleId, date: toDateInput(day) });
+    setFormError(null);
+    setIsFormOpen(true);
+  };
+  
+  const openReservation = (reservation) => {
+    const start = new Date(reservation.starts_at);
+    
+    setEditingReservation(reservation);
+    setForm({
+      driverId: reservation.driver_id,
+      vehicleId: reservation.vehicle_id,
+      date: toDateInput(start),
+      startTime: toTimeInput(start),
+      endTime: toTimeInput(new Date(reservation.ends_at)),
+      notes: reservation.notes || ''
+    });
+    setFormError(null);
+    setIsFormOpen(true);
+  };
+  
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingReservation(null);
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+    
+    const slot = toReservationWindow(form);
+    
+    if (!slot) {
+      setFormError('Please choose a date and the start and end times');
+      return;
+    }
+    
+    setIsSubmitting(true);
+    
+    const booking = {
+      driverId: form.driverId,
+      vehicleId: form.vehicleId,
+      notes: form.notes,
+      ...slot
+    };
+    const result = editingReservation
+      ? await reservationService.updateReservation(editingReservation.id, booking)
+      : await reservationService.scheduleShift(booking);
+    
+    setIsSubmitting(false);
+    
+    if (!result.success) {
+      setFormError(result.error);
+      return;
+    }
+    
+    setReservations([
+      ...reservations.filter(item => item.id !== result.data.id),
+      result.data
+    ]);
+    closeForm();
+    showSuccess(editingReservation ? 'Booking updated' : 'Shift scheduled');
+  };
+  
+  const handleCancelReservation = async () => {
+    if (!window.confirm(`Cancel this booking of ${editingReservation.vehicle?.vehicle_number} for ${editingReservation.driver?.name}?`)) return;
+    
+    setIsSubmitting(true);
+    const result = await reservationService.cancelReservation(editingReservation.id);
+    setIsSubmitting(false);
+    
+    if (!result.success) {
+      setFormError(result.error);
+      return;
+    }
+    
+    setReservations(reservations.filter(item => item.id !== editingReservation.id));
+    closeForm();
+    showSuccess('Booking cancelled');
+  };
+  
+  const handleSaveHold = async () => {
+    setError(null);
+    setIsSavingHold(true);
+    
+    const result = await reservationService.setHoldMinutes(holdMinutes);
+    
+    setIsSavingHold(false);
+    
+    if (result.success) {
+      showSuccess('Hold time saved');
+    } else {
+      setError(result.error);
+    }
+  };
+  
+  const weekEnd = weekDays[6];
+  const weekLabel = `${weekDays[0].toLocaleDateString([], { day: 'numeric', month: 'short' })} - ${weekEnd.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}`;
+  const today = new Date().toDateString();
+  
+  return (
+    <div>
+      <div className="flex flex-col md:flex-row md:items-center justify-between mb-6">
+        <h1 className="text-2xl font-bold mb-4 md:mb-0">Schedule</h1>
+        
+        <div className="flex flex-wrap items-center gap-3">
+          <Button variant="outline" onClick={() => moveWeek(-1)} icon={<i className="ri-arrow-left-s-line"></i>}>
+            Previous
+          </Button>
+          <Button variant="outline" onClick={() => setWeekOf(new Date())}>
+            This Week
+          </Button>
+          <Button variant="outline" onClick={() => moveWeek(1)} icon={<i className="ri-arrow-right-s-line"></i>}>
+            Next
+          </Button>
+          <Button variant="primary" onClick={() => openNewShift()} icon={<i className="ri-add-line"></i>}>
+            Schedule Shift
+          </Button>
+        </div>
+      </div>
+      
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6">
+          <span className="block sm:inline">{error}</span>
+        </div>
+      )}
+      
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-6">
+          <span className="block sm:inline">{success}</span>
+        </div>
+      )}
+      
+      {/* Hold Time */}
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-col md:flex-row md:items-end gap-4">
+        <div className="flex-1">
+          <label htmlFor="holdMinutes" className="block text-sm font-medium text-gray-700 mb-1">
+            Hold vehicles for their booked driver (minutes before the start)
+          </label>
+          <input
+            type="number"
+            id="holdMinutes"
+            min="0"
+            step="1"
+            value={holdMinutes}
+            onChange={(e) => setHoldMinutes(e.target.value)}
+            className="input md:w-40"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            From then until the booking ends, other drivers can&apos;t pick the vehicle.
+          </p>
+        </div>
+        <Button variant="outline" onClick={handleSaveHold} isLoading={isSavingHold}>
+          Save Hold Time
+        </Button>
+      </div>
+      
+      {/* Week Calendar */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b flex flex-wrap items-center justify-between gap-3">
+          <h2 className="text-lg font-medium">{weekLabel}</h2>
+          <div className="flex items-center gap-4 text-xs">
+            {Object.values(RESERVATION_KINDS).map((kind) => (
+              <span key={kind} className={`px-2 py-1 rounded ${KIND_STYLES[kind]}`}>
+                {RESERVATION_KIND_LABELS[kind]}
+              </span>
+            ))}
+          </div>
+        </div>
+        
+        {isLoading ? (
+          <div className="p-6">
+            <Loading withText />
+          </div>
+        ) : vehicleList.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">No vehicles to schedule.</div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 table-fixed">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-36">
+                    Vehicle
+                  </th>
+                  {weekDays.map((day) => (
+                    <th
+                      key={day.getTime()}
+                      className={`px-2 py-3 text-left text-xs font-medium uppercase tracking-wider min-w-[8rem] ${
+                        day.toDateString() === today ? 'text-primary' : 'text-gray-500'
+                      }`}
+                    >
+                      {day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {vehicleList.map((vehicle) => {
+                  const vehicleReservations = reservations.filter(reservation => reservation.vehicle_id === vehicle.id);
+                  
+                  return (
+                    <tr key={vehicle.id}>
+                      <td className="px-4 py-3 align-top">
+                        <div className="font-medium text-gray-900">{vehicle.vehicle_number}</div>
+                        <div className="text-xs text-gray-500">{vehicle.make} {vehicle.model}</div>
+                      </td>
+                      {weekDays.map((day) => (
+                        <td key={day.getTime()} className="px-2 py-2 align-top group">
+                          <div className="space-y-1">
+                            {getReservationsForDay(vehicleReservations, day).map((reservation) => (
+                              <button
+                                key={reservation.id}
+                                onClick={() => openReservation(reservation)}
+                                className={`block w-full text-left text-xs px-2 py-1 rounded ${KIND_STYLES[reservation.kind]}`}
+                                title={`${formatReservationWindow(reservation)}${reservation.notes ? ` · ${reservation.notes}` : ''}`}
+                              >
+                                <span className="block font-medium truncate">{reservation.driver?.name}</span>
+                                <span className="block">
+                                  {toTimeInput(new Date(reservation.starts_at))} - {toTimeInput(new Date(reservation.ends_at))}
+                                </span>
+                              </button>
+                            ))}
+                            <button
+                              onClick={() => openNewShift(vehicle.id, day)}
+                              className="w-full text-xs text-gray-400 hover:text-primary opacity-0 group-hover:opacity-100 transition-opacity"
+                              aria-label={`Schedule ${vehicle.vehicle_number} on ${day.toLocaleDateString()}`}
+                            >
+                              <i className="ri-add-line"></i>
+                            </button>
+                          </div>
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+      
+      {/* Shift Modal */}
+      {isFormOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-md">
+            <div className="flex justify-between items-center px-6 py-4 border-b">
+              <h3 className="text-lg font-medium text-gray-900">
+                {editingReservation ? RESERVATION_KIND_LABELS[editingReservation.kind] : 'Schedule Shift'}
+              </h3>
+              <button
+                onClick={closeForm}
+                className="text-gray-400 hover:text-gray-500"
+              >
+                <i className="ri-close-line text-2xl"></i>
+              </button>
+            </div>
+            
+            <form onSubmit={handleSubmit}>
+              <div className="px-6 py-4">
+                {formError && (
+                  <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+                    <span className="block sm:inline">{formError}</span>
+                  </div>
+                )}
+                
+                {editingReservation?.time_log_id && (
+                  <div className="bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded mb-4 text-sm">
+                    The driver has already punched in for this booking.
+                  </div>
+                )}
+                
+                <div className="mb-4">
+                  <label htmlFor="shiftDriver" className="block text-sm font-medium text-gray-700 mb-1">
+                    Driver
+                  </label>
+                  <select
+                    id="shiftDriver"
+                    value={form.driverId}
+                    onChange={(e) => setForm({ ...form, driverId: e.target.value })}
+                    className="input"
+                    required
+                  >
+                    <option value="">Select a driver</option>
+                    {drivers.map((driver) => (
+                      <option key={driver.id} value={driver.id}>
+                        {driver.name} ({driver.email})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                
+                <div className="mb-4">
+                  <label htmlFor="shiftVehicle" className="block text-sm font-medium text-gray-700 mb-1">
+                    Vehicle
+                  </label>
+                  <select
+                    id="shiftVehicle"
+                    value={form.vehicleId}
+                    onChange={(e) => setForm({ ...form, vehicleId: e.target.value })}
+                    className="input"
+                    required
+                  >
+                    <option value="">Select a vehicle</option>
+                    {vehicleList.map((vehicle) => (
+                      <option key={vehicle.id} value={vehicle.id}>
+                        {vehicle.vehicle_number} - {vehicle.make} {vehicle.model}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                
+                <div className="mb-4">
+                  <label htmlFor="shiftDate" className="block text-sm font-medium text-gray-700 mb-1">
+                    Date
+                  </label>
+                  <input
+                    type="date"
+                    id="shiftDate"
+                    value={form.date}
+                    onChange={(e) => setForm({ ...form, date: e.target.value })}
+                    className="input"
+                    required
+                  />
+                </div>
+                
+                <div className="grid grid-cols-2 gap-4 mb-1">
+                  <div>
+                    <label htmlFor="shiftStart" className="block text-sm font-medium text-gray-700 mb-1">
+                      From
+                    </label>
+                    <input
+                      type="time"
+                      id="shiftStart"
+                      value={form.startTime}
+                      onChange={(e) => setForm({ ...form, startTime: e.target.value })}
+                      className="input"
+                      required
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="shiftEnd" className="block text-sm font-medium text-gray-700 mb-1">
+                      To
+                    </label>
+                    <input
+                      type="time"
+                      id="shiftEnd"
+                      value={form.endTime}
+                      onChange={(e) => setForm({ ...form, endTime: e.target.value })}
+                      className="input"
+                      required
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mb-4">An end time before the start time runs into the next day.</p>
+                
+                <div className="mb-4">
+                  <label htmlFor="shiftNotes" className="block text-sm font-medium text-gray-700 mb-1">
+                    Notes
+                  </label>
+                  <textarea
+                    id="shiftNotes"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    className="input"
+                    rows={2}
+                  />
+                </div>
+              </div>
+              
+              <div className="px-6 py-4 border-t flex justify-between gap-3">
+                <div>
+                  {editingReservation && (
+                    <Button
+                      variant="danger"
+                      type="button"
+                      onClick={handleCancelReservation}
+                      disabled={isSubmitting}
+                    >
+                      Cancel Booking
+                    </Button>
+                  )}
+                </div>
+                <div className="flex space-x-3">
+                  <Button
+                    variant="outline"
+                    type="button"
+                    onClick={closeForm}
+                  >
+                    Close
+                  </Button>
+                  <Button
+                    variant="primary"
+                    type="submit"
+                    isLoading={isSubmitting}
+                  >
+                    {editingReservation ? 'Save Changes' : 'Schedule Shift'}
+                  </Button>
+                </div>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Schedule;
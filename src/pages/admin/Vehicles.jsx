@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
-import { supabase } from '../../services/supabase';
+import { fromDepot } from '../../services/supabase';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
+import DamageComparison from '../../components/admin/DamageComparison';
 
 const Vehicles = () => {
   const [isLoading, setIsLoading] = useState(true);
@@ -24,6 +25,7 @@ const Vehicles = () => {
   const [status, setStatus] = useState('available');
   const [assignedDriverId, setAssignedDriverId] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [damageVehicle, setDamageVehicle] = useState(null); // Vehicle whose inspections are being compared
 
   // Fetch vehicles and drivers
   useEffect(() => {
@@ -33,8 +35,7 @@ const Vehicles = () => {
       
       try {
         // Fetch all vehicles
-        const { data: vehiclesData, error: vehiclesError } = await supabase
-          .from('vehicles')
+        const { data: vehiclesData, error: vehiclesError } = await fromDepot('vehicles')
           .select(`
             id,
             vehicle_number,
@@ -52,8 +53,7 @@ const Vehicles = () => {
         setVehicles(vehiclesData || []);
         
         // Fetch all drivers
-        const { data: driversData, error: driversError } = await supabase
-          .from('users')
+        const { data: driversData, error: driversError } = await fromDepot('users')
           .select('id, name, email')
           .eq('role', 'driver')
           .order('name', { ascending: true });
@@ -86,8 +86,7 @@ const Vehicles = () => {
     
     try {
       // Create new vehicle
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .insert([{
           vehicle_number: vehicleNumber,
           make,
@@ -112,8 +111,7 @@ const Vehicles = () => {
       setTimeout(() => setSuccess(null), 3000);
       
       // Refresh vehicle list
-      const { data: updatedVehicles } = await supabase
-        .from('vehicles')
+      const { data: updatedVehicles } = await fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -151,8 +149,7 @@ const Vehicles = () => {
     
     try {
       // Update vehicle
-      const { error } = await supabase
-        .from('vehicles')
+      const { error } = await fromDepot('vehicles')
         .update({
           vehicle_number: vehicleNumber,
           make,
@@ -178,8 +175,7 @@ const Vehicles = () => {
       setTimeout(() => setSuccess(null), 3000);
       
       // Refresh vehicle list
-      const { data: updatedVehicles } = await supabase
-        .from('vehicles')
+      const { data: updatedVehicles } = await fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -212,8 +208,7 @@ const Vehicles = () => {
     
     try {
       // Delete vehicle
-      const { error } = await supabase
-        .from('vehicles')
+      const { error } = await fromDepot('vehicles')
         .delete()
         .eq('id', vehicleId);
       
@@ -433,6 +428,12 @@ const Vehicles = () => {
                       {getStatusBadge(vehicle.status)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <button
+                        onClick={() => setDamageVehicle(vehicle)}
+                        className="text-gray-600 hover:text-gray-900 mr-4"
+                      >
+                        Damage
+                      </button>
                       <button
                         onClick={() => openEditModal(vehicle)}
                         className="text-blue-600 hover:text-blue-900 mr-4"
@@ -701,6 +702,29 @@ const Vehicles = () => {
           </div>
         </div>
       )}
+      
+      {/* Damage comparison between consecutive inspections */}
+      {damageVehicle && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-auto">
+            <div className="flex justify-between items-center px-6 py-4 border-b">
+              <h3 className="text-lg font-medium text-gray-900">
+                Damage - {damageVehicle.vehicle_number}
+              </h3>
+              <button
+                onClick={() => setDamageVehicle(null)}
+                className="text-gray-400 hover:text-gray-500"
+              >
+                <i className="ri-close-line text-2xl"></i>
+              </button>
+            </div>
+            
+            <div className="px-6 py-4">
+              <DamageComparison vehicleId={damageVehicle.id} />
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
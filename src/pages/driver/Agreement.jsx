@@ -1,10 +1,24 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { supabase, vehicles, storage } from '../../services/supabase';
+import { fromDepot, vehicles } from '../../services/supabase';
+import outboxService, { OUTBOX_OPERATIONS } from '../../services/outboxService';
+import checklistService from '../../services/checklistService';
+import agreementService from '../../services/agreementService';
+import { getCriticalFailures } from '../../utils/checklistUtils';
+import { INSPECTION_STEPS, getPendingInspectionFolder } from '../../utils/inspectionUtils';
+import { isNetworkError } from '../../utils/networkUtils';
+import {
+  DEFAULT_AGREEMENT_TEMPLATE,
+  getTemplateValues,
+  renderAgreementTemplate,
+  describeAgreementValidity
+} from '../../utils/agreementTemplateUtils';
 import useAuthStore from '../../store/authStore';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
 import ImageCapture from '../../components/driver/ImageCapture';
+import ChecklistForm from '../../components/driver/ChecklistForm';
+import SignaturePad from '../../components/common/SignaturePad';
 
 const Agreement = () => {
   const { vehicleId } = useParams();
@@ -17,13 +31,20 @@ const Agreement = () => {
   const [imagesUploaded, setImagesUploaded] = useState(false);
   const [uploadingImages, setUploadingImages] = useState(false);
   const [driverInfo, setDriverInfo] = useState(null);  // Added state for full driver info
-  const canvasRef = useRef(null);
+  const [agreementVersion, setAgreementVersion] = useState(null); // Published template version, null for the built-in terms
+  const [agreementValidity, setAgreementValidity] = useState(null);
+  const [agreementInForce, setAgreementInForce] = useState(null); // Agreement signed earlier that still covers this shift
+  const [checklist, setChecklist] = useState(null);
+  const [showChecklist, setShowChecklist] = useState(false);
+  const [checklistCompleted, setChecklistCompleted] = useState(false);
+  const [isSubmittingChecklist, setIsSubmittingChecklist] = useState(false);
+  const [failedItems, setFailedItems] = useState([]);
   const signaturePadRef = useRef(null);
-
+  
   // Fetch vehicle data
   useEffect(() => {
     const fetchVehicle = async () => {
-      if (!vehicleId) return;
+      if (!vehicleId || !user) return;
       
       setIsLoading(true);
       setError(null);
@@ -38,6 +59,29 @@ const Agreement = () => {
         }
         
         setVehicle(data);
+        
+        // The pre-trip checklist set up for this vehicle, its make and model, or the whole depot
+        const checklistResult = await checklistService.getChecklistForVehicle(data);
+        
+        if (!checklistResult.success && !isNetworkError(checklistResult.error)) {
+          throw new Error(checklistResult.error);
+        }
+        
+        setChecklist(checklistResult.data || null);
+        
+        // The agreement template assigned to this vehicle, or the depot's default, and whether
+        // an agreement the driver signed earlier still covers this shift
+        const agreementResult = await agreementService.getAgreementInForce(user.id, data);
+        
+        if (!agreementResult.success) throw new Error(agreementResult.error);
+        
+        setAgreementVersion(agreementResult.data.version);
+        setAgreementValidity(agreementResult.data.validity);
+        
+        if (agreementResult.data.agreement) {
+          setAgreementInForce({ ...agreementResult.data.agreement, expiresAt: agreementResult.data.check.expiresAt });
+          setAgreementSigned(true);
+        }
       } catch (err) {
         console.error('Error fetching vehicle:', err);
         setError(err.message || 'Failed to load vehicle data');
@@ -47,19 +91,18 @@ const Agreement = () => {
     };
     
     fetchVehicle();
-  }, [vehicleId]);
-
+  }, [vehicleId, user]);
+  
   // Fetch driver's full information when component loads
   useEffect(() => {
     const fetchDriverInfo = async () => {
       if (user && user.id) {
         try {
-          const { data, error } = await supabase
-            .from('users')
+          const { data, error } = await fromDepot('users')
             .select('*')
             .eq('id', user.id)
             .single();
-            
+          
           if (error) throw error;
           
           if (data) {
@@ -73,199 +116,18 @@ const Agreement = () => {
     
     fetchDriverInfo();
   }, [user]);
-
-  // Generate agreement text
+  
+  // Fill in the agreement the vehicle's drivers sign, or the built-in terms when none is published
   const generateAgreementText = () => {
     if (!vehicle || !user) return '';
     
-    const today = new Date().toLocaleDateString();
-    
-    // Use driverInfo's name if available, otherwise fallback to a default
-    const driverName = driverInfo?.name || 'Driver';
-    
-    return `VEHICLE USAGE AGREEMENT
-
-Date: ${today}
-
-THIS AGREEMENT is made between:
-
-Driver: ${driverName}
-Vehicle: ${vehicle.make} ${vehicle.model} (Vehicle #${vehicle.vehicle_number})
-
-Terms and Conditions:
-
-1. The Driver agrees to use the Vehicle for business purposes only.
-2. The Driver acknowledges receipt of the Vehicle in good working condition.
-3. The Driver agrees to return the Vehicle in the same condition, normal wear and tear excepted.
-4. The Driver agrees to report any maintenance issues promptly.
-5. The Driver agrees to follow all traffic laws and regulations.
-6. The Driver assumes responsibility for any tickets or fines incurred during usage.
-
-By signing below, the Driver acknowledges having read, understood, and agreed to the terms and conditions set forth above.`;
+    return renderAgreementTemplate(agreementVersion?.body || DEFAULT_AGREEMENT_TEMPLATE, getTemplateValues({
+      driverName: driverInfo?.name,
+      vehicle,
+      depotName: agreementVersion?.depots?.name
+    }));
   };
-
-  // Make sure canvas has proper dimensions
-  useEffect(() => {
-    if (canvasRef.current) {
-      const canvas = canvasRef.current;
-      
-      // Make sure canvas has proper dimensions
-      const resizeCanvas = () => {
-        canvas.width = canvas.offsetWidth || 300;
-        canvas.height = canvas.offsetHeight || 150;
-      };
-      
-      // Initial resize
-      resizeCanvas();
-      
-      // Set up resize observer to handle size changes
-      const resizeObserver = new ResizeObserver(resizeCanvas);
-      resizeObserver.observe(canvas);
-      
-      return () => {
-        resizeObserver.disconnect();
-      };
-    }
-  }, [canvasRef.current]);
-
-  // Initialize signature pad
-  useEffect(() => {
-    if (!agreementSigned && canvasRef.current) {
-      const canvas = canvasRef.current;
-      const context = canvas.getContext('2d');
-      
-      // Set canvas to be responsive
-      canvas.width = canvas.offsetWidth || 300;
-      canvas.height = canvas.offsetHeight || 150;
-      
-      // Set drawing style
-      context.strokeStyle = '#000000';
-      context.lineWidth = 2;
-      
-      // Drawing state
-      let isDrawing = false;
-      let lastX = 0;
-      let lastY = 0;
-      
-      // Mouse events
-      const startDrawing = (e) => {
-        isDrawing = true;
-        const rect = canvas.getBoundingClientRect();
-        [lastX, lastY] = [
-          e.clientX - rect.left,
-          e.clientY - rect.top
-        ];
-      };
-      
-      const draw = (e) => {
-        if (!isDrawing) return;
-        
-        const rect = canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        
-        context.beginPath();
-        context.moveTo(lastX, lastY);
-        context.lineTo(x, y);
-        context.stroke();
-        
-        [lastX, lastY] = [x, y];
-      };
-      
-      const stopDrawing = () => {
-        isDrawing = false;
-      };
-      
-      // Touch events
-      const touchStart = (e) => {
-        e.preventDefault();
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        [lastX, lastY] = [
-          touch.clientX - rect.left,
-          touch.clientY - rect.top
-        ];
-        isDrawing = true;
-      };
-      
-      const touchMove = (e) => {
-        if (!isDrawing) return;
-        e.preventDefault();
-        
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        const x = touch.clientX - rect.left;
-        const y = touch.clientY - rect.top;
-        
-        context.beginPath();
-        context.moveTo(lastX, lastY);
-        context.lineTo(x, y);
-        context.stroke();
-        
-        [lastX, lastY] = [x, y];
-      };
-      
-      // Add event listeners
-      canvas.addEventListener('mousedown', startDrawing);
-      canvas.addEventListener('mousemove', draw);
-      canvas.addEventListener('mouseup', stopDrawing);
-      canvas.addEventListener('mouseout', stopDrawing);
-      
-      // Touch support
-      canvas.addEventListener('touchstart', touchStart);
-      canvas.addEventListener('touchmove', touchMove);
-      canvas.addEventListener('touchend', stopDrawing);
-      
-      // Save reference to clear function
-      signaturePadRef.current = {
-        clear: () => {
-          context.clearRect(0, 0, canvas.width, canvas.height);
-        },
-        isEmpty: () => {
-          // Make sure canvas has dimensions before checking
-          if (canvas.width === 0 || canvas.height === 0) {
-            // Re-set dimensions if they're 0
-            canvas.width = canvas.offsetWidth || 300;
-            canvas.height = canvas.offsetHeight || 150;
-            return true; // Consider it empty if we just had to reset dimensions
-          }
-          
-          try {
-            const pixelData = context.getImageData(0, 0, canvas.width, canvas.height).data;
-            for (let i = 3; i < pixelData.length; i += 4) {
-              if (pixelData[i] > 0) {
-                return false;
-              }
-            }
-            return true;
-          } catch (err) {
-            console.error("Error checking if canvas is empty:", err);
-            return true; // If we can't check, assume it's empty to prevent errors
-          }
-        },
-        getDataURL: () => {
-          // Ensure canvas has dimensions before getting data URL
-          if (canvas.width === 0 || canvas.height === 0) {
-            canvas.width = canvas.offsetWidth || 300;
-            canvas.height = canvas.offsetHeight || 150;
-          }
-          return canvas.toDataURL('image/png');
-        }
-      };
-      
-      // Cleanup
-      return () => {
-        canvas.removeEventListener('mousedown', startDrawing);
-        canvas.removeEventListener('mousemove', draw);
-        canvas.removeEventListener('mouseup', stopDrawing);
-        canvas.removeEventListener('mouseout', stopDrawing);
-        canvas.removeEventListener('touchstart', touchStart);
-        canvas.removeEventListener('touchmove', touchMove);
-        canvas.removeEventListener('touchend', stopDrawing);
-      };
-    }
-  }, [agreementSigned, canvasRef.current]);
-
+  
   // Handle signature submission
   const handleSignAgreement = async () => {
     if (!signaturePadRef.current || !vehicle || !user) return;
@@ -278,21 +140,24 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
       
       setIsLoading(true);
       
-      // Get signature as data URL
-      const signatureDataUrl = signaturePadRef.current.getDataURL();
-      
-      // Create an agreement record
-      const { data, error } = await supabase
-        .from('agreements')
-        .insert([{
-          driver_id: user.id,
-          vehicle_id: vehicleId,
-          content: generateAgreementText(),
-          signature: signatureDataUrl,
-          signed_at: new Date().toISOString(),
-        }]);
+      // The stroke record is bound to this exact text, the driver and the signing time
+      const content = generateAgreementText();
+      const signedAt = new Date().toISOString();
+      const { image, record } = await signaturePadRef.current.sign({ content, signerId: user.id, signedAt });
+      
+      // Saved on the device first and sent as soon as there is a connection
+      const result = await outboxService.submit(OUTBOX_OPERATIONS.AGREEMENT, {
+        id: crypto.randomUUID(),
+        driverId: user.id,
+        vehicleId,
+        content,
+        signature: image,
+        signatureRecord: record,
+        templateVersionId: agreementVersion?.id || null,
+        signedAt
+      });
       
-      if (error) throw error;
+      if (!result.success) throw new Error(result.error);
       
       setAgreementSigned(true);
       document.getElementById('agreementModal').classList.add('hidden');
@@ -303,7 +168,43 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
       setIsLoading(false);
     }
   };
-
+  
+  // Handle checklist submission
+  const handleChecklistSubmit = async (answers) => {
+    if (!checklist || !user) return;
+    
+    setIsSubmittingChecklist(true);
+    
+    try {
+      const result = await outboxService.submit(OUTBOX_OPERATIONS.CHECKLIST, {
+        id: crypto.randomUUID(),
+        checklistId: checklist.id,
+        driverId: user.id,
+        vehicleId,
+        items: answers.map(({ id, label, critical, result, note, photo }) => ({
+          id,
+          label,
+          critical,
+          result,
+          note: note.trim() || null,
+          photo
+        })),
+        completedAt: new Date().toISOString()
+      });
+      
+      if (!result.success) throw new Error(result.error);
+      
+      setFailedItems(getCriticalFailures(answers));
+      setChecklistCompleted(true);
+      setShowChecklist(false);
+    } catch (err) {
+      console.error('Error saving checklist:', err);
+      alert('Failed to save the checklist. Please try again.');
+    } finally {
+      setIsSubmittingChecklist(false);
+    }
+  };
+  
   // Handle image capture completion and upload
   const handleImageCaptureComplete = async (imageData) => {
     if (!vehicleId || !user) return;
@@ -311,73 +212,41 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
     try {
       setUploadingImages(true);
       
-      // Create the folder name for this inspection
-      const folderName = `Agreement-${vehicleId}`;
-      const bucketName = 'vehicle_images';
-      
-      // Loop through each image and upload it
-      const uploadPromises = imageData.images.map(async (imageDataUrl, index) => {
-        try {
-          // Convert the data URL to a Blob
-          const response = await fetch(imageDataUrl);
-          const blob = await response.blob();
-          
-          // Prepare the file name
-          const imageFileName = `${folderName}/image-${index + 1}-${Date.now()}.jpg`;
-          
-          // Upload to Supabase storage
-          const { data, error } = await storage.uploadImage(bucketName, imageFileName, blob);
-          
-          if (error) {
-            console.error(`Error uploading image ${index + 1}:`, error);
-            throw error;
-          }
-          
-          return data;
-        } catch (err) {
-          console.error(`Error processing image ${index + 1}:`, err);
-          throw err;
-        }
+      // Stage the photos until punch-in files them under the new time log
+      const inspectionId = crypto.randomUUID();
+      
+      // Photos are kept on the device and uploaded in order with the rest of the shift
+      const result = await outboxService.submit(OUTBOX_OPERATIONS.INSPECTION, {
+        id: inspectionId,
+        driverId: user.id,
+        vehicleId,
+        timeLogId: null,
+        inspectionType: 'pre',
+        folder: getPendingInspectionFolder(inspectionId),
+        images: imageData.images,
+        labels: imageData.labels,
+        annotations: imageData.annotations,
+        capturedAt: imageData.capturedAt,
+        locations: imageData.locations || [],
+        timestamp: imageData.timestamp
       });
       
-      // Update progress during uploads
-      let completedUploads = 0;
-      const totalUploads = imageData.images.length;
+      if (!result.success) throw new Error(result.error);
       
-      // Process uploads one by one to track progress
-      for (const uploadPromise of uploadPromises) {
-        await uploadPromise;
-        completedUploads++;
-        const progress = Math.round((completedUploads / totalUploads) * 100);
-        imageData.uploadProgress(progress);
-      }
-      
-      // Create a record of the inspection
-      const { error: recordError } = await supabase
-        .from('vehicle_inspections')
-        .insert([{
-          driver_id: user.id,
-          vehicle_id: vehicleId,
-          inspection_type: 'pre',
-          image_count: imageData.images.length,
-          images_folder: folderName,
-          timestamp: new Date().toISOString(),
-        }]);
-      
-      if (recordError) throw recordError;
+      imageData.uploadProgress(100);
       
       // Mark as uploaded
       setImagesUploaded(true);
       document.getElementById('imageModal').classList.add('hidden');
-      
+    
     } catch (err) {
       console.error('Error details:', err);
-      alert('Failed to upload images. Please check your connection and try again.');
+      alert('Failed to save the photos. Please try again.');
     } finally {
       setUploadingImages(false);
     }
   };
-
+  
   // Proceed to next step
   const handleNext = async () => {
     if (!agreementSigned || !imagesUploaded) {
@@ -385,31 +254,42 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
       return;
     }
     
+    if (checklist && !checklistCompleted) {
+      alert('Please complete the pre-trip checklist');
+      return;
+    }
+    
+    // A failed critical item took the vehicle out of service
+    if (failedItems.length > 0) {
+      navigate('/driver/vehicles');
+      return;
+    }
+    
     try {
-      // Update vehicle status to in-use
-      const { error } = await vehicles.updateStatus(vehicleId, 'in-use', user.id);
+      // The vehicle is claimed at punch-in; this only catches drivers who were beaten to it
+      const { data: latestVehicle, error } = await vehicles.getById(vehicleId);
       
-      if (error) throw error;
+      // Offline the check is left to punch-in, which reports a taken vehicle as a conflict
+      if (error && !isNetworkError(error)) throw error;
+      
+      if (latestVehicle && latestVehicle.status !== 'available') {
+        alert('This vehicle has just been taken by another driver. Please choose another vehicle.');
+        navigate('/driver/vehicles');
+        return;
+      }
       
       // Navigate to punch-in page
       navigate(`/driver/punch-in/${vehicleId}`);
     } catch (err) {
-      console.error('Error updating vehicle status:', err);
-      alert('Failed to update vehicle status. Please try again.');
-    }
-  };
-
-  // Clear signature
-  const clearSignature = () => {
-    if (signaturePadRef.current) {
-      signaturePadRef.current.clear();
+      console.error('Error checking vehicle status:', err);
+      alert('Failed to check vehicle status. Please try again.');
     }
   };
-
+  
   if (isLoading && !vehicle) {
     return <Loading.Page />;
   }
-
+  
   if (error) {
     return (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6">
@@ -424,7 +304,29 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
       </div>
     );
   }
-
+  
+  // Failed critical checks took the vehicle out of service
+  if (failedItems.length > 0) {
+    return (
+      <div className="text-center py-10">
+        <div className="text-5xl mb-4">🔧</div>
+        <h2 className="text-2xl font-bold mb-2">Vehicle Out of Service</h2>
+        <p className="text-gray-600 mb-1">
+          {vehicle?.vehicle_number} failed critical checks: {failedItems.map(item => item.label).join(', ')}.
+        </p>
+        <p className="text-gray-600 mb-4">It has been reported for maintenance. Please choose another vehicle.</p>
+        <Button
+          variant="primary"
+          onClick={() => navigate('/driver/vehicles')}
+        >
+          Choose Another Vehicle
+        </Button>
+      </div>
+    );
+  }
+  
+  const requirementsMet = agreementSigned && imagesUploaded && (!checklist || checklistCompleted);
+  
   return (
     <div>
       <h2 className="text-2xl font-bold mb-6 md:hidden">Sign Agreement</h2>
@@ -460,12 +362,22 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
                   <span className="font-medium">Agreement</span>
                 </div>
                 {agreementSigned ? (
-                  <span className="text-xs">Signed</span>
+                  <span className="text-xs">{agreementInForce ? 'In force' : 'Signed'}</span>
                 ) : (
                   <span className="text-xs">Not signed</span>
                 )}
               </div>
               
+              {checklist && (
+                <div className={`flex-1 p-3 rounded-md ${checklistCompleted ? 'bg-green-100 text-success' : 'bg-gray-100 text-gray-700'}`}>
+                  <div className="flex items-center">
+                    <i className={`ri-checkbox-multiple-line mr-2 ${checklistCompleted ? 'text-success' : 'text-gray-500'}`}></i>
+                    <span className="font-medium">Checklist</span>
+                  </div>
+                  <span className="text-xs">{checklistCompleted ? 'Completed' : 'Not completed'}</span>
+                </div>
+              )}
+              
               <div className={`flex-1 p-3 rounded-md ${imagesUploaded ? 'bg-green-100 text-success' : 'bg-gray-100 text-gray-700'}`}>
                 <div className="flex items-center">
                   <i className={`ri-camera-line mr-2 ${imagesUploaded ? 'text-success' : 'text-gray-500'}`}></i>
@@ -504,10 +416,53 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
                 disabled
                 icon={<i className="ri-check-line"></i>}
               >
-                Agreement Signed
+                {agreementInForce ? 'Agreement in Force' : 'Agreement Signed'}
               </Button>
             )}
             
+            {/* Signed on an earlier shift, so only the photos and checklist are needed */}
+            {agreementInForce && (
+              <div className="bg-gray-50 border rounded-md p-3 text-sm">
+                <p className="font-medium text-gray-800">
+                  {agreementVersion
+                    ? `${agreementVersion.agreement_templates?.name} (version ${agreementVersion.version})`
+                    : 'Vehicle Usage Agreement'}
+                </p>
+                <p className="text-gray-600">
+                  Signed {new Date(agreementInForce.signed_at).toLocaleString()}
+                  {' · '}
+                  {describeAgreementValidity(agreementValidity, agreementInForce.expiresAt)}
+                </p>
+                <details className="mt-2">
+                  <summary className="text-primary cursor-pointer">View agreement</summary>
+                  <pre className="whitespace-pre-wrap font-sans text-xs text-gray-700 mt-2 max-h-60 overflow-y-auto">
+                    {agreementInForce.content}
+                  </pre>
+                </details>
+              </div>
+            )}
+            
+            {checklist && (!checklistCompleted ? (
+              <Button
+                isFullWidth
+                variant={agreementSigned ? 'primary' : 'outline'}
+                disabled={!agreementSigned}
+                onClick={() => setShowChecklist(true)}
+                icon={<i className="ri-checkbox-multiple-line"></i>}
+              >
+                Complete Pre-trip Checklist
+              </Button>
+            ) : (
+              <Button
+                isFullWidth
+                variant="success"
+                disabled
+                icon={<i className="ri-check-line"></i>}
+              >
+                Checklist Completed
+              </Button>
+            ))}
+            
             {!imagesUploaded ? (
               <Button
                 isFullWidth
@@ -531,8 +486,8 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
             
             <Button
               isFullWidth
-              variant={agreementSigned && imagesUploaded ? 'success' : 'outline'}
-              disabled={!agreementSigned || !imagesUploaded}
+              variant={requirementsMet ? 'success' : 'outline'}
+              disabled={!requirementsMet}
               onClick={handleNext}
               icon={<i className="ri-arrow-right-line"></i>}
             >
@@ -546,7 +501,14 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
       <div id="agreementModal" className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 hidden">
         <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-auto">
           <div className="px-6 py-4 border-b flex justify-between items-center">
-            <h3 className="font-semibold text-lg">Vehicle Usage Agreement</h3>
+            <div>
+              <h3 className="font-semibold text-lg">Vehicle Usage Agreement</h3>
+              {agreementVersion && (
+                <p className="text-xs text-gray-500">
+                  {agreementVersion.agreement_templates?.name} · Version {agreementVersion.version}
+                </p>
+              )}
+            </div>
             <button 
               onClick={() => document.getElementById('agreementModal').classList.add('hidden')}
               className="text-gray-500 hover:text-gray-700"
@@ -564,26 +526,7 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
             </div>
             
             {/* Signature Pad */}
-            <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Sign Below
-              </label>
-              <div className="border rounded-md p-1 bg-white">
-                <canvas 
-                  ref={canvasRef}
-                  className="w-full h-40 touch-none"
-                  style={{ touchAction: 'none' }}
-                ></canvas>
-              </div>
-              <div className="flex justify-end mt-2">
-                <button
-                  onClick={clearSignature}
-                  className="text-sm text-gray-600 hover:text-gray-900"
-                >
-                  Clear Signature
-                </button>
-              </div>
-            </div>
+            <SignaturePad ref={signaturePadRef} className="mb-4" />
           </div>
           
           <div className="px-6 py-4 border-t flex justify-end space-x-3">
@@ -604,6 +547,33 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
         </div>
       </div>
       
+      {/* Checklist Modal */}
+      {showChecklist && checklist && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-auto">
+            <div className="px-6 py-4 border-b flex justify-between items-center">
+              <h3 className="font-semibold text-lg">{checklist.name}</h3>
+              {!isSubmittingChecklist && (
+                <button 
+                  onClick={() => setShowChecklist(false)}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  <i className="ri-close-line text-2xl"></i>
+                </button>
+              )}
+            </div>
+            
+            <div className="p-6">
+              <ChecklistForm
+                checklist={checklist}
+                onSubmit={handleChecklistSubmit}
+                isSubmitting={isSubmittingChecklist}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+      
       {/* Image Capture Modal */}
       <div id="imageModal" className="fixed inset-0 bg-black bg-opacity-90 flex items-center justify-center z-50 hidden">
         <div className="bg-white rounded-lg shadow-xl w-full max-w-lg overflow-hidden">
@@ -621,9 +591,10 @@ By signing below, the Driver acknowledges having read, understood, and agreed to
           
           <div className="p-6">
             <ImageCapture
-              maxImages={6}
+              angles={INSPECTION_STEPS}
+              annotatable
               title="Vehicle Inspection"
-              instructions="Take photos of the vehicle from different angles (front, sides, rear, interior) and any existing damage."
+              instructions="Take a photo of the front, sides and rear of the vehicle, the interior and any existing damage."
               onCaptureComplete={handleImageCaptureComplete}
             />
           </div>
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { supabase } from '../../services/supabase';
+import { fromDepot } from '../../services/supabase';
+import outboxService, { OUTBOX_OPERATIONS } from '../../services/outboxService';
 import useAuthStore from '../../store/authStore';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
@@ -17,7 +18,7 @@ const Maintenance = () => {
   const [description, setDescription] = useState('');
   const [severity, setSeverity] = useState('medium');
   const [success, setSuccess] = useState(false);
-
+  
   // Fetch vehicles and previous maintenance requests
   useEffect(() => {
     const fetchData = async () => {
@@ -28,8 +29,7 @@ const Maintenance = () => {
       
       try {
         // Fetch all vehicles
-        const { data: vehiclesData, error: vehiclesError } = await supabase
-          .from('vehicles')
+        const { data: vehiclesData, error: vehiclesError } = await fromDepot('vehicles')
           .select('*')
           .order('vehicle_number', { ascending: true });
         
@@ -38,8 +38,7 @@ const Maintenance = () => {
         setVehicles(vehiclesData || []);
         
         // Fetch previous maintenance requests
-        const { data: requestsData, error: requestsError } = await supabase
-          .from('maintenance_requests')
+        const { data: requestsData, error: requestsError } = await fromDepot('maintenance_requests')
           .select(`
             id, 
             description, 
@@ -63,7 +62,7 @@ const Maintenance = () => {
     
     fetchData();
   }, [user]);
-
+  
   // Submit maintenance request
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -82,28 +81,26 @@ const Maintenance = () => {
     setError(null);
     
     try {
-      // Submit maintenance request
-      const { error } = await supabase
-        .from('maintenance_requests')
-        .insert([{
-          driver_id: user.id,
-          vehicle_id: selectedVehicle,
-          description,
-          severity,
-          status: 'sorted', // Initial status
-        }]);
+      // Submit maintenance request, queued on the device while offline
+      const result = await outboxService.submit(OUTBOX_OPERATIONS.MAINTENANCE_REPORT, {
+        id: crypto.randomUUID(),
+        driverId: user.id,
+        vehicleId: selectedVehicle,
+        description,
+        severity,
+        createdAt: new Date().toISOString()
+      });
       
-      if (error) throw error;
+      if (!result.success) throw new Error(result.error);
       
       // Clear form and show success message
       setSelectedVehicle('');
       setDescription('');
       setSeverity('medium');
-      setSuccess(true);
+      setSuccess(result.queued ? 'queued' : true);
       
       // Fetch updated requests
-      const { data: requestsData } = await supabase
-        .from('maintenance_requests')
+      const { data: requestsData } = await fromDepot('maintenance_requests')
         .select(`
           id, 
           description, 
@@ -127,7 +124,7 @@ const Maintenance = () => {
       setIsSubmitting(false);
     }
   };
-
+  
   // Format status badge
   const getStatusBadge = (status) => {
     switch (status) {
@@ -157,11 +154,11 @@ const Maintenance = () => {
         );
     }
   };
-
+  
   if (isLoading) {
     return <Loading.Page />;
   }
-
+  
   return (
     <div>
       <h2 className="text-2xl font-bold mb-6 md:hidden">Maintenance Report</h2>
@@ -182,7 +179,11 @@ const Maintenance = () => {
             
             {success && (
               <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4">
-                <span className="block sm:inline">Maintenance request submitted successfully!</span>
+                <span className="block sm:inline">
+                  {success === 'queued'
+                    ? 'Maintenance request saved. It will be sent when you are back online.'
+                    : 'Maintenance request submitted successfully!'}
+                </span>
               </div>
             )}
             
@@ -1,9 +1,25 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { supabase, vehicles, timeLogs } from '../../services/supabase';
+import { supabase, fromDepot, vehicles } from '../../services/supabase';
+import geofenceService from '../../services/geofenceService';
+import outboxService, { OUTBOX_OPERATIONS } from '../../services/outboxService';
+import agreementService from '../../services/agreementService';
+import { describeAgreementValidity } from '../../utils/agreementTemplateUtils';
+import { checkOdometerReading, isValidFuelLevel, toReading } from '../../utils/readingUtils';
+import { checkGeofences, getCurrentLocation } from '../../utils/locationUtils';
+import { isNetworkError } from '../../utils/networkUtils';
 import useAuthStore from '../../store/authStore';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
+import ReadingsForm from '../../components/driver/ReadingsForm';
+
+// Why the driver has to sign before punching in
+const AGREEMENT_MESSAGES = {
+  missing: 'You need to sign an agreement and take inspection photos before punching in.',
+  outdated: 'The vehicle agreement has been updated. Please read and sign the new version before punching in.',
+  used: 'Agreements for this vehicle are signed every shift. Please sign it and take inspection photos before punching in.',
+  expired: 'Your agreement for this vehicle has expired. Please sign it again and take inspection photos before punching in.'
+};
 
 const PunchIn = () => {
   const { vehicleId } = useParams();
@@ -13,10 +29,19 @@ const PunchIn = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [isPunching, setIsPunching] = useState(false);
   const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [isQueued, setIsQueued] = useState(false);
   const [agreement, setAgreement] = useState(null);
+  const [agreementCheck, setAgreementCheck] = useState(null);
+  const [agreementValidity, setAgreementValidity] = useState(null);
   const [inspection, setInspection] = useState(null);
+  const [checklistResponseId, setChecklistResponseId] = useState(null);
   const [currentDateTime, setCurrentDateTime] = useState(new Date());
-
+  const [readings, setReadings] = useState({ odometer: '', fuelLevel: 50, photo: null });
+  const [readingError, setReadingError] = useState(null);
+  const [geofences, setGeofences] = useState([]);
+  const [locationError, setLocationError] = useState(null);
+  
   // Update current time every second
   useEffect(() => {
     const timer = setInterval(() => {
@@ -25,7 +50,7 @@ const PunchIn = () => {
     
     return () => clearInterval(timer);
   }, []);
-
+  
   // Fetch vehicle, agreement, and inspection data
   useEffect(() => {
     const fetchData = async () => {
@@ -46,46 +71,85 @@ const PunchIn = () => {
         
         setVehicle(vehicleData);
         
-        // Check if there's a signed agreement for this vehicle
-        const { data: agreementData, error: agreementError } = await supabase
-          .from('agreements')
-          .select('*')
-          .eq('driver_id', user.id)
-          .eq('vehicle_id', vehicleId)
-          .order('created_at', { ascending: false })
-          .limit(1)
-          .single();
+        // Start from the fuel level the vehicle was left with
+        if (vehicleData.fuel_level !== null && vehicleData.fuel_level !== undefined) {
+          setReadings(readings => ({ ...readings, fuelLevel: vehicleData.fuel_level }));
+        }
+        
+        // The agreement must still be valid under the vehicle's terms and their validity policy
+        const agreementResult = await agreementService.getAgreementInForce(user.id, vehicleData);
+        
+        if (!agreementResult.success) throw new Error(agreementResult.error);
+        
+        setAgreement(agreementResult.data.agreement);
+        setAgreementCheck(agreementResult.data.check);
+        setAgreementValidity(agreementResult.data.validity);
+        
+        // An inspection taken offline is still waiting in the outbox
+        const isForVehicle = payload => payload.driverId === user.id && payload.vehicleId === vehicleId;
+        const queuedInspection = await outboxService.findQueued(
+          OUTBOX_OPERATIONS.INSPECTION,
+          payload => isForVehicle(payload) && payload.inspectionType === 'pre'
+        );
         
-        if (agreementError && agreementError.code !== 'PGRST116') {
-          // PGRST116 is the error code for "no rows returned" which we can ignore
-          throw agreementError;
+        if (queuedInspection) {
+          setInspection({
+            id: queuedInspection.id,
+            inspection_type: 'pre',
+            images_folder: queuedInspection.folder,
+            image_count: queuedInspection.images.length
+          });
+        } else {
+          // Check if there's a pre-shift inspection waiting to be linked to this shift
+          const { data: inspectionData, error: inspectionError } = await supabase
+            .from('vehicle_inspections')
+            .select('*')
+            .eq('driver_id', user.id)
+            .eq('vehicle_id', vehicleId)
+            .eq('inspection_type', 'pre')
+            .is('time_log_id', null)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .single();
+          
+          if (inspectionError && inspectionError.code !== 'PGRST116' && !isNetworkError(inspectionError)) {
+            throw inspectionError;
+          }
+          
+          setInspection(inspectionData);
         }
         
-        setAgreement(agreementData);
+        // The pre-trip checklist, if one applied, is filed under the shift too
+        const queuedChecklist = await outboxService.findQueued(OUTBOX_OPERATIONS.CHECKLIST, isForVehicle);
         
-        // Check if there's an inspection record for this vehicle
-        const { data: inspectionData, error: inspectionError } = await supabase
-          .from('vehicle_inspections')
-          .select('*')
-          .eq('driver_id', user.id)
-          .eq('vehicle_id', vehicleId)
-          .eq('inspection_type', 'pre')
-          .order('created_at', { ascending: false })
-          .limit(1)
-          .single();
+        if (queuedChecklist) {
+          setChecklistResponseId(queuedChecklist.id);
+        } else {
+          const { data: checklistData, error: checklistError } = await fromDepot('checklist_responses')
+            .select('id')
+            .eq('driver_id', user.id)
+            .eq('vehicle_id', vehicleId)
+            .is('time_log_id', null)
+            .order('completed_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+          
+          if (checklistError && !isNetworkError(checklistError)) {
+            throw checklistError;
+          }
           
-        if (inspectionError && inspectionError.code !== 'PGRST116') {
-          throw inspectionError;
+          setChecklistResponseId(checklistData?.id || null);
         }
         
-        setInspection(inspectionData);
+        // Fences the punch location is checked against; offline the punch is only recorded
+        const fenceResult = await geofenceService.getGeofencesForVehicle(vehicleId);
         
-        // Check if driver already has an active time log
-        const { data: activeLog, error: logError } = await timeLogs.getActiveForDriver(user.id);
+        if (!fenceResult.success && !isNetworkError(fenceResult.error)) throw new Error(fenceResult.error);
         
-        if (logError && logError.code !== 'PGRST116') {
-          throw logError;
-        }
+        setGeofences(fenceResult.data || []);
+        
+        // Check if driver already has an active time log
+        const { data: activeLog } = await outboxService.getActiveShift(user.id);
         
         if (activeLog) {
           // Driver already has an active log, redirect to punch out
@@ -101,19 +165,66 @@ const PunchIn = () => {
     
     fetchData();
   }, [vehicleId, user, navigate]);
-
+  
   // Handle punch in
   const handlePunchIn = async () => {
     if (!user || !vehicleId) return;
     
+    // Readings that look wrong are saved with warnings; only missing ones stop the punch in
+    const { error: odometerError, warnings } = checkOdometerReading(readings.odometer, { lastReading: vehicle?.odometer });
+    
+    if (odometerError || !isValidFuelLevel(readings.fuelLevel)) {
+      setReadingError(odometerError || 'Set the fuel or charge level');
+      return;
+    }
+    
+    setReadingError(null);
+    setLocationError(null);
     setIsPunching(true);
     setError(null);
     
     try {
-      // Create time log record
-      const { data, error } = await timeLogs.punchIn(user.id, vehicleId);
+      // Punches outside a blocking fence are refused here, and again by the server when the punch arrives
+      const { location } = await getCurrentLocation();
+      const geofence = checkGeofences(location, geofences);
       
-      if (error) throw error;
+      if (geofence.blocked) {
+        setLocationError(geofence.error);
+        setIsPunching(false);
+        return;
+      }
+      
+      // Claim the vehicle and open the time log in one step, queued until there is a connection
+      const result = await outboxService.submit(OUTBOX_OPERATIONS.PUNCH_IN, {
+        timeLogId: crypto.randomUUID(),
+        driverId: user.id,
+        vehicleId,
+        agreementId: agreement.id,
+        checklistResponseId,
+        inspection: {
+          id: inspection.id,
+          inspection_type: inspection.inspection_type,
+          images_folder: inspection.images_folder
+        },
+        readings: {
+          odometer: toReading(readings.odometer),
+          fuelLevel: readings.fuelLevel,
+          photo: readings.photo,
+          warnings
+        },
+        location,
+        punchedAt: new Date().toISOString()
+      });
+      
+      if (result.conflict) {
+        setConflict(result.error);
+        setIsPunching(false);
+        return;
+      }
+      
+      if (!result.success) throw new Error(result.error);
+      
+      setIsQueued(Boolean(result.queued));
       
       // Show success message then redirect to home
       setTimeout(() => {
@@ -125,7 +236,7 @@ const PunchIn = () => {
       setIsPunching(false);
     }
   };
-
+  
   // Format time as HH:MM:SS
   const formatTime = (date) => {
     return date.toLocaleTimeString('en-US', { 
@@ -135,7 +246,7 @@ const PunchIn = () => {
       hour12: true
     });
   };
-
+  
   // Format date as Month DD, YYYY
   const formatDate = (date) => {
     return date.toLocaleDateString('en-US', { 
@@ -144,11 +255,11 @@ const PunchIn = () => {
       year: 'numeric'
     });
   };
-
+  
   if (isLoading) {
     return <Loading.Page />;
   }
-
+  
   if (error) {
     return (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6">
@@ -163,14 +274,35 @@ const PunchIn = () => {
       </div>
     );
   }
-
+  
+  // Another driver claimed the vehicle first, or this driver is already on shift
+  if (conflict) {
+    return (
+      <div className="text-center py-10">
+        <div className="text-5xl mb-4">🚫</div>
+        <h2 className="text-2xl font-bold mb-2">Vehicle Unavailable</h2>
+        <p className="text-gray-600 mb-4">{conflict}. Please choose another vehicle.</p>
+        <Button
+          variant="primary"
+          onClick={() => navigate('/driver/vehicles')}
+        >
+          Choose Another Vehicle
+        </Button>
+      </div>
+    );
+  }
+  
   // If no agreement found or no inspection, redirect to agreement page
   if (!agreement || !inspection) {
     return (
       <div className="text-center py-10">
         <div className="text-5xl mb-4">📋</div>
         <h2 className="text-2xl font-bold mb-2">Agreement and Photos Required</h2>
-        <p className="text-gray-600 mb-4">You need to sign an agreement and take inspection photos before punching in.</p>
+        <p className="text-gray-600 mb-4">
+          {agreement
+            ? 'You need to take inspection photos before punching in.'
+            : AGREEMENT_MESSAGES[agreementCheck?.reason] || AGREEMENT_MESSAGES.missing}
+        </p>
         <Button
           variant="primary"
           onClick={() => navigate(`/driver/agreement/${vehicleId}`)}
@@ -180,58 +312,80 @@ const PunchIn = () => {
       </div>
     );
   }
-
+  
   return (
     <div>
       <h2 className="text-2xl font-bold mb-6 md:hidden">Punch In</h2>
       
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Vehicle Info */}
-        <div className="card">
-          <div className="card-header">
-            <h3 className="font-medium text-gray-800">Vehicle Information</h3>
-          </div>
-          
-          <div className="card-body">
-            <div className="flex items-start mb-4">
-              <div className="h-16 w-16 bg-gray-200 rounded-md flex items-center justify-center mr-4">
-                <i className="ri-car-line text-3xl text-gray-400"></i>
-              </div>
-              
-              <div>
-                <h4 className="text-lg font-bold">{vehicle?.vehicle_number}</h4>
-                <p className="text-gray-600">{vehicle?.make} {vehicle?.model}</p>
-                <div className="mt-1">
-                  <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
-                    Selected
-                  </span>
-                </div>
-              </div>
+        <div className="space-y-6">
+          {/* Vehicle Info */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="font-medium text-gray-800">Vehicle Information</h3>
             </div>
             
-            <div className="border-t pt-4 mt-4">
-              <div className="flex justify-between mb-2">
-                <span className="text-gray-600">Agreement Signed:</span>
-                <span className="font-medium">
-                  {new Date(agreement.signed_at).toLocaleDateString()}
-                </span>
-              </div>
-              
-              <div className="flex justify-between">
-                <span className="text-gray-600">Inspection Photos:</span>
-                <span className="font-medium text-success">Completed ({inspection.image_count})</span>
+            <div className="card-body">
+              <div className="flex items-start mb-4">
+                <div className="h-16 w-16 bg-gray-200 rounded-md flex items-center justify-center mr-4">
+                  <i className="ri-car-line text-3xl text-gray-400"></i>
+                </div>
+                
+                <div>
+                  <h4 className="text-lg font-bold">{vehicle?.vehicle_number}</h4>
+                  <p className="text-gray-600">{vehicle?.make} {vehicle?.model}</p>
+                  <div className="mt-1">
+                    <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
+                      Selected
+                    </span>
+                  </div>
+                </div>
               </div>
               
-              {inspection.pdf_url && (
-                <div className="flex justify-between mt-2">
-                  <span className="text-gray-600">Inspection Report:</span>
-                  <Link to={`/pdf/${inspection.pdf_url.split('/').pop()}`} className="text-primary hover:underline">
-                    View PDF
-                  </Link>
+              <div className="border-t pt-4 mt-4">
+                <div className="flex justify-between mb-2">
+                  <span className="text-gray-600">Agreement Signed:</span>
+                  <span className="font-medium">
+                    {new Date(agreement.signed_at).toLocaleDateString()}
+                  </span>
+                </div>
+                
+                <div className="flex justify-between mb-2">
+                  <span className="text-gray-600">Agreement Validity:</span>
+                  <span className="font-medium">
+                    {describeAgreementValidity(agreementValidity, agreementCheck.expiresAt)}
+                  </span>
                 </div>
-              )}
+                
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Inspection Photos:</span>
+                  <span className="font-medium text-success">Completed ({inspection.image_count})</span>
+                </div>
+                
+                {inspection.pdf_url && (
+                  <div className="flex justify-between mt-2">
+                    <span className="text-gray-600">Inspection Report:</span>
+                    <span className="space-x-3">
+                      <Link to={`/pdf/${inspection.id}`} className="text-primary hover:underline">
+                        View
+                      </Link>
+                      <a href={inspection.pdf_url} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">
+                        Download PDF
+                      </a>
+                    </span>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
+          
+          {/* Odometer and fuel at the start of the shift */}
+          <ReadingsForm
+            title="Starting Readings"
+            value={readings}
+            onChange={setReadings}
+            lastReading={toReading(vehicle?.odometer)}
+          />
         </div>
         
         {/* Punch In Card */}
@@ -262,6 +416,27 @@ const PunchIn = () => {
               </ul>
             </div>
             
+            {readingError && (
+              <p className="mb-4 text-sm text-red-600">
+                <i className="ri-error-warning-line mr-1"></i>
+                {readingError}
+              </p>
+            )}
+            
+            {locationError && (
+              <p className="mb-4 text-sm text-red-600">
+                <i className="ri-map-pin-line mr-1"></i>
+                {locationError}
+              </p>
+            )}
+            
+            {geofences.length > 0 && (
+              <p className="mb-4 text-xs text-gray-500">
+                <i className="ri-map-pin-line mr-1"></i>
+                Your location is checked against the depot area when you punch in.
+              </p>
+            )}
+            
             <Button
               isFullWidth
               variant="primary"
@@ -275,7 +450,9 @@ const PunchIn = () => {
             
             {isPunching && (
               <div className="mt-4 text-center text-sm text-success">
-                <i className="ri-check-line"></i> Successfully punched in. Redirecting...
+                <i className="ri-check-line"></i> {isQueued
+                  ? 'Punched in on this device. It will be sent when you are back online. Redirecting...'
+                  : 'Successfully punched in. Redirecting...'}
               </div>
             )}
           </div>
@@ -1,10 +1,17 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
-import { supabase, timeLogs, vehicles, storage, pdfService } from '../../services/supabase';
+import { vehicles, inspections } from '../../services/supabase';
+import { INSPECTION_STEPS, getInspectionFolder } from '../../utils/inspectionUtils';
+import { checkOdometerReading, isValidFuelLevel, toReading } from '../../utils/readingUtils';
+import geofenceService from '../../services/geofenceService';
+import outboxService, { OUTBOX_OPERATIONS } from '../../services/outboxService';
+import { checkGeofences, getCurrentLocation } from '../../utils/locationUtils';
+import { isNetworkError } from '../../utils/networkUtils';
 import useAuthStore from '../../store/authStore';
 import Button from '../../components/common/Button';
 import Loading from '../../components/common/Loading';
 import ImageCapture from '../../components/driver/ImageCapture';
+import ReadingsForm from '../../components/driver/ReadingsForm';
 
 const PunchOut = () => {
   const navigate = useNavigate();
@@ -14,10 +21,16 @@ const PunchOut = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isPunching, setIsPunching] = useState(false);
+  const [isQueued, setIsQueued] = useState(false);
   const [imagesUploaded, setImagesUploaded] = useState(false);
   const [uploadingImages, setUploadingImages] = useState(false);
   const [workDuration, setWorkDuration] = useState('');
   const [pdfUrl, setPdfUrl] = useState(null);
+  const [pdfId, setPdfId] = useState(null);
+  const [readings, setReadings] = useState({ odometer: '', fuelLevel: 50, photo: null });
+  const [readingError, setReadingError] = useState(null);
+  const [geofences, setGeofences] = useState([]);
+  const [locationError, setLocationError] = useState(null);
   
   // Fetch active time log
   useEffect(() => {
@@ -28,10 +41,10 @@ const PunchOut = () => {
       setError(null);
       
       try {
-        // Get active time log
-        const { data: logData, error: logError } = await timeLogs.getActiveForDriver(user.id);
+        // Get active time log, including one punched in offline and not sent yet
+        const { success, data: logData, error: logError } = await outboxService.getActiveShift(user.id);
         
-        if (logError) throw logError;
+        if (!success) throw new Error(logError);
         
         if (!logData) {
           // No active log, redirect to vehicles page
@@ -41,6 +54,10 @@ const PunchOut = () => {
         
         setActiveLog(logData);
         
+        if (logData.start_fuel_level !== null && logData.start_fuel_level !== undefined) {
+          setReadings(readings => ({ ...readings, fuelLevel: logData.start_fuel_level }));
+        }
+        
         // Get vehicle data
         const { data: vehicleData, error: vehicleError } = await vehicles.getById(logData.vehicle_id);
         
@@ -52,6 +69,32 @@ const PunchOut = () => {
         
         setVehicle(vehicleData);
         
+        // Fences the punch location is checked against
+        const fenceResult = await geofenceService.getGeofencesForVehicle(logData.vehicle_id);
+        
+        if (!fenceResult.success && !isNetworkError(fenceResult.error)) throw new Error(fenceResult.error);
+        
+        setGeofences(fenceResult.data || []);
+        
+        // Pick up photos already taken for this shift (e.g. after a page reload)
+        const queuedInspection = await outboxService.findQueued(
+          OUTBOX_OPERATIONS.INSPECTION,
+          payload => payload.timeLogId === logData.id && payload.inspectionType === 'post'
+        );
+        const { data: postInspection } = queuedInspection || logData.queued
+          ? { data: null }
+          : await inspections.getForTimeLog(logData.id, 'post');
+        
+        if (queuedInspection) {
+          setImagesUploaded(true);
+        } else if (postInspection) {
+          setImagesUploaded(true);
+          if (postInspection.pdf_url) {
+            setPdfUrl(postInspection.pdf_url);
+            setPdfId(postInspection.id);
+          }
+        }
+        
         // Calculate work duration
         const punchInTime = new Date(logData.punch_in);
         const currentTime = new Date();
@@ -89,9 +132,25 @@ const PunchOut = () => {
     
     fetchActiveLog();
   }, [user, navigate]);
-
+  
+  // Last known odometer reading: the one taken at punch in, or the vehicle's for older shifts
+  const lastReading = toReading(activeLog?.start_odometer) ?? toReading(vehicle?.odometer);
+  
   // Handle punch out
   const handlePunchOut = async () => {
+    // Readings that look wrong are saved with warnings; only missing ones stop the punch out
+    const { error: odometerError, warnings } = checkOdometerReading(readings.odometer, {
+      lastReading,
+      since: activeLog?.punch_in
+    });
+    
+    if (odometerError || !isValidFuelLevel(readings.fuelLevel)) {
+      setReadingError(odometerError || 'Set the fuel or charge level');
+      return;
+    }
+    
+    setReadingError(null);
+    
     if (!imagesUploaded) {
       document.getElementById('imageModal').classList.remove('hidden');
       return;
@@ -99,23 +158,38 @@ const PunchOut = () => {
     
     if (!activeLog) return;
     
+    setLocationError(null);
     setIsPunching(true);
     setError(null);
     
     try {
-      // Update time log with punch out time
-      const { error } = await timeLogs.punchOut(activeLog.id);
+      // Punches outside a blocking fence are refused here, and again by the server when the punch arrives
+      const { location } = await getCurrentLocation();
+      const geofence = checkGeofences(location, geofences);
+      
+      if (geofence.blocked) {
+        setLocationError(geofence.error);
+        setIsPunching(false);
+        return;
+      }
       
-      if (error) throw error;
+      // Close the time log and free the vehicle, queued until there is a connection
+      const result = await outboxService.submit(OUTBOX_OPERATIONS.PUNCH_OUT, {
+        timeLogId: activeLog.id,
+        vehicleId: activeLog.vehicle_id,
+        readings: {
+          odometer: toReading(readings.odometer),
+          fuelLevel: readings.fuelLevel,
+          photo: readings.photo,
+          warnings: [...(activeLog.reading_warnings || []), ...warnings]
+        },
+        location,
+        punchedOutAt: new Date().toISOString()
+      });
       
-      // Update vehicle status back to available
-      await vehicles.updateStatus(activeLog.vehicle_id, 'available', null);
+      if (!result.success) throw new Error(result.error);
       
-      // Generate PDF report
-      if (pdfUrl) {
-        // PDF was already generated during image upload
-        console.log('Using already generated PDF:', pdfUrl);
-      }
+      setIsQueued(Boolean(result.queued));
       
       // Show success message and redirect to home
       setTimeout(() => {
@@ -127,7 +201,7 @@ const PunchOut = () => {
       setIsPunching(false);
     }
   };
-
+  
   // Handle image capture completion and upload
   const handleImageCaptureComplete = async (imageData) => {
     if (!activeLog || !user) return;
@@ -135,99 +209,51 @@ const PunchOut = () => {
     try {
       setUploadingImages(true);
       
-      // Create folder name for storage
-      const folderName = `PunchOut-${activeLog.vehicle_id}-${activeLog.id}`;
-      const bucketName = 'vehicle_images';
-      
-      // Loop through each image and upload it
-      const uploadPromises = imageData.images.map(async (imageDataUrl, index) => {
-        try {
-          // Convert the data URL to a Blob
-          const response = await fetch(imageDataUrl);
-          const blob = await response.blob();
-          
-          // Prepare the file name
-          const imageFileName = `${folderName}/image-${index + 1}-${Date.now()}.jpg`;
-          
-          // Upload to Supabase storage
-          const { data, error } = await storage.uploadImage(bucketName, imageFileName, blob);
-          
-          if (error) {
-            console.error(`Error uploading image ${index + 1}:`, error);
-            throw error;
-          }
-          
-          return data;
-        } catch (err) {
-          console.error(`Error processing image ${index + 1}:`, err);
-          throw err;
-        }
+      // The photos and their PDF report are sent in order with the rest of the shift
+      const result = await outboxService.submit(OUTBOX_OPERATIONS.INSPECTION, {
+        id: crypto.randomUUID(),
+        driverId: user.id,
+        vehicleId: activeLog.vehicle_id,
+        timeLogId: activeLog.id,
+        inspectionType: 'post',
+        folder: getInspectionFolder(activeLog.id, 'post'),
+        images: imageData.images,
+        labels: imageData.labels,
+        annotations: imageData.annotations,
+        capturedAt: imageData.capturedAt,
+        locations: imageData.locations || [],
+        timestamp: imageData.timestamp
       });
       
-      // Update progress during uploads
-      let completedUploads = 0;
-      const totalUploads = imageData.images.length;
-      
-      // Process uploads one by one to track progress
-      for (const uploadPromise of uploadPromises) {
-        await uploadPromise;
-        completedUploads++;
-        const progress = Math.round((completedUploads / totalUploads) * 100);
-        imageData.uploadProgress(progress);
-      }
+      if (!result.success) throw new Error(result.error);
       
-      // Create a record of the inspection with PDF generation
-      const inspectionRecord = {
-        driver_id: user.id,
-        vehicle_id: activeLog.vehicle_id,
-        time_log_id: activeLog.id,
-        inspection_type: 'post',
-        image_count: imageData.images.length,
-        images_folder: folderName,
-        timestamp: new Date().toISOString(),
-      };
+      imageData.uploadProgress(100);
       
-      const { data: inspectionData, error: recordError } = await supabase
-        .from('vehicle_inspections')
-        .insert([inspectionRecord])
-        .select();
-      
-      if (recordError) throw recordError;
-      
-      // Generate PDF for the inspection
-      const { success, pdfUrl: generatedPdfUrl, data: pdfData } = await pdfService.generateInspectionPdf(
-        activeLog.id,
-        activeLog.vehicle_id,
-        imageData.images,
-        imageData.timestamp
-      );
-      
-      if (success && generatedPdfUrl) {
-        setPdfUrl(generatedPdfUrl);
+      if (!result.queued) {
+        const { data: postInspection } = await inspections.getForTimeLog(activeLog.id, 'post');
         
-        // Update the inspection record with PDF URL
-        await supabase
-          .from('vehicle_inspections')
-          .update({ pdf_url: generatedPdfUrl })
-          .eq('id', inspectionData[0].id);
+        if (postInspection?.pdf_url) {
+          setPdfUrl(postInspection.pdf_url);
+          setPdfId(postInspection.id);
+        }
       }
       
       // Mark as uploaded
       setImagesUploaded(true);
       document.getElementById('imageModal').classList.add('hidden');
-      
+    
     } catch (err) {
       console.error('Error details:', err);
-      alert('Failed to upload images. Please check your connection and try again.');
+      alert('Failed to save the photos. Please try again.');
     } finally {
       setUploadingImages(false);
     }
   };
-
+  
   if (isLoading) {
     return <Loading.Page />;
   }
-
+  
   if (error) {
     return (
       <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-6">
@@ -242,60 +268,76 @@ const PunchOut = () => {
       </div>
     );
   }
-
+  
   return (
     <div>
       <h2 className="text-2xl font-bold mb-6 md:hidden">Punch Out</h2>
       
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Vehicle Info */}
-        <div className="card">
-          <div className="card-header">
-            <h3 className="font-medium text-gray-800">Vehicle Information</h3>
-          </div>
-          
-          <div className="card-body">
-            <div className="flex items-start mb-4">
-              <div className="h-16 w-16 bg-gray-200 rounded-md flex items-center justify-center mr-4">
-                <i className="ri-car-line text-3xl text-gray-400"></i>
-              </div>
-              
-              <div>
-                <h4 className="text-lg font-bold">{vehicle?.vehicle_number}</h4>
-                <p className="text-gray-600">{vehicle?.make} {vehicle?.model}</p>
-                <div className="mt-1">
-                  <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
-                    In Use
-                  </span>
-                </div>
-              </div>
+        <div className="space-y-6">
+          {/* Vehicle Info */}
+          <div className="card">
+            <div className="card-header">
+              <h3 className="font-medium text-gray-800">Vehicle Information</h3>
             </div>
             
-            <div className="border-t pt-4 mt-4">
-              <div className="flex justify-between mb-2">
-                <span className="text-gray-600">Punch In Time:</span>
-                <span className="font-medium">
-                  {new Date(activeLog?.punch_in).toLocaleString()}
-                </span>
-              </div>
-              
-              <div className="flex justify-between">
-                <span className="text-gray-600">Photos:</span>
-                <span className={`font-medium ${imagesUploaded ? 'text-success' : 'text-yellow-600'}`}>
-                  {imagesUploaded ? 'Uploaded' : 'Required'}
-                </span>
+            <div className="card-body">
+              <div className="flex items-start mb-4">
+                <div className="h-16 w-16 bg-gray-200 rounded-md flex items-center justify-center mr-4">
+                  <i className="ri-car-line text-3xl text-gray-400"></i>
+                </div>
+                
+                <div>
+                  <h4 className="text-lg font-bold">{vehicle?.vehicle_number}</h4>
+                  <p className="text-gray-600">{vehicle?.make} {vehicle?.model}</p>
+                  <div className="mt-1">
+                    <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
+                      In Use
+                    </span>
+                  </div>
+                </div>
               </div>
               
-              {pdfUrl && (
-                <div className="flex justify-between mt-2">
-                  <span className="text-gray-600">Inspection Report:</span>
-                  <Link to={`/pdf/${pdfUrl.split('/').pop()}`} className="text-primary hover:underline">
-                    View PDF
-                  </Link>
+              <div className="border-t pt-4 mt-4">
+                <div className="flex justify-between mb-2">
+                  <span className="text-gray-600">Punch In Time:</span>
+                  <span className="font-medium">
+                    {new Date(activeLog?.punch_in).toLocaleString()}
+                  </span>
                 </div>
-              )}
+                
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Photos:</span>
+                  <span className={`font-medium ${imagesUploaded ? 'text-success' : 'text-yellow-600'}`}>
+                    {imagesUploaded ? 'Uploaded' : 'Required'}
+                  </span>
+                </div>
+                
+                {pdfUrl && (
+                  <div className="flex justify-between mt-2">
+                    <span className="text-gray-600">Inspection Report:</span>
+                    <span className="space-x-3">
+                      <Link to={`/pdf/${pdfId}`} className="text-primary hover:underline">
+                        View
+                      </Link>
+                      <a href={pdfUrl} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">
+                        Download PDF
+                      </a>
+                    </span>
+                  </div>
+                )}
+              </div>
             </div>
           </div>
+          
+          {/* Odometer and fuel at the end of the shift */}
+          <ReadingsForm
+            title="Closing Readings"
+            value={readings}
+            onChange={setReadings}
+            lastReading={lastReading}
+            since={activeLog?.punch_in}
+          />
         </div>
         
         {/* Punch Out Card */}
@@ -328,6 +370,27 @@ const PunchOut = () => {
               </ul>
             </div>
             
+            {readingError && (
+              <p className="mb-4 text-sm text-red-600">
+                <i className="ri-error-warning-line mr-1"></i>
+                {readingError}
+              </p>
+            )}
+            
+            {locationError && (
+              <p className="mb-4 text-sm text-red-600">
+                <i className="ri-map-pin-line mr-1"></i>
+                {locationError}
+              </p>
+            )}
+            
+            {geofences.length > 0 && (
+              <p className="mb-4 text-xs text-gray-500">
+                <i className="ri-map-pin-line mr-1"></i>
+                Your location is checked against the depot area when you punch out.
+              </p>
+            )}
+            
             <Button
               isFullWidth
               variant={imagesUploaded ? "primary" : "outline"}
@@ -342,7 +405,9 @@ const PunchOut = () => {
             
             {isPunching && imagesUploaded && (
               <div className="mt-4 text-center text-sm text-success">
-                <i className="ri-check-line"></i> Successfully punched out. Redirecting...
+                <i className="ri-check-line"></i> {isQueued
+                  ? 'Punched out on this device. It will be sent when you are back online. Redirecting...'
+                  : 'Successfully punched out. Redirecting...'}
               </div>
             )}
           </div>
@@ -366,9 +431,10 @@ const PunchOut = () => {
           
           <div className="p-6">
             <ImageCapture
-              maxImages={6}
+              angles={INSPECTION_STEPS}
+              annotatable
               title="Final Vehicle Inspection"
-              instructions="Take photos of the vehicle from different angles (front, sides, rear, interior) and any damage."
+              instructions="Take a photo of the front, sides and rear of the vehicle, the interior and any damage."
               onCaptureComplete={handleImageCaptureComplete}
             />
           </div>
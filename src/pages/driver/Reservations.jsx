@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { vehicles as vehicleDb } from '../../services/supabase';
+import reservationService from '../../services/reservationService';
+import {
+  RESERVATION_KINDS,
+  RESERVATION_KIND_LABELS,
+  formatReservationWindow,
+  toReservationWindow
+} from '../../utils/reservationUtils';
+import useAuthStore from '../../store/authStore';
+import Button from '../../components/common/Button';
+import Loading from '../../components/common/Loading';
+
+const EMPTY_FORM = { vehicleId: '', date: '', startTime: '', endTime: '' };
+
+const Reservations = () => {
+  const { user } = useAuthStore();
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(false);
+  const [vehicles, setVehicles] = useState([]);
+  const [reservations, setReservations] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  
+  // Fetch vehicles and the driver's upcoming bookings
+  useEffect(() => {
+    const fetchData = async () => {
+      if (!user) return;
+      
+      setIsLoading(true);
+      setError(null);
+      
+      try {
+        const [{ data: vehicleData, error: vehicleError }, reservationResult] = await Promise.all([
+          vehicleDb.getAll(),
+          reservationService.getReservations({ from: new Date(), driverId: user.id })
+        ]);
+        
+        if (vehicleError) throw vehicleError;
+        if (!reservationResult.success) throw new Error(reservationResult.error);
+        
+        // Vehicles in the workshop can't be booked
+        setVehicles((vehicleData || [])
+          .filter(vehicle => vehicle.status !== 'maintenance')
+          .sort((a, b) => a.vehicle_number.localeCompare(b.vehicle_number)));
+        setReservations(reservationResult.data);
+      } catch (err) {
+        console.error('Error fetching reservations:', err);
+        setError('Failed to load your reservations. Please try again.');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    
+    fetchData();
+  }, [user]);
+  
+  const updateForm = (key, value) => {
+    setForm({ ...form, [key]: value });
+    setSuccess(false);
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    
+    const slot = toReservationWindow(form);
+    
+    if (!slot) {
+      setError('Please choose a vehicle, a date and the start and end times');
+      return;
+    }
+    
+    setIsSubmitting(true);
+    
+    const result = await reservationService.reserveVehicle({
+      driverId: user.id,
+      vehicleId: form.vehicleId,
+      ...slot
+    });
+    
+    setIsSubmitting(false);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    setReservations([...reservations, result.data].sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at)));
+    setForm(EMPTY_FORM);
+    setSuccess(true);
+  };
+  
+  const handleCancel = async (reservation) => {
+    if (!window.confirm(`Cancel your reservation of ${reservation.vehicle?.vehicle_number} for ${formatReservationWindow(reservation)}?`)) return;
+    
+    const result = await reservationService.cancelOwnReservation(reservation.id, user.id);
+    
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    
+    setReservations(reservations.filter(item => item.id !== reservation.id));
+  };
+  
+  if (isLoading) {
+    return <Loading.Page />;
+  }
+  
+  return (
+    <div>
+      <h2 className="text-2xl font-bold mb-6 md:hidden">Reservations</h2>
+      
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Reservation Form */}
+        <div className="card">
+          <div className="card-header">
+            <h3 className="font-medium text-gray-800">Reserve a Vehicle</h3>
+          </div>
+          
+          <div className="card-body">
+            {error && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4">
+                <span className="block sm:inline">{error}</span>
+              </div>
+            )}
+            
+            {success && (
+              <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative mb-4">
+                <span className="block sm:inline">Vehicle reserved. It will be kept for you when your slot comes up.</span>
+              </div>
+            )}
+            
+            <form onSubmit={handleSubmit}>
+              <div className="mb-4">
+                <label htmlFor="reservationVehicle" className="block text-sm font-medium text-gray-700 mb-1">
+                  Vehicle
+                </label>
+                <select
+                  id="reservationVehicle"
+                  value={form.vehicleId}
+                  onChange={(e) => updateForm('vehicleId', e.target.value)}
+                  className="input"
+                  required
+                >
+                  <option value="">Select a vehicle</option>
+                  {vehicles.map((vehicle) => (
+                    <option key={vehicle.id} value={vehicle.id}>
+                      {vehicle.vehicle_number} - {vehicle.make} {vehicle.model}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              
+              <div className="mb-4">
+                <label htmlFor="reservationDate" className="block text-sm font-medium text-gray-700 mb-1">
+                  Date
+                </label>
+                <input
+                  type="date"
+                  id="reservationDate"
+                  value={form.date}
+                  min={new Date().toLocaleDateString('en-CA')}
+                  onChange={(e) => updateForm('date', e.target.value)}
+                  className="input"
+                  required
+                />
+              </div>
+              
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label htmlFor="reservationStart" className="block text-sm font-medium text-gray-700 mb-1">
+                    From
+                  </label>
+                  <input
+                    type="time"
+                    id="reservationStart"
+                    value={form.startTime}
+                    onChange={(e) => updateForm('startTime', e.target.value)}
+                    className="input"
+                    required
+                  />
+                </div>
+                <div>
+                  <label htmlFor="reservationEnd" className="block text-sm font-medium text-gray-700 mb-1">
+                    To
+                  </label>
+                  <input
+                    type="time"
+                    id="reservationEnd"
+                    value={form.endTime}
+                    onChange={(e) => updateForm('endTime', e.target.value)}
+                    className="input"
+                    required
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 mb-4">An end time before the start time runs into the next day.</p>
+              
+              <Button
+                type="submit"
+                isFullWidth
+                variant="primary"
+                isLoading={isSubmitting}
+                icon={<i className="ri-calendar-check-line"></i>}
+              >
+                Reserve Vehicle
+              </Button>
+            </form>
+          </div>
+        </div>
+        
+        {/* Upcoming Bookings */}
+        <div className="card">
+          <div className="card-header">
+            <h3 className="font-medium text-gray-800">Your Upcoming Bookings</h3>
+          </div>
+          
+          <div className="p-0">
+            {reservations.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                <div className="text-4xl mb-2">📅</div>
+                <p>You have no upcoming shifts or reservations.</p>
+              </div>
+            ) : (
+              <div className="divide-y">
+                {reservations.map((reservation) => (
+                  <div key={reservation.id} className="p-4 hover:bg-gray-50 flex justify-between items-start gap-3">
+                    <div>
+                      <h4 className="font-medium">
+                        {reservation.vehicle?.vehicle_number} - {reservation.vehicle?.make} {reservation.vehicle?.model}
+                      </h4>
+                      <p className="text-sm text-gray-500">{formatReservationWindow(reservation)}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {RESERVATION_KIND_LABELS[reservation.kind]}
+                        {reservation.notes && ` · ${reservation.notes}`}
+                      </p>
+                    </div>
+                    {reservation.kind === RESERVATION_KINDS.RESERVATION && !reservation.time_log_id && (
+                      <button
+                        onClick={() => handleCancel(reservation)}
+                        className="text-sm text-red-600 hover:text-red-800 shrink-0"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Reservations;
@@ -1,9 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { vehicles } from '../../services/supabase';
+import reservationService from '../../services/reservationService';
+import { arrangeVehiclesForDriver, formatReservationWindow, isReservationHeld } from '../../utils/reservationUtils';
+import useAuthStore from '../../store/authStore';
 
 const VehicleSelection = () => {
   const [availableVehicles, setAvailableVehicles] = useState([]);
+  const [heldElsewhere, setHeldElsewhere] = useState(null); // The driver's held booking of a vehicle that isn't free yet
+  const { user } = useAuthStore();
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
@@ -14,11 +19,24 @@ const VehicleSelection = () => {
       setError(null);
       
       try {
-        const { data, error } = await vehicles.getAvailable();
+        const [{ data, error }, reservationResult, holdResult] = await Promise.all([
+          vehicles.getAvailable(),
+          reservationService.getReservations({ from: new Date() }),
+          reservationService.getHoldMinutes()
+        ]);
         
         if (error) throw error;
         
-        setAvailableVehicles(data || []);
+        // Without the bookings every vehicle is listed; checkout still refuses one held for someone else
+        const reservations = reservationResult.success ? reservationResult.data : [];
+        const holdMinutes = holdResult.success ? holdResult.data : 0;
+        const arranged = arrangeVehiclesForDriver(data || [], reservations, user?.id, holdMinutes);
+        
+        setAvailableVehicles(arranged);
+        setHeldElsewhere(reservations.find(reservation =>
+          reservation.driver_id === user?.id
+          && isReservationHeld(reservation, holdMinutes)
+          && !arranged.some(vehicle => vehicle.id === reservation.vehicle_id)) || null);
       } catch (err) {
         console.error('Error fetching vehicles:', err);
         setError('Failed to load vehicles. Please try again.');
@@ -28,7 +46,7 @@ const VehicleSelection = () => {
     };
     
     fetchVehicles();
-  }, []);
+  }, [user]);
 
   const handleSelectVehicle = (vehicleId) => {
     navigate(`/driver/agreement/${vehicleId}`);
@@ -69,11 +87,19 @@ const VehicleSelection = () => {
     <div>
       <h2 className="text-2xl font-bold mb-6 md:hidden">Select Vehicle</h2>
       
+      {heldElsewhere && (
+        <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded mb-6 text-sm">
+          Your reserved vehicle {heldElsewhere.vehicle?.vehicle_number} ({formatReservationWindow(heldElsewhere)}) is not free yet.
+        </div>
+      )}
+      
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {availableVehicles.map((vehicle) => (
           <div 
             key={vehicle.id}
-            className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-200"
+            className={`bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-200 ${
+              vehicle.reservation ? 'ring-2 ring-primary' : ''
+            }`}
           >
             <div className="h-40 bg-gray-200 flex items-center justify-center">
               <i className="ri-car-line text-6xl text-gray-400"></i>
@@ -82,15 +108,28 @@ const VehicleSelection = () => {
             <div className="p-4">
               <div className="flex justify-between items-start mb-2">
                 <h3 className="text-xl font-bold">{vehicle.vehicle_number}</h3>
-                <span className="bg-green-100 text-success text-xs px-2 py-1 rounded-full font-medium">
-                  Available
-                </span>
+                {vehicle.reservation ? (
+                  <span className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full font-medium">
+                    Reserved for you
+                  </span>
+                ) : (
+                  <span className="bg-green-100 text-success text-xs px-2 py-1 rounded-full font-medium">
+                    Available
+                  </span>
+                )}
               </div>
               
-              <p className="text-gray-600 mb-4">
+              <p className={`text-gray-600 ${vehicle.reservation ? 'mb-1' : 'mb-4'}`}>
                 {vehicle.make} {vehicle.model}
               </p>
               
+              {vehicle.reservation && (
+                <p className="text-sm text-blue-800 mb-4">
+                  <i className="ri-calendar-check-line mr-1"></i>
+                  {formatReservationWindow(vehicle.reservation)}
+                </p>
+              )}
+              
               <button
                 onClick={() => handleSelectVehicle(vehicle.id)}
                 className="w-full bg-primary hover:bg-primary/90 text-white py-2 px-4 rounded-md font-medium transition-colors duration-200"
@@ -0,0 +1,475 @@
+import jsPDF from 'jspdf';
+import { zipSync } from 'fflate';
+import { fromDepot } from './supabase';
+import outboxService, { OUTBOX_OPERATIONS } from './outboxService';
+import agreementTemplateService from './agreementTemplateService';
+import { checkAgreementValidity, getValidityPolicy } from '../utils/agreementTemplateUtils';
+import { verifySignatureRecord, describeSignatureCheck, hashSignedAgreement } from '../utils/signatureUtils';
+import {
+  loadImageForPdf,
+  drawImageInBox,
+  drawPdfHeader,
+  drawDetailSection,
+  addPdfFooters
+} from '../utils/pdfUtils';
+import { isNetworkError } from '../utils/networkUtils';
+
+// Columns the archive lists; the text and signature are only loaded for certificates
+const ARCHIVE_COLUMNS = `
+  id,
+  driver_id,
+  vehicle_id,
+  time_log_id,
+  template_version_id,
+  signed_at,
+  content_hash,
+  signer_ip,
+  driver:users(name, email),
+  vehicle:vehicles(vehicle_number, make, model),
+  template_version:agreement_template_versions(version, agreement_templates(name))
+`;
+
+const CERTIFICATE_COLUMNS = `
+  ${ARCHIVE_COLUMNS},
+  content,
+  signature,
+  signature_record,
+  signer_user_agent
+`;
+
+// Certificates are drawn in the browser, so a ZIP is capped at this many agreements
+export const MAX_ARCHIVE_AGREEMENTS = 200;
+
+/**
+ * Filter agreements by driver, vehicle and signing date
+ * @param {Object} query - Supabase query on agreements
+ * @param {Object} filters - driverId, vehicleId, from and to (YYYY-MM-DD, both inclusive)
+ * @returns {Object} Filtered query
+ */
+const applyArchiveFilters = (query, { driverId, vehicleId, from, to } = {}) => {
+  if (driverId) query = query.eq('driver_id', driverId);
+  if (vehicleId) query = query.eq('vehicle_id', vehicleId);
+  
+  // Whole days in local time
+  if (from) query = query.gte('signed_at', new Date(`${from}T00:00:00`).toISOString());
+  if (to) query = query.lte('signed_at', new Date(`${to}T23:59:59.999`).toISOString());
+  
+  return query;
+};
+
+/**
+ * Describe the terms an agreement was signed under
+ * @param {Object} agreement - Agreement with a template_version relation
+ * @returns {string} Template name and version, or the built-in terms
+ */
+export const getAgreementTermsLabel = (agreement) => {
+  const version = agreement.template_version;
+  
+  return version
+    ? `${version.agreement_templates?.name || 'Template'} (version ${version.version})`
+    : 'Built-in terms';
+};
+
+/**
+ * Name a certificate file after its vehicle, driver and signing date
+ * @param {Object} agreement - Agreement with driver and vehicle relations
+ * @returns {string} File name
+ */
+const getCertificateFileName = (agreement) => {
+  const parts = [
+    'agreement',
+    agreement.vehicle?.vehicle_number,
+    agreement.driver?.name,
+    new Date(agreement.signed_at).toISOString().slice(0, 10),
+    agreement.id.slice(0, 8)
+  ];
+  
+  return `${parts.filter(Boolean).join('_').replace(/[^\w.-]+/g, '-')}.pdf`;
+};
+
+// Lay out a certificate: details, the terms, the signature, then the verification hashes
+const buildCertificate = ({ agreement, signatureImage, signatureCheck, hashes }) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 15;
+  const contentWidth = pageWidth - margin * 2;
+  const device = agreement.signature_record?.device;
+  const signedAt = new Date(agreement.signed_at);
+  
+  let y = drawPdfHeader(
+    doc,
+    'Signed Agreement Certificate',
+    `${getAgreementTermsLabel(agreement)} - ${signedAt.toLocaleString()}`
+  );
+  
+  y = drawDetailSection(doc, 'Agreement', [
+    ['Agreement ID', agreement.id],
+    ['Terms', getAgreementTermsLabel(agreement)],
+    ['Signed At', signedAt.toLocaleString()],
+    ['Signed At (UTC)', signedAt.toISOString()],
+    ['Driver', `${agreement.driver?.name || 'Unknown Driver'}${agreement.driver?.email ? ` (${agreement.driver.email})` : ''}`],
+    ['Vehicle', agreement.vehicle
+      ? `${agreement.vehicle.vehicle_number} (${agreement.vehicle.make} ${agreement.vehicle.model})`
+      : 'Unknown Vehicle']
+  ], y);
+  
+  y = drawDetailSection(doc, 'Signing Device', [
+    ['IP Address', agreement.signer_ip || 'Not recorded'],
+    ['Platform', device?.platform || '-'],
+    ['Language', device?.language || '-'],
+    ['Screen', device ? `${device.screen} at ${device.pixelRatio}x` : '-']
+  ], y);
+  
+  // User agents are too long for a detail row
+  const userAgent = device?.userAgent || agreement.signer_user_agent;
+  
+  if (userAgent) {
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    const userAgentLines = doc.splitTextToSize(`Browser: ${userAgent}`, contentWidth);
+    doc.text(userAgentLines, margin, y - 2);
+    doc.setTextColor(0, 0, 0);
+    y += userAgentLines.length * 3.5;
+  }
+  
+  // Terms
+  doc.setFontSize(13);
+  doc.setFont(undefined, 'bold');
+  doc.text('Terms', margin, y + 4);
+  doc.setFont(undefined, 'normal');
+  
+  doc.setFontSize(9);
+  let lineY = y + 12;
+  
+  doc.splitTextToSize(agreement.content || '', contentWidth).forEach((line) => {
+    if (lineY > pageHeight - 20) {
+      doc.addPage();
+      lineY = 20;
+    }
+    doc.text(line, margin, lineY);
+    lineY += 4.5;
+  });
+  
+  // Keep the signature and verification block together on one page
+  if (lineY + 95 > pageHeight - 15) {
+    doc.addPage();
+    lineY = 20;
+  }
+  
+  lineY += 6;
+  doc.setFontSize(10);
+  doc.text('Driver Signature:', margin, lineY);
+  
+  if (signatureImage) {
+    drawImageInBox(doc, signatureImage, margin, lineY + 3, 80, 30);
+  }
+  
+  doc.setDrawColor(150);
+  doc.line(margin, lineY + 35, margin + 80, lineY + 35);
+  doc.setFontSize(9);
+  doc.text(`Signed at: ${signedAt.toLocaleString()}`, margin, lineY + 41);
+  doc.text(`Signature: ${describeSignatureCheck(signatureCheck)}`, margin, lineY + 46);
+  
+  // The stored text hash is recorded at signing; a mismatch means the text changed since
+  const storedHashStatus = !agreement.content_hash
+    ? 'no hash stored at signing'
+    : agreement.content_hash === hashes.contentHash
+      ? 'matches the hash stored at signing'
+      : 'does NOT match the hash stored at signing';
+  
+  lineY += 56;
+  doc.setFontSize(11);
+  doc.setFont(undefined, 'bold');
+  doc.text('Verification', margin, lineY);
+  doc.setFont(undefined, 'normal');
+  
+  doc.setFontSize(8);
+  [
+    `Agreement text SHA-256: ${hashes.contentHash} (${storedHashStatus})`,
+    `Signature image SHA-256: ${hashes.signatureHash}`,
+    `Stroke record binding: ${agreement.signature_record?.binding || 'none'}`
+  ].forEach((text, index) => {
+    doc.text(doc.splitTextToSize(text, contentWidth), margin, lineY + 6 + index * 8);
+  });
+  
+  doc.setFont(undefined, 'bold');
+  doc.text(`Certificate hash: ${hashes.hash}`, margin, lineY + 30);
+  doc.setFont(undefined, 'normal');
+  
+  addPdfFooters(doc, `Generated on ${new Date().toLocaleString()} - Agreement ${agreement.id}`);
+  
+  return doc;
+};
+
+/**
+ * Draw the certificate of one signed agreement
+ * @param {Object} agreement - Agreement with CERTIFICATE_COLUMNS
+ * @returns {Promise<jsPDF>} Certificate document
+ */
+const createCertificate = async (agreement) => {
+  let signatureImage = null;
+  
+  if (agreement.signature) {
+    try {
+      signatureImage = await loadImageForPdf(agreement.signature);
+    } catch (error) {
+      console.error(`Error loading the signature of agreement ${agreement.id}:`, error);
+    }
+  }
+  
+  const signatureCheck = agreement.signature_record
+    ? await verifySignatureRecord(agreement.signature_record, agreement)
+    : null;
+  
+  return buildCertificate({
+    agreement,
+    signatureImage,
+    signatureCheck,
+    hashes: await hashSignedAgreement(agreement)
+  });
+};
+
+/**
+ * Signed agreement service functions
+ */
+const agreementService = {
+  /**
+   * Get the agreement that covers a driver's next shift on a vehicle, if any
+   * @param {string} driverId - Driver ID
+   * @param {Object} vehicle - Vehicle with id and agreement_template_id
+   * @returns {Promise} Promise object with agreement (null unless valid), latest (the driver's
+   *   latest agreement), version (the version to sign, null for the built-in terms),
+   *   validity (policy and days) and check (see checkAgreementValidity), or error
+   */
+  getAgreementInForce: async (driverId, vehicle) => {
+    try {
+      // An agreement signed offline is still waiting in the outbox
+      const queued = await outboxService.findQueued(
+        OUTBOX_OPERATIONS.AGREEMENT,
+        payload => payload.driverId === driverId && payload.vehicleId === vehicle.id
+      );
+      
+      let latest = null;
+      
+      if (queued) {
+        latest = {
+          id: queued.id,
+          driver_id: queued.driverId,
+          vehicle_id: queued.vehicleId,
+          content: queued.content,
+          signed_at: queued.signedAt,
+          template_version_id: queued.templateVersionId || null,
+          time_log_id: null,
+          queued: true
+        };
+      } else {
+        const { data, error } = await fromDepot('agreements')
+          .select('id, driver_id, vehicle_id, content, signed_at, template_version_id, time_log_id')
+          .eq('driver_id', driverId)
+          .eq('vehicle_id', vehicle.id)
+          .order('signed_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        
+        // Offline only a queued agreement can be checked
+        if (error && !isNetworkError(error)) throw error;
+        
+        latest = data || null;
+      }
+      
+      // A punch in still in the outbox has used the agreement up as well
+      if (latest && !latest.time_log_id) {
+        const punchIn = await outboxService.findQueued(
+          OUTBOX_OPERATIONS.PUNCH_IN,
+          payload => payload.agreementId === latest.id
+        );
+        
+        if (punchIn) {
+          latest = { ...latest, time_log_id: punchIn.timeLogId };
+        }
+      }
+      
+      // Publishing a new version of the terms makes drivers sign again
+      const versionResult = await agreementTemplateService.getVersionForVehicle(vehicle);
+      
+      if (!versionResult.success && !isNetworkError(versionResult.error)) {
+        throw new Error(versionResult.error);
+      }
+      
+      const version = versionResult.success ? versionResult.data : undefined;
+      const check = checkAgreementValidity(latest, version);
+      
+      return {
+        success: true,
+        data: {
+          agreement: check.valid ? latest : null,
+          latest,
+          version: version || null,
+          validity: getValidityPolicy(version),
+          check
+        }
+      };
+    } catch (error) {
+      console.error(`Error fetching the agreement for vehicle ${vehicle?.id}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch the agreement'
+      };
+    }
+  },
+  
+  /**
+   * Get signed agreements of the current depot, newest first
+   * @param {Object} options - driverId, vehicleId, from and to (YYYY-MM-DD), page and limit
+   * @returns {Promise} Promise object with agreements and count, or error
+   */
+  getAgreements: async (options = {}) => {
+    try {
+      const { page = 1, limit = 0 } = options;
+      
+      let query = applyArchiveFilters(fromDepot('agreements')
+        .select(ARCHIVE_COLUMNS, { count: 'exact' })
+        .order('signed_at', { ascending: false }), options);
+      
+      if (limit > 0) {
+        const from = (page - 1) * limit;
+        query = query.range(from, from + limit - 1);
+      }
+      
+      const { data, error, count } = await query;
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || [],
+        count
+      };
+    } catch (error) {
+      console.error('Error fetching agreements:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch agreements'
+      };
+    }
+  },
+  
+  /**
+   * Get a signed agreement with its text and signature
+   * @param {string} agreementId - Agreement ID
+   * @returns {Promise} Promise object with the agreement or error
+   */
+  getAgreement: async (agreementId) => {
+    try {
+      const { data, error } = await fromDepot('agreements')
+        .select(CERTIFICATE_COLUMNS)
+        .eq('id', agreementId)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error fetching agreement ${agreementId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch the agreement'
+      };
+    }
+  },
+  
+  /**
+   * Create the PDF certificate of a signed agreement
+   * @param {string} agreementId - Agreement ID
+   * @returns {Promise} Promise object with the PDF (blob and fileName) or error
+   */
+  getCertificate: async (agreementId) => {
+    try {
+      const result = await agreementService.getAgreement(agreementId);
+      
+      if (!result.success) throw new Error(result.error);
+      
+      const doc = await createCertificate(result.data);
+      
+      return {
+        success: true,
+        data: {
+          blob: doc.output('blob'),
+          fileName: getCertificateFileName(result.data)
+        }
+      };
+    } catch (error) {
+      console.error(`Error creating the certificate of agreement ${agreementId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create the certificate'
+      };
+    }
+  },
+  
+  /**
+   * Create a ZIP of the certificates of the agreements signed in a date range
+   * @param {Object} filters - from and to (YYYY-MM-DD, required), driverId and vehicleId
+   * @returns {Promise} Promise object with the ZIP (blob, fileName and count) or error
+   */
+  getCertificateArchive: async (filters) => {
+    try {
+      if (!filters.from || !filters.to) {
+        return {
+          success: false,
+          error: 'Choose the dates to download agreements for'
+        };
+      }
+      
+      const { data, error, count } = await applyArchiveFilters(fromDepot('agreements')
+        .select(CERTIFICATE_COLUMNS, { count: 'exact' })
+        .order('signed_at', { ascending: true })
+        .limit(MAX_ARCHIVE_AGREEMENTS), filters);
+      
+      if (error) throw error;
+      
+      if (count > MAX_ARCHIVE_AGREEMENTS) {
+        return {
+          success: false,
+          error: `${count} agreements were signed in this range; download at most ${MAX_ARCHIVE_AGREEMENTS} at a time`
+        };
+      }
+      
+      if (!data || data.length === 0) {
+        return {
+          success: false,
+          error: 'No agreements were signed in this range'
+        };
+      }
+      
+      const files = {};
+      
+      // One at a time, so only one document is held in memory besides the finished files
+      for (const agreement of data) {
+        const doc = await createCertificate(agreement);
+        files[getCertificateFileName(agreement)] = new Uint8Array(doc.output('arraybuffer'));
+      }
+      
+      return {
+        success: true,
+        data: {
+          blob: new Blob([zipSync(files)], { type: 'application/zip' }),
+          fileName: `agreements_${filters.from}_to_${filters.to}.zip`,
+          count: data.length
+        }
+      };
+    } catch (error) {
+      console.error('Error creating the agreement archive:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create the archive'
+      };
+    }
+  }
+};
+
+export default agreementService;
@@ -0,0 +1,448 @@
+import { supabase, fromDepot } from './supabase';
+import { AGREEMENT_VALIDITY_LABELS, getApplicableAgreementVersion, getUnknownPlaceholders } from '../utils/agreementTemplateUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
+const TEMPLATE_COLUMNS = `
+  id,
+  depot_id,
+  name,
+  is_default,
+  validity_policy,
+  validity_days,
+  created_at,
+  versions:agreement_template_versions(
+    id,
+    template_id,
+    version,
+    body,
+    status,
+    created_at,
+    updated_at,
+    published_at,
+    publisher:users(name)
+  )
+`;
+
+/**
+ * Check a template's text
+ * @param {string} body - Template text
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateBody = (body) => {
+  if (!body || !body.trim()) {
+    return 'The agreement text is required';
+  }
+  
+  const unknown = getUnknownPlaceholders(body);
+  
+  if (unknown.length > 0) {
+    return `Unknown placeholder${unknown.length === 1 ? '' : 's'}: ${unknown.map(key => `{{${key}}}`).join(', ')}`;
+  }
+  
+  return null;
+};
+
+/**
+ * Agreement template service functions
+ */
+const agreementTemplateService = {
+  /**
+   * Get the templates of the current depot with their version history
+   * @returns {Promise} Promise object with templates or error
+   */
+  getTemplates: async () => {
+    try {
+      const { data, error } = await fromDepot('agreement_templates')
+        .select(TEMPLATE_COLUMNS)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error('Error fetching agreement templates:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch agreement templates'
+      };
+    }
+  },
+  
+  /**
+   * Get the published agreement version a driver signs for a vehicle
+   * @param {Object} vehicle - Vehicle with id and agreement_template_id
+   * @returns {Promise} Promise object with the version (null for the built-in terms) or error
+   */
+  getVersionForVehicle: async (vehicle) => {
+    try {
+      const { data, error } = await fromDepot('agreement_template_versions')
+        .select('id, template_id, version, body, published_at, agreement_templates(name, is_default, validity_policy, validity_days), depots(name)')
+        .eq('status', 'published');
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: getApplicableAgreementVersion(data || [], vehicle)
+      };
+    } catch (error) {
+      console.error(`Error fetching the agreement for vehicle ${vehicle?.id}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch the agreement'
+      };
+    }
+  },
+  
+  /**
+   * Create a template with its first version as a draft
+   * @param {Object} template - name and body
+   * @returns {Promise} Promise object with the new template or error
+   */
+  createTemplate: async ({ name, body }) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = !name?.trim() ? 'Template name is required' : validateBody(body);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data: template, error } = await fromDepot('agreement_templates')
+        .insert([{ name: name.trim() }])
+        .select('id')
+        .single();
+      
+      if (error) throw error;
+      
+      const { error: versionError } = await fromDepot('agreement_template_versions')
+        .insert([{ template_id: template.id, version: 1, body }]);
+      
+      if (versionError) {
+        await fromDepot('agreement_templates').delete().eq('id', template.id);
+        throw versionError;
+      }
+      
+      return agreementTemplateService.getTemplate(template.id);
+    } catch (error) {
+      console.error('Error creating agreement template:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create agreement template'
+      };
+    }
+  },
+  
+  /**
+   * Get one template with its version history
+   * @param {string} templateId - Template ID
+   * @returns {Promise} Promise object with the template or error
+   */
+  getTemplate: async (templateId) => {
+    try {
+      const { data, error } = await fromDepot('agreement_templates')
+        .select(TEMPLATE_COLUMNS)
+        .eq('id', templateId)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error fetching agreement template ${templateId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch agreement template'
+      };
+    }
+  },
+  
+  /**
+   * Rename a template
+   * @param {string} templateId - Template ID
+   * @param {string} name - New name
+   * @returns {Promise} Promise object with the updated template or error
+   */
+  renameTemplate: async (templateId, name) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      if (!name?.trim()) {
+        return {
+          success: false,
+          error: 'Template name is required'
+        };
+      }
+      
+      const { error } = await fromDepot('agreement_templates')
+        .update({ name: name.trim() })
+        .eq('id', templateId);
+      
+      if (error) throw error;
+      
+      return agreementTemplateService.getTemplate(templateId);
+    } catch (error) {
+      console.error(`Error renaming agreement template ${templateId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to rename agreement template'
+      };
+    }
+  },
+  
+  /**
+   * Make a template the one vehicles without their own template use
+   * @param {string} templateId - Template ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  setDefaultTemplate: async (templateId) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      // Only one default per depot, so the old one is cleared first
+      const { error: clearError } = await fromDepot('agreement_templates')
+        .update({ is_default: false })
+        .eq('is_default', true);
+      
+      if (clearError) throw clearError;
+      
+      const { error } = await fromDepot('agreement_templates')
+        .update({ is_default: true })
+        .eq('id', templateId);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error making agreement template ${templateId} the default:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to set the default template'
+      };
+    }
+  },
+  
+  /**
+   * Set how long agreements signed under a template stay valid
+   * @param {string} templateId - Template ID
+   * @param {Object} validity - policy (see AGREEMENT_VALIDITY_LABELS) and days, for the days policy
+   * @returns {Promise} Promise object with the updated template or error
+   */
+  setValidityPolicy: async (templateId, { policy, days }) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      if (!AGREEMENT_VALIDITY_LABELS[policy]) {
+        return {
+          success: false,
+          error: 'Unknown validity policy'
+        };
+      }
+      
+      const validityDays = policy === 'days' ? Number(days) : null;
+      
+      if (policy === 'days' && (!Number.isInteger(validityDays) || validityDays < 1)) {
+        return {
+          success: false,
+          error: 'Number of days must be a whole number of at least 1'
+        };
+      }
+      
+      const { error } = await fromDepot('agreement_templates')
+        .update({ validity_policy: policy, validity_days: validityDays })
+        .eq('id', templateId);
+      
+      if (error) throw error;
+      
+      return agreementTemplateService.getTemplate(templateId);
+    } catch (error) {
+      console.error(`Error setting the validity of agreement template ${templateId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to set the validity policy'
+      };
+    }
+  },
+  
+  /**
+   * Save the text of a template's draft, starting a new draft version when there is none
+   * @param {Object} template - Template with its versions
+   * @param {string} body - Template text
+   * @returns {Promise} Promise object with the updated template or error
+   */
+  saveDraft: async (template, body) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = validateBody(body);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const draft = (template.versions || []).find(version => version.status === 'draft');
+      
+      const { error } = draft
+        ? await fromDepot('agreement_template_versions')
+          .update({ body, updated_at: new Date().toISOString() })
+          .eq('id', draft.id)
+          .eq('status', 'draft')
+        : await fromDepot('agreement_template_versions')
+          .insert([{
+            template_id: template.id,
+            version: Math.max(0, ...(template.versions || []).map(version => version.version)) + 1,
+            body
+          }]);
+      
+      if (error) throw error;
+      
+      return agreementTemplateService.getTemplate(template.id);
+    } catch (error) {
+      console.error(`Error saving the draft of agreement template ${template.id}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to save the draft'
+      };
+    }
+  },
+  
+  /**
+   * Throw away a template's draft
+   * @param {string} versionId - Draft version ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  discardDraft: async (versionId) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await fromDepot('agreement_template_versions')
+        .delete()
+        .eq('id', versionId)
+        .eq('status', 'draft');
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error discarding agreement draft ${versionId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to discard the draft'
+      };
+    }
+  },
+  
+  /**
+   * Publish a draft; drivers sign the new version at their next checkout
+   * @param {string} versionId - Draft version ID
+   * @returns {Promise} Promise object with the published version or error
+   */
+  publishVersion: async (versionId) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { data, error } = await supabase.rpc('publish_agreement_template_version', {
+        p_version_id: versionId
+      });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error publishing agreement version ${versionId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to publish the agreement'
+      };
+    }
+  },
+  
+  /**
+   * Assign a template to exactly the given vehicles
+   * @param {string} templateId - Template ID
+   * @param {Array} vehicleIds - IDs of the vehicles that use the template
+   * @returns {Promise} Promise object indicating success or error
+   */
+  assignVehicles: async (templateId, vehicleIds) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error: clearError } = await fromDepot('vehicles')
+        .update({ agreement_template_id: null })
+        .eq('agreement_template_id', templateId);
+      
+      if (clearError) throw clearError;
+      
+      if (vehicleIds.length > 0) {
+        const { error } = await fromDepot('vehicles')
+          .update({ agreement_template_id: templateId })
+          .in('id', vehicleIds);
+        
+        if (error) throw error;
+      }
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error assigning vehicles to agreement template ${templateId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to assign vehicles'
+      };
+    }
+  },
+  
+  /**
+   * Delete a template that was never signed under
+   * @param {string} templateId - Template ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  deleteTemplate: async (templateId) => {
+    const denied = requirePermission(PERMISSIONS.AGREEMENTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await fromDepot('agreement_templates')
+        .delete()
+        .eq('id', templateId);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting agreement template ${templateId}:`, error);
+      return {
+        success: false,
+        // Signed agreements keep their versions alive
+        error: error.code === '23503'
+          ? 'Drivers have signed this template; it can no longer be deleted'
+          : error.message || 'Failed to delete agreement template'
+      };
+    }
+  }
+};
+
+export default agreementTemplateService;
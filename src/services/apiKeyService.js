@@ -1,4 +1,18 @@
-import { supabase } from './supabase';
+import { supabase, fromDepot } from './supabase';
+import {
+  ALL_API_KEY_SCOPES,
+  generateApiKey,
+  getApiKeyPrefix,
+  hashApiKey,
+  safeEqual,
+  hasApiKeyScope,
+  isApiKeyExpired
+} from '../utils/apiKeyUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
+// Columns safe to return to clients; key_hash never leaves the service
+const API_KEY_COLUMNS = 'id, user_id, depot_id, description, key_prefix, scopes, expires_at, created_at, last_used_at, '
+  + 'rotated_from_id, replaced_by_id, grace_ends_at, revoked_at';
 
 /**
  * API Key service functions for managing API keys
@@ -6,11 +20,18 @@ import { supabase } from './supabase';
 const apiKeyService = {
   /**
    * Generate a new API key
+   * Only the key's prefix and SHA-256 hash are stored; the plaintext is returned once here
    * @param {string} userId - User ID
    * @param {string} description - Key description
+   * @param {Object} options - Key options
+   * @param {Array} options.scopes - Scopes such as 'vehicles:read' or 'logs:write'
+   * @param {string|null} options.expiresAt - Expiry timestamp, null for a key that never expires
    * @returns {Promise} Promise object with API key or error
    */
-  generateApiKey: async (userId, description) => {
+  generateApiKey: async (userId, description, { scopes = [], expiresAt = null } = {}) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
     try {
       // Validate inputs
       if (!userId) {
@@ -27,20 +48,35 @@ const apiKeyService = {
         };
       }
       
-      // Generate a random API key
-      // In a real app, use a more secure method
-      const apiKey = crypto.randomUUID().replace(/-/g, '');
+      if (scopes.length === 0 || scopes.some(scope => !ALL_API_KEY_SCOPES.includes(scope))) {
+        return { 
+          success: false, 
+          error: `Scopes must be one or more of: ${ALL_API_KEY_SCOPES.join(', ')}` 
+        };
+      }
+      
+      if (expiresAt && isApiKeyExpired(expiresAt)) {
+        return { 
+          success: false, 
+          error: 'Expiry date must be in the future' 
+        };
+      }
+      
+      const { apiKey, prefix } = generateApiKey();
+      const keyHash = await hashApiKey(apiKey);
       
       // Insert API key into database
-      const { data, error } = await supabase
-        .from('api_keys')
+      const { data, error } = await fromDepot('api_keys')
         .insert([{
           user_id: userId,
-          api_key: apiKey,
+          key_prefix: prefix,
+          key_hash: keyHash,
+          scopes,
+          expires_at: expiresAt,
           description,
           created_at: new Date().toISOString(),
         }])
-        .select()
+        .select(API_KEY_COLUMNS)
         .single();
       
       if (error) throw error;
@@ -66,9 +102,8 @@ const apiKeyService = {
    */
   getApiKeysForUser: async (userId) => {
     try {
-      const { data, error } = await supabase
-        .from('api_keys')
-        .select('*')
+      const { data, error } = await fromDepot('api_keys')
+        .select(API_KEY_COLUMNS)
         .eq('user_id', userId)
         .order('created_at', { ascending: false });
       
@@ -94,9 +129,8 @@ const apiKeyService = {
    */
   getApiKeyDetails: async (keyId) => {
     try {
-      const { data, error } = await supabase
-        .from('api_keys')
-        .select('*')
+      const { data, error } = await fromDepot('api_keys')
+        .select(API_KEY_COLUMNS)
         .eq('id', keyId)
         .single();
       
@@ -121,9 +155,11 @@ const apiKeyService = {
    * @returns {Promise} Promise object indicating success or error
    */
   deleteApiKey: async (keyId) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
     try {
-      const { error } = await supabase
-        .from('api_keys')
+      const { error } = await fromDepot('api_keys')
         .delete()
         .eq('id', keyId);
       
@@ -140,41 +176,184 @@ const apiKeyService = {
   },
   
   /**
-   * Validate an API key
-   * @param {string} apiKey - API key to validate
-   * @returns {Promise} Promise object with validation result
+   * Rotate an API key: issue a successor and keep the old key valid for a grace period
+   * The successor's plaintext is returned once here, like generateApiKey
+   * @param {string} keyId - ID of the key to rotate
+   * @param {Object} options - Rotation options
+   * @param {number} options.graceHours - How long the old key keeps working
+   * @returns {Promise} Promise object with the new API key, or error with conflict/notFound flags
    */
-  validateApiKey: async (apiKey) => {
+  rotateApiKey: async (keyId, { graceHours = 24 } = {}) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
     try {
-      // Check if API key exists
-      const { data, error } = await supabase
-        .from('api_keys')
-        .select('id, user_id, description, created_at')
-        .eq('api_key', apiKey)
-        .single();
+      if (!(graceHours > 0)) {
+        return { 
+          success: false, 
+          error: 'Grace period must be greater than zero' 
+        };
+      }
+      
+      const { apiKey, prefix } = generateApiKey();
+      const keyHash = await hashApiKey(apiKey);
+      
+      const { data, error } = await supabase.rpc('rotate_api_key', {
+        p_key_id: keyId,
+        p_key_prefix: prefix,
+        p_key_hash: keyHash,
+        p_grace: `${graceHours} hours`
+      });
       
       if (error) {
-        if (error.code === 'PGRST116') {
-          // No results found - invalid API key
+        // PT409: the key was already rotated or revoked, PT404: it no longer exists
+        if (error.code === 'PT409' || error.code === 'PT404') {
           return { 
             success: false, 
-            valid: false,
-            error: 'Invalid API key' 
+            conflict: error.code === 'PT409',
+            notFound: error.code === 'PT404',
+            error: error.message 
           };
         }
         throw error;
       }
       
+      const { key_hash: _keyHash, ...key } = data;
+      
+      return { 
+        success: true, 
+        apiKey,
+        data: key
+      };
+    } catch (error) {
+      console.error(`Error rotating API key with ID ${keyId}:`, error);
+      return { 
+        success: false, 
+        error: error.message || 'Failed to rotate API key' 
+      };
+    }
+  },
+  
+  /**
+   * Revoke keys whose rotation grace period has ended
+   * @returns {Promise} Promise object with the number of keys revoked
+   */
+  revokeRotatedApiKeys: async () => {
+    try {
+      const { data, error } = await supabase.rpc('revoke_rotated_api_keys');
+      
+      if (error) throw error;
+      
+      return { 
+        success: true, 
+        data: data || 0 
+      };
+    } catch (error) {
+      console.error('Error revoking rotated API keys:', error);
+      return { 
+        success: false, 
+        error: error.message || 'Failed to revoke rotated API keys' 
+      };
+    }
+  },
+  
+  /**
+   * Get the history of an API key (created, rotated, revoked)
+   * @param {string} keyId - API key ID
+   * @returns {Promise} Promise object with history events, oldest first
+   */
+  getApiKeyHistory: async (keyId) => {
+    try {
+      const { data, error } = await supabase
+        .from('api_key_history')
+        .select('id, event, details, created_at')
+        .eq('api_key_id', keyId)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      
+      return { 
+        success: true, 
+        data: data || [] 
+      };
+    } catch (error) {
+      console.error(`Error fetching history for API key ${keyId}:`, error);
+      return { 
+        success: false, 
+        error: error.message || 'Failed to fetch API key history' 
+      };
+    }
+  },
+  
+  /**
+   * Validate an API key, optionally for an action on a resource
+   * Invalid, revoked and expired keys fail with unauthorized: true; keys missing the scope with forbidden: true
+   * @param {string} apiKey - API key to validate
+   * @param {Object} access - Required access, omit to only check the key itself
+   * @param {string} access.resource - Resource name (vehicles, drivers, logs, maintenance)
+   * @param {string} access.access - 'read' or 'write'
+   * @returns {Promise} Promise object with validation result
+   */
+  validateApiKey: async (apiKey, { resource, access = 'read' } = {}) => {
+    try {
+      // Look the key up by its public prefix, then compare hashes
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select(`${API_KEY_COLUMNS}, key_hash`)
+        .eq('key_prefix', getApiKeyPrefix(apiKey))
+        .maybeSingle();
+      
+      if (error) throw error;
+      
+      if (!data || !safeEqual(data.key_hash, await hashApiKey(apiKey))) {
+        return { 
+          success: false, 
+          valid: false,
+          unauthorized: true,
+          error: 'Invalid API key' 
+        };
+      }
+      
+      // A rotated key stops working when its grace period ends, even before the sweep revokes it
+      if (data.revoked_at || isApiKeyExpired(data.grace_ends_at)) {
+        return { 
+          success: false, 
+          valid: false,
+          unauthorized: true,
+          error: 'API key has been revoked' 
+        };
+      }
+      
+      if (isApiKeyExpired(data.expires_at)) {
+        return { 
+          success: false, 
+          valid: false,
+          unauthorized: true,
+          error: 'API key has expired' 
+        };
+      }
+      
+      if (resource && !hasApiKeyScope(data.scopes, resource, access)) {
+        return { 
+          success: false, 
+          valid: false,
+          forbidden: true,
+          error: `API key does not have the ${resource}:${access} scope` 
+        };
+      }
+      
       // Update last used timestamp
       await supabase
         .from('api_keys')
         .update({ last_used_at: new Date().toISOString() })
         .eq('id', data.id);
       
+      const { key_hash: _keyHash, ...key } = data;
+      
       return { 
         success: true, 
         valid: true,
-        data
+        data: key
       };
     } catch (error) {
       console.error('Error validating API key:', error);
@@ -186,6 +365,42 @@ const apiKeyService = {
     }
   },
   
+  /**
+   * Record a request made to the REST API
+   * @param {Object} entry - Request details
+   * @param {string|null} entry.apiKeyId - ID of the key used, null if authentication failed
+   * @param {string} entry.method - HTTP method
+   * @param {string|null} entry.route - Matched route pattern (e.g. /api/vehicles/:id)
+   * @param {string} entry.path - Requested path
+   * @param {number} entry.status - Response status code
+   * @param {number} entry.latencyMs - Time taken to respond in milliseconds
+   * @returns {Promise} Promise object indicating success or error
+   */
+  recordApiRequest: async ({ apiKeyId, method, route, path, status, latencyMs }) => {
+    try {
+      const { error } = await supabase
+        .from('api_request_log')
+        .insert([{
+          api_key_id: apiKeyId,
+          method,
+          route,
+          path,
+          status,
+          latency_ms: latencyMs,
+        }]);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording API request:', error);
+      return { 
+        success: false, 
+        error: error.message || 'Failed to record API request' 
+      };
+    }
+  },
+  
   /**
    * Get API key usage for a user
    * @param {string} userId - User ID
@@ -194,26 +409,42 @@ const apiKeyService = {
   getApiKeyUsage: async (userId) => {
     try {
       // Get all API keys for user
-      const { data: keys, error } = await supabase
-        .from('api_keys')
-        .select('id, api_key, description, created_at, last_used_at')
+      const { data: keys, error } = await fromDepot('api_keys')
+        .select(API_KEY_COLUMNS)
         .eq('user_id', userId)
         .order('created_at', { ascending: false });
       
       if (error) throw error;
       
-      // In a real app, you would fetch actual usage metrics from a dedicated table
-      // For the prototype, we'll return simulated usage data
-      const keysWithUsage = keys?.map(key => ({
-        ...key,
-        usageStats: {
-          totalCalls: Math.floor(Math.random() * 1000),
-          lastMonth: Math.floor(Math.random() * 300),
-          lastWeek: Math.floor(Math.random() * 100),
-          lastDayCalls: Math.floor(Math.random() * 50),
-          averageResponseTime: Math.floor(Math.random() * 200 + 100),
-        }
-      })) || [];
+      if (!keys || keys.length === 0) {
+        return { 
+          success: true, 
+          data: [] 
+        };
+      }
+      
+      // Aggregate the request log per key
+      const { data: stats, error: statsError } = await supabase
+        .rpc('api_key_usage_stats', { p_key_ids: keys.map(key => key.id) });
+      
+      if (statsError) throw statsError;
+      
+      const statsByKey = new Map((stats || []).map(row => [row.api_key_id, row]));
+      
+      const keysWithUsage = keys.map(key => {
+        const row = statsByKey.get(key.id);
+        
+        return {
+          ...key,
+          usageStats: {
+            totalCalls: Number(row?.total_calls || 0),
+            lastMonth: Number(row?.last_month || 0),
+            lastWeek: Number(row?.last_week || 0),
+            lastDayCalls: Number(row?.last_day || 0),
+            averageResponseTime: row?.average_latency_ms != null ? Number(row.average_latency_ms) : null,
+          }
+        };
+      });
       
       return { 
         success: true, 
@@ -228,6 +459,60 @@ const apiKeyService = {
     }
   },
   
+  /**
+   * Get daily call counts and the most used endpoints for one API key
+   * @param {string} keyId - API key ID
+   * @param {number} days - Number of days to cover, ending today (UTC)
+   * @returns {Promise} Promise object with daily usage and top endpoints
+   */
+  getApiKeyUsageDetails: async (keyId, days = 30) => {
+    try {
+      const [dailyResult, endpointsResult] = await Promise.all([
+        supabase.rpc('api_key_daily_usage', { p_key_id: keyId, p_days: days }),
+        supabase.rpc('api_key_top_endpoints', { p_key_id: keyId, p_days: days, p_limit: 5 })
+      ]);
+      
+      if (dailyResult.error) throw dailyResult.error;
+      if (endpointsResult.error) throw endpointsResult.error;
+      
+      // Fill in days without any calls so the chart has one bar per day
+      const callsByDay = new Map((dailyResult.data || []).map(row => [row.day, row]));
+      const today = new Date();
+      const daily = [];
+      
+      for (let i = days - 1; i >= 0; i--) {
+        const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+        const day = date.toISOString().slice(0, 10);
+        const row = callsByDay.get(day);
+        
+        daily.push({
+          day,
+          calls: Number(row?.calls || 0),
+          errors: Number(row?.errors || 0)
+        });
+      }
+      
+      const topEndpoints = (endpointsResult.data || []).map(row => ({
+        method: row.method,
+        route: row.route,
+        calls: Number(row.calls),
+        errors: Number(row.errors),
+        averageResponseTime: Number(row.average_latency_ms)
+      }));
+      
+      return { 
+        success: true, 
+        data: { daily, topEndpoints }
+      };
+    } catch (error) {
+      console.error(`Error fetching usage details for API key ${keyId}:`, error);
+      return { 
+        success: false, 
+        error: error.message || 'Failed to fetch API key usage details' 
+      };
+    }
+  },
+  
   /**
    * Get available API endpoints for documentation
    * @returns {Object} API endpoint documentation
@@ -241,13 +526,17 @@ const apiKeyService = {
         methods: ['GET', 'POST'],
         description: 'Get all vehicles or create a new vehicle',
         authentication: 'Required',
+        scopes: { GET: 'vehicles:read', POST: 'vehicles:write' },
         parameters: [
           { name: 'status', type: 'string', description: 'Filter by status (available, in-use, maintenance)' },
           { name: 'search', type: 'string', description: 'Search by vehicle number, make, or model' }
         ],
         responses: {
           '200': { description: 'Success' },
-          '401': { description: 'Unauthorized - Invalid API key' },
+          '201': { description: 'Vehicle created' },
+          '400': { description: 'Invalid filter or request body' },
+          '401': { description: 'Unauthorized - Invalid or expired API key' },
+          '403': { description: 'API key is missing the required scope' },
           '500': { description: 'Server error' }
         }
       },
@@ -256,13 +545,17 @@ const apiKeyService = {
         methods: ['GET', 'PUT', 'DELETE'],
         description: 'Get, update, or delete a specific vehicle',
         authentication: 'Required',
+        scopes: { GET: 'vehicles:read', PUT: 'vehicles:write', DELETE: 'vehicles:write' },
         parameters: [
           { name: 'id', type: 'string', description: 'Vehicle ID', required: true }
         ],
         responses: {
           '200': { description: 'Success' },
+          '400': { description: 'Invalid request body' },
           '404': { description: 'Vehicle not found' },
-          '401': { description: 'Unauthorized - Invalid API key' },
+          '409': { description: 'Vehicle is currently in use' },
+          '401': { description: 'Unauthorized - Invalid or expired API key' },
+          '403': { description: 'API key is missing the required scope' },
           '500': { description: 'Server error' }
         }
       },
@@ -271,12 +564,14 @@ const apiKeyService = {
         methods: ['GET'],
         description: 'Get all drivers',
         authentication: 'Required',
+        scopes: { GET: 'drivers:read' },
         parameters: [
           { name: 'search', type: 'string', description: 'Search by name, email, or phone' }
         ],
         responses: {
           '200': { description: 'Success' },
-          '401': { description: 'Unauthorized - Invalid API key' },
+          '401': { description: 'Unauthorized - Invalid or expired API key' },
+          '403': { description: 'API key is missing the required scope' },
           '500': { description: 'Server error' }
         }
       },
@@ -285,6 +580,7 @@ const apiKeyService = {
         methods: ['GET'],
         description: 'Get time logs',
         authentication: 'Required',
+        scopes: { GET: 'logs:read' },
         parameters: [
           { name: 'driver_id', type: 'string', description: 'Filter by driver ID' },
           { name: 'vehicle_id', type: 'string', description: 'Filter by vehicle ID' },
@@ -293,7 +589,8 @@ const apiKeyService = {
         ],
         responses: {
           '200': { description: 'Success' },
-          '401': { description: 'Unauthorized - Invalid API key' },
+          '401': { description: 'Unauthorized - Invalid or expired API key' },
+          '403': { description: 'API key is missing the required scope' },
           '500': { description: 'Server error' }
         }
       },
@@ -302,6 +599,7 @@ const apiKeyService = {
         methods: ['GET'],
         description: 'Get maintenance requests',
         authentication: 'Required',
+        scopes: { GET: 'maintenance:read' },
         parameters: [
           { name: 'status', type: 'string', description: 'Filter by status (sorted, in-progress, resolved)' },
           { name: 'vehicle_id', type: 'string', description: 'Filter by vehicle ID' },
@@ -309,7 +607,8 @@ const apiKeyService = {
         ],
         responses: {
           '200': { description: 'Success' },
-          '401': { description: 'Unauthorized - Invalid API key' },
+          '401': { description: 'Unauthorized - Invalid or expired API key' },
+          '403': { description: 'API key is missing the required scope' },
           '500': { description: 'Server error' }
         }
       }
@@ -1,4 +1,4 @@
-import { supabase } from './supabase';
+import { supabase, fromDepot } from './supabase';
 
 /**
  * Authentication service functions
@@ -155,8 +155,7 @@ const authService = {
       if (authError) throw authError;
       
       // Add user details to the users table
-      const { error: userError } = await supabase
-        .from('users')
+      const { error: userError } = await fromDepot('users')
         .insert([{
           id: authData.user.id,
           email,
@@ -284,8 +283,7 @@ const authService = {
   deleteUser: async (userId) => {
     try {
       // First remove from custom users table
-      const { error: userError } = await supabase
-        .from('users')
+      const { error: userError } = await fromDepot('users')
         .delete()
         .eq('id', userId);
       
@@ -0,0 +1,287 @@
+import { supabase, fromDepot } from './supabase';
+import { getApplicableChecklist } from '../utils/checklistUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
+const CHECKLIST_COLUMNS = `
+  id,
+  depot_id,
+  name,
+  vehicle_id,
+  make,
+  model,
+  items,
+  is_active,
+  created_at,
+  vehicles(id, vehicle_number)
+`;
+
+/**
+ * Check a checklist's name, target and items
+ * @param {Object} checklist - Checklist fields
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateChecklist = ({ name, make, model, items }) => {
+  if (name !== undefined && !name.trim()) {
+    return 'Checklist name is required';
+  }
+  
+  if (model && !make) {
+    return 'Choose a make for the model';
+  }
+  
+  if (items === undefined) return null;
+  
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'Add at least one item';
+  }
+  
+  if (items.some(item => !item.label || !item.label.trim())) {
+    return 'Every item needs a description';
+  }
+  
+  return null;
+};
+
+/**
+ * Trim the text fields and drop empty make and model
+ * @param {Object} checklist - Checklist fields
+ * @returns {Object} Fields to store
+ */
+const toChecklistRow = (checklist) => {
+  const row = { ...checklist };
+  
+  if (row.name !== undefined) row.name = row.name.trim();
+  if (row.make !== undefined) row.make = row.make?.trim() || null;
+  if (row.model !== undefined) row.model = row.model?.trim() || null;
+  if (row.items !== undefined) {
+    row.items = row.items.map(({ id, label, critical }) => ({ id, label: label.trim(), critical: Boolean(critical) }));
+  }
+  
+  return row;
+};
+
+/**
+ * Checklist service functions for pre-trip inspections
+ */
+const checklistService = {
+  /**
+   * Get the checklists of the current depot
+   * @returns {Promise} Promise object with checklists or error
+   */
+  getChecklists: async () => {
+    try {
+      const { data, error } = await fromDepot('checklists')
+        .select(CHECKLIST_COLUMNS)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error('Error fetching checklists:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch checklists'
+      };
+    }
+  },
+  
+  /**
+   * Get the checklist a driver completes before taking a vehicle
+   * @param {Object} vehicle - Vehicle with id, make and model
+   * @returns {Promise} Promise object with the applicable checklist (null when none is set up) or error
+   */
+  getChecklistForVehicle: async (vehicle) => {
+    try {
+      const { data, error } = await fromDepot('checklists')
+        .select(CHECKLIST_COLUMNS)
+        .eq('is_active', true);
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: getApplicableChecklist(data || [], vehicle)
+      };
+    } catch (error) {
+      console.error(`Error fetching the checklist for vehicle ${vehicle?.id}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch the checklist'
+      };
+    }
+  },
+  
+  /**
+   * Create a checklist
+   * @param {Object} checklist - Checklist fields (name, vehicle_id, make, model, items)
+   * @returns {Promise} Promise object with the new checklist or error
+   */
+  createChecklist: async (checklist) => {
+    const denied = requirePermission(PERMISSIONS.CHECKLISTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = validateChecklist(checklist);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('checklists')
+        .insert([toChecklistRow(checklist)])
+        .select(CHECKLIST_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error('Error creating checklist:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create checklist'
+      };
+    }
+  },
+  
+  /**
+   * Update a checklist
+   * @param {string} checklistId - Checklist ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise} Promise object with the updated checklist or error
+   */
+  updateChecklist: async (checklistId, updates) => {
+    const denied = requirePermission(PERMISSIONS.CHECKLISTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = validateChecklist(updates);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('checklists')
+        .update(toChecklistRow(updates))
+        .eq('id', checklistId)
+        .select(CHECKLIST_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error updating checklist ${checklistId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update checklist'
+      };
+    }
+  },
+  
+  /**
+   * Delete a checklist; completed checklists keep their answers
+   * @param {string} checklistId - Checklist ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  deleteChecklist: async (checklistId) => {
+    const denied = requirePermission(PERMISSIONS.CHECKLISTS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await fromDepot('checklists')
+        .delete()
+        .eq('id', checklistId);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting checklist ${checklistId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to delete checklist'
+      };
+    }
+  },
+  
+  /**
+   * Record a driver's answers. A failed critical item opens a maintenance
+   * request and takes the vehicle out of service (see submit_checklist)
+   * @param {Object} response - id, checklistId, driverId, vehicleId, completedAt and
+   *   items ([{ id, label, critical, result, note, photo_url }])
+   * @returns {Promise} Promise object with the stored response or error
+   */
+  submitResponse: async ({ id, checklistId, driverId, vehicleId, items, completedAt }) => {
+    try {
+      const { data, error } = await supabase.rpc('submit_checklist', {
+        p_id: id,
+        p_checklist_id: checklistId,
+        p_driver_id: driverId,
+        p_vehicle_id: vehicleId,
+        p_items: items,
+        p_completed_at: completedAt
+      });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error submitting checklist for vehicle ${vehicleId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to submit checklist'
+      };
+    }
+  },
+  
+  /**
+   * Get the checklist a driver completed before a shift
+   * @param {string} timeLogId - Time log ID
+   * @returns {Promise} Promise object with the checklist response (null if none) or error
+   */
+  getResponseForTimeLog: async (timeLogId) => {
+    try {
+      const { data, error } = await fromDepot('checklist_responses')
+        .select('*')
+        .eq('time_log_id', timeLogId)
+        .order('completed_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error fetching checklist for time log ${timeLogId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch checklist'
+      };
+    }
+  }
+};
+
+export default checklistService;
@@ -0,0 +1,197 @@
+import { supabase, fromDepot, inspections } from './supabase';
+import { isValidRegion } from '../utils/damageUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
+const INSPECTION_COLUMNS = `
+  id,
+  driver_id,
+  vehicle_id,
+  time_log_id,
+  inspection_type,
+  images_folder,
+  image_labels,
+  image_annotations,
+  timestamp,
+  drivers:users(name)
+`;
+
+const DAMAGE_REPORT_COLUMNS = `
+  *,
+  drivers:users!damage_reports_driver_id_fkey(name),
+  reporters:users!damage_reports_reported_by_fkey(name)
+`;
+
+/**
+ * Damage service functions for comparing inspections between shifts
+ */
+const damageService = {
+  /**
+   * Get a vehicle's most recent inspections
+   * @param {string} vehicleId - Vehicle ID
+   * @param {number} limit - Maximum number of inspections
+   * @returns {Promise} Promise object with inspections (newest first) or error
+   */
+  getInspections: async (vehicleId, limit = 20) => {
+    try {
+      const { data, error } = await supabase
+        .from('vehicle_inspections')
+        .select(INSPECTION_COLUMNS)
+        .eq('vehicle_id', vehicleId)
+        .order('timestamp', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error(`Error fetching inspections for vehicle ${vehicleId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch inspections'
+      };
+    }
+  },
+  
+  /**
+   * Get an inspection's photos with their angle labels
+   * @param {Object} inspection - Inspection with images_folder and image_labels
+   * @returns {Promise} Promise object with photos or error
+   */
+  getInspectionImages: async (inspection) => {
+    try {
+      const { data, error } = await inspections.listImages(inspection.images_folder, inspection.image_labels, inspection.image_annotations);
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error fetching photos of inspection ${inspection.id}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch inspection photos'
+      };
+    }
+  },
+  
+  /**
+   * Get the damage recorded on a vehicle
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise} Promise object with damage reports (newest first) or error
+   */
+  getDamageReports: async (vehicleId) => {
+    try {
+      const { data, error } = await fromDepot('damage_reports')
+        .select(DAMAGE_REPORT_COLUMNS)
+        .eq('vehicle_id', vehicleId)
+        .order('window_end', { ascending: false });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error(`Error fetching damage reports for vehicle ${vehicleId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch damage reports'
+      };
+    }
+  },
+  
+  /**
+   * Record new damage marked on the later photo of a comparison
+   * @param {Object} report - vehicleId, beforeInspection, afterInspection, window (see
+   *   getDamageWindow), angle, imageUrl, region, note and reportedBy
+   * @returns {Promise} Promise object with the new damage report or error
+   */
+  createDamageReport: async ({
+    vehicleId,
+    beforeInspection,
+    afterInspection,
+    window: damageWindow,
+    angle,
+    imageUrl,
+    region,
+    note,
+    reportedBy
+  }) => {
+    const denied = requirePermission(PERMISSIONS.DAMAGE_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      if (!isValidRegion(region)) {
+        return {
+          success: false,
+          error: 'Drag over the photo to mark where the damage is'
+        };
+      }
+      
+      const { data, error } = await fromDepot('damage_reports')
+        .insert([{
+          vehicle_id: vehicleId,
+          before_inspection_id: beforeInspection?.id || null,
+          after_inspection_id: afterInspection.id,
+          angle,
+          image_url: imageUrl,
+          region,
+          note: note?.trim() || null,
+          window_start: damageWindow.start,
+          window_end: damageWindow.end,
+          time_log_id: damageWindow.timeLogId,
+          driver_id: damageWindow.driverId,
+          reported_by: reportedBy
+        }])
+        .select(DAMAGE_REPORT_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error recording damage on vehicle ${vehicleId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to record damage'
+      };
+    }
+  },
+  
+  /**
+   * Delete a damage report marked by mistake
+   * @param {string} reportId - Damage report ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  deleteDamageReport: async (reportId) => {
+    const denied = requirePermission(PERMISSIONS.DAMAGE_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await fromDepot('damage_reports')
+        .delete()
+        .eq('id', reportId);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting damage report ${reportId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to delete damage report'
+      };
+    }
+  }
+};
+
+export default damageService;
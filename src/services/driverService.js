@@ -1,4 +1,6 @@
-import { supabase } from './supabase';
+import { supabase, fromDepot } from './supabase';
+import { summarizeMileage, groupMileage } from '../utils/readingUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
 
 /**
  * Driver service functions for managing driver data
@@ -19,8 +21,7 @@ const driverService = {
         sortDirection = 'asc'
       } = options;
       
-      let query = supabase
-        .from('users')
+      let query = fromDepot('users')
         .select(`
           id,
           name,
@@ -75,8 +76,7 @@ const driverService = {
    */
   getDriverById: async (id) => {
     try {
-      const { data, error } = await supabase
-        .from('users')
+      const { data, error } = await fromDepot('users')
         .select(`
           id,
           name,
@@ -111,8 +111,7 @@ const driverService = {
   getActiveDrivers: async () => {
     try {
       // Get active time logs that don't have a punch out time
-      const { data: activeLogs, error: logError } = await supabase
-        .from('time_logs')
+      const { data: activeLogs, error: logError } = await fromDepot('time_logs')
         .select(`
           id,
           driver_id,
@@ -157,6 +156,9 @@ const driverService = {
    * @returns {Promise} Promise object with added driver data or error
    */
   addDriver: async (driverData) => {
+    const denied = requirePermission(PERMISSIONS.DRIVERS_MANAGE);
+    if (denied) return denied;
+    
     const { email, password, name, phone } = driverData;
     
     try {
@@ -169,8 +171,7 @@ const driverService = {
       if (authError) throw authError;
       
       // Add user details to the users table
-      const { data, error: userError } = await supabase
-        .from('users')
+      const { data, error: userError } = await fromDepot('users')
         .insert([{
           id: authData.user.id,
           email,
@@ -207,6 +208,9 @@ const driverService = {
    * @returns {Promise} Promise object with updated driver data or error
    */
   updateDriver: async (id, updates) => {
+    const denied = requirePermission(PERMISSIONS.DRIVERS_MANAGE);
+    if (denied) return denied;
+    
     try {
       // Only allow updating name and phone
       const allowedUpdates = {};
@@ -220,8 +224,7 @@ const driverService = {
         };
       }
       
-      const { data, error } = await supabase
-        .from('users')
+      const { data, error } = await fromDepot('users')
         .update(allowedUpdates)
         .eq('id', id)
         .eq('role', 'driver')
@@ -249,10 +252,12 @@ const driverService = {
    * @returns {Promise} Promise object indicating success or error
    */
   deleteDriver: async (id) => {
+    const denied = requirePermission(PERMISSIONS.DRIVERS_MANAGE);
+    if (denied) return denied;
+    
     try {
       // Update any assigned vehicles to available
-      const { error: vehicleError } = await supabase
-        .from('vehicles')
+      const { error: vehicleError } = await fromDepot('vehicles')
         .update({ 
           status: 'available',
           assigned_driver_id: null
@@ -262,8 +267,7 @@ const driverService = {
       if (vehicleError) throw vehicleError;
       
       // Delete from users table
-      const { error: userError } = await supabase
-        .from('users')
+      const { error: userError } = await fromDepot('users')
         .delete()
         .eq('id', id)
         .eq('role', 'driver');
@@ -298,8 +302,7 @@ const driverService = {
         sortDirection = 'desc'
       } = options;
       
-      let query = supabase
-        .from('time_logs')
+      let query = fromDepot('time_logs')
         .select(`
           id,
           punch_in,
@@ -352,8 +355,7 @@ const driverService = {
         status = null
       } = options;
       
-      let query = supabase
-        .from('maintenance_requests')
+      let query = fromDepot('maintenance_requests')
         .select(`
           id,
           description,
@@ -406,16 +408,14 @@ const driverService = {
   getDriverStats: async (driverId) => {
     try {
       // Get all time logs
-      const { data: timeLogs, error: timeLogsError } = await supabase
-        .from('time_logs')
-        .select('id, punch_in, punch_out')
+      const { data: timeLogs, error: timeLogsError } = await fromDepot('time_logs')
+        .select('id, vehicle_id, punch_in, punch_out, start_odometer, end_odometer')
         .eq('driver_id', driverId);
       
       if (timeLogsError) throw timeLogsError;
       
       // Get maintenance requests
-      const { data: maintenanceRequests, error: maintenanceError } = await supabase
-        .from('maintenance_requests')
+      const { data: maintenanceRequests, error: maintenanceError } = await fromDepot('maintenance_requests')
         .select('id, status')
         .eq('driver_id', driverId);
       
@@ -440,6 +440,10 @@ const driverService = {
       // Calculate hours and format
       const totalDriveHours = (totalDriveTimeSeconds / 3600).toFixed(1);
       
+      // Mileage from the odometer readings, overall and per vehicle
+      const mileage = summarizeMileage(timeLogs || []);
+      const mileageByVehicle = groupMileage(timeLogs || [], log => log.vehicle_id);
+      
       // Count maintenance requests by status
       const maintenanceStats = {
         total: maintenanceRequests?.length || 0,
@@ -456,6 +460,8 @@ const driverService = {
           activeTrip,
           totalDriveHours,
           totalDriveTimeSeconds,
+          ...mileage,
+          mileageByVehicle,
           maintenanceStats
         }
       };
@@ -0,0 +1,238 @@
+import { fromDepot } from './supabase';
+import { GEOFENCE_ENFORCEMENTS, GEOFENCE_SHAPES, getApplicableGeofences, isValidCoordinate } from '../utils/locationUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
+const GEOFENCE_COLUMNS = `
+  id,
+  depot_id,
+  vehicle_id,
+  name,
+  shape,
+  center_lat,
+  center_lng,
+  radius_m,
+  points,
+  enforcement,
+  is_active,
+  created_at,
+  vehicles(id, vehicle_number)
+`;
+
+/**
+ * Check a geofence's name, shape and enforcement
+ * @param {Object} fence - Geofence fields
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateGeofence = ({ name, shape, center_lat, center_lng, radius_m, points, enforcement }) => {
+  if (name !== undefined && !name.trim()) {
+    return 'Geofence name is required';
+  }
+  
+  if (enforcement !== undefined && !GEOFENCE_ENFORCEMENTS.includes(enforcement)) {
+    return `Enforcement must be one of: ${GEOFENCE_ENFORCEMENTS.join(', ')}`;
+  }
+  
+  if (shape === undefined) return null;
+  
+  if (!GEOFENCE_SHAPES.includes(shape)) {
+    return `Shape must be one of: ${GEOFENCE_SHAPES.join(', ')}`;
+  }
+  
+  if (shape === 'circle') {
+    if (!isValidCoordinate({ lat: center_lat, lng: center_lng })) {
+      return 'Enter a valid center latitude and longitude';
+    }
+    
+    if (!(radius_m > 0)) {
+      return 'Radius must be greater than 0 meters';
+    }
+  }
+  
+  if (shape === 'polygon' && (!Array.isArray(points) || points.length < 3)) {
+    return 'A polygon needs at least 3 points';
+  }
+  
+  return null;
+};
+
+/**
+ * Keep only the columns of the fence's shape so switching shapes leaves no stale geometry
+ * @param {Object} fence - Geofence fields
+ * @returns {Object} Fields to store
+ */
+const toGeofenceRow = (fence) => {
+  if (fence.shape === 'circle') {
+    return { ...fence, points: null };
+  }
+  
+  if (fence.shape === 'polygon') {
+    return { ...fence, center_lat: null, center_lng: null, radius_m: null };
+  }
+  
+  return fence;
+};
+
+/**
+ * Geofence service functions for depot and vehicle punch areas
+ */
+const geofenceService = {
+  /**
+   * Get the geofences of the current depot
+   * @returns {Promise} Promise object with geofences or error
+   */
+  getGeofences: async () => {
+    try {
+      const { data, error } = await fromDepot('geofences')
+        .select(GEOFENCE_COLUMNS)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error('Error fetching geofences:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch geofences'
+      };
+    }
+  },
+  
+  /**
+   * Get the active geofences a vehicle's punches are checked against
+   * @param {string} vehicleId - Vehicle ID
+   * @returns {Promise} Promise object with the applicable geofences (empty when none are set up) or error
+   */
+  getGeofencesForVehicle: async (vehicleId) => {
+    try {
+      const { data, error } = await fromDepot('geofences')
+        .select(GEOFENCE_COLUMNS)
+        .eq('is_active', true)
+        .or(`vehicle_id.is.null,vehicle_id.eq.${vehicleId}`);
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: getApplicableGeofences(data || [], vehicleId)
+      };
+    } catch (error) {
+      console.error(`Error fetching geofences for vehicle ${vehicleId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch geofences'
+      };
+    }
+  },
+  
+  /**
+   * Create a geofence
+   * @param {Object} fence - Geofence fields (name, vehicle_id, shape, center_lat, center_lng, radius_m, points, enforcement)
+   * @returns {Promise} Promise object with the new geofence or error
+   */
+  createGeofence: async (fence) => {
+    const denied = requirePermission(PERMISSIONS.GEOFENCES_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = validateGeofence(fence);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('geofences')
+        .insert([toGeofenceRow({ ...fence, name: fence.name.trim() })])
+        .select(GEOFENCE_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error('Error creating geofence:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create geofence'
+      };
+    }
+  },
+  
+  /**
+   * Update a geofence
+   * @param {string} geofenceId - Geofence ID
+   * @param {Object} updates - Fields to update; geometry changes must include shape
+   * @returns {Promise} Promise object with the updated geofence or error
+   */
+  updateGeofence: async (geofenceId, updates) => {
+    const denied = requirePermission(PERMISSIONS.GEOFENCES_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = validateGeofence(updates);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('geofences')
+        .update(toGeofenceRow(updates))
+        .eq('id', geofenceId)
+        .select(GEOFENCE_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error updating geofence ${geofenceId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update geofence'
+      };
+    }
+  },
+  
+  /**
+   * Delete a geofence
+   * @param {string} geofenceId - Geofence ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  deleteGeofence: async (geofenceId) => {
+    const denied = requirePermission(PERMISSIONS.GEOFENCES_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await fromDepot('geofences')
+        .delete()
+        .eq('id', geofenceId);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting geofence ${geofenceId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to delete geofence'
+      };
+    }
+  }
+};
+
+export default geofenceService;
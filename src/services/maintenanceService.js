@@ -0,0 +1,192 @@
+import { supabase, fromDepot } from './supabase';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
+export const MAINTENANCE_STATUSES = ['sorted', 'in-progress', 'resolved'];
+
+/**
+ * Maintenance service functions for querying and working maintenance requests
+ */
+const maintenanceService = {
+  /**
+   * Get maintenance requests across all drivers and vehicles
+   * @param {Object} options - Query options
+   * @returns {Promise} Promise object with maintenance requests data or error
+   */
+  getMaintenanceRequests: async (options = {}) => {
+    try {
+      const {
+        page = 1,
+        limit = 0,
+        status = null,
+        driverId = null,
+        vehicleId = null,
+        sortDirection = 'desc'
+      } = options;
+      
+      let query = fromDepot('maintenance_requests')
+        .select(`
+          id,
+          driver_id,
+          vehicle_id,
+          description,
+          severity,
+          status,
+          created_at,
+          resolved_at,
+          drivers:users(id, name, email),
+          vehicles(id, vehicle_number, make, model)
+        `, { count: options.includeCount ? 'exact' : null })
+        .order('created_at', { ascending: sortDirection === 'asc' });
+      
+      // Add filters if provided
+      if (status) {
+        query = query.eq('status', status);
+      }
+      
+      if (driverId) {
+        query = query.eq('driver_id', driverId);
+      }
+      
+      if (vehicleId) {
+        query = query.eq('vehicle_id', vehicleId);
+      }
+      
+      // Add pagination if limit is provided
+      if (limit > 0) {
+        const from = (page - 1) * limit;
+        const to = from + limit - 1;
+        query = query.range(from, to);
+      }
+      
+      const { data, error, count } = await query;
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || [],
+        count,
+        page,
+        limit
+      };
+    } catch (error) {
+      console.error('Error fetching maintenance requests:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch maintenance requests'
+      };
+    }
+  },
+  
+  /**
+   * Change the status of a maintenance request
+   * @param {string} requestId - Maintenance request ID
+   * @param {string} status - New status ('sorted', 'in-progress', 'resolved')
+   * @returns {Promise} Promise object with the updated request or error
+   */
+  updateRequestStatus: async (requestId, status) => {
+    const denied = requirePermission(PERMISSIONS.MAINTENANCE_UPDATE);
+    if (denied) return denied;
+    
+    try {
+      if (!MAINTENANCE_STATUSES.includes(status)) {
+        throw new Error(`Invalid status: ${status}`);
+      }
+      
+      const { data, error } = await fromDepot('maintenance_requests')
+        .update({
+          status,
+          // Reopening a request clears its resolution time
+          resolved_at: status === 'resolved' ? new Date().toISOString() : null
+        })
+        .eq('id', requestId)
+        .select('id, status, resolved_at')
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error updating status of maintenance request ${requestId}:`, error);
+      return {
+        success: false,
+        notFound: error.code === 'PGRST116',
+        error: error.message || 'Failed to update maintenance request'
+      };
+    }
+  },
+  
+  /**
+   * Get the notes on a maintenance request, oldest first
+   * @param {string} requestId - Maintenance request ID
+   * @returns {Promise} Promise object with notes (including their authors) or error
+   */
+  getRequestNotes: async (requestId) => {
+    try {
+      const { data, error } = await supabase
+        .from('maintenance_notes')
+        .select('id, note, created_at, author:users(id, name, email, role)')
+        .eq('request_id', requestId)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error(`Error fetching notes for maintenance request ${requestId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch notes'
+      };
+    }
+  },
+  
+  /**
+   * Add a note to a maintenance request
+   * @param {string} requestId - Maintenance request ID
+   * @param {string} authorId - ID of the user writing the note
+   * @param {string} note - Note text
+   * @returns {Promise} Promise object with the new note or error
+   */
+  addRequestNote: async (requestId, authorId, note) => {
+    const denied = requirePermission(PERMISSIONS.MAINTENANCE_UPDATE);
+    if (denied) return denied;
+    
+    try {
+      if (!note || !note.trim()) {
+        throw new Error('Note cannot be empty');
+      }
+      
+      const { data, error } = await supabase
+        .from('maintenance_notes')
+        .insert([{
+          request_id: requestId,
+          author_id: authorId,
+          note: note.trim()
+        }])
+        .select('id, note, created_at, author:users(id, name, email, role)')
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error adding note to maintenance request ${requestId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to add note'
+      };
+    }
+  }
+};
+
+export default maintenanceService;
@@ -0,0 +1,499 @@
+import { supabase, fromDepot, storage, inspections, timeLogs, pdfService } from './supabase';
+import vehicleService from './vehicleService';
+import timeLogService from './timeLogService';
+import checklistService from './checklistService';
+import { addOperation, getOperations, putOperation, deleteOperations } from '../utils/outboxDb';
+import { isNetworkError, isOnline } from '../utils/networkUtils';
+import { requestBackgroundSync } from '../utils/serviceWorker';
+import { INSPECTION_BUCKET } from '../utils/inspectionUtils';
+
+export const OUTBOX_OPERATIONS = {
+  AGREEMENT: 'agreement',
+  CHECKLIST: 'checklist',
+  INSPECTION: 'inspection',
+  PUNCH_IN: 'punch_in',
+  PUNCH_OUT: 'punch_out',
+  MAINTENANCE_REPORT: 'maintenance_report'
+};
+
+export const OUTBOX_LABELS = {
+  [OUTBOX_OPERATIONS.AGREEMENT]: 'Signed agreement',
+  [OUTBOX_OPERATIONS.CHECKLIST]: 'Pre-trip checklist',
+  [OUTBOX_OPERATIONS.INSPECTION]: 'Inspection photos',
+  [OUTBOX_OPERATIONS.PUNCH_IN]: 'Punch in',
+  [OUTBOX_OPERATIONS.PUNCH_OUT]: 'Punch out',
+  [OUTBOX_OPERATIONS.MAINTENANCE_REPORT]: 'Maintenance report'
+};
+
+// Postgres unique violation: the record was already sent on an earlier attempt
+const DUPLICATE_KEY = '23505';
+
+const listeners = new Set();
+let currentSync = null;
+
+const notify = () => listeners.forEach(listener => listener());
+
+// A failed attempt may have uploaded some photos already; those count as done
+const uploadOnce = async (bucketName, filePath, dataUrl) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  const { error } = await storage.uploadImage(bucketName, filePath, blob);
+  
+  if (error && !/already exists|duplicate/i.test(error.message || '')) throw error;
+};
+
+const insertOnce = async (table, row) => {
+  const { error } = await fromDepot(table).insert([row]);
+  
+  if (error && error.code !== DUPLICATE_KEY) throw error;
+};
+
+const uploadDashboardPhoto = async (vehicleId, timeLogId, stage, photo) => {
+  if (!photo) return null;
+  
+  const upload = await timeLogService.uploadDashboardPhoto(vehicleId, timeLogId, stage, photo);
+  if (!upload.success) throw new Error(upload.error);
+  
+  return upload.data;
+};
+
+// Send one operation. Each handler can safely run again after a partial failure.
+// Returns { conflict, error } when the server refuses it; throws when it could not be sent
+const HANDLERS = {
+  [OUTBOX_OPERATIONS.AGREEMENT]: async ({ id, driverId, vehicleId, content, signature, signatureRecord, templateVersionId, signedAt }) => {
+    await insertOnce('agreements', {
+      id,
+      driver_id: driverId,
+      vehicle_id: vehicleId,
+      content,
+      signature,
+      content_hash: signatureRecord?.contentHash || null,
+      signature_record: signatureRecord || null,
+      template_version_id: templateVersionId || null,
+      signed_at: signedAt
+    });
+  },
+  
+  [OUTBOX_OPERATIONS.CHECKLIST]: async ({ id, checklistId, driverId, vehicleId, items, completedAt }) => {
+    const answers = [];
+
+    for (const { photo, ...item } of items) {
+      let photoUrl = null;
+
+      if (photo) {
+        const path = `checklists/${id}/${item.id}.jpg`;
+        await uploadOnce(INSPECTION_BUCKET, path, photo);
+        photoUrl = storage.getPublicUrl(INSPECTION_BUCKET, path);
+      }
+
+      answers.push({ ...item, photo_url: photoUrl });
+    }
+
+    const result = await checklistService.submitResponse({ id, checklistId, driverId, vehicleId, items: answers, completedAt });
+    if (!result.success) throw new Error(result.error);
+  },
+
+  [OUTBOX_OPERATIONS.INSPECTION]: async (payload) => {
+    const { id, driverId, vehicleId, timeLogId, inspectionType, folder, images, labels, annotations, capturedAt, locations, timestamp } = payload;
+    const { data: existing, error: existingError } = await supabase
+      .from('vehicle_inspections')
+      .select('id, pdf_url')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (existingError) throw existingError;
+    
+    const fileNames = images.map((_, index) =>
+      `${folder}/image-${index + 1}-${new Date(capturedAt?.[index] || timestamp).getTime()}.jpg`
+    );
+    
+    if (!existing) {
+      for (const [index, image] of images.entries()) {
+        await uploadOnce(INSPECTION_BUCKET, fileNames[index], image);
+      }
+      
+      const { error } = await inspections.create({
+        id,
+        driverId,
+        vehicleId,
+        timeLogId,
+        inspectionType,
+        imageCount: images.length,
+        imagesFolder: folder,
+        imageLabels: labels || [],
+        imageAnnotations: annotations || [],
+        imageLocations: locations || [],
+        timestamp
+      });
+      
+      if (error && error.code !== DUPLICATE_KEY) throw error;
+    }
+    
+    // Post-shift inspections get their PDF report once the photos are in
+    if (inspectionType === 'post' && !existing?.pdf_url) {
+      const photos = images.map((dataUrl, index) => ({
+        dataUrl,
+        url: storage.getPublicUrl(INSPECTION_BUCKET, fileNames[index]),
+        label: labels?.[index],
+        annotations: annotations?.[index] || [],
+        capturedAt: capturedAt?.[index]
+      }));
+      const { success, pdfUrl, error: pdfError } = await pdfService.generateInspectionPdf(timeLogId, vehicleId, photos, timestamp, { inspectionType });
+      
+      // Stay queued until the report is filed; the pdf_url check above skips it once it is
+      if (!success) throw new Error(pdfError || 'The inspection report could not be created');
+      
+      if (pdfUrl) {
+        const { error } = await supabase
+          .from('vehicle_inspections')
+          .update({ pdf_url: pdfUrl })
+          .eq('id', id);
+        
+        if (error) throw error;
+      }
+    }
+  },
+  
+  [OUTBOX_OPERATIONS.PUNCH_IN]: async (payload) => {
+    const { timeLogId, vehicleId, driverId, agreementId, checklistResponseId, inspection, readings, location, punchedAt } = payload;
+    const { data: existing, error: existingError } = await fromDepot('time_logs')
+      .select('id')
+      .eq('id', timeLogId)
+      .maybeSingle();
+    
+    if (existingError) throw existingError;
+    if (existing) return {};
+    
+    const dashboardPhotoUrl = await uploadDashboardPhoto(vehicleId, timeLogId, 'start', readings.photo);
+    const result = await vehicleService.checkoutVehicle(vehicleId, driverId, {
+      agreement: agreementId ? { id: agreementId } : null,
+      checklistResponse: checklistResponseId ? { id: checklistResponseId } : null,
+      inspection,
+      readings: { ...readings, dashboardPhotoUrl },
+      location,
+      timeLogId,
+      punchedAt
+    });
+    
+    if (result.conflict) return { conflict: true, error: result.error };
+    if (!result.success) throw new Error(result.error);
+    
+    return {};
+  },
+  
+  [OUTBOX_OPERATIONS.PUNCH_OUT]: async (payload) => {
+    const { timeLogId, vehicleId, readings, location, punchedOutAt } = payload;
+    const { data: log, error: logError } = await fromDepot('time_logs')
+      .select('id, punch_out')
+      .eq('id', timeLogId)
+      .maybeSingle();
+    
+    if (logError) throw logError;
+    
+    if (!log) {
+      return { conflict: true, error: 'The shift this punch out belongs to was never recorded' };
+    }
+    
+    // Punching out also hands the vehicle back, if the driver still has it
+    if (!log.punch_out) {
+      const dashboardPhotoUrl = await uploadDashboardPhoto(vehicleId, timeLogId, 'end', readings.photo);
+      const { error } = await timeLogs.punchOut(timeLogId, { ...readings, dashboardPhotoUrl }, {
+        location,
+        punchedOutAt
+      });
+      
+      if (error) throw error;
+    }
+    
+    return {};
+  },
+  
+  [OUTBOX_OPERATIONS.MAINTENANCE_REPORT]: async ({ id, driverId, vehicleId, description, severity, createdAt }) => {
+    await insertOnce('maintenance_requests', {
+      id,
+      driver_id: driverId,
+      vehicle_id: vehicleId,
+      description,
+      severity,
+      status: 'sorted',
+      created_at: createdAt
+    });
+  }
+};
+
+const runOperation = async (operation) => {
+  try {
+    return (await HANDLERS[operation.type](operation.payload)) || {};
+  } catch (error) {
+    if (isNetworkError(error)) {
+      return { offline: true };
+    }
+    
+    console.error(`Error sending queued ${operation.type}:`, error);
+    return { conflict: true, error: error.message || 'The server refused this change' };
+  }
+};
+
+/**
+ * Outbox for the driver app: every change a driver makes is queued on the device
+ * and sent in order, so the flow works the same with or without a connection
+ */
+const outboxService = {
+  /**
+   * Queue an operation without sending it
+   * @param {string} type - One of OUTBOX_OPERATIONS
+   * @param {Object} payload - Operation data, including the time it happened
+   * @returns {Promise} Promise object with the queued operation's id or error
+   */
+  queue: async (type, payload) => {
+    try {
+      const id = await addOperation({
+        type,
+        payload,
+        status: 'pending',
+        error: null,
+        queuedAt: new Date().toISOString()
+      });
+      
+      notify();
+      requestBackgroundSync();
+      
+      return {
+        success: true,
+        data: id
+      };
+    } catch (error) {
+      console.error(`Error queuing ${type}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to save on this device'
+      };
+    }
+  },
+  
+  /**
+   * Queue an operation and try to send it straight away
+   * @param {string} type - One of OUTBOX_OPERATIONS
+   * @param {Object} payload - Operation data, including the time it happened
+   * @returns {Promise} Promise object that is successful once sent or queued;
+   *   queued is set while it waits for a connection, conflict if the server refused it
+   */
+  submit: async (type, payload) => {
+    const queued = await outboxService.queue(type, payload);
+    
+    if (!queued.success) return queued;
+    
+    await outboxService.sync();
+    
+    const operation = (await getOperations()).find(item => item.id === queued.data);
+    
+    if (!operation) {
+      return { success: true };
+    }
+    
+    if (operation.status === 'conflict') {
+      return {
+        success: false,
+        conflict: true,
+        error: operation.error
+      };
+    }
+    
+    return {
+      success: true,
+      queued: true
+    };
+  },
+  
+  /**
+   * Send queued operations in order. Stops at the first operation the server
+   * refuses, so later ones that may depend on it wait until it is resolved
+   * @returns {Promise} Promise object with the number of operations sent
+   */
+  sync: async () => {
+    if (currentSync) return currentSync;
+    
+    currentSync = (async () => {
+      let synced = 0;
+      
+      try {
+        while (isOnline()) {
+          const [next] = await getOperations();
+          
+          if (!next || next.status === 'conflict') break;
+          
+          const result = await runOperation(next);
+          
+          if (result.offline) break;
+          
+          if (result.conflict) {
+            await putOperation({ ...next, status: 'conflict', error: result.error });
+            break;
+          }
+          
+          await deleteOperations([next.id]);
+          synced++;
+          notify();
+        }
+        
+        return {
+          success: true,
+          synced
+        };
+      } catch (error) {
+        console.error('Error syncing the outbox:', error);
+        return {
+          success: false,
+          error: error.message || 'Failed to sync'
+        };
+      } finally {
+        currentSync = null;
+        notify();
+      }
+    })();
+    
+    return currentSync;
+  },
+  
+  /**
+   * Get the queued operations
+   * @returns {Promise} Promise object with operations in queue order
+   */
+  getOperations: async () => {
+    try {
+      return {
+        success: true,
+        data: await getOperations()
+      };
+    } catch (error) {
+      console.error('Error reading the outbox:', error);
+      return {
+        success: false,
+        data: [],
+        error: error.message || 'Failed to read the outbox'
+      };
+    }
+  },
+  
+  /**
+   * Send a refused operation again, e.g. after the conflict was sorted out elsewhere
+   * @param {number} operationId - Operation id
+   * @returns {Promise} Promise object with the sync result
+   */
+  retry: async (operationId) => {
+    const operation = (await getOperations()).find(item => item.id === operationId);
+    
+    if (operation) {
+      await putOperation({ ...operation, status: 'pending', error: null });
+    }
+    
+    return outboxService.sync();
+  },
+  
+  /**
+   * Drop a queued operation. Dropping a punch in also drops the rest of that shift
+   * @param {number} operationId - Operation id
+   * @returns {Promise} Promise object indicating success or error
+   */
+  discard: async (operationId) => {
+    try {
+      const operations = await getOperations();
+      const operation = operations.find(item => item.id === operationId);
+      
+      if (!operation) return { success: true };
+      
+      const ids = operation.type === OUTBOX_OPERATIONS.PUNCH_IN
+        ? operations
+          .filter(item => item.id === operationId || item.payload.timeLogId === operation.payload.timeLogId)
+          .map(item => item.id)
+        : [operationId];
+      
+      await deleteOperations(ids);
+      notify();
+      outboxService.sync();
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error discarding queued operation ${operationId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to discard'
+      };
+    }
+  },
+  
+  /**
+   * Find the payload of the latest queued operation of a type
+   * @param {string} type - One of OUTBOX_OPERATIONS
+   * @param {Function} predicate - Tests an operation's payload
+   * @returns {Promise} Promise resolving to the payload, or null
+   */
+  findQueued: async (type, predicate = () => true) => {
+    try {
+      const matches = (await getOperations()).filter(item => item.type === type && predicate(item.payload));
+      return matches.length > 0 ? matches[matches.length - 1].payload : null;
+    } catch (error) {
+      console.error('Error reading the outbox:', error);
+      return null;
+    }
+  },
+  
+  /**
+   * Get the driver's open shift as this device knows it: a queued punch in counts
+   * as open, and a shift with a queued punch out as closed
+   * @param {string} driverId - Driver ID
+   * @returns {Promise} Promise object with the time log (queued: true if not sent yet), or null
+   */
+  getActiveShift: async (driverId) => {
+    try {
+      const punchIn = await outboxService.findQueued(OUTBOX_OPERATIONS.PUNCH_IN, payload => payload.driverId === driverId);
+      const isClosed = async (timeLogId) =>
+        Boolean(await outboxService.findQueued(OUTBOX_OPERATIONS.PUNCH_OUT, payload => payload.timeLogId === timeLogId));
+      
+      if (punchIn) {
+        return {
+          success: true,
+          data: await isClosed(punchIn.timeLogId) ? null : {
+            id: punchIn.timeLogId,
+            driver_id: driverId,
+            vehicle_id: punchIn.vehicleId,
+            punch_in: punchIn.punchedAt,
+            punch_out: null,
+            start_odometer: punchIn.readings.odometer,
+            start_fuel_level: punchIn.readings.fuelLevel,
+            reading_warnings: punchIn.readings.warnings || [],
+            queued: true
+          }
+        };
+      }
+      
+      const { data, error } = await timeLogs.getActiveForDriver(driverId);
+      
+      if (error && error.code !== 'PGRST116') throw error;
+      
+      return {
+        success: true,
+        data: data && !(await isClosed(data.id)) ? data : null
+      };
+    } catch (error) {
+      console.error(`Error fetching active shift for driver ${driverId}:`, error);
+      return {
+        success: false,
+        data: null,
+        offline: isNetworkError(error),
+        error: error.message || 'Failed to load the active shift'
+      };
+    }
+  },
+  
+  /**
+   * Listen for changes to the outbox
+   * @param {Function} listener - Called after operations are queued, sent or changed
+   * @returns {Function} Removes the listener
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default outboxService;
@@ -0,0 +1,350 @@
+import { supabase, fromDepot } from './supabase';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+import { getCurrentDepotId } from '../utils/depotScope';
+import { RESERVATION_KINDS, DEFAULT_HOLD_MINUTES, validateReservationWindow } from '../utils/reservationUtils';
+
+const RESERVATION_COLUMNS = `
+  id,
+  vehicle_id,
+  driver_id,
+  kind,
+  starts_at,
+  ends_at,
+  notes,
+  time_log_id,
+  created_at,
+  driver:users!vehicle_reservations_driver_id_fkey(name),
+  vehicle:vehicles(vehicle_number, make, model)
+`;
+
+// Postgres exclusion violation: the booking overlaps another one
+const OVERLAP = '23P01';
+
+/**
+ * Explain why a booking was refused
+ * @param {Object} error - Error returned by the insert or update
+ * @param {boolean} isOwn - Whether the driver is booking for themselves
+ * @returns {string|null} Message for an overlap, or null for other errors
+ */
+const getOverlapMessage = (error, isOwn) => {
+  if (error?.code !== OVERLAP) return null;
+  
+  if (`${error.message} ${error.details}`.includes('driver_overlap')) {
+    return isOwn
+      ? 'You already have a booking at that time'
+      : 'This driver already has a booking at that time';
+  }
+  
+  return 'This vehicle is already booked for part of that time';
+};
+
+/**
+ * Vehicle reservation and shift scheduling service functions
+ */
+const reservationService = {
+  /**
+   * Get the bookings of the current depot that overlap a time range
+   * @param {Object} options - from and to (timestamps, either may be left open) and driverId
+   * @returns {Promise} Promise object with bookings, earliest first, or error
+   */
+  getReservations: async ({ from, to, driverId } = {}) => {
+    try {
+      let query = fromDepot('vehicle_reservations')
+        .select(RESERVATION_COLUMNS)
+        .order('starts_at', { ascending: true });
+      
+      if (from) query = query.gt('ends_at', new Date(from).toISOString());
+      if (to) query = query.lt('starts_at', new Date(to).toISOString());
+      if (driverId) query = query.eq('driver_id', driverId);
+      
+      const { data, error } = await query;
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error('Error fetching reservations:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch reservations'
+      };
+    }
+  },
+  
+  /**
+   * Get how many minutes before a booking starts its vehicle is kept for the driver
+   * @returns {Promise} Promise object with the minutes or error
+   */
+  getHoldMinutes: async () => {
+    try {
+      const depotId = getCurrentDepotId();
+      
+      if (!depotId) {
+        return { success: true, data: DEFAULT_HOLD_MINUTES };
+      }
+      
+      const { data, error } = await supabase
+        .from('depots')
+        .select('reservation_hold_minutes')
+        .eq('id', depotId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data?.reservation_hold_minutes ?? DEFAULT_HOLD_MINUTES
+      };
+    } catch (error) {
+      console.error('Error fetching the reservation hold time:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch the reservation hold time'
+      };
+    }
+  },
+  
+  /**
+   * Set how many minutes before a booking starts its vehicle is kept for the driver
+   * @param {number} minutes - Minutes, 0 to only keep it once the booking has started
+   * @returns {Promise} Promise object indicating success or error
+   */
+  setHoldMinutes: async (minutes) => {
+    const denied = requirePermission(PERMISSIONS.SCHEDULE_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const holdMinutes = Number(minutes);
+      
+      if (!Number.isInteger(holdMinutes) || holdMinutes < 0) {
+        return {
+          success: false,
+          error: 'The hold time must be a whole number of minutes'
+        };
+      }
+      
+      const { error } = await supabase
+        .from('depots')
+        .update({ reservation_hold_minutes: holdMinutes })
+        .eq('id', getCurrentDepotId());
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error setting the reservation hold time:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to set the reservation hold time'
+      };
+    }
+  },
+  
+  /**
+   * Schedule a shift, giving a driver a vehicle for a time window
+   * @param {Object} shift - driverId, vehicleId, startsAt, endsAt and notes
+   * @returns {Promise} Promise object with the new booking or error
+   */
+  scheduleShift: async ({ driverId, vehicleId, startsAt, endsAt, notes }) => {
+    const denied = requirePermission(PERMISSIONS.SCHEDULE_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = !driverId || !vehicleId
+        ? 'Choose a driver and a vehicle'
+        : validateReservationWindow(startsAt, endsAt, { allowPast: true });
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('vehicle_reservations')
+        .insert([{
+          driver_id: driverId,
+          vehicle_id: vehicleId,
+          kind: RESERVATION_KINDS.SHIFT,
+          starts_at: startsAt,
+          ends_at: endsAt,
+          notes: notes?.trim() || null
+        }])
+        .select(RESERVATION_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error('Error scheduling shift:', error);
+      return {
+        success: false,
+        error: getOverlapMessage(error, false) || error.message || 'Failed to schedule the shift'
+      };
+    }
+  },
+  
+  /**
+   * Move a booking to another driver, vehicle or time
+   * @param {string} reservationId - Booking ID
+   * @param {Object} changes - driverId, vehicleId, startsAt, endsAt and notes
+   * @returns {Promise} Promise object with the updated booking or error
+   */
+  updateReservation: async (reservationId, { driverId, vehicleId, startsAt, endsAt, notes }) => {
+    const denied = requirePermission(PERMISSIONS.SCHEDULE_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = !driverId || !vehicleId
+        ? 'Choose a driver and a vehicle'
+        : validateReservationWindow(startsAt, endsAt, { allowPast: true });
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('vehicle_reservations')
+        .update({
+          driver_id: driverId,
+          vehicle_id: vehicleId,
+          starts_at: startsAt,
+          ends_at: endsAt,
+          notes: notes?.trim() || null
+        })
+        .eq('id', reservationId)
+        .select(RESERVATION_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error updating reservation ${reservationId}:`, error);
+      return {
+        success: false,
+        error: getOverlapMessage(error, false) || error.message || 'Failed to update the booking'
+      };
+    }
+  },
+  
+  /**
+   * Cancel any booking of the depot
+   * @param {string} reservationId - Booking ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  cancelReservation: async (reservationId) => {
+    const denied = requirePermission(PERMISSIONS.SCHEDULE_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await fromDepot('vehicle_reservations')
+        .delete()
+        .eq('id', reservationId);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error cancelling reservation ${reservationId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to cancel the booking'
+      };
+    }
+  },
+  
+  /**
+   * Reserve a vehicle for a later slot, as a driver
+   * @param {Object} reservation - driverId, vehicleId, startsAt and endsAt
+   * @returns {Promise} Promise object with the new booking or error
+   */
+  reserveVehicle: async ({ driverId, vehicleId, startsAt, endsAt }) => {
+    const denied = requirePermission(PERMISSIONS.DRIVER_APP);
+    if (denied) return denied;
+    
+    try {
+      const validationError = !vehicleId
+        ? 'Choose a vehicle'
+        : new Date(startsAt) < new Date()
+          ? 'Reservations have to start in the future'
+          : validateReservationWindow(startsAt, endsAt);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('vehicle_reservations')
+        .insert([{
+          driver_id: driverId,
+          vehicle_id: vehicleId,
+          kind: RESERVATION_KINDS.RESERVATION,
+          starts_at: startsAt,
+          ends_at: endsAt
+        }])
+        .select(RESERVATION_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error('Error reserving vehicle:', error);
+      return {
+        success: false,
+        error: getOverlapMessage(error, true) || error.message || 'Failed to reserve the vehicle'
+      };
+    }
+  },
+  
+  /**
+   * Cancel one of the driver's own reservations before it is taken up
+   * @param {string} reservationId - Booking ID
+   * @param {string} driverId - Driver ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  cancelOwnReservation: async (reservationId, driverId) => {
+    const denied = requirePermission(PERMISSIONS.DRIVER_APP);
+    if (denied) return denied;
+    
+    try {
+      // Shifts scheduled by an admin can only be cancelled by staff
+      const { error } = await fromDepot('vehicle_reservations')
+        .delete()
+        .eq('id', reservationId)
+        .eq('driver_id', driverId)
+        .eq('kind', RESERVATION_KINDS.RESERVATION)
+        .is('time_log_id', null);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error cancelling reservation ${reservationId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to cancel the reservation'
+      };
+    }
+  }
+};
+
+export default reservationService;
@@ -0,0 +1,121 @@
+import { fromDepot, storage } from './supabase';
+import { INSPECTION_BUCKET } from '../utils/inspectionUtils';
+import { getDashboardPhotoPath } from '../utils/readingUtils';
+
+/**
+ * Time log service functions for querying driver shifts
+ */
+const timeLogService = {
+  /**
+   * Get time logs across all drivers and vehicles
+   * @param {Object} options - Query options
+   * @returns {Promise} Promise object with time logs data or error
+   */
+  getTimeLogs: async (options = {}) => {
+    try {
+      const {
+        page = 1,
+        limit = 0,
+        driverId = null,
+        vehicleId = null,
+        startDate = null,
+        endDate = null,
+        sortDirection = 'desc'
+      } = options;
+      
+      let query = fromDepot('time_logs')
+        .select(`
+          id,
+          driver_id,
+          vehicle_id,
+          punch_in,
+          punch_out,
+          start_odometer,
+          end_odometer,
+          start_fuel_level,
+          end_fuel_level,
+          start_dashboard_photo_url,
+          end_dashboard_photo_url,
+          reading_warnings,
+          created_at,
+          drivers:users!time_logs_driver_id_fkey(id, name, email),
+          vehicles(id, vehicle_number, make, model)
+        `, { count: options.includeCount ? 'exact' : null })
+        .order('punch_in', { ascending: sortDirection === 'asc' });
+      
+      // Add filters if provided
+      if (driverId) {
+        query = query.eq('driver_id', driverId);
+      }
+      
+      if (vehicleId) {
+        query = query.eq('vehicle_id', vehicleId);
+      }
+      
+      if (startDate) {
+        query = query.gte('punch_in', startDate);
+      }
+      
+      if (endDate) {
+        query = query.lte('punch_in', endDate);
+      }
+      
+      // Add pagination if limit is provided
+      if (limit > 0) {
+        const from = (page - 1) * limit;
+        const to = from + limit - 1;
+        query = query.range(from, to);
+      }
+      
+      const { data, error, count } = await query;
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || [],
+        count,
+        page,
+        limit
+      };
+    } catch (error) {
+      console.error('Error fetching time logs:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch time logs'
+      };
+    }
+  },
+  
+  /**
+   * Upload a dashboard photo backing an odometer and fuel reading
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} timeLogId - ID of the shift the reading belongs to
+   * @param {string} stage - 'start' or 'end' of the shift
+   * @param {string} dataUrl - Photo as a data URL, as produced by ImageCapture
+   * @returns {Promise} Promise object with the photo's public URL or error
+   */
+  uploadDashboardPhoto: async (vehicleId, timeLogId, stage, dataUrl) => {
+    try {
+      const blob = await (await fetch(dataUrl)).blob();
+      const path = getDashboardPhotoPath(vehicleId, timeLogId, stage);
+      // Overwrites the photo an earlier, interrupted attempt may have left
+      const { error } = await storage.uploadFile(INSPECTION_BUCKET, path, blob, 'image/jpeg');
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: storage.getPublicUrl(INSPECTION_BUCKET, path)
+      };
+    } catch (error) {
+      console.error(`Error uploading dashboard photo for vehicle ${vehicleId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to upload dashboard photo'
+      };
+    }
+  }
+};
+
+export default timeLogService;
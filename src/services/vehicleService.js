@@ -1,4 +1,6 @@
-import { supabase } from './supabase';
+import { supabase, fromDepot, inspections } from './supabase';
+import { summarizeMileage, groupMileage } from '../utils/readingUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
 
 /**
  * Vehicle service functions for managing vehicle data
@@ -20,8 +22,7 @@ const vehicleService = {
         sortDirection = 'asc'
       } = options;
       
-      let query = supabase
-        .from('vehicles')
+      let query = fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -90,8 +91,7 @@ const vehicleService = {
         sortDirection = 'asc'
       } = options;
       
-      let query = supabase
-        .from('vehicles')
+      let query = fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -146,8 +146,7 @@ const vehicleService = {
    */
   getVehicleById: async (id) => {
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -169,8 +168,10 @@ const vehicleService = {
       };
     } catch (error) {
       console.error(`Error fetching vehicle with ID ${id}:`, error);
+      // PGRST116: no matching row, 22P02: the ID is not a valid UUID
       return { 
         success: false, 
+        notFound: ['PGRST116', '22P02'].includes(error.code),
         error: error.message || 'Failed to fetch vehicle' 
       };
     }
@@ -182,9 +183,11 @@ const vehicleService = {
    * @returns {Promise} Promise object with added vehicle data or error
    */
   addVehicle: async (vehicleData) => {
+    const denied = requirePermission(PERMISSIONS.VEHICLES_MANAGE);
+    if (denied) return denied;
+    
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .insert([vehicleData])
         .select()
         .single();
@@ -211,9 +214,11 @@ const vehicleService = {
    * @returns {Promise} Promise object with updated vehicle data or error
    */
   updateVehicle: async (id, updates) => {
+    const denied = requirePermission(PERMISSIONS.VEHICLES_MANAGE);
+    if (denied) return denied;
+    
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .update(updates)
         .eq('id', id)
         .select()
@@ -229,6 +234,7 @@ const vehicleService = {
       console.error(`Error updating vehicle with ID ${id}:`, error);
       return { 
         success: false, 
+        notFound: ['PGRST116', '22P02'].includes(error.code),
         error: error.message || 'Failed to update vehicle' 
       };
     }
@@ -240,10 +246,12 @@ const vehicleService = {
    * @returns {Promise} Promise object indicating success or error
    */
   deleteVehicle: async (id) => {
+    const denied = requirePermission(PERMISSIONS.VEHICLES_MANAGE);
+    if (denied) return denied;
+    
     try {
       // Check if vehicle has any active time logs
-      const { data: activeLogs, error: logsError } = await supabase
-        .from('time_logs')
+      const { data: activeLogs, error: logsError } = await fromDepot('time_logs')
         .select('id')
         .eq('vehicle_id', id)
         .is('punch_out', null)
@@ -254,18 +262,27 @@ const vehicleService = {
       if (activeLogs && activeLogs.length > 0) {
         return { 
           success: false, 
+          conflict: true,
           error: 'Cannot delete a vehicle that is currently in use' 
         };
       }
       
       // Delete the vehicle
-      const { error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .delete()
-        .eq('id', id);
+        .eq('id', id)
+        .select('id');
       
       if (error) throw error;
       
+      if (!data || data.length === 0) {
+        return { 
+          success: false, 
+          notFound: true,
+          error: 'Vehicle not found' 
+        };
+      }
+      
       return { success: true };
     } catch (error) {
       console.error(`Error deleting vehicle with ID ${id}:`, error);
@@ -308,8 +325,7 @@ const vehicleService = {
       };
       
       // Update vehicle
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .update(updates)
         .eq('id', id)
         .select()
@@ -337,36 +353,31 @@ const vehicleService = {
    * @returns {Promise} Promise object with updated vehicle data or error
    */
   assignVehicleToDriver: async (vehicleId, driverId) => {
+    const denied = requirePermission(PERMISSIONS.VEHICLES_MANAGE);
+    if (denied) return denied;
+    
     try {
-      // Check vehicle availability
-      const { data: vehicle, error: vehicleError } = await supabase
-        .from('vehicles')
-        .select('status')
-        .eq('id', vehicleId)
-        .single();
-      
-      if (vehicleError) throw vehicleError;
-      
-      if (vehicle.status !== 'available') {
-        return { 
-          success: false, 
-          error: 'Vehicle is not available for assignment' 
-        };
-      }
-      
-      // Update vehicle with assignment
-      const { data, error } = await supabase
-        .from('vehicles')
+      // Only claim the vehicle if it is still available, so two callers can't both win
+      const { data, error } = await fromDepot('vehicles')
         .update({
           status: 'in-use',
           assigned_driver_id: driverId
         })
         .eq('id', vehicleId)
+        .eq('status', 'available')
         .select()
-        .single();
+        .maybeSingle();
       
       if (error) throw error;
       
+      if (!data) {
+        return { 
+          success: false, 
+          conflict: true,
+          error: 'Vehicle is not available for assignment' 
+        };
+      }
+      
       return { 
         success: true, 
         data 
@@ -380,16 +391,93 @@ const vehicleService = {
     }
   },
   
+  /**
+   * Check a vehicle out to a driver and start their shift
+   * Claims the vehicle only if it is available, opens the time log and links the
+   * signed agreement and pre-shift inspection to it in a single transaction
+   * @param {string} vehicleId - Vehicle ID
+   * @param {string} driverId - Driver ID
+   * @param {Object} options - Records to link to the new time log
+   * @param {Object} options.agreement - Signed agreement record
+   * @param {Object} options.inspection - Pre-shift inspection record
+   * @param {Object} options.readings - Punch-in readings: odometer, fuelLevel, dashboardPhotoUrl and warnings
+   * @param {Object} options.location - Punch-in location (lat, lng, accuracy, capturedAt)
+   * @param {string} options.timeLogId - ID for the new time log, when it was assigned on the device
+   * @param {string} options.punchedAt - When the driver punched in, for punches sent after the fact
+   * @param {Object} options.checklistResponse - Pre-trip checklist answers
+   * @returns {Promise} Promise object with the new time log, or error with conflict flag
+   */
+  checkoutVehicle: async (vehicleId, driverId, {
+    agreement = null,
+    inspection = null,
+    readings = {},
+    location = null,
+    timeLogId = null,
+    punchedAt = null,
+    checklistResponse = null
+  } = {}) => {
+    try {
+      const { data, error } = await supabase.rpc('checkout_vehicle', {
+        p_vehicle_id: vehicleId,
+        p_driver_id: driverId,
+        p_agreement_id: agreement?.id || null,
+        p_inspection_id: inspection?.id || null,
+        p_odometer: readings.odometer ?? null,
+        p_fuel_level: readings.fuelLevel ?? null,
+        p_dashboard_photo_url: readings.dashboardPhotoUrl || null,
+        p_reading_warnings: readings.warnings || [],
+        p_location: location,
+        p_time_log_id: timeLogId,
+        p_punched_at: punchedAt,
+        p_checklist_response_id: checklistResponse?.id || null
+      });
+      
+      if (error) {
+        // PT409 is raised when the vehicle was claimed first or the driver is already on shift
+        if (error.code === 'PT409') {
+          return { 
+            success: false, 
+            conflict: true,
+            error: error.message 
+          };
+        }
+        throw error;
+      }
+      
+      // The inspection is already linked; move its staged photos into the time log folder
+      if (inspection) {
+        const { error: linkError } = await inspections.attachToTimeLog(inspection, data.id);
+        
+        if (linkError) {
+          console.error(`Error filing inspection photos for time log ${data.id}:`, linkError);
+        }
+      }
+      
+      return { 
+        success: true, 
+        data 
+      };
+    } catch (error) {
+      console.error(`Error checking out vehicle ${vehicleId} to driver ${driverId}:`, error);
+      return { 
+        success: false, 
+        error: error.message || 'Failed to check out vehicle' 
+      };
+    }
+  },
+  
   /**
    * Unassign vehicle from driver
    * @param {string} vehicleId - Vehicle ID
    * @returns {Promise} Promise object with updated vehicle data or error
    */
   unassignVehicle: async (vehicleId) => {
+    const denied = requirePermission(PERMISSIONS.VEHICLES_MANAGE);
+    if (denied) return denied;
+    
     try {
       // Check if vehicle has any active time logs
-      const { data: activeLogs, error: logsError } = await supabase
-        .from('time_logs')
+      const { data: activeLogs, error: logsError } = await fromDepot('time_logs')
         .select('id')
         .eq('vehicle_id', vehicleId)
         .is('punch_out', null)
@@ -405,8 +493,7 @@ const vehicleService = {
       }
       
       // Update vehicle to available
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .update({
           status: 'available',
           assigned_driver_id: null
@@ -444,8 +531,7 @@ const vehicleService = {
         sortDirection = 'desc'
       } = options;
       
-      let query = supabase
-        .from('time_logs')
+      let query = fromDepot('time_logs')
         .select(`
           id,
           punch_in,
@@ -498,8 +584,7 @@ const vehicleService = {
         status = null
       } = options;
       
-      let query = supabase
-        .from('maintenance_requests')
+      let query = fromDepot('maintenance_requests')
         .select(`
           id,
           description,
@@ -552,16 +637,14 @@ const vehicleService = {
   getVehicleStats: async (vehicleId) => {
     try {
       // Get all time logs
-      const { data: timeLogs, error: timeLogsError } = await supabase
-        .from('time_logs')
-        .select('id, driver_id, punch_in, punch_out, drivers:users(name)')
+      const { data: timeLogs, error: timeLogsError } = await fromDepot('time_logs')
+        .select('id, driver_id, punch_in, punch_out, start_odometer, end_odometer, drivers:users(name)')
         .eq('vehicle_id', vehicleId);
       
       if (timeLogsError) throw timeLogsError;
       
       // Get maintenance requests
-      const { data: maintenanceRequests, error: maintenanceError } = await supabase
-        .from('maintenance_requests')
+      const { data: maintenanceRequests, error: maintenanceError } = await fromDepot('maintenance_requests')
         .select('id, status, severity')
         .eq('vehicle_id', vehicleId);
       
@@ -588,6 +671,10 @@ const vehicleService = {
       // Calculate hours and format
       const totalUsageHours = (totalUsageTimeSeconds / 3600).toFixed(1);
       
+      // Mileage from the odometer readings, overall and per driver
+      const mileage = summarizeMileage(timeLogs || []);
+      const mileageByDriver = groupMileage(timeLogs || [], log => log.driver_id);
+      
       // Count unique drivers
       const uniqueDrivers = new Set();
       timeLogs?.forEach(log => {
@@ -613,6 +700,8 @@ const vehicleService = {
           totalUsageHours,
           totalUsageTimeSeconds,
           uniqueDrivers: uniqueDrivers.size,
+          ...mileage,
+          mileageByDriver,
           maintenanceStats
         }
       };
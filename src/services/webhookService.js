@@ -0,0 +1,371 @@
+import { supabase, fromDepot } from './supabase';
+import { isValidUrl } from '../utils/validation';
+import { WEBHOOK_EVENTS, WEBHOOK_TEST_EVENT, generateWebhookSecret } from '../utils/webhookUtils';
+import { PERMISSIONS, requirePermission } from '../utils/permissions';
+
+// Columns returned for endpoints; the secret is included so admins can configure receivers
+const ENDPOINT_COLUMNS = 'id, user_id, url, description, secret, events, is_active, created_at';
+
+/**
+ * Check an endpoint's URL and event list
+ * @param {Object} endpoint - Endpoint fields
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateEndpoint = ({ url, events }) => {
+  if (url !== undefined && (!isValidUrl(url) || !/^https?:\/\//.test(url))) {
+    return 'Webhook URL must be a valid http(s) URL';
+  }
+  
+  if (events !== undefined) {
+    const known = WEBHOOK_EVENTS.map(event => event.value);
+    
+    if (events.length === 0 || events.some(event => !known.includes(event))) {
+      return `Events must be one or more of: ${known.join(', ')}`;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Webhook service functions for managing endpoints and their deliveries
+ */
+const webhookService = {
+  /**
+   * Get all webhook endpoints for a user
+   * @param {string} userId - User ID
+   * @returns {Promise} Promise object with endpoints or error
+   */
+  getWebhookEndpoints: async (userId) => {
+    try {
+      const { data, error } = await fromDepot('webhook_endpoints')
+        .select(ENDPOINT_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error('Error fetching webhook endpoints:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch webhook endpoints'
+      };
+    }
+  },
+  
+  /**
+   * Register a webhook endpoint with a new signing secret
+   * @param {string} userId - User ID
+   * @param {Object} endpoint - Endpoint details
+   * @param {string} endpoint.url - URL deliveries are POSTed to
+   * @param {string} endpoint.description - Endpoint description
+   * @param {Array} endpoint.events - Event names to subscribe to
+   * @returns {Promise} Promise object with the new endpoint or error
+   */
+  createWebhookEndpoint: async (userId, { url, description = '', events = [] }) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = validateEndpoint({ url, events });
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('webhook_endpoints')
+        .insert([{
+          user_id: userId,
+          url,
+          description,
+          events,
+          secret: generateWebhookSecret(),
+        }])
+        .select(ENDPOINT_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error('Error creating webhook endpoint:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to create webhook endpoint'
+      };
+    }
+  },
+  
+  /**
+   * Update a webhook endpoint
+   * @param {string} endpointId - Endpoint ID
+   * @param {Object} updates - Fields to update (url, description, events, is_active)
+   * @returns {Promise} Promise object with the updated endpoint or error
+   */
+  updateWebhookEndpoint: async (endpointId, updates) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const validationError = validateEndpoint(updates);
+      
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+      
+      const { data, error } = await fromDepot('webhook_endpoints')
+        .update(updates)
+        .eq('id', endpointId)
+        .select(ENDPOINT_COLUMNS)
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error updating webhook endpoint ${endpointId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to update webhook endpoint'
+      };
+    }
+  },
+  
+  /**
+   * Delete a webhook endpoint and its delivery log
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  deleteWebhookEndpoint: async (endpointId) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await fromDepot('webhook_endpoints')
+        .delete()
+        .eq('id', endpointId);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error deleting webhook endpoint ${endpointId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to delete webhook endpoint'
+      };
+    }
+  },
+  
+  /**
+   * Queue a test delivery for an endpoint
+   * @param {string} endpointId - Endpoint ID
+   * @returns {Promise} Promise object with the queued delivery or error
+   */
+  sendTestEvent: async (endpointId) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .insert([{
+          endpoint_id: endpointId,
+          event: WEBHOOK_TEST_EVENT,
+          data: { message: 'This is a test delivery' },
+        }])
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data
+      };
+    } catch (error) {
+      console.error(`Error sending test event to webhook endpoint ${endpointId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to send test event'
+      };
+    }
+  },
+  
+  /**
+   * Get recent deliveries for an endpoint with every attempt's response
+   * @param {string} endpointId - Endpoint ID
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Number of deliveries to return
+   * @returns {Promise} Promise object with deliveries, newest first
+   */
+  getWebhookDeliveries: async (endpointId, { limit = 25 } = {}) => {
+    try {
+      const { data, error } = await supabase
+        .from('webhook_deliveries')
+        .select(`
+          id,
+          event,
+          status,
+          attempts,
+          next_attempt_at,
+          last_status_code,
+          last_error,
+          delivered_at,
+          created_at,
+          webhook_delivery_attempts(id, attempt, status_code, error, duration_ms, created_at)
+        `)
+        .eq('endpoint_id', endpointId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      
+      const deliveries = (data || []).map(({ webhook_delivery_attempts: attempts, ...delivery }) => ({
+        ...delivery,
+        attemptLog: (attempts || []).sort((a, b) => a.attempt - b.attempt)
+      }));
+      
+      return {
+        success: true,
+        data: deliveries
+      };
+    } catch (error) {
+      console.error(`Error fetching deliveries for webhook endpoint ${endpointId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch webhook deliveries'
+      };
+    }
+  },
+  
+  /**
+   * Queue a failed delivery to be sent again
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise} Promise object indicating success or error
+   */
+  retryWebhookDelivery: async (deliveryId) => {
+    const denied = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+    if (denied) return denied;
+    
+    try {
+      const { error } = await supabase
+        .from('webhook_deliveries')
+        .update({
+          status: 'pending',
+          next_attempt_at: new Date().toISOString(),
+        })
+        .eq('id', deliveryId)
+        .eq('status', 'failed');
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error retrying webhook delivery ${deliveryId}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to retry webhook delivery'
+      };
+    }
+  },
+  
+  /**
+   * Claim deliveries that are due, for the dispatcher
+   * @param {Object} options - Claim options
+   * @param {number} options.limit - Maximum number of deliveries to claim
+   * @param {number} options.leaseSeconds - How long other dispatchers leave claimed deliveries alone
+   * @returns {Promise} Promise object with deliveries, each with the endpoint's url and secret
+   */
+  claimDueDeliveries: async ({ limit = 20, leaseSeconds = 300 } = {}) => {
+    try {
+      const { data, error } = await supabase.rpc('claim_webhook_deliveries', {
+        p_limit: limit,
+        p_lease: `${leaseSeconds} seconds`
+      });
+      
+      if (error) throw error;
+      
+      return {
+        success: true,
+        data: data || []
+      };
+    } catch (error) {
+      console.error('Error claiming webhook deliveries:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to claim webhook deliveries'
+      };
+    }
+  },
+  
+  /**
+   * Log a delivery attempt and move the delivery on: delivered, retried later or given up
+   * @param {Object} delivery - Claimed delivery
+   * @param {Object} result - Attempt result
+   * @param {number|null} result.statusCode - Response status, null when no response arrived
+   * @param {string|null} result.error - Error message for failed attempts
+   * @param {number} result.durationMs - Time taken by the attempt
+   * @param {Date|null} result.retryAt - When to try again; null marks a failed attempt as final
+   * @returns {Promise} Promise object indicating success or error
+   */
+  recordDeliveryAttempt: async (delivery, { statusCode, error: attemptError, durationMs, retryAt }) => {
+    try {
+      const attempt = delivery.attempts + 1;
+      const succeeded = !attemptError;
+      
+      const { error: logError } = await supabase
+        .from('webhook_delivery_attempts')
+        .insert([{
+          delivery_id: delivery.id,
+          attempt,
+          status_code: statusCode,
+          error: attemptError,
+          duration_ms: durationMs,
+        }]);
+      
+      if (logError) throw logError;
+      
+      const { error } = await supabase
+        .from('webhook_deliveries')
+        .update({
+          attempts: attempt,
+          last_status_code: statusCode,
+          last_error: attemptError,
+          status: succeeded ? 'succeeded' : retryAt ? 'pending' : 'failed',
+          delivered_at: succeeded ? new Date().toISOString() : null,
+          ...(retryAt && !succeeded ? { next_attempt_at: retryAt.toISOString() } : {}),
+        })
+        .eq('id', delivery.id);
+      
+      if (error) throw error;
+      
+      return { success: true };
+    } catch (error) {
+      console.error(`Error recording attempt for webhook delivery ${delivery.id}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to record webhook delivery attempt'
+      };
+    }
+  }
+};
+
+export default webhookService;
@@ -1,12 +1,60 @@
 import { create } from 'zustand';
-import { auth } from '../services/supabase';
+import { auth, depots } from '../services/supabase';
+import { PERMISSIONS, hasPermission, setActingRole } from '../utils/permissions';
+import { setActingDepot } from '../utils/depotScope';
 
-const useAuthStore = create((set) => ({
+const DEPOT_STORAGE_KEY = 'vms.depotId';
+
+// Scope the services to the user's role and depot; super admins resume the depot they last switched to
+const startSession = (role, homeDepotId) => {
+  const depotId = hasPermission(role, PERMISSIONS.DEPOTS_SWITCH)
+    ? localStorage.getItem(DEPOT_STORAGE_KEY) || homeDepotId
+    : homeDepotId;
+  
+  setActingRole(role);
+  setActingDepot(depotId);
+  return depotId;
+};
+
+const endSession = () => {
+  setActingRole(null);
+  setActingDepot(null);
+};
+
+const useAuthStore = create((set, get) => ({
   user: null,
   role: null,
+  depotId: null,
+  depots: [],
   isLoading: false,
   error: null,
 
+  // Check a permission for the signed-in user (see utils/permissions)
+  can: (permission) => hasPermission(get().role, permission),
+
+  // Load the depots a super admin can switch between
+  loadDepots: async () => {
+    if (!get().can(PERMISSIONS.DEPOTS_SWITCH)) return;
+    
+    const { data, error } = await depots.getAll();
+    
+    if (error) {
+      console.error('Error loading depots:', error);
+      return;
+    }
+    
+    set({ depots: data || [] });
+  },
+
+  // Switch the depot every query is scoped to (super admins only)
+  switchDepot: (depotId) => {
+    if (!get().can(PERMISSIONS.DEPOTS_SWITCH)) return;
+    
+    setActingDepot(depotId);
+    localStorage.setItem(DEPOT_STORAGE_KEY, depotId);
+    set({ depotId });
+  },
+
   // Login
   login: async (email, password) => {
     set({ isLoading: true, error: null });
@@ -18,16 +66,18 @@ const useAuthStore = create((set) => ({
       
       // Get the user's role
       const userId = data.user.id;
-      const { role, error: roleError } = await auth.getUserRole(userId);
+      const { role, depotId, error: roleError } = await auth.getUserRole(userId);
       
       if (roleError) throw roleError;
       
       set({ 
         user: data.user,
         role: role,
+        depotId: startSession(role, depotId),
         isLoading: false,
         error: null
       });
+      get().loadDepots();
 
       return { success: true, role };
     } catch (error) {
@@ -47,9 +97,12 @@ const useAuthStore = create((set) => ({
       const { error } = await auth.signOut();
       if (error) throw error;
       
+      endSession();
       set({ 
         user: null,
         role: null,
+        depotId: null,
+        depots: [],
         isLoading: false,
         error: null
       });
@@ -72,31 +125,37 @@ const useAuthStore = create((set) => ({
       const user = await auth.getCurrentUser();
       
       if (!user) {
+        endSession();
         set({ 
           user: null, 
           role: null,
+          depotId: null,
           isLoading: false 
         });
         return { authenticated: false };
       }
       
       // Get the user's role
-      const { role, error: roleError } = await auth.getUserRole(user.id);
+      const { role, depotId, error: roleError } = await auth.getUserRole(user.id);
       
       if (roleError) throw roleError;
       
       set({ 
         user, 
         role,
+        depotId: startSession(role, depotId),
         isLoading: false,
         error: null
       });
+      get().loadDepots();
       
       return { authenticated: true, role };
     } catch (error) {
+      endSession();
       set({ 
         user: null,
         role: null,
+        depotId: null,
         isLoading: false, 
         error: error.message || 'Failed to get auth state' 
       });
@@ -1,5 +1,5 @@
 import { create } from 'zustand';
-import { supabase } from '../services/supabase';
+import { fromDepot } from '../services/supabase';
 
 const useMaintenanceStore = create((set, get) => ({
   requests: [],
@@ -23,8 +23,7 @@ const useMaintenanceStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('maintenance_requests')
+      const { data, error } = await fromDepot('maintenance_requests')
         .select(`
           id,
           description,
@@ -70,8 +69,7 @@ const useMaintenanceStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('maintenance_requests')
+      const { data, error } = await fromDepot('maintenance_requests')
         .select(`
           id,
           description,
@@ -109,8 +107,7 @@ const useMaintenanceStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('maintenance_requests')
+      const { data, error } = await fromDepot('maintenance_requests')
         .select(`
           id,
           description,
@@ -148,8 +145,7 @@ const useMaintenanceStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('maintenance_requests')
+      const { data, error } = await fromDepot('maintenance_requests')
         .select(`
           id,
           description,
@@ -186,8 +182,7 @@ const useMaintenanceStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('maintenance_requests')
+      const { data, error } = await fromDepot('maintenance_requests')
         .insert([requestData])
         .select();
       
@@ -236,8 +231,7 @@ const useMaintenanceStore = create((set, get) => ({
         updates.resolved_at = new Date().toISOString();
       }
       
-      const { data, error } = await supabase
-        .from('maintenance_requests')
+      const { data, error } = await fromDepot('maintenance_requests')
         .update(updates)
         .eq('id', id)
         .select();
@@ -287,8 +281,7 @@ const useMaintenanceStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { error } = await supabase
-        .from('maintenance_requests')
+      const { error } = await fromDepot('maintenance_requests')
         .delete()
         .eq('id', id);
       
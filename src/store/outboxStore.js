@@ -0,0 +1,64 @@
+import { create } from 'zustand';
+import outboxService from '../services/outboxService';
+import { isOnline } from '../utils/networkUtils';
+import { onSyncRequested } from '../utils/serviceWorker';
+
+const useOutboxStore = create((set, get) => ({
+  operations: [],
+  isOnline: isOnline(),
+  isSyncing: false,
+
+  // Reload the queued operations from the device
+  refresh: async () => {
+    const { data } = await outboxService.getOperations();
+    set({ operations: data || [] });
+  },
+
+  // Send everything that is queued
+  sync: async () => {
+    if (get().isSyncing) return;
+
+    set({ isSyncing: true });
+    await outboxService.sync();
+    set({ isSyncing: false });
+  },
+
+  // Send a refused operation again
+  retry: async (operationId) => {
+    set({ isSyncing: true });
+    await outboxService.retry(operationId);
+    set({ isSyncing: false });
+  },
+
+  // Drop a queued operation
+  discard: async (operationId) => {
+    await outboxService.discard(operationId);
+  },
+
+  // Follow the outbox and the connection; returns a cleanup function
+  start: () => {
+    const handleOnline = () => {
+      set({ isOnline: true });
+      get().sync();
+    };
+    const handleOffline = () => set({ isOnline: false });
+    const unsubscribe = outboxService.subscribe(() => get().refresh());
+    const stopListening = onSyncRequested(() => get().sync());
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    // Pick up anything left over from an earlier session
+    get().refresh();
+    get().sync();
+
+    return () => {
+      unsubscribe();
+      stopListening();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  },
+}));
+
+export default useOutboxStore;
@@ -1,5 +1,5 @@
 import { create } from 'zustand';
-import { supabase } from '../services/supabase';
+import { fromDepot } from '../services/supabase';
 
 const useVehicleStore = create((set, get) => ({
   vehicles: [],
@@ -16,8 +16,7 @@ const useVehicleStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -54,8 +53,7 @@ const useVehicleStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -93,8 +91,7 @@ const useVehicleStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .select(`
           id,
           vehicle_number,
@@ -130,8 +127,7 @@ const useVehicleStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .insert([vehicleData])
         .select();
       
@@ -160,8 +156,7 @@ const useVehicleStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .update(updates)
         .eq('id', id)
         .select();
@@ -194,8 +189,7 @@ const useVehicleStore = create((set, get) => ({
     set({ isLoading: true, error: null });
     
     try {
-      const { error } = await supabase
-        .from('vehicles')
+      const { error } = await fromDepot('vehicles')
         .delete()
         .eq('id', id);
       
@@ -229,8 +223,7 @@ const useVehicleStore = create((set, get) => ({
         assigned_driver_id: driverId 
       };
       
-      const { data, error } = await supabase
-        .from('vehicles')
+      const { data, error } = await fromDepot('vehicles')
         .update(updates)
         .eq('id', id)
         .select();
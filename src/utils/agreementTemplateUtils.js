@@ -0,0 +1,270 @@
+// src/utils/agreementTemplateUtils.js
+
+/**
+ * Placeholders an agreement template can use, written as {{key}}
+ */
+export const AGREEMENT_PLACEHOLDERS = [
+  { key: 'driver_name', label: 'Driver name' },
+  { key: 'vehicle', label: 'Vehicle (make, model and number)' },
+  { key: 'vehicle_number', label: 'Vehicle number' },
+  { key: 'date', label: 'Signing date' },
+  { key: 'depot', label: 'Depot' }
+];
+
+export const TEMPLATE_VERSION_STATUS_LABELS = {
+  draft: 'Draft',
+  published: 'Published',
+  retired: 'Retired'
+};
+
+/**
+ * When drivers have to sign a template's agreement again; a new published
+ * version always ends an agreement
+ */
+export const AGREEMENT_VALIDITY_LABELS = {
+  shift: 'Every shift',
+  day: 'Once a day',
+  days: 'Every few days',
+  version: 'Until the terms change'
+};
+
+// The built-in terms, and templates from before validity policies, are signed every shift
+const DEFAULT_VALIDITY = { policy: 'shift', days: null };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Terms used when no template is published for a vehicle, and the starting
+ * point of new templates
+ */
+export const DEFAULT_AGREEMENT_TEMPLATE = `VEHICLE USAGE AGREEMENT
+
+Date: {{date}}
+
+THIS AGREEMENT is made between:
+
+Driver: {{driver_name}}
+Vehicle: {{vehicle}}
+
+Terms and Conditions:
+
+1. The Driver agrees to use the Vehicle for business purposes only.
+2. The Driver acknowledges receipt of the Vehicle in good working condition.
+3. The Driver agrees to return the Vehicle in the same condition, normal wear and tear excepted.
+4. The Driver agrees to report any maintenance issues promptly.
+5. The Driver agrees to follow all traffic laws and regulations.
+6. The Driver assumes responsibility for any tickets or fines incurred during usage.
+
+By signing below, the Driver acknowledges having read, understood, and agreed to the terms and conditions set forth above.`;
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Get the values placeholders are filled with
+ * @param {Object} context - driverName, vehicle ({ make, model, vehicle_number }), depotName and date
+ * @returns {Object} Values by placeholder key
+ */
+export const getTemplateValues = ({ driverName, vehicle, depotName, date = new Date() }) => ({
+  driver_name: driverName || 'Driver',
+  vehicle: vehicle ? `${vehicle.make} ${vehicle.model} (Vehicle #${vehicle.vehicle_number})` : '',
+  vehicle_number: vehicle?.vehicle_number || '',
+  date: new Date(date).toLocaleDateString(),
+  depot: depotName || ''
+});
+
+/**
+ * Fill in a template's placeholders
+ * @param {string} body - Template text
+ * @param {Object} values - Values by placeholder key (see getTemplateValues)
+ * @returns {string} Agreement text; unknown placeholders are left as written
+ */
+export const renderAgreementTemplate = (body, values) => {
+  return (body || '').replace(PLACEHOLDER_PATTERN, (match, key) => values[key] ?? match);
+};
+
+/**
+ * Find placeholders a template uses that can't be filled in
+ * @param {string} body - Template text
+ * @returns {Array} Unknown placeholder keys
+ */
+export const getUnknownPlaceholders = (body) => {
+  const known = AGREEMENT_PLACEHOLDERS.map(placeholder => placeholder.key);
+  const used = [...(body || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+
+  return [...new Set(used.filter(key => !known.includes(key)))];
+};
+
+/**
+ * Get a template's versions, newest first
+ * @param {Object} template - Template with a versions relation
+ * @returns {Array} Versions
+ */
+export const getTemplateVersions = (template) => {
+  return [...(template.versions || [])].sort((a, b) => b.version - a.version);
+};
+
+/**
+ * Get the version of a template that is in force
+ * @param {Object} template - Template with a versions relation
+ * @returns {Object|null} Published version
+ */
+export const getPublishedVersion = (template) => {
+  return (template.versions || []).find(version => version.status === 'published') || null;
+};
+
+/**
+ * Get the version of a template being edited
+ * @param {Object} template - Template with a versions relation
+ * @returns {Object|null} Draft version
+ */
+export const getDraftVersion = (template) => {
+  return (template.versions || []).find(version => version.status === 'draft') || null;
+};
+
+/**
+ * Pick the published version a vehicle's driver signs
+ * @param {Array} versions - Published versions of the depot, each with an agreement_templates relation
+ * @param {Object} vehicle - Vehicle with agreement_template_id
+ * @returns {Object|null} The vehicle's own template, else the depot default, or null for the built-in terms
+ */
+export const getApplicableAgreementVersion = (versions = [], vehicle) => {
+  if (!vehicle) return null;
+
+  const assigned = vehicle.agreement_template_id
+    ? versions.find(version => version.template_id === vehicle.agreement_template_id)
+    : null;
+
+  return assigned || versions.find(version => version.agreement_templates?.is_default) || null;
+};
+
+/**
+ * Check whether an agreement was signed under the version a vehicle now requires
+ * @param {Object} agreement - Agreement with template_version_id
+ * @param {Object|null} version - Applicable version from getApplicableAgreementVersion
+ * @returns {boolean} False once a newer version has been published
+ */
+export const isSignedUnderVersion = (agreement, version) => {
+  return (agreement?.template_version_id || null) === (version?.id || null);
+};
+
+/**
+ * Get the validity policy of the version a vehicle requires
+ * @param {Object|null} version - Version with an agreement_templates relation carrying
+ *   validity_policy and validity_days, or null for the built-in terms
+ * @returns {Object} policy and days
+ */
+export const getValidityPolicy = (version) => {
+  const template = version?.agreement_templates;
+
+  if (!template?.validity_policy) return DEFAULT_VALIDITY;
+
+  return {
+    policy: template.validity_policy,
+    days: template.validity_policy === 'days' ? template.validity_days : null
+  };
+};
+
+/**
+ * Get when an agreement stops being valid by the clock
+ * @param {Object} agreement - Agreement with signed_at
+ * @param {Object} validity - policy and days from getValidityPolicy
+ * @returns {Date|null} Expiry, or null when the policy has no time limit
+ */
+export const getAgreementExpiry = (agreement, { policy, days }) => {
+  const signedAt = new Date(agreement.signed_at);
+
+  if (policy === 'day') {
+    const endOfDay = new Date(signedAt);
+    endOfDay.setHours(24, 0, 0, 0);
+    return endOfDay;
+  }
+
+  if (policy === 'days') {
+    return new Date(signedAt.getTime() + days * DAY_MS);
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a driver's latest agreement for a vehicle still covers a new shift
+ * @param {Object|null} agreement - Agreement with signed_at, template_version_id and time_log_id
+ *   (the shift it was filed under, if any)
+ * @param {Object|null|undefined} version - Version the vehicle requires (see getApplicableAgreementVersion);
+ *   undefined when it couldn't be looked up, in which case the agreement is held to a single shift
+ * @param {Date} now - Time of the check
+ * @returns {Object} valid, reason (missing, outdated, used or expired) and expiresAt
+ */
+export const checkAgreementValidity = (agreement, version, now = new Date()) => {
+  if (!agreement) {
+    return { valid: false, reason: 'missing', expiresAt: null };
+  }
+
+  if (version !== undefined && !isSignedUnderVersion(agreement, version)) {
+    return { valid: false, reason: 'outdated', expiresAt: null };
+  }
+
+  const validity = version === undefined ? DEFAULT_VALIDITY : getValidityPolicy(version);
+
+  if (validity.policy === 'shift') {
+    return agreement.time_log_id
+      ? { valid: false, reason: 'used', expiresAt: null }
+      : { valid: true, reason: null, expiresAt: null };
+  }
+
+  const expiresAt = getAgreementExpiry(agreement, validity);
+
+  if (expiresAt && now >= expiresAt) {
+    return { valid: false, reason: 'expired', expiresAt };
+  }
+
+  return { valid: true, reason: null, expiresAt };
+};
+
+/**
+ * Describe how long an agreement in force lasts, for the driver
+ * @param {Object} validity - policy and days from getValidityPolicy
+ * @param {Date|null} expiresAt - Expiry from checkAgreementValidity
+ * @returns {string} Description
+ */
+export const describeAgreementValidity = ({ policy }, expiresAt) => {
+  if (policy === 'shift') return 'Valid for this shift';
+  if (policy === 'version') return 'Valid until the terms change';
+
+  return `Valid until ${new Date(expiresAt).toLocaleString()}`;
+};
+
+/**
+ * Describe a template's validity policy, for admins
+ * @param {Object} template - Template with validity_policy and validity_days
+ * @returns {string} Description
+ */
+export const describeValidityPolicy = (template) => {
+  const { policy, days } = getValidityPolicy({ agreement_templates: template });
+
+  if (policy === 'days') {
+    return `Valid for ${days} day${days === 1 ? '' : 's'}`;
+  }
+
+  return AGREEMENT_VALIDITY_LABELS[policy];
+};
+
+export default {
+  AGREEMENT_PLACEHOLDERS,
+  TEMPLATE_VERSION_STATUS_LABELS,
+  AGREEMENT_VALIDITY_LABELS,
+  DEFAULT_AGREEMENT_TEMPLATE,
+  getTemplateValues,
+  renderAgreementTemplate,
+  getUnknownPlaceholders,
+  getTemplateVersions,
+  getPublishedVersion,
+  getDraftVersion,
+  getApplicableAgreementVersion,
+  isSignedUnderVersion,
+  getValidityPolicy,
+  getAgreementExpiry,
+  checkAgreementValidity,
+  describeAgreementValidity,
+  describeValidityPolicy
+};
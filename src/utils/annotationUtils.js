@@ -0,0 +1,154 @@
+// src/utils/annotationUtils.js
+//
+// Annotations are marks drivers put on inspection photos. They are stored as
+// shapes next to the photo, never drawn into it, using fractions of the
+// photo's width and height so they line up at any display size.
+
+/**
+ * Tools a driver can annotate with
+ */
+export const ANNOTATION_TOOLS = ['circle', 'arrow', 'freehand', 'text'];
+
+export const ANNOTATION_TOOL_LABELS = {
+  circle: 'Circle',
+  arrow: 'Arrow',
+  freehand: 'Draw',
+  text: 'Note'
+};
+
+export const ANNOTATION_TOOL_ICONS = {
+  circle: 'ri-checkbox-blank-circle-line',
+  arrow: 'ri-arrow-right-up-line',
+  freehand: 'ri-pencil-line',
+  text: 'ri-text'
+};
+
+/**
+ * Colour annotations are drawn in, as a CSS colour and as RGB for jsPDF
+ */
+export const ANNOTATION_COLOR = '#ef4444';
+export const ANNOTATION_RGB = [239, 68, 68];
+
+// Drags shorter than this (as a fraction of the photo) are taken as stray taps
+const MIN_SHAPE_SIZE = 0.01;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Create a shape from a drag over the photo
+ * @param {string} tool - 'circle' (dragged from the centre), 'arrow' (dragged from tail to tip) or 'freehand'
+ * @param {Array} points - Points of the drag in order, as { x, y } fractions of the photo
+ * @param {number} aspect - Photo width divided by its height, so circles stay round
+ * @returns {Object|null} Shape, or null when the drag was too small to be a mark
+ */
+export const createShape = (tool, points, aspect = 1) => {
+  const start = points[0];
+  const end = points[points.length - 1];
+
+  if (!start) return null;
+
+  if (tool === 'circle') {
+    // Radius in units of the photo's width; the height radius follows from the aspect ratio
+    const radius = Math.hypot(end.x - start.x, (end.y - start.y) / aspect);
+
+    if (radius < MIN_SHAPE_SIZE) return null;
+
+    return { type: 'circle', x: round(start.x), y: round(start.y), rx: round(radius), ry: round(radius * aspect) };
+  }
+
+  if (tool === 'arrow') {
+    if (Math.hypot(end.x - start.x, end.y - start.y) < MIN_SHAPE_SIZE * 2) return null;
+
+    return { type: 'arrow', x1: round(start.x), y1: round(start.y), x2: round(end.x), y2: round(end.y) };
+  }
+
+  if (tool === 'freehand') {
+    if (points.length < 2) return null;
+
+    return { type: 'freehand', points: points.map(point => [round(point.x), round(point.y)]) };
+  }
+
+  return null;
+};
+
+/**
+ * Create a text note pinned to a point of the photo
+ * @param {Object} point - Where the note starts ({ x, y } fractions)
+ * @param {string} text - Note text
+ * @returns {Object|null} Shape, or null when the text is empty
+ */
+export const createTextNote = (point, text) => {
+  const trimmed = (text || '').trim();
+
+  if (!trimmed) return null;
+
+  return { type: 'text', x: round(point.x), y: round(point.y), text: trimmed };
+};
+
+/**
+ * Get the two outer corners of an arrowhead
+ * @param {number} x1 - Tail x
+ * @param {number} y1 - Tail y
+ * @param {number} x2 - Tip x
+ * @param {number} y2 - Tip y
+ * @param {number} size - Length of the head's sides
+ * @returns {Array} Two [x, y] points
+ */
+export const getArrowHead = (x1, y1, x2, y2, size) => {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+
+  return [-1, 1].map(side => [
+    x2 - size * Math.cos(angle + side * Math.PI / 6),
+    y2 - size * Math.sin(angle + side * Math.PI / 6)
+  ]);
+};
+
+/**
+ * Place a shape on a photo drawn at a given position and size
+ * @param {Object} shape - Stored shape (fractions of the photo)
+ * @param {Object} box - Where the photo is drawn: { x, y, width, height }
+ * @returns {Object} The shape in the box's coordinates; arrows get a `head` as well
+ */
+export const scaleShape = (shape, { x = 0, y = 0, width, height }) => {
+  const toX = (value) => x + value * width;
+  const toY = (value) => y + value * height;
+
+  switch (shape.type) {
+    case 'circle':
+      return { ...shape, x: toX(shape.x), y: toY(shape.y), rx: shape.rx * width, ry: shape.ry * height };
+    case 'arrow': {
+      const scaled = { ...shape, x1: toX(shape.x1), y1: toY(shape.y1), x2: toX(shape.x2), y2: toY(shape.y2) };
+      return { ...scaled, head: getArrowHead(scaled.x1, scaled.y1, scaled.x2, scaled.y2, width * 0.04) };
+    }
+    case 'freehand':
+      return { ...shape, points: shape.points.map(([pointX, pointY]) => [toX(pointX), toY(pointY)]) };
+    case 'text':
+      return { ...shape, x: toX(shape.x), y: toY(shape.y) };
+    default:
+      return shape;
+  }
+};
+
+/**
+ * Check that stored annotations are a list of known shapes
+ * @param {*} annotations - Value read from storage or a queued payload
+ * @returns {Array} The known shapes, or an empty list
+ */
+export const toAnnotationList = (annotations) => {
+  if (!Array.isArray(annotations)) return [];
+
+  return annotations.filter(shape => shape && ANNOTATION_TOOLS.includes(shape.type));
+};
+
+export default {
+  ANNOTATION_TOOLS,
+  ANNOTATION_TOOL_LABELS,
+  ANNOTATION_TOOL_ICONS,
+  ANNOTATION_COLOR,
+  ANNOTATION_RGB,
+  createShape,
+  createTextNote,
+  getArrowHead,
+  scaleShape,
+  toAnnotationList
+};
@@ -0,0 +1,123 @@
+// src/utils/apiKeyUtils.js
+
+/**
+ * Prefix shared by all generated keys, so leaked keys are easy to spot
+ */
+export const API_KEY_PREFIX = 'vms';
+
+/**
+ * Resources an API key can be scoped to
+ */
+export const API_KEY_RESOURCES = ['vehicles', 'drivers', 'logs', 'maintenance'];
+
+/**
+ * Access levels per resource; write access includes read access
+ */
+export const API_KEY_ACCESS = ['read', 'write'];
+
+/**
+ * Every scope, for keys that should have full access
+ */
+export const ALL_API_KEY_SCOPES = API_KEY_RESOURCES.flatMap(resource =>
+  API_KEY_ACCESS.map(access => `${resource}:${access}`)
+);
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+export const toHex = (bytes) => {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Generate a new API key
+ * Keys look like `vms_<8 hex prefix>_<40 hex secret>`; only the prefix is stored in plain text
+ * @returns {Object} Object with the full apiKey and its public prefix
+ */
+export const generateApiKey = () => {
+  const prefix = `${API_KEY_PREFIX}_${toHex(crypto.getRandomValues(new Uint8Array(4)))}`;
+  const secret = toHex(crypto.getRandomValues(new Uint8Array(20)));
+
+  return {
+    apiKey: `${prefix}_${secret}`,
+    prefix
+  };
+};
+
+/**
+ * Get the public prefix used to look a key up
+ * Keys issued before prefixes existed are looked up by their first 8 characters
+ * @param {string} apiKey - Full API key
+ * @returns {string} Key prefix
+ */
+export const getApiKeyPrefix = (apiKey) => {
+  const match = new RegExp(`^(${API_KEY_PREFIX}_[0-9a-f]{8})_`).exec(apiKey || '');
+  return match ? match[1] : (apiKey || '').slice(0, 8);
+};
+
+/**
+ * Hash an API key for storage (SHA-256, hex encoded)
+ * @param {string} apiKey - Full API key
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashApiKey = async (apiKey) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  return toHex(new Uint8Array(digest));
+};
+
+/**
+ * Compare two strings without bailing out at the first difference
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+export const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+
+  return difference === 0;
+};
+
+/**
+ * Check whether a key's scopes allow an action on a resource
+ * @param {Array} scopes - Key scopes, e.g. ['vehicles:read', 'logs:write']
+ * @param {string} resource - Resource name
+ * @param {string} access - 'read' or 'write'
+ * @returns {boolean} Whether the action is allowed
+ */
+export const hasApiKeyScope = (scopes = [], resource, access) => {
+  if (scopes.includes(`${resource}:write`)) return true;
+  return access === 'read' && scopes.includes(`${resource}:read`);
+};
+
+/**
+ * Check whether a key's expiry date has passed
+ * @param {string|null} expiresAt - Expiry timestamp, null for keys that never expire
+ * @param {Date} now - Time to compare against
+ * @returns {boolean} Whether the key has expired
+ */
+export const isApiKeyExpired = (expiresAt, now = new Date()) => {
+  return Boolean(expiresAt) && new Date(expiresAt) <= now;
+};
+
+export default {
+  API_KEY_PREFIX,
+  API_KEY_RESOURCES,
+  API_KEY_ACCESS,
+  ALL_API_KEY_SCOPES,
+  toHex,
+  generateApiKey,
+  getApiKeyPrefix,
+  hashApiKey,
+  safeEqual,
+  hasApiKeyScope,
+  isApiKeyExpired
+};
@@ -0,0 +1,166 @@
+// src/utils/breadcrumbUtils.js
+import { distanceInMeters } from './locationUtils';
+
+/**
+ * How often the driver app samples the position during a shift
+ */
+export const BREADCRUMB_INTERVAL = 60 * 1000;
+
+/**
+ * Samples buffered on the device before they are uploaded together
+ */
+export const BREADCRUMB_BATCH_SIZE = 10;
+
+/**
+ * Samples less accurate than this (meters) are kept but left out of distances and stops
+ */
+export const MAX_BREADCRUMB_ACCURACY = 100;
+
+/**
+ * Movement within this radius (meters) counts as standing still
+ */
+export const STATIONARY_RADIUS = 50;
+
+/**
+ * Standing still at least this long is an idle period...
+ */
+export const MIN_IDLE_DURATION = 3 * 60 * 1000;
+
+/**
+ * ...and at least this long a stop
+ */
+export const MIN_STOP_DURATION = 15 * 60 * 1000;
+
+/**
+ * Sort breadcrumbs by time and convert them to route points
+ * @param {Array} breadcrumbs - Breadcrumb rows with lat, lng, accuracy and recorded_at
+ * @returns {Array} Points with lat, lng, accuracy and time (epoch ms)
+ */
+export const toRoutePoints = (breadcrumbs = []) => {
+  return breadcrumbs
+    .map(breadcrumb => ({
+      lat: breadcrumb.lat,
+      lng: breadcrumb.lng,
+      accuracy: breadcrumb.accuracy,
+      time: new Date(breadcrumb.recorded_at).getTime()
+    }))
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Find the periods a vehicle stood still
+ * @param {Array} points - Accurate route points in time order
+ * @returns {Array} Periods with type ('stop' or 'idle'), lat, lng, start, end and duration (ms)
+ */
+export const findStationaryPeriods = (points = []) => {
+  const periods = [];
+  let start = 0;
+
+  const closePeriod = (end) => {
+    const duration = points[end].time - points[start].time;
+
+    if (duration >= MIN_IDLE_DURATION) {
+      periods.push({
+        type: duration >= MIN_STOP_DURATION ? 'stop' : 'idle',
+        lat: points[start].lat,
+        lng: points[start].lng,
+        start: points[start].time,
+        end: points[end].time,
+        duration
+      });
+    }
+  };
+
+  for (let i = 1; i < points.length; i++) {
+    if (distanceInMeters(points[start], points[i]) > STATIONARY_RADIUS) {
+      closePeriod(i - 1);
+      start = i;
+    }
+  }
+
+  if (points.length > 0) {
+    closePeriod(points.length - 1);
+  }
+
+  return periods;
+};
+
+/**
+ * Work out what happened along a shift's route
+ * @param {Array} breadcrumbs - Breadcrumb rows of a time log
+ * @returns {Object} Object with points, distance (meters), stops, idlePeriods, stoppedTime and idleTime (ms)
+ */
+export const analyzeRoute = (breadcrumbs = []) => {
+  const points = toRoutePoints(breadcrumbs);
+  const accurate = points.filter(point => !(point.accuracy > MAX_BREADCRUMB_ACCURACY));
+  const periods = findStationaryPeriods(accurate);
+
+  // Jitter while standing still would otherwise add up to phantom distance
+  let distance = 0;
+  let anchor = accurate[0];
+
+  accurate.slice(1).forEach(point => {
+    const step = distanceInMeters(anchor, point);
+
+    if (step > STATIONARY_RADIUS) {
+      distance += step;
+      anchor = point;
+    }
+  });
+
+  const stops = periods.filter(period => period.type === 'stop');
+  const idlePeriods = periods.filter(period => period.type === 'idle');
+  const total = (list) => list.reduce((sum, period) => sum + period.duration, 0);
+
+  return {
+    points,
+    distance,
+    stops,
+    idlePeriods,
+    stoppedTime: total(stops),
+    idleTime: total(idlePeriods)
+  };
+};
+
+/**
+ * Project route points onto a drawing area, keeping the route's proportions
+ * @param {Array} points - Route points with lat and lng
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @param {number} padding - Space kept free around the route
+ * @returns {Function} Converts a point with lat and lng to { x, y }
+ */
+export const createRouteProjection = (points, width, height, padding = 20) => {
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+
+  // Degrees of longitude shrink towards the poles
+  const lngScale = Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+  const spanX = Math.max((maxLng - minLng) * lngScale, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+
+  return (point) => ({
+    x: offsetX + (point.lng - minLng) * lngScale * scale,
+    y: height - offsetY - (point.lat - minLat) * scale
+  });
+};
+
+export default {
+  BREADCRUMB_INTERVAL,
+  BREADCRUMB_BATCH_SIZE,
+  MAX_BREADCRUMB_ACCURACY,
+  STATIONARY_RADIUS,
+  MIN_IDLE_DURATION,
+  MIN_STOP_DURATION,
+  toRoutePoints,
+  findStationaryPeriods,
+  analyzeRoute,
+  createRouteProjection
+};
@@ -0,0 +1,142 @@
+// src/utils/checklistUtils.js
+
+/**
+ * Answers a driver can give a checklist item
+ */
+export const CHECKLIST_RESULTS = ['pass', 'fail', 'na'];
+
+export const CHECKLIST_RESULT_LABELS = {
+  pass: 'Pass',
+  fail: 'Fail',
+  na: 'N/A'
+};
+
+/**
+ * Items a new checklist starts with; admins can change them freely
+ */
+export const DEFAULT_CHECKLIST_ITEMS = [
+  { label: 'Tyres (pressure, tread, damage)', critical: true },
+  { label: 'Lights and indicators', critical: true },
+  { label: 'Brakes', critical: true },
+  { label: 'Mirrors', critical: false },
+  { label: 'Fluid levels (oil, coolant, washer)', critical: false },
+  { label: 'First-aid kit', critical: false }
+];
+
+/**
+ * Create a checklist item
+ * @param {string} label - What the driver checks
+ * @param {boolean} critical - Whether failing it takes the vehicle out of service
+ * @returns {Object} Item with a stable id, so answers can be matched to it
+ */
+export const createChecklistItem = (label = '', critical = false) => ({
+  id: crypto.randomUUID(),
+  label,
+  critical
+});
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+/**
+ * How closely a checklist targets a vehicle
+ * @param {Object} checklist - Checklist with vehicle_id, make and model
+ * @param {Object} vehicle - Vehicle with id, make and model
+ * @returns {number} 3 for the vehicle itself, 2 for its make and model, 1 for its make,
+ *   0 for a depot-wide checklist, -1 when it doesn't apply
+ */
+export const getChecklistSpecificity = (checklist, vehicle) => {
+  if (checklist.vehicle_id) {
+    return checklist.vehicle_id === vehicle.id ? 3 : -1;
+  }
+
+  if (!checklist.make) return 0;
+  if (normalize(checklist.make) !== normalize(vehicle.make)) return -1;
+  if (!checklist.model) return 1;
+
+  return normalize(checklist.model) === normalize(vehicle.model) ? 2 : -1;
+};
+
+/**
+ * Pick the checklist a vehicle's driver has to complete
+ * @param {Array} checklists - Active checklists of the depot
+ * @param {Object} vehicle - Vehicle with id, make and model
+ * @returns {Object|null} The most specific checklist (the newest one on a tie), or null when none applies
+ */
+export const getApplicableChecklist = (checklists = [], vehicle) => {
+  if (!vehicle) return null;
+
+  let best = null;
+  let bestSpecificity = -1;
+
+  checklists.forEach(checklist => {
+    const specificity = getChecklistSpecificity(checklist, vehicle);
+
+    if (specificity < 0) return;
+
+    if (specificity > bestSpecificity || (specificity === bestSpecificity && checklist.created_at > best.created_at)) {
+      best = checklist;
+      bestSpecificity = specificity;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Failed items that take the vehicle out of service
+ * @param {Array} answers - Answered items with critical and result
+ * @returns {Array} The failed critical items
+ */
+export const getCriticalFailures = (answers = []) => {
+  return answers.filter(answer => answer.critical && answer.result === 'fail');
+};
+
+/**
+ * Check that every item is answered and every failure has a photo
+ * @param {Array} answers - Answered items with label, result and photo
+ * @returns {string|null} Error message, or null when complete
+ */
+export const validateChecklistAnswers = (answers = []) => {
+  const unanswered = answers.find(answer => !CHECKLIST_RESULTS.includes(answer.result));
+
+  if (unanswered) {
+    return `Answer "${unanswered.label}"`;
+  }
+
+  const missingPhoto = answers.find(answer => answer.result === 'fail' && !answer.photo && !answer.photo_url);
+
+  if (missingPhoto) {
+    return `Take a photo of the problem with "${missingPhoto.label}"`;
+  }
+
+  return null;
+};
+
+/**
+ * Describe who a checklist is for
+ * @param {Object} checklist - Checklist with make, model and an optional vehicles relation
+ * @returns {string} e.g. "Vehicle V-12", "Ford Transit" or "All vehicles"
+ */
+export const describeChecklistTarget = (checklist) => {
+  if (checklist.vehicle_id) {
+    return checklist.vehicles ? `Vehicle ${checklist.vehicles.vehicle_number}` : 'One vehicle';
+  }
+
+  if (checklist.make) {
+    return checklist.model ? `${checklist.make} ${checklist.model}` : `All ${checklist.make} vehicles`;
+  }
+
+  return 'All vehicles';
+};
+
+export default {
+  CHECKLIST_RESULTS,
+  CHECKLIST_RESULT_LABELS,
+  DEFAULT_CHECKLIST_ITEMS,
+  createChecklistItem,
+  getChecklistSpecificity,
+  getApplicableChecklist,
+  getCriticalFailures,
+  validateChecklistAnswers,
+  describeChecklistTarget
+};
@@ -0,0 +1,111 @@
+// src/utils/damageUtils.js
+
+/**
+ * Smallest region, as a fraction of the photo's width and height, that counts as a mark
+ */
+export const MIN_REGION_SIZE = 0.02;
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Get the window in which damage first seen in `after` appeared
+ * @param {Object} before - Earlier inspection (may be null for a vehicle's first inspection)
+ * @param {Object} after - Later inspection
+ * @returns {Object} Object with start, end, timeLogId and driverId; the shift and driver
+ *   are only set when both inspections belong to the same shift
+ */
+export const getDamageWindow = (before, after) => {
+  const duringShift = Boolean(before?.time_log_id) && before.time_log_id === after.time_log_id;
+
+  return {
+    start: before?.timestamp || after.timestamp,
+    end: after.timestamp,
+    timeLogId: duringShift ? after.time_log_id : null,
+    driverId: duringShift ? after.driver_id : null,
+    duringShift
+  };
+};
+
+/**
+ * Pair each inspection of a vehicle with the one before it
+ * @param {Array} inspections - The vehicle's inspections in any order
+ * @returns {Array} Pairs of { before, after, window }, newest first; the oldest
+ *   inspection is left out as there is nothing to compare it with
+ */
+export const getInspectionPairs = (inspections = []) => {
+  const ordered = [...inspections].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return ordered
+    .slice(1)
+    .map((after, index) => ({
+      before: ordered[index],
+      after,
+      window: getDamageWindow(ordered[index], after)
+    }))
+    .reverse();
+};
+
+/**
+ * Line up two inspections' photos by angle
+ * @param {Array} beforeImages - Earlier photos with label
+ * @param {Array} afterImages - Later photos with label
+ * @returns {Array} Rows of { label, before, after } in the later inspection's order,
+ *   with angles only the earlier one has at the end; a missing photo is null
+ */
+export const pairPhotosByAngle = (beforeImages = [], afterImages = []) => {
+  const labels = [...new Set([...afterImages, ...beforeImages].map(image => image.label))];
+
+  return labels.map(label => ({
+    label,
+    before: beforeImages.find(image => image.label === label) || null,
+    after: afterImages.find(image => image.label === label) || null
+  }));
+};
+
+/**
+ * Turn two corners of a drag into a region
+ * @param {Object} start - Corner where the drag began ({ x, y } fractions of the photo)
+ * @param {Object} end - Corner where it ended
+ * @returns {Object} Region { x, y, width, height } kept inside the photo
+ */
+export const toRegion = (start, end) => {
+  const left = clamp(Math.min(start.x, end.x));
+  const top = clamp(Math.min(start.y, end.y));
+
+  return {
+    x: left,
+    y: top,
+    width: clamp(Math.max(start.x, end.x)) - left,
+    height: clamp(Math.max(start.y, end.y)) - top
+  };
+};
+
+/**
+ * Check whether a region is big enough to be a deliberate mark rather than a click
+ * @param {Object} region - Region { x, y, width, height }
+ * @returns {boolean} Whether the region can be saved
+ */
+export const isValidRegion = (region) => {
+  return Boolean(region) && region.width >= MIN_REGION_SIZE && region.height >= MIN_REGION_SIZE;
+};
+
+/**
+ * Describe who had the vehicle while damage appeared
+ * @param {Object} report - Damage report with time_log_id and an optional drivers relation
+ * @returns {string} e.g. "During Jane Doe's shift" or "Between shifts"
+ */
+export const describeDamageWindow = (report) => {
+  if (!report.time_log_id) return 'Between shifts';
+
+  return report.drivers?.name ? `During ${report.drivers.name}'s shift` : 'During a shift';
+};
+
+export default {
+  MIN_REGION_SIZE,
+  getDamageWindow,
+  getInspectionPairs,
+  pairPhotosByAngle,
+  toRegion,
+  isValidRegion,
+  describeDamageWindow
+};
@@ -0,0 +1,51 @@
+// src/utils/depotScope.js
+//
+// Depot scoping. Services and pages wrap their queries in withDepot() so they
+// only read and change rows of the current depot: the signed-in user's, the one
+// a super admin switched to, or on the API server the calling key's.
+// The database enforces the same rule with row level security (see the
+// depot_row_security migration); this filter keeps super admins, who may see
+// every depot, on the one they switched to.
+
+let actingDepotId = null;
+let resolveDepotId = () => actingDepotId;
+
+/**
+ * Set the depot the signed-in user works in
+ * @param {string|null} depotId - Depot ID, or null to clear it on sign out
+ */
+export const setActingDepot = (depotId) => {
+  actingDepotId = depotId;
+};
+
+/**
+ * Replace how the current depot is found, e.g. per request on the API server
+ * @param {Function} resolver - Returns the current depot ID, or null for no scoping
+ */
+export const setDepotResolver = (resolver) => {
+  resolveDepotId = resolver;
+};
+
+/**
+ * Get the current depot
+ * @returns {string|null} Depot ID, or null when queries are not scoped (server jobs)
+ */
+export const getCurrentDepotId = () => resolveDepotId();
+
+/**
+ * Limit a query to the current depot
+ * @param {Object} query - Supabase query builder (select, update or delete)
+ * @param {string} column - Column holding the depot ID, for embedded or aliased tables
+ * @returns {Object} The query, filtered when there is a current depot
+ */
+export const withDepot = (query, column = 'depot_id') => {
+  const depotId = getCurrentDepotId();
+  return depotId ? query.eq(column, depotId) : query;
+};
+
+export default {
+  setActingDepot,
+  setDepotResolver,
+  getCurrentDepotId,
+  withDepot
+};
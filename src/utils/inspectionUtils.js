@@ -0,0 +1,97 @@
+// src/utils/inspectionUtils.js
+
+/**
+ * Steps of a guided inspection, one photo per angle
+ * `view` picks the silhouette drawn over the camera preview; optional steps can be skipped
+ */
+export const INSPECTION_STEPS = [
+  { label: 'Front', view: 'front', hint: 'Stand a few steps in front of the vehicle and fit it inside the outline.' },
+  { label: 'Driver Side', view: 'side', hint: 'Walk to the driver side and fit the whole vehicle inside the outline.' },
+  { label: 'Rear', view: 'rear', hint: 'Stand a few steps behind the vehicle and fit it inside the outline.' },
+  { label: 'Passenger Side', view: 'side', mirrored: true, hint: 'Walk to the passenger side and fit the whole vehicle inside the outline.' },
+  { label: 'Interior', view: 'interior', hint: 'Photograph the dashboard and seats from the driver door.' },
+  { label: 'Other', view: null, optional: true, hint: 'Photograph any existing damage up close, or skip this step.' }
+];
+
+/**
+ * Default labels for inspection photos, in capture order
+ */
+export const INSPECTION_ANGLES = INSPECTION_STEPS.map(step => step.label);
+
+/**
+ * Storage bucket holding inspection photos
+ */
+export const INSPECTION_BUCKET = 'vehicle_images';
+
+/**
+ * Get the storage folder for a time log's inspection photos
+ * Photos are filed as `time-logs/<time log id>/<pre|post>/image-<n>-<epoch ms>.jpg`
+ * @param {string} timeLogId - Time log ID
+ * @param {string} inspectionType - Inspection type ('pre' or 'post')
+ * @returns {string} Folder path inside the inspection bucket
+ */
+export const getInspectionFolder = (timeLogId, inspectionType) => {
+  return `time-logs/${timeLogId}/${inspectionType}`;
+};
+
+/**
+ * Get a staging folder for photos taken before the time log exists
+ * Pre-shift photos are moved into the time log folder at punch-in
+ * @param {string} key - Unique key for the staged inspection
+ * @returns {string} Folder path inside the inspection bucket
+ */
+export const getPendingInspectionFolder = (key) => {
+  return `pending/${key}`;
+};
+
+/**
+ * Get the angle label for a photo from its position in the capture order
+ * Only for photos taken without a guided step, and older inspections that have no stored labels
+ * @param {number} index - Zero-based capture index
+ * @returns {string} Angle label
+ */
+export const getAngleLabel = (index) => {
+  return INSPECTION_ANGLES[Math.min(index, INSPECTION_ANGLES.length - 1)];
+};
+
+/**
+ * Check whether a storage object name looks like an inspection image
+ * @param {string} name - Storage object name
+ * @returns {boolean} Whether the file is an image
+ */
+export const isImageFile = (name) => {
+  return /\.(jpe?g|png|webp)$/i.test(name || '');
+};
+
+/**
+ * Read the capture index and upload time from an inspection file name
+ * Files are uploaded as `image-<n>-<epoch ms>.jpg`
+ * @param {string} name - Storage object name
+ * @returns {Object} Object with index, label and capturedAt (ISO string or null)
+ */
+export const parseInspectionFileName = (name) => {
+  const match = /image-(\d+)-(\d+)/.exec(name || '');
+
+  if (!match) {
+    return { index: null, label: null, capturedAt: null };
+  }
+
+  const index = parseInt(match[1], 10) - 1;
+
+  return {
+    index,
+    label: getAngleLabel(index),
+    capturedAt: new Date(parseInt(match[2], 10)).toISOString()
+  };
+};
+
+export default {
+  INSPECTION_STEPS,
+  INSPECTION_ANGLES,
+  INSPECTION_BUCKET,
+  getInspectionFolder,
+  getPendingInspectionFolder,
+  getAngleLabel,
+  isImageFile,
+  parseInspectionFileName
+};
@@ -0,0 +1,204 @@
+// src/utils/locationUtils.js
+
+/**
+ * Geofence shapes stored in geofences.shape
+ */
+export const GEOFENCE_SHAPES = ['circle', 'polygon'];
+
+/**
+ * What happens to a punch outside every fence that applies: 'block' refuses it, 'flag' records it
+ */
+export const GEOFENCE_ENFORCEMENTS = ['flag', 'block'];
+
+/**
+ * Fixes older than this are not reused when a new location is requested
+ */
+export const LOCATION_MAX_AGE = 30000;
+
+const EARTH_RADIUS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Ask the browser for the device location
+ * Never rejects: a denied or unavailable location resolves with an error instead
+ * @param {Object} options - Geolocation options
+ * @param {number} options.timeout - Milliseconds to wait for a fix
+ * @returns {Promise} Promise resolving to an object with location ({ lat, lng, accuracy, capturedAt } or null) and error
+ */
+export const getCurrentLocation = ({ timeout = 10000 } = {}) => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    return Promise.resolve({ location: null, error: 'Location is not available on this device' });
+  }
+
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({
+        location: {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          accuracy: Math.round(position.coords.accuracy),
+          capturedAt: new Date(position.timestamp).toISOString()
+        },
+        error: null
+      }),
+      (error) => resolve({
+        location: null,
+        error: error.code === error.PERMISSION_DENIED
+          ? 'Location access was denied'
+          : 'Your location could not be determined'
+      }),
+      { enableHighAccuracy: true, timeout, maximumAge: LOCATION_MAX_AGE }
+    );
+  });
+};
+
+/**
+ * Distance between two points along the earth's surface
+ * @param {Object} from - Point with lat and lng
+ * @param {Object} to - Point with lat and lng
+ * @returns {number} Distance in meters
+ */
+export const distanceInMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check whether a point lies within a geofence
+ * Polygons are tested by ray casting on lat/lng, which is accurate enough at depot scale
+ * @param {Object} point - Point with lat and lng
+ * @param {Object} fence - Geofence row (circle: center_lat, center_lng, radius_m; polygon: points as [lat, lng] pairs)
+ * @returns {boolean} True if the point is inside the fence
+ */
+export const isInsideGeofence = (point, fence) => {
+  if (fence.shape === 'circle') {
+    return distanceInMeters(point, { lat: fence.center_lat, lng: fence.center_lng }) <= fence.radius_m;
+  }
+
+  const points = fence.points || [];
+  let inside = false;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lngI] = points[i];
+    const [latJ, lngJ] = points[j];
+
+    if ((lngI > point.lng) !== (lngJ > point.lng)
+      && point.lat < (latJ - latI) * (point.lng - lngI) / (lngJ - lngI) + latI) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Pick the fences a vehicle is checked against: its own if it has any, otherwise its depot's
+ * @param {Array} fences - Active geofences of the depot
+ * @param {string} vehicleId - Vehicle ID
+ * @returns {Array} Applicable geofences
+ */
+export const getApplicableGeofences = (fences = [], vehicleId) => {
+  const vehicleFences = fences.filter(fence => fence.vehicle_id === vehicleId);
+  return vehicleFences.length > 0 ? vehicleFences : fences.filter(fence => !fence.vehicle_id);
+};
+
+/**
+ * Check a punch location against the fences that apply to it
+ * @param {Object|null} location - Location from getCurrentLocation
+ * @param {Array} fences - Applicable geofences (see getApplicableGeofences)
+ * @returns {Object} Object with inside (null when there is nothing to check against), blocked and error
+ */
+export const checkGeofences = (location, fences = []) => {
+  if (fences.length === 0) {
+    return { inside: null, blocked: false, error: null };
+  }
+
+  const enforced = fences.some(fence => fence.enforcement === 'block');
+
+  if (!location) {
+    return {
+      inside: null,
+      blocked: enforced,
+      error: enforced ? 'Your location is needed to punch at this depot. Allow location access and try again.' : null
+    };
+  }
+
+  const fence = fences.find(candidate => isInsideGeofence(location, candidate));
+
+  if (fence) {
+    return { inside: true, blocked: false, error: null };
+  }
+
+  return {
+    inside: false,
+    blocked: enforced,
+    error: enforced ? `You are outside ${fences.map(candidate => candidate.name).join(' / ')}. Move to the depot to punch.` : null
+  };
+};
+
+/**
+ * Parse polygon points entered one "lat, lng" pair per line
+ * @param {string} text - Points text
+ * @returns {Array|null} [lat, lng] pairs, or null if any line is not a valid coordinate
+ */
+export const parsePolygonPoints = (text) => {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const points = lines.map(line => line.split(/[,\s]+/).map(Number));
+
+  const valid = points.every(([lat, lng, ...rest]) =>
+    rest.length === 0 && isValidCoordinate({ lat, lng })
+  );
+
+  return valid ? points : null;
+};
+
+/**
+ * Check a latitude/longitude pair
+ * @param {Object} point - Point with lat and lng
+ * @returns {boolean} True if both are numbers within range
+ */
+export const isValidCoordinate = (point) => {
+  return Number.isFinite(point?.lat) && Number.isFinite(point?.lng)
+    && Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+};
+
+/**
+ * Format a location for display
+ * @param {Object|null} location - Location with lat, lng and optional accuracy
+ * @returns {string} Coordinates with accuracy, or an empty string
+ */
+export const formatCoordinates = (location) => {
+  if (!location) return '';
+
+  const coordinates = `${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`;
+  return location.accuracy ? `${coordinates} (±${location.accuracy} m)` : coordinates;
+};
+
+/**
+ * Link to a location on OpenStreetMap
+ * @param {Object} location - Location with lat and lng
+ * @returns {string} Map URL
+ */
+export const getMapUrl = (location) => {
+  return `https://www.openstreetmap.org/?mlat=${location.lat}&mlon=${location.lng}#map=17/${location.lat}/${location.lng}`;
+};
+
+export default {
+  GEOFENCE_SHAPES,
+  GEOFENCE_ENFORCEMENTS,
+  LOCATION_MAX_AGE,
+  getCurrentLocation,
+  distanceInMeters,
+  isInsideGeofence,
+  getApplicableGeofences,
+  checkGeofences,
+  parsePolygonPoints,
+  isValidCoordinate,
+  formatCoordinates,
+  getMapUrl
+};
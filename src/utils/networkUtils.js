@@ -0,0 +1,26 @@
+// src/utils/networkUtils.js
+
+/**
+ * Check whether the device reports a network connection
+ * @returns {boolean} False only when the browser knows it is offline
+ */
+export const isOnline = () => {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+};
+
+/**
+ * Tell a failed request apart from one the server refused
+ * @param {Error|Object|string} error - Error thrown or returned by a request
+ * @returns {boolean} True if the request never reached the server
+ */
+export const isNetworkError = (error) => {
+  if (!isOnline()) return true;
+
+  const message = typeof error === 'string' ? error : error?.message || '';
+  return /failed to fetch|fetch failed|networkerror|network request failed|load failed/i.test(message);
+};
+
+export default {
+  isOnline,
+  isNetworkError
+};
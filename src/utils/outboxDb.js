@@ -0,0 +1,88 @@
+// src/utils/outboxDb.js
+//
+// IndexedDB storage for the driver app's outbox. Operations are keyed by an
+// auto-incrementing id, so reading them back returns them in the order they
+// were queued.
+
+const DB_NAME = 'vms-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'operations';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run a request in its own transaction and resolve with its result once the transaction commits
+const runTransaction = async (mode, action) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Store a new operation
+ * @param {Object} operation - Operation without an id
+ * @returns {Promise} Promise resolving to the new operation's id
+ */
+export const addOperation = (operation) => {
+  return runTransaction('readwrite', store => store.add(operation));
+};
+
+/**
+ * Read all operations
+ * @returns {Promise} Promise resolving to the operations in queue order
+ */
+export const getOperations = () => {
+  return runTransaction('readonly', store => store.getAll());
+};
+
+/**
+ * Replace a stored operation
+ * @param {Object} operation - Operation with its id
+ * @returns {Promise} Promise resolving once saved
+ */
+export const putOperation = (operation) => {
+  return runTransaction('readwrite', store => store.put(operation));
+};
+
+/**
+ * Remove operations
+ * @param {Array} ids - Operation ids
+ * @returns {Promise} Promise resolving once removed
+ */
+export const deleteOperations = (ids) => {
+  return runTransaction('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+};
+
+export default {
+  addOperation,
+  getOperations,
+  putOperation,
+  deleteOperations
+};
@@ -0,0 +1,377 @@
+// src/utils/pdfUtils.js
+import { ANNOTATION_RGB, scaleShape, toAnnotationList } from './annotationUtils';
+
+/**
+ * Read a Blob into a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>} Data URL
+ */
+const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Load an image so it can be embedded in a jsPDF document
+ * @param {string} source - Data URL or remote image URL
+ * @returns {Promise<Object>} Object with dataUrl, width, height and format
+ */
+export const loadImageForPdf = async (source) => {
+  if (!source) throw new Error('Image source is required');
+
+  // Remote images have to be fetched first so jsPDF gets the raw bytes
+  let dataUrl = source;
+  if (!source.startsWith('data:')) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch image (${response.status})`);
+    }
+    dataUrl = await blobToDataUrl(await response.blob());
+  }
+
+  // Read natural dimensions so we can keep the aspect ratio
+  const { width, height } = await new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    img.onerror = () => reject(new Error('Failed to decode image'));
+    img.src = dataUrl;
+  });
+
+  return {
+    dataUrl,
+    width,
+    height,
+    format: dataUrl.startsWith('data:image/png') ? 'PNG' : 'JPEG'
+  };
+};
+
+/**
+ * Scale image dimensions to fit a box while keeping the aspect ratio
+ * @param {number} width - Natural image width
+ * @param {number} height - Natural image height
+ * @param {number} maxWidth - Width of the box
+ * @param {number} maxHeight - Height of the box
+ * @returns {Object} Object with fitted width and height
+ */
+export const fitImage = (width, height, maxWidth, maxHeight) => {
+  if (!width || !height) {
+    return { width: maxWidth, height: maxHeight };
+  }
+
+  const scale = Math.min(maxWidth / width, maxHeight / height);
+
+  return {
+    width: width * scale,
+    height: height * scale
+  };
+};
+
+/**
+ * Draw an image centred inside a box, scaled to fit
+ * @param {jsPDF} doc - PDF document
+ * @param {Object} image - Image returned by loadImageForPdf
+ * @param {number} x - Box left position
+ * @param {number} y - Box top position
+ * @param {number} boxWidth - Box width
+ * @param {number} boxHeight - Box height
+ * @returns {Object} Position and size the image was drawn at
+ */
+export const drawImageInBox = (doc, image, x, y, boxWidth, boxHeight) => {
+  const { width, height } = fitImage(image.width, image.height, boxWidth, boxHeight);
+  const offsetX = x + (boxWidth - width) / 2;
+  const offsetY = y + (boxHeight - height) / 2;
+
+  doc.addImage(image.dataUrl, image.format, offsetX, offsetY, width, height);
+
+  return { x: offsetX, y: offsetY, width, height };
+};
+
+/**
+ * Load the image for every photo, leaving image null for any that fail
+ * @param {Array} photos - Photos with a source (data URL or remote URL)
+ * @returns {Promise<Array>} Photos with an image property added
+ */
+export const loadPdfImages = (photos) => {
+  return Promise.all(photos.map(async (photo) => {
+    try {
+      return { ...photo, image: await loadImageForPdf(photo.source || photo.url) };
+    } catch (err) {
+      console.error(`Error loading image "${photo.label || photo.url}" for PDF:`, err);
+      return { ...photo, image: null };
+    }
+  }));
+};
+
+/**
+ * Draw a driver's annotations over a photo already placed on the page
+ * @param {jsPDF} doc - PDF document
+ * @param {Array} annotations - Stored shapes (see annotationUtils)
+ * @param {Object} box - Where the photo was drawn, as returned by drawImageInBox
+ */
+export const drawAnnotations = (doc, annotations, box) => {
+  const shapes = toAnnotationList(annotations);
+
+  if (shapes.length === 0) return;
+
+  doc.setDrawColor(...ANNOTATION_RGB);
+  doc.setTextColor(...ANNOTATION_RGB);
+  doc.setLineWidth(Math.max(box.width * 0.006, 0.3));
+  doc.setFont(undefined, 'bold');
+  // Font sizes are in points while the box is in millimetres
+  doc.setFontSize(box.width * 0.035 * 2.83);
+
+  shapes.forEach((annotation) => {
+    const shape = scaleShape(annotation, box);
+
+    switch (shape.type) {
+      case 'circle':
+        doc.ellipse(shape.x, shape.y, shape.rx, shape.ry, 'S');
+        break;
+      case 'arrow':
+        doc.line(shape.x1, shape.y1, shape.x2, shape.y2);
+        shape.head.forEach(([x, y]) => doc.line(shape.x2, shape.y2, x, y));
+        break;
+      case 'freehand':
+        shape.points.slice(1).forEach(([x, y], index) => {
+          const [previousX, previousY] = shape.points[index];
+          doc.line(previousX, previousY, x, y);
+        });
+        break;
+      case 'text':
+        doc.text(shape.text, shape.x, shape.y, { baseline: 'top' });
+        break;
+      default:
+        break;
+    }
+  });
+
+  doc.setFont(undefined, 'normal');
+  doc.setLineWidth(0.2);
+  doc.setDrawColor(0);
+  doc.setTextColor(0, 0, 0);
+};
+
+/**
+ * Draw an image in a box, or a grey placeholder when the image is missing
+ * @param {jsPDF} doc - PDF document
+ * @param {Object|null} image - Image returned by loadImageForPdf
+ * @param {number} x - Box left position
+ * @param {number} y - Box top position
+ * @param {number} boxWidth - Box width
+ * @param {number} boxHeight - Box height
+ * @param {string} placeholder - Text shown when there is no image
+ * @param {Array} annotations - Shapes drawn over the image
+ */
+const drawImageOrPlaceholder = (doc, image, x, y, boxWidth, boxHeight, placeholder = 'Image unavailable', annotations = []) => {
+  if (image) {
+    drawAnnotations(doc, annotations, drawImageInBox(doc, image, x, y, boxWidth, boxHeight));
+    return;
+  }
+
+  doc.setDrawColor(200);
+  doc.setFillColor(240);
+  doc.rect(x, y, boxWidth, boxHeight, 'FD');
+  doc.setFontSize(10);
+  doc.text(placeholder, x + boxWidth / 2, y + boxHeight / 2, { align: 'center' });
+};
+
+/**
+ * Start a new page with a bold section title
+ * @param {jsPDF} doc - PDF document
+ * @param {string} title - Section title
+ */
+const addSectionPage = (doc, title) => {
+  doc.addPage();
+  doc.setFontSize(14);
+  doc.setFont(undefined, 'bold');
+  doc.text(title, 15, 18);
+  doc.setFont(undefined, 'normal');
+};
+
+/**
+ * Draw photos two per page with the label above and capture time below each
+ * @param {jsPDF} doc - PDF document
+ * @param {Array} photos - Photos from loadPdfImages ({ image, label, capturedAt, annotations })
+ * @param {string} title - Title shown at the top of each page
+ */
+export const drawPhotoPages = (doc, photos, title = 'Inspection Photos') => {
+  const margin = 15;
+  const contentWidth = doc.internal.pageSize.getWidth() - margin * 2;
+  const slotHeight = 120;
+
+  photos.forEach((photo, index) => {
+    const slot = index % 2;
+
+    if (slot === 0) {
+      addSectionPage(doc, title);
+    }
+
+    const top = 26 + slot * (slotHeight + 8);
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text(`${index + 1}. ${photo.label}`, margin, top + 4);
+    doc.setFont(undefined, 'normal');
+
+    const boxTop = top + 8;
+    const boxHeight = slotHeight - 16;
+
+    drawImageOrPlaceholder(doc, photo.image, margin, boxTop, contentWidth, boxHeight, undefined, photo.annotations);
+
+    if (photo.capturedAt) {
+      doc.setFontSize(9);
+      doc.setTextColor(107, 114, 128);
+      doc.text(`Captured: ${new Date(photo.capturedAt).toLocaleString()}`, margin, boxTop + boxHeight + 6);
+      doc.setTextColor(0, 0, 0);
+    }
+  });
+};
+
+/**
+ * Draw pre- and post-shift photos of the same angle side by side, three angles per page
+ * @param {jsPDF} doc - PDF document
+ * @param {Array} prePhotos - Pre-shift photos from loadPdfImages
+ * @param {Array} postPhotos - Post-shift photos from loadPdfImages
+ * @param {string} title - Title shown at the top of each page
+ */
+export const drawComparisonPages = (doc, prePhotos, postPhotos, title = 'Pre/Post Shift Comparison') => {
+  const margin = 15;
+  const gap = 6;
+  const columnWidth = (doc.internal.pageSize.getWidth() - margin * 2 - gap) / 2;
+  const rowHeight = 84;
+  const boxHeight = 62;
+
+  // Pair photos by angle, keeping the pre-shift order and adding post-only angles at the end
+  const labels = [...new Set([...prePhotos, ...postPhotos].map(photo => photo.label))];
+
+  labels.forEach((label, index) => {
+    const row = index % 3;
+
+    if (row === 0) {
+      addSectionPage(doc, title);
+      doc.setFontSize(10);
+      doc.setTextColor(107, 114, 128);
+      doc.text('Pre-shift', margin, 26);
+      doc.text('Post-shift', margin + columnWidth + gap, 26);
+      doc.setTextColor(0, 0, 0);
+    }
+
+    const top = 32 + row * rowHeight;
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text(label, margin, top + 4);
+    doc.setFont(undefined, 'normal');
+
+    [prePhotos, postPhotos].forEach((photos, column) => {
+      const photo = photos.find(candidate => candidate.label === label);
+      const x = margin + column * (columnWidth + gap);
+
+      drawImageOrPlaceholder(doc, photo?.image, x, top + 8, columnWidth, boxHeight, photo ? 'Image unavailable' : 'No photo', photo?.annotations);
+
+      if (photo?.capturedAt) {
+        doc.setFontSize(8);
+        doc.setTextColor(107, 114, 128);
+        doc.text(new Date(photo.capturedAt).toLocaleString(), x, top + 8 + boxHeight + 5);
+        doc.setTextColor(0, 0, 0);
+      }
+    });
+  });
+};
+
+/**
+ * Draw the coloured report header used on the first page of generated PDFs
+ * @param {jsPDF} doc - PDF document
+ * @param {string} title - Report title
+ * @param {string} subtitle - Line shown under the title
+ * @returns {number} Y position below the header
+ */
+export const drawPdfHeader = (doc, title, subtitle = '') => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+
+  doc.setFillColor(31, 41, 55);
+  doc.rect(0, 0, pageWidth, 28, 'F');
+
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(18);
+  doc.text(title, pageWidth / 2, 13, { align: 'center' });
+
+  if (subtitle) {
+    doc.setFontSize(10);
+    doc.text(subtitle, pageWidth / 2, 21, { align: 'center' });
+  }
+
+  doc.setTextColor(0, 0, 0);
+
+  return 38;
+};
+
+/**
+ * Draw a two-column list of label/value rows
+ * @param {jsPDF} doc - PDF document
+ * @param {string} heading - Section heading
+ * @param {Array} rows - Array of [label, value] pairs
+ * @param {number} y - Starting Y position
+ * @returns {number} Y position below the section
+ */
+export const drawDetailSection = (doc, heading, rows, y) => {
+  const margin = 15;
+
+  doc.setFontSize(13);
+  doc.setFont(undefined, 'bold');
+  doc.text(heading, margin, y);
+  doc.setFont(undefined, 'normal');
+
+  doc.setDrawColor(220);
+  doc.line(margin, y + 2, doc.internal.pageSize.getWidth() - margin, y + 2);
+
+  let rowY = y + 9;
+  doc.setFontSize(10);
+
+  rows.forEach(([label, value]) => {
+    doc.setTextColor(107, 114, 128);
+    doc.text(`${label}:`, margin, rowY);
+    doc.setTextColor(0, 0, 0);
+    doc.text(String(value ?? '-'), margin + 45, rowY);
+    rowY += 6;
+  });
+
+  return rowY + 4;
+};
+
+/**
+ * Add a footer with the generation time and page numbers to every page
+ * @param {jsPDF} doc - PDF document
+ * @param {string} text - Footer text shown on the left
+ */
+export const addPdfFooters = (doc, text) => {
+  const pageCount = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(text, 15, pageHeight - 8);
+    doc.text(`Page ${i} of ${pageCount}`, pageWidth - 15, pageHeight - 8, { align: 'right' });
+    doc.setTextColor(0, 0, 0);
+  }
+};
+
+export default {
+  loadImageForPdf,
+  loadPdfImages,
+  fitImage,
+  drawImageInBox,
+  drawAnnotations,
+  drawPhotoPages,
+  drawComparisonPages,
+  drawPdfHeader,
+  drawDetailSection,
+  addPdfFooters
+};
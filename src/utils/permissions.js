@@ -0,0 +1,142 @@
+// src/utils/permissions.js
+//
+// Role-based permissions. Routes, the admin navigation and the services all
+// check against ROLE_PERMISSIONS. The database's row level security checks the
+// same map (auth_has_permission in the depot_row_security migration), so a
+// change to a role's access is made in both places.
+
+/**
+ * Roles stored in users.role
+ */
+export const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  ADMIN: 'admin',
+  FLEET_MANAGER: 'fleet_manager',
+  MECHANIC: 'mechanic',
+  DRIVER: 'driver'
+};
+
+/**
+ * Role the API server acts as; requests there are authorised by API key scopes instead
+ */
+export const SERVICE_ROLE = 'service';
+
+export const ROLE_LABELS = {
+  [ROLES.SUPER_ADMIN]: 'Super Administrator',
+  [ROLES.ADMIN]: 'Administrator',
+  [ROLES.FLEET_MANAGER]: 'Fleet Manager',
+  [ROLES.MECHANIC]: 'Mechanic',
+  [ROLES.DRIVER]: 'Driver'
+};
+
+export const PERMISSIONS = {
+  ADMIN_PANEL: 'admin_panel:access',
+  DRIVER_APP: 'driver_app:access',
+  DASHBOARD_VIEW: 'dashboard:view',
+  DRIVERS_MANAGE: 'drivers:manage',
+  VEHICLES_MANAGE: 'vehicles:manage',
+  LOGS_VIEW: 'logs:view',
+  MAINTENANCE_VIEW: 'maintenance:view',
+  MAINTENANCE_UPDATE: 'maintenance:update',
+  API_KEYS_MANAGE: 'api_keys:manage',
+  GEOFENCES_MANAGE: 'geofences:manage',
+  CHECKLISTS_MANAGE: 'checklists:manage',
+  DAMAGE_MANAGE: 'damage:manage',
+  SCHEDULE_MANAGE: 'schedule:manage',
+  AGREEMENTS_VIEW: 'agreements:view',
+  AGREEMENTS_MANAGE: 'agreements:manage',
+  DEPOTS_SWITCH: 'depots:switch'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const STAFF_PERMISSIONS = ALL_PERMISSIONS.filter(permission => permission !== PERMISSIONS.DRIVER_APP);
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: STAFF_PERMISSIONS,
+  [ROLES.ADMIN]: STAFF_PERMISSIONS.filter(permission => permission !== PERMISSIONS.DEPOTS_SWITCH),
+  [ROLES.FLEET_MANAGER]: [
+    PERMISSIONS.ADMIN_PANEL,
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.DRIVERS_MANAGE,
+    PERMISSIONS.VEHICLES_MANAGE,
+    PERMISSIONS.LOGS_VIEW,
+    PERMISSIONS.AGREEMENTS_VIEW,
+    PERMISSIONS.MAINTENANCE_VIEW,
+    PERMISSIONS.MAINTENANCE_UPDATE,
+    PERMISSIONS.CHECKLISTS_MANAGE,
+    PERMISSIONS.DAMAGE_MANAGE,
+    PERMISSIONS.SCHEDULE_MANAGE
+  ],
+  [ROLES.MECHANIC]: [
+    PERMISSIONS.ADMIN_PANEL,
+    PERMISSIONS.MAINTENANCE_VIEW,
+    PERMISSIONS.MAINTENANCE_UPDATE
+  ],
+  [ROLES.DRIVER]: [PERMISSIONS.DRIVER_APP],
+  [SERVICE_ROLE]: ALL_PERMISSIONS
+};
+
+// Landing pages in order of preference; a role starts on the first one it may open
+const HOME_PATHS = [
+  { path: '/admin/dashboard', permission: PERMISSIONS.DASHBOARD_VIEW },
+  { path: '/admin/maintenance', permission: PERMISSIONS.MAINTENANCE_VIEW },
+  { path: '/driver/vehicles', permission: PERMISSIONS.DRIVER_APP }
+];
+
+let actingRole = null;
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Role from users.role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean} True if the role has the permission
+ */
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Page a role lands on after signing in
+ * @param {string} role - Role from users.role
+ * @returns {string} Path of the role's home page, or /login for unknown roles
+ */
+export const getHomePath = (role) => {
+  const home = HOME_PATHS.find(({ permission }) => hasPermission(role, permission));
+  return home ? home.path : '/login';
+};
+
+/**
+ * Set the role service calls are checked against (the signed-in user's, or SERVICE_ROLE on the server)
+ * @param {string|null} role - Role to act as
+ */
+export const setActingRole = (role) => {
+  actingRole = role;
+};
+
+/**
+ * Guard for service functions
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Object|null} A failed service result if the acting role lacks the permission, otherwise null
+ */
+export const requirePermission = (permission) => {
+  if (hasPermission(actingRole, permission)) return null;
+
+  return {
+    success: false,
+    error: `Your role does not allow this action (${permission})`,
+    forbidden: true
+  };
+};
+
+export default {
+  ROLES,
+  SERVICE_ROLE,
+  ROLE_LABELS,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  getHomePath,
+  setActingRole,
+  requirePermission
+};
@@ -0,0 +1,162 @@
+// src/utils/readingUtils.js
+
+/**
+ * Unit odometer readings are entered in
+ */
+export const DISTANCE_UNIT = 'km';
+
+/**
+ * Distance a vehicle may gain between shifts (e.g. being moved in the yard) before it is flagged
+ */
+export const UNLOGGED_DISTANCE_TOLERANCE = 25;
+
+/**
+ * Highest plausible average speed over a shift, used to flag impossible trip distances
+ */
+export const MAX_AVERAGE_SPEED = 120;
+
+/**
+ * Convert a reading from the database or a form field to a number
+ * @param {number|string|null} value - Reading
+ * @returns {number|null} The reading, or null when there is none
+ */
+export const toReading = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Check an odometer reading against the vehicle's last known reading
+ * @param {number|string} reading - Odometer reading entered by the driver
+ * @param {Object} options - Check options
+ * @param {number|string|null} options.lastReading - Last known reading of the vehicle
+ * @param {Date|string|null} options.since - When the vehicle left with lastReading (punch-in time);
+ *   leave empty when the vehicle should have been parked since
+ * @param {Date} options.now - Time of the reading
+ * @returns {Object} Object with error (reading unusable) and warnings (reading kept but flagged)
+ */
+export const checkOdometerReading = (reading, { lastReading = null, since = null, now = new Date() } = {}) => {
+  const value = toReading(reading);
+  const last = toReading(lastReading);
+
+  if (value === null || value < 0) {
+    return { error: 'Enter the odometer reading shown on the dashboard', warnings: [] };
+  }
+
+  if (last === null) {
+    return { error: null, warnings: [] };
+  }
+
+  const warnings = [];
+  const distance = value - last;
+  const hours = since ? Math.max(0, (new Date(now) - new Date(since)) / 3600000) : 0;
+  const maxDistance = Math.round(hours * MAX_AVERAGE_SPEED) + UNLOGGED_DISTANCE_TOLERANCE;
+
+  if (distance < 0) {
+    warnings.push(`Odometer went backwards: ${formatDistance(value)} is below the last reading of ${formatDistance(last)}`);
+  } else if (distance > maxDistance) {
+    warnings.push(since
+      ? `Suspicious jump: ${formatDistance(distance)} in ${hours.toFixed(1)} h since punch-in`
+      : `Suspicious jump: ${formatDistance(distance)} since the vehicle's last recorded reading`);
+  }
+
+  return { error: null, warnings };
+};
+
+/**
+ * Check a fuel or charge level
+ * @param {number|string} level - Level in percent
+ * @returns {boolean} True if the level is between 0 and 100
+ */
+export const isValidFuelLevel = (level) => {
+  const value = toReading(level);
+  return value !== null && value >= 0 && value <= 100;
+};
+
+/**
+ * Distance covered during a time log
+ * @param {Object} log - Time log with start_odometer and end_odometer
+ * @returns {number|null} Distance, or null while either reading is missing or the odometer went backwards
+ */
+export const getTripDistance = (log) => {
+  const start = toReading(log?.start_odometer);
+  const end = toReading(log?.end_odometer);
+
+  if (start === null || end === null || end < start) return null;
+  return end - start;
+};
+
+/**
+ * Total the mileage of a set of time logs
+ * @param {Array} logs - Time logs
+ * @returns {Object} Object with totalDistance, measuredTrips and averageTripDistance
+ */
+export const summarizeMileage = (logs = []) => {
+  const distances = logs.map(getTripDistance).filter(distance => distance !== null);
+  const totalDistance = distances.reduce((sum, distance) => sum + distance, 0);
+
+  return {
+    totalDistance,
+    measuredTrips: distances.length,
+    averageTripDistance: distances.length > 0 ? totalDistance / distances.length : 0
+  };
+};
+
+/**
+ * Total the mileage of time logs per driver, vehicle or any other key
+ * @param {Array} logs - Time logs
+ * @param {Function} getKey - Returns the group key of a log
+ * @returns {Object} Mileage summaries (see summarizeMileage) by key
+ */
+export const groupMileage = (logs = [], getKey) => {
+  const groups = {};
+
+  logs.forEach(log => {
+    const key = getKey(log);
+    groups[key] = groups[key] || [];
+    groups[key].push(log);
+  });
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, groupLogs]) => [key, summarizeMileage(groupLogs)])
+  );
+};
+
+/**
+ * Format a distance for display
+ * @param {number|null} distance - Distance
+ * @returns {string} Formatted distance with its unit, or an empty string
+ */
+export const formatDistance = (distance) => {
+  if (distance === null || distance === undefined) return '';
+
+  return `${Number(distance).toLocaleString(undefined, { maximumFractionDigits: 1 })} ${DISTANCE_UNIT}`;
+};
+
+/**
+ * Storage path for a dashboard photo. One path per shift and stage, so a
+ * retried upload replaces the photo instead of leaving a copy behind.
+ * @param {string} vehicleId - Vehicle ID
+ * @param {string} timeLogId - ID of the shift the reading belongs to
+ * @param {string} stage - 'start' or 'end' of the shift
+ * @returns {string} Path within the inspection bucket
+ */
+export const getDashboardPhotoPath = (vehicleId, timeLogId, stage) => {
+  return `readings/${vehicleId}/${timeLogId}-${stage}.jpg`;
+};
+
+export default {
+  DISTANCE_UNIT,
+  UNLOGGED_DISTANCE_TOLERANCE,
+  MAX_AVERAGE_SPEED,
+  toReading,
+  checkOdometerReading,
+  isValidFuelLevel,
+  getTripDistance,
+  summarizeMileage,
+  groupMileage,
+  formatDistance,
+  getDashboardPhotoPath
+};
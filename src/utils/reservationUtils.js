@@ -0,0 +1,173 @@
+// src/utils/reservationUtils.js
+
+/**
+ * Kinds of vehicle bookings: shifts scheduled by admins and drivers' own reservations
+ */
+export const RESERVATION_KINDS = {
+  SHIFT: 'shift',
+  RESERVATION: 'reservation'
+};
+
+export const RESERVATION_KIND_LABELS = {
+  [RESERVATION_KINDS.SHIFT]: 'Scheduled shift',
+  [RESERVATION_KINDS.RESERVATION]: 'Driver reservation'
+};
+
+/**
+ * Minutes before a booking starts that its vehicle is kept for the driver, unless
+ * the depot sets its own
+ */
+export const DEFAULT_HOLD_MINUTES = 60;
+
+// Bookings can't be longer than this
+const MAX_RESERVATION_HOURS = 24;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Check a booking's time window
+ * @param {string|Date} startsAt - Start of the window
+ * @param {string|Date} endsAt - End of the window
+ * @param {Object} options - now, and allowPast to let admins record bookings that already started
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateReservationWindow = (startsAt, endsAt, { now = new Date(), allowPast = false } = {}) => {
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return 'Choose a start and end time';
+  }
+
+  if (end <= start) {
+    return 'The end time must be after the start time';
+  }
+
+  if (end - start > MAX_RESERVATION_HOURS * 60 * MINUTE_MS) {
+    return `A booking can be at most ${MAX_RESERVATION_HOURS} hours long`;
+  }
+
+  if (!allowPast && end <= now) {
+    return 'The booking has to end in the future';
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a booking keeps its vehicle for its driver at a given time
+ * @param {Object} reservation - Booking with starts_at, ends_at and time_log_id
+ * @param {number} holdMinutes - Minutes before the start the vehicle is kept
+ * @param {Date} now - Time to check
+ * @returns {boolean} True from the hold before the start until the end, unless
+ *   the driver has already taken the vehicle out for it
+ */
+export const isReservationHeld = (reservation, holdMinutes, now = new Date()) => {
+  if (reservation.time_log_id) return false;
+
+  const holdStart = new Date(reservation.starts_at).getTime() - holdMinutes * MINUTE_MS;
+
+  return holdStart <= now.getTime() && now < new Date(reservation.ends_at);
+};
+
+/**
+ * Arrange the vehicles a driver can pick: their own held booking first, and
+ * vehicles held for other drivers left out
+ * @param {Array} vehicles - Available vehicles
+ * @param {Array} reservations - Bookings that haven't ended
+ * @param {string} driverId - Driver ID
+ * @param {number} holdMinutes - Minutes before a booking starts that its vehicle is kept
+ * @param {Date} now - Time to check
+ * @returns {Array} Vehicles, each with reservation set to the driver's held booking of it, if any
+ */
+export const arrangeVehiclesForDriver = (vehicles, reservations, driverId, holdMinutes, now = new Date()) => {
+  const held = reservations.filter(reservation => isReservationHeld(reservation, holdMinutes, now));
+
+  return vehicles
+    .filter(vehicle => !held.some(reservation => reservation.vehicle_id === vehicle.id && reservation.driver_id !== driverId))
+    .map(vehicle => ({
+      ...vehicle,
+      reservation: held.find(reservation => reservation.vehicle_id === vehicle.id && reservation.driver_id === driverId) || null
+    }))
+    .sort((a, b) => Number(Boolean(b.reservation)) - Number(Boolean(a.reservation)));
+};
+
+/**
+ * Get the seven days of the week a date falls in, starting on Monday
+ * @param {Date} date - Any day of the week
+ * @returns {Array} Dates at local midnight
+ */
+export const getWeekDays = (date) => {
+  const monday = new Date(date);
+  monday.setHours(0, 0, 0, 0);
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+  return Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(monday);
+    day.setDate(monday.getDate() + index);
+    return day;
+  });
+};
+
+/**
+ * Get the bookings that overlap a day
+ * @param {Array} reservations - Bookings with starts_at and ends_at
+ * @param {Date} day - Day at local midnight
+ * @returns {Array} Bookings, earliest first
+ */
+export const getReservationsForDay = (reservations, day) => {
+  const dayEnd = new Date(day);
+  dayEnd.setDate(day.getDate() + 1);
+
+  return reservations
+    .filter(reservation => new Date(reservation.starts_at) < dayEnd && new Date(reservation.ends_at) > day)
+    .sort((a, b) => new Date(a.starts_at) - new Date(b.starts_at));
+};
+
+/**
+ * Describe a booking's time window
+ * @param {Object} reservation - Booking with starts_at and ends_at
+ * @returns {string} Start and end, with the end date only when it differs
+ */
+export const formatReservationWindow = (reservation) => {
+  const start = new Date(reservation.starts_at);
+  const end = new Date(reservation.ends_at);
+  const time = { hour: '2-digit', minute: '2-digit' };
+  const endText = start.toDateString() === end.toDateString()
+    ? end.toLocaleTimeString([], time)
+    : `${end.toLocaleDateString()} ${end.toLocaleTimeString([], time)}`;
+
+  return `${start.toLocaleDateString()} ${start.toLocaleTimeString([], time)} - ${endText}`;
+};
+
+/**
+ * Turn a date and start and end time inputs into a booking window
+ * @param {Object} inputs - date (YYYY-MM-DD), startTime and endTime (HH:MM)
+ * @returns {Object|null} startsAt and endsAt as ISO timestamps in local time; an end
+ *   time before the start runs into the next day. Null when an input is missing
+ */
+export const toReservationWindow = ({ date, startTime, endTime }) => {
+  if (!date || !startTime || !endTime) return null;
+
+  const start = new Date(`${date}T${startTime}:00`);
+  const end = new Date(`${date}T${endTime}:00`);
+
+  if (end <= start) {
+    end.setDate(end.getDate() + 1);
+  }
+
+  return { startsAt: start.toISOString(), endsAt: end.toISOString() };
+};
+
+export default {
+  RESERVATION_KINDS,
+  RESERVATION_KIND_LABELS,
+  DEFAULT_HOLD_MINUTES,
+  validateReservationWindow,
+  isReservationHeld,
+  arrangeVehiclesForDriver,
+  getWeekDays,
+  getReservationsForDay,
+  formatReservationWindow,
+  toReservationWindow
+};
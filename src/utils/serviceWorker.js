@@ -0,0 +1,199 @@
+// src/utils/serviceWorker.js
+//
+// Registration of, and messages to and from, the service worker in public/sw.js,
+// plus the browser's install prompt for the driver app.
+
+const OUTBOX_SYNC_TAG = 'outbox-sync';
+
+// Same scope as the web app manifest: the admin panel must never be served from, or
+// have its data kept in, the driver app's caches
+const SCOPE = '/driver/';
+
+const isSupported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+// Minimal observable value: listeners get the current value straight away and on every change
+const createSignal = () => {
+  let value = null;
+  const listeners = new Set();
+
+  return {
+    get: () => value,
+    set: (next) => {
+      value = next;
+      listeners.forEach(listener => listener(value));
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      listener(value);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+const waitingWorker = createSignal();
+const installEvent = createSignal();
+let isUpdating = false;
+
+// A worker that finished installing while another one controls the page is a new build
+const trackUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    waitingWorker.set(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        waitingWorker.set(worker);
+      }
+    });
+  });
+
+  // Drivers keep the app open for a whole shift; look for a new build whenever it comes back to the front
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      registration.update().catch(() => {});
+    }
+  });
+};
+
+/**
+ * Register the service worker (production builds only; the dev server serves modules it can't cache)
+ */
+export const registerServiceWorker = () => {
+  if (typeof window === 'undefined') return;
+
+  // Chrome offers installation once; keep the event so the driver panel can offer it at a better moment
+  window.addEventListener('beforeinstallprompt', (event) => {
+    event.preventDefault();
+    installEvent.set(event);
+  });
+
+  window.addEventListener('appinstalled', () => installEvent.set(null));
+
+  if (!isSupported() || !import.meta.env.PROD) return;
+
+  // The first worker also takes control (clients.claim); only a driver-approved update reloads the page
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (isUpdating) window.location.reload();
+  });
+
+  window.addEventListener('load', () => {
+    // Earlier builds registered the worker for the whole site
+    navigator.serviceWorker.getRegistrations()
+      .then(registrations => registrations
+        .filter(registration => new URL(registration.scope).pathname === '/')
+        .forEach(registration => registration.unregister()))
+      .catch(() => {});
+
+    navigator.serviceWorker.register(`/sw.js?build=${import.meta.env.VITE_BUILD_ID}`, { scope: SCOPE })
+      .then(trackUpdates)
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+/**
+ * Listen for a new build being ready to take over
+ * @param {Function} handler - Called with true while an update is waiting
+ * @returns {Function} Removes the listener
+ */
+export const onUpdateAvailable = (handler) => waitingWorker.subscribe(worker => handler(Boolean(worker)));
+
+/**
+ * Switch to the waiting build; the page reloads once it has taken over
+ */
+export const applyUpdate = () => {
+  const worker = waitingWorker.get();
+
+  if (!worker) return;
+
+  isUpdating = true;
+  worker.postMessage({ type: 'skip-waiting' });
+};
+
+/**
+ * Listen for the browser allowing the app to be installed
+ * @param {Function} handler - Called with true while installation can be offered
+ * @returns {Function} Removes the listener
+ */
+export const onInstallAvailable = (handler) => installEvent.subscribe(event => handler(Boolean(event)));
+
+/**
+ * Show the browser's install dialog
+ * @returns {Promise<boolean>} Whether the app was installed
+ */
+export const promptInstall = async () => {
+  const event = installEvent.get();
+
+  if (!event) return false;
+
+  installEvent.set(null);
+  event.prompt();
+
+  const { outcome } = await event.userChoice;
+  return outcome === 'accepted';
+};
+
+/**
+ * Whether the app runs installed, without the browser's own controls
+ * @returns {boolean}
+ */
+export const isStandalone = () => {
+  if (typeof window === 'undefined') return false;
+
+  return window.matchMedia?.('(display-mode: standalone)').matches || window.navigator.standalone === true;
+};
+
+/**
+ * Ask to be woken up to sync the outbox when the connection returns, where Background Sync is supported
+ */
+export const requestBackgroundSync = async () => {
+  if (!isSupported()) return;
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration(SCOPE);
+    await registration?.sync?.register(OUTBOX_SYNC_TAG);
+  } catch (error) {
+    console.warn('Background sync not available:', error);
+  }
+};
+
+/**
+ * Listen for the service worker asking for an outbox sync
+ * @param {Function} handler - Called on each request
+ * @returns {Function} Removes the listener
+ */
+export const onSyncRequested = (handler) => {
+  if (!isSupported()) return () => {};
+
+  const listener = (event) => {
+    if (event.data?.type === 'outbox-sync') handler();
+  };
+
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+};
+
+/**
+ * Drop the data cached for offline use, e.g. on sign out
+ */
+export const clearCachedData = () => {
+  if (!isSupported()) return;
+
+  navigator.serviceWorker.controller?.postMessage({ type: 'clear-data' });
+};
+
+export default {
+  registerServiceWorker,
+  onUpdateAvailable,
+  applyUpdate,
+  onInstallAvailable,
+  promptInstall,
+  isStandalone,
+  requestBackgroundSync,
+  onSyncRequested,
+  clearCachedData
+};
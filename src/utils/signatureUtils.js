@@ -0,0 +1,224 @@
+// src/utils/signatureUtils.js
+//
+// Signatures are captured as vector strokes and stored with a record that binds
+// them to the agreement text, the signer, the signing time and the device. The
+// record hashes are recomputed on verification, so a signature copied onto a
+// different agreement text, or a record edited afterwards, no longer checks out.
+
+import { toHex } from './apiKeyUtils';
+
+/**
+ * Version of the signature record layout
+ */
+export const SIGNATURE_RECORD_VERSION = 1;
+
+// Line width in CSS pixels at no pressure and at full pressure
+const MIN_STROKE_WIDTH = 1;
+const MAX_STROKE_WIDTH = 3.5;
+
+// Pointers without pressure support report 0.5 while pressed; some report 0
+const DEFAULT_PRESSURE = 0.5;
+
+/**
+ * Hash text with SHA-256
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export const hashText = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text || ''));
+  return toHex(new Uint8Array(digest));
+};
+
+/**
+ * Serialise a value as JSON with object keys sorted, so it hashes the same after
+ * a round trip through jsonb, which doesn't keep key order
+ * @param {*} value - Value to serialise
+ * @returns {string} Canonical JSON
+ */
+const toCanonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(toCanonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${toCanonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Get the pressure of a pointer event, falling back for pointers that don't report it
+ * @param {PointerEvent} e - Pointer event
+ * @returns {number} Pressure from 0 to 1
+ */
+export const getPointerPressure = (e) => {
+  return e.pressure > 0 ? Math.round(e.pressure * 1000) / 1000 : DEFAULT_PRESSURE;
+};
+
+/**
+ * Get the line width to draw a stroke segment at
+ * @param {number} pressure - Pressure from 0 to 1
+ * @returns {number} Line width in CSS pixels
+ */
+export const getStrokeWidth = (pressure) => {
+  return MIN_STROKE_WIDTH + (MAX_STROKE_WIDTH - MIN_STROKE_WIDTH) * pressure;
+};
+
+/**
+ * Draw strokes onto a canvas context already scaled to CSS pixels
+ * @param {CanvasRenderingContext2D} context - Canvas context
+ * @param {Array} strokes - Strokes ({ points: [[x, y, pressure, t]] })
+ * @param {string} color - Ink colour
+ */
+export const drawStrokes = (context, strokes, color = '#000000') => {
+  context.strokeStyle = color;
+  context.fillStyle = color;
+  context.lineCap = 'round';
+  context.lineJoin = 'round';
+
+  strokes.forEach(({ points }) => {
+    // A tap leaves a single point, drawn as a dot
+    if (points.length === 1) {
+      const [x, y, pressure] = points[0];
+      context.beginPath();
+      context.arc(x, y, getStrokeWidth(pressure) / 2, 0, Math.PI * 2);
+      context.fill();
+      return;
+    }
+
+    points.slice(1).forEach(([x, y, pressure], index) => {
+      const [previousX, previousY, previousPressure] = points[index];
+      context.beginPath();
+      context.lineWidth = getStrokeWidth((pressure + previousPressure) / 2);
+      context.moveTo(previousX, previousY);
+      context.lineTo(x, y);
+      context.stroke();
+    });
+  });
+};
+
+/**
+ * Describe the device a signature is made on
+ * @returns {Object} userAgent, platform, language, screen size and pixel ratio
+ */
+export const getSigningDevice = () => ({
+  userAgent: navigator.userAgent,
+  platform: navigator.userAgentData?.platform || navigator.platform || null,
+  language: navigator.language || null,
+  screen: `${window.screen.width}x${window.screen.height}`,
+  pixelRatio: window.devicePixelRatio || 1
+});
+
+// The fields the binding hash covers, in a fixed order
+const getBindingInput = ({ version, contentHash, signerId, signedAt, device, strokesHash }) => {
+  return toCanonicalJson([version, contentHash, signerId, signedAt, device, strokesHash]);
+};
+
+/**
+ * Create the record stored with a signature
+ * @param {Object} signature - strokes, pad ({ width, height } in CSS pixels), content
+ *   (the exact agreement text), signerId, signedAt and device (defaults to this device)
+ * @returns {Promise<Object>} Signature record
+ */
+export const createSignatureRecord = async ({
+  strokes,
+  pad,
+  content,
+  signerId,
+  signedAt,
+  device = getSigningDevice()
+}) => {
+  const record = {
+    version: SIGNATURE_RECORD_VERSION,
+    contentHash: await hashText(content),
+    signerId,
+    signedAt,
+    device,
+    pad,
+    strokes,
+    strokesHash: await hashText(toCanonicalJson(strokes))
+  };
+
+  return {
+    ...record,
+    binding: await hashText(getBindingInput(record))
+  };
+};
+
+/**
+ * Check a signature record against the agreement it was stored with
+ * @param {Object} record - Signature record from createSignatureRecord
+ * @param {Object} agreement - Agreement with content, driver_id and signed_at
+ * @returns {Promise<Object>} valid, plus contentMatches, signerMatches, timeMatches and recordIntact
+ */
+export const verifySignatureRecord = async (record, agreement) => {
+  if (!record?.binding || !Array.isArray(record.strokes)) {
+    return { valid: false, contentMatches: false, signerMatches: false, timeMatches: false, recordIntact: false };
+  }
+
+  const contentMatches = record.contentHash === await hashText(agreement.content);
+  const signerMatches = record.signerId === agreement.driver_id;
+  const timeMatches = new Date(record.signedAt).getTime() === new Date(agreement.signed_at).getTime();
+  const recordIntact = record.strokesHash === await hashText(toCanonicalJson(record.strokes))
+    && record.binding === await hashText(getBindingInput(record));
+
+  return {
+    valid: contentMatches && signerMatches && timeMatches && recordIntact,
+    contentMatches,
+    signerMatches,
+    timeMatches,
+    recordIntact
+  };
+};
+
+/**
+ * Describe the outcome of verifySignatureRecord for reports
+ * @param {Object|null} check - Result of verifySignatureRecord, or null when the agreement has no record
+ * @returns {string} Description
+ */
+export const describeSignatureCheck = (check) => {
+  // Agreements signed before stroke records only have the image to go on
+  if (!check) return 'Signature image only (no stroke record)';
+
+  return check.valid
+    ? 'Stroke record verified against this agreement text, signer and time'
+    : 'Stroke record does NOT match this agreement';
+};
+
+/**
+ * Fingerprint a signed agreement for its certificate: the text, the signature image
+ * and the stroke record binding, tied to the agreement, driver, vehicle and time
+ * @param {Object} agreement - Agreement with id, driver_id, vehicle_id, content, signature,
+ *   signed_at and signature_record
+ * @returns {Promise<Object>} contentHash, signatureHash and hash (the certificate hash)
+ */
+export const hashSignedAgreement = async (agreement) => {
+  const contentHash = await hashText(agreement.content);
+  const signatureHash = await hashText(agreement.signature);
+
+  const hash = await hashText(toCanonicalJson([
+    agreement.id,
+    agreement.driver_id,
+    agreement.vehicle_id,
+    new Date(agreement.signed_at).toISOString(),
+    contentHash,
+    signatureHash,
+    agreement.signature_record?.binding || null
+  ]));
+
+  return { contentHash, signatureHash, hash };
+};
+
+export default {
+  SIGNATURE_RECORD_VERSION,
+  hashText,
+  getPointerPressure,
+  getStrokeWidth,
+  drawStrokes,
+  getSigningDevice,
+  createSignatureRecord,
+  verifySignatureRecord,
+  describeSignatureCheck,
+  hashSignedAgreement
+};
@@ -0,0 +1,107 @@
+// src/utils/webhookUtils.js
+
+import { safeEqual, toHex } from './apiKeyUtils';
+
+/**
+ * Events webhook endpoints can subscribe to
+ */
+export const WEBHOOK_EVENTS = [
+  { value: 'time_log.punched_in', label: 'Punch in' },
+  { value: 'time_log.punched_out', label: 'Punch out' },
+  { value: 'vehicle.status_changed', label: 'Vehicle status changed' },
+  { value: 'maintenance.created', label: 'Maintenance request created' },
+  { value: 'maintenance.status_changed', label: 'Maintenance status changed' },
+  { value: 'agreement.signed', label: 'Agreement signed' }
+];
+
+/**
+ * Event sent by the "Send test" button; endpoints don't subscribe to it
+ */
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+/**
+ * Header carrying the delivery signature: `t=<unix seconds>,v1=<hex HMAC-SHA256>`
+ */
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+/**
+ * Get the label for an event name
+ * @param {string} event - Event name, e.g. 'time_log.punched_in'
+ * @returns {string} Human readable label
+ */
+export const getWebhookEventLabel = (event) => {
+  if (event === WEBHOOK_TEST_EVENT) return 'Test event';
+  return WEBHOOK_EVENTS.find(item => item.value === event)?.label || event;
+};
+
+/**
+ * Generate a signing secret for a webhook endpoint
+ * @returns {string} Secret like `whsec_<64 hex>`
+ */
+export const generateWebhookSecret = () => {
+  return `whsec_${toHex(crypto.getRandomValues(new Uint8Array(32)))}`;
+};
+
+/**
+ * Compute the HMAC-SHA256 signature of a delivery
+ * The signed message is `<timestamp>.<raw body>`, so a captured body can't be replayed with a new timestamp
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {Promise<string>} Hex signature
+ */
+export const signWebhookPayload = async (secret, timestamp, body) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+
+  return toHex(new Uint8Array(signature));
+};
+
+/**
+ * Build the signature header value for a delivery
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {Promise<string>} Header value, e.g. `t=1760000000,v1=5f2c...`
+ */
+export const buildWebhookSignatureHeader = async (secret, timestamp, body) => {
+  return `t=${timestamp},v1=${await signWebhookPayload(secret, timestamp, body)}`;
+};
+
+/**
+ * Verify a delivery's signature header, as a receiver would
+ * @param {string} secret - Endpoint secret
+ * @param {string} header - Value of the X-Webhook-Signature header
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Maximum age of the timestamp
+ * @returns {Promise<boolean>} Whether the signature is valid and recent
+ */
+export const verifyWebhookSignature = async (secret, header, body, toleranceSeconds = 300) => {
+  const parts = Object.fromEntries(
+    (header || '').split(',').map(part => part.trim().split('='))
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  return safeEqual(await signWebhookPayload(secret, timestamp, body), parts.v1);
+};
+
+export default {
+  WEBHOOK_EVENTS,
+  WEBHOOK_TEST_EVENT,
+  WEBHOOK_SIGNATURE_HEADER,
+  getWebhookEventLabel,
+  generateWebhookSecret,
+  signWebhookPayload,
+  buildWebhookSignatureHeader,
+  verifyWebhookSignature
+};
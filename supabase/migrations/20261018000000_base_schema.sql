@@ -0,0 +1,109 @@
+-- Base schema
+--
+-- The tables the app was built against, captured so a local Supabase stack
+-- (`supabase start`) can stand in for the hosted project. Everything is
+-- guarded with IF NOT EXISTS so it is a no-op against the existing database.
+
+create extension if not exists pgcrypto;
+
+create table if not exists users (
+  id uuid primary key references auth.users (id) on delete cascade,
+  email text not null unique,
+  name text,
+  phone text,
+  role text not null default 'driver' check (role in ('admin', 'driver')),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists vehicles (
+  id uuid primary key default gen_random_uuid(),
+  vehicle_number text not null unique,
+  make text,
+  model text,
+  status text not null default 'available' check (status in ('available', 'in-use', 'maintenance')),
+  assigned_driver_id uuid references users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists time_logs (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null,
+  vehicle_id uuid not null references vehicles (id) on delete cascade,
+  punch_in timestamptz not null default now(),
+  punch_out timestamptz,
+  created_at timestamptz not null default now(),
+  constraint time_logs_driver_id_fkey foreign key (driver_id) references users (id) on delete cascade
+);
+
+create index if not exists time_logs_punch_in_idx on time_logs (punch_in desc);
+
+create table if not exists agreements (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null references users (id) on delete cascade,
+  vehicle_id uuid not null references vehicles (id) on delete cascade,
+  content text not null,
+  signature text,
+  signed_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists vehicle_inspections (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null references users (id) on delete cascade,
+  vehicle_id uuid not null references vehicles (id) on delete cascade,
+  time_log_id uuid references time_logs (id) on delete set null,
+  inspection_type text not null check (inspection_type in ('pre', 'post')),
+  image_count integer not null default 0,
+  images_folder text,
+  pdf_url text,
+  timestamp timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists vehicle_inspections_time_log_idx
+  on vehicle_inspections (time_log_id, inspection_type);
+
+create table if not exists inspection_pdfs (
+  id uuid primary key default gen_random_uuid(),
+  time_log_id uuid references time_logs (id) on delete set null,
+  vehicle_id uuid references vehicles (id) on delete cascade,
+  driver_id uuid references users (id) on delete cascade,
+  image_count integer not null default 0,
+  pdf_status text not null default 'processing' check (pdf_status in ('processing', 'completed', 'failed')),
+  pdf_url text,
+  vehicle_info text,
+  driver_info text,
+  inspection_type text,
+  inspection_time timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists inspection_images (
+  id uuid primary key default gen_random_uuid(),
+  inspection_pdf_id uuid not null references inspection_pdfs (id) on delete cascade,
+  image_index integer not null,
+  image_url text not null,
+  label text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists maintenance_requests (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid references users (id) on delete set null,
+  vehicle_id uuid not null references vehicles (id) on delete cascade,
+  description text not null,
+  severity text not null default 'medium',
+  status text not null default 'sorted' check (status in ('sorted', 'in-progress', 'resolved')),
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz
+);
+
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  api_key text not null unique,
+  description text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz
+);
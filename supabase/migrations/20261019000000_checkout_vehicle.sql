@@ -0,0 +1,77 @@
+-- Atomic vehicle checkout
+--
+-- Claims a vehicle only while it is still available, opens the driver's time
+-- log and links the signed agreement and pre-shift inspection to it, all in
+-- one transaction. Conflicts are raised with SQLSTATE PT409 so PostgREST
+-- answers 409 and the client can tell them apart from other failures.
+
+alter table agreements
+  add column if not exists time_log_id uuid references time_logs (id) on delete set null;
+
+-- A vehicle and a driver can each have at most one open shift
+create unique index if not exists time_logs_one_open_per_vehicle
+  on time_logs (vehicle_id) where punch_out is null;
+
+create unique index if not exists time_logs_one_open_per_driver
+  on time_logs (driver_id) where punch_out is null;
+
+create or replace function checkout_vehicle(
+  p_vehicle_id uuid,
+  p_driver_id uuid,
+  p_agreement_id uuid default null,
+  p_inspection_id uuid default null
+)
+returns time_logs
+language plpgsql
+as $$
+declare
+  v_log time_logs;
+begin
+  if auth.uid() is not null and auth.uid() <> p_driver_id then
+    raise exception 'Drivers can only check out vehicles for themselves'
+      using errcode = 'PT403';
+  end if;
+
+  if exists (
+    select 1 from time_logs
+     where driver_id = p_driver_id and punch_out is null
+  ) then
+    raise exception 'You already have an active shift'
+      using errcode = 'PT409';
+  end if;
+
+  -- The row lock taken here serialises concurrent checkouts of the same
+  -- vehicle; the loser re-checks the status after the winner commits
+  update vehicles
+     set status = 'in-use',
+         assigned_driver_id = p_driver_id
+   where id = p_vehicle_id
+     and status = 'available';
+
+  if not found then
+    raise exception 'This vehicle has just been taken by another driver'
+      using errcode = 'PT409';
+  end if;
+
+  insert into time_logs (driver_id, vehicle_id, punch_in)
+  values (p_driver_id, p_vehicle_id, now())
+  returning * into v_log;
+
+  if p_agreement_id is not null then
+    update agreements
+       set time_log_id = v_log.id
+     where id = p_agreement_id
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  if p_inspection_id is not null then
+    update vehicle_inspections
+       set time_log_id = v_log.id
+     where id = p_inspection_id
+       and driver_id = p_driver_id;
+  end if;
+
+  return v_log;
+end;
+$$;
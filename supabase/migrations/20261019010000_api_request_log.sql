@@ -0,0 +1,94 @@
+-- API usage metering
+--
+-- The API server writes one row per request. Requests that fail
+-- authentication are logged without a key so abusive callers still show up.
+
+create table if not exists api_request_log (
+  id bigint generated always as identity primary key,
+  api_key_id uuid references api_keys (id) on delete cascade,
+  method text not null,
+  route text,
+  path text not null,
+  status integer not null,
+  latency_ms integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists api_request_log_key_time_idx
+  on api_request_log (api_key_id, created_at desc);
+
+-- Call counts per key over the last day, week and month
+create or replace function api_key_usage_stats(p_key_ids uuid[])
+returns table (
+  api_key_id uuid,
+  total_calls bigint,
+  last_day bigint,
+  last_week bigint,
+  last_month bigint,
+  average_latency_ms numeric
+)
+language sql
+stable
+as $$
+  select l.api_key_id,
+         count(*),
+         count(*) filter (where l.created_at >= now() - interval '1 day'),
+         count(*) filter (where l.created_at >= now() - interval '7 days'),
+         count(*) filter (where l.created_at >= now() - interval '30 days'),
+         round(avg(l.latency_ms) filter (where l.created_at >= now() - interval '30 days'))
+    from api_request_log l
+   where l.api_key_id = any (p_key_ids)
+   group by l.api_key_id;
+$$;
+
+-- Calls per UTC day for one key
+create or replace function api_key_daily_usage(p_key_id uuid, p_days integer default 30)
+returns table (
+  day date,
+  calls bigint,
+  errors bigint,
+  average_latency_ms numeric
+)
+language sql
+stable
+as $$
+  select (l.created_at at time zone 'UTC')::date,
+         count(*),
+         count(*) filter (where l.status >= 400),
+         round(avg(l.latency_ms))
+    from api_request_log l
+   where l.api_key_id = p_key_id
+     and l.created_at >= date_trunc('day', now() at time zone 'UTC') at time zone 'UTC'
+                         - (p_days - 1) * interval '1 day'
+   group by 1
+   order by 1;
+$$;
+
+-- Most called routes for one key
+create or replace function api_key_top_endpoints(
+  p_key_id uuid,
+  p_days integer default 30,
+  p_limit integer default 5
+)
+returns table (
+  method text,
+  route text,
+  calls bigint,
+  errors bigint,
+  average_latency_ms numeric
+)
+language sql
+stable
+as $$
+  select l.method,
+         coalesce(l.route, l.path),
+         count(*),
+         count(*) filter (where l.status >= 400),
+         round(avg(l.latency_ms))
+    from api_request_log l
+   where l.api_key_id = p_key_id
+     and l.created_at >= now() - p_days * interval '1 day'
+   group by 1, 2
+   order by 3 desc
+   limit p_limit;
+$$;
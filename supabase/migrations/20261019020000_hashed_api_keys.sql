@@ -0,0 +1,34 @@
+-- Hashed, scoped, expiring API keys
+--
+-- Keys are stored as a public prefix plus a SHA-256 hash of the full key.
+-- Existing keys keep working: their prefix is their first 8 characters, they
+-- get every scope, and the plaintext column is cleared.
+
+create extension if not exists pgcrypto;
+
+alter table api_keys
+  add column if not exists key_prefix text,
+  add column if not exists key_hash text,
+  add column if not exists scopes text[] not null default '{}',
+  add column if not exists expires_at timestamptz;
+
+update api_keys
+   set key_prefix = left(api_key, 8),
+       key_hash = encode(digest(api_key, 'sha256'), 'hex'),
+       scopes = array[
+         'vehicles:read', 'vehicles:write',
+         'drivers:read', 'drivers:write',
+         'logs:read', 'logs:write',
+         'maintenance:read', 'maintenance:write'
+       ]
+ where api_key is not null
+   and key_hash is null;
+
+alter table api_keys
+  alter column api_key drop not null,
+  alter column key_prefix set not null,
+  alter column key_hash set not null;
+
+update api_keys set api_key = null where key_hash is not null;
+
+create unique index if not exists api_keys_key_prefix_idx on api_keys (key_prefix);
@@ -0,0 +1,135 @@
+-- API key rotation
+--
+-- Rotating a key issues a successor with the same owner, description, scopes
+-- and expiry, and keeps the old key valid until grace_ends_at. Keys past their
+-- grace period are revoked by revoke_rotated_api_keys(), which the API server
+-- calls every minute (and pg_cron too, where it is installed). Every step is
+-- written to api_key_history.
+
+alter table api_keys
+  add column if not exists rotated_from_id uuid references api_keys (id) on delete set null,
+  add column if not exists replaced_by_id uuid references api_keys (id) on delete set null,
+  add column if not exists grace_ends_at timestamptz,
+  add column if not exists revoked_at timestamptz;
+
+create table if not exists api_key_history (
+  id bigint generated always as identity primary key,
+  api_key_id uuid not null references api_keys (id) on delete cascade,
+  event text not null check (event in ('created', 'rotated', 'revoked')),
+  details jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists api_key_history_key_idx
+  on api_key_history (api_key_id, created_at);
+
+create index if not exists api_keys_grace_ends_at_idx
+  on api_keys (grace_ends_at) where revoked_at is null;
+
+-- Record every new key, including successors issued by a rotation
+create or replace function record_api_key_created()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into api_key_history (api_key_id, event, details)
+  values (
+    new.id,
+    'created',
+    jsonb_strip_nulls(jsonb_build_object(
+      'rotated_from_id', new.rotated_from_id,
+      'rotated_from_prefix', (select key_prefix from api_keys where id = new.rotated_from_id)
+    ))
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists api_keys_record_created on api_keys;
+create trigger api_keys_record_created
+  after insert on api_keys
+  for each row execute function record_api_key_created();
+
+-- Issue a successor for a key and start the old key's grace period.
+-- The caller generates the key and passes only its prefix and hash.
+create or replace function rotate_api_key(
+  p_key_id uuid,
+  p_key_prefix text,
+  p_key_hash text,
+  p_grace interval
+)
+returns api_keys
+language plpgsql
+as $$
+declare
+  v_old api_keys;
+  v_new api_keys;
+begin
+  select * into v_old from api_keys where id = p_key_id for update;
+
+  if not found then
+    raise exception 'API key not found'
+      using errcode = 'PT404';
+  end if;
+
+  if v_old.revoked_at is not null or v_old.replaced_by_id is not null then
+    raise exception 'This API key has already been rotated or revoked'
+      using errcode = 'PT409';
+  end if;
+
+  insert into api_keys (user_id, description, key_prefix, key_hash, scopes, expires_at, rotated_from_id)
+  values (v_old.user_id, v_old.description, p_key_prefix, p_key_hash, v_old.scopes, v_old.expires_at, v_old.id)
+  returning * into v_new;
+
+  update api_keys
+     set replaced_by_id = v_new.id,
+         grace_ends_at = now() + p_grace
+   where id = v_old.id;
+
+  insert into api_key_history (api_key_id, event, details)
+  values (
+    v_old.id,
+    'rotated',
+    jsonb_build_object(
+      'successor_id', v_new.id,
+      'successor_prefix', v_new.key_prefix,
+      'grace_ends_at', now() + p_grace
+    )
+  );
+
+  return v_new;
+end;
+$$;
+
+-- Revoke keys whose rotation grace period has ended
+create or replace function revoke_rotated_api_keys()
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  with revoked as (
+    update api_keys
+       set revoked_at = grace_ends_at
+     where revoked_at is null
+       and grace_ends_at <= now()
+    returning id, grace_ends_at
+  )
+  insert into api_key_history (api_key_id, event, details, created_at)
+  select id, 'revoked', jsonb_build_object('reason', 'Rotation grace period ended'), grace_ends_at
+    from revoked;
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule('revoke-rotated-api-keys', '* * * * *', 'select revoke_rotated_api_keys()');
+  end if;
+end;
+$$;
@@ -0,0 +1,185 @@
+-- Outgoing webhooks
+--
+-- Triggers on the fleet tables queue one delivery per subscribed endpoint, so
+-- every write path (the app, the REST API, checkout_vehicle) emits the same
+-- events. The API server's dispatcher claims due deliveries, POSTs them with
+-- an HMAC signature and logs each attempt's response code.
+
+create table if not exists webhook_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  url text not null check (url ~ '^https?://'),
+  description text,
+  secret text not null,
+  events text[] not null check (cardinality(events) > 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references webhook_endpoints (id) on delete cascade,
+  event text not null,
+  data jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_status_code integer,
+  last_error text,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (next_attempt_at) where status = 'pending';
+
+create index if not exists webhook_deliveries_endpoint_idx
+  on webhook_deliveries (endpoint_id, created_at desc);
+
+create table if not exists webhook_delivery_attempts (
+  id bigint generated always as identity primary key,
+  delivery_id uuid not null references webhook_deliveries (id) on delete cascade,
+  attempt integer not null,
+  status_code integer,
+  error text,
+  duration_ms integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists webhook_delivery_attempts_delivery_idx
+  on webhook_delivery_attempts (delivery_id, attempt);
+
+-- Queue an event for every active endpoint subscribed to it. The first trigger
+-- argument is the event name and the rest are the columns sent as its data,
+-- so a column added to the table later stays private until it's listed here.
+-- Updates also carry the row's previous status.
+create or replace function emit_webhook_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_event text := tg_argv[0];
+  v_data jsonb;
+begin
+  select coalesce(jsonb_object_agg(key, value), '{}')
+    into v_data
+    from jsonb_each(to_jsonb(new))
+   where key = any (tg_argv[1:tg_nargs - 1]);
+
+  if tg_op = 'UPDATE' and to_jsonb(old) ? 'status' then
+    v_data := v_data || jsonb_build_object('previous_status', to_jsonb(old) -> 'status');
+  end if;
+
+  insert into webhook_deliveries (endpoint_id, event, data)
+  select id, v_event, v_data
+    from webhook_endpoints
+   where is_active
+     and v_event = any (events);
+
+  return null;
+end;
+$$;
+
+drop trigger if exists time_logs_webhook_punched_in on time_logs;
+create trigger time_logs_webhook_punched_in
+  after insert on time_logs
+  for each row execute function emit_webhook_event(
+    'time_log.punched_in',
+    'id', 'depot_id', 'driver_id', 'vehicle_id', 'punch_in', 'punch_out',
+    'start_odometer', 'start_fuel_level', 'start_inside_geofence', 'reading_warnings'
+  );
+
+drop trigger if exists time_logs_webhook_punched_out on time_logs;
+create trigger time_logs_webhook_punched_out
+  after update of punch_out on time_logs
+  for each row
+  when (old.punch_out is null and new.punch_out is not null)
+  execute function emit_webhook_event(
+    'time_log.punched_out',
+    'id', 'depot_id', 'driver_id', 'vehicle_id', 'punch_in', 'punch_out',
+    'start_odometer', 'end_odometer', 'start_fuel_level', 'end_fuel_level',
+    'start_inside_geofence', 'end_inside_geofence', 'reading_warnings'
+  );
+
+drop trigger if exists vehicles_webhook_status_changed on vehicles;
+create trigger vehicles_webhook_status_changed
+  after update of status on vehicles
+  for each row
+  when (old.status is distinct from new.status)
+  execute function emit_webhook_event(
+    'vehicle.status_changed',
+    'id', 'depot_id', 'vehicle_number', 'make', 'model', 'status', 'assigned_driver_id'
+  );
+
+drop trigger if exists maintenance_requests_webhook_created on maintenance_requests;
+create trigger maintenance_requests_webhook_created
+  after insert on maintenance_requests
+  for each row execute function emit_webhook_event(
+    'maintenance.created',
+    'id', 'depot_id', 'driver_id', 'vehicle_id', 'description', 'severity', 'status',
+    'created_at', 'resolved_at'
+  );
+
+drop trigger if exists maintenance_requests_webhook_status_changed on maintenance_requests;
+create trigger maintenance_requests_webhook_status_changed
+  after update of status on maintenance_requests
+  for each row
+  when (old.status is distinct from new.status)
+  execute function emit_webhook_event(
+    'maintenance.status_changed',
+    'id', 'depot_id', 'driver_id', 'vehicle_id', 'description', 'severity', 'status',
+    'created_at', 'resolved_at'
+  );
+
+drop trigger if exists agreements_webhook_signed on agreements;
+create trigger agreements_webhook_signed
+  after insert on agreements
+  for each row execute function emit_webhook_event(
+    'agreement.signed',
+    'id', 'depot_id', 'driver_id', 'vehicle_id', 'time_log_id', 'template_version_id',
+    'content_hash', 'signed_at'
+  );
+
+-- Claim due deliveries for one dispatcher run. Claimed rows are pushed back by
+-- the lease so a second dispatcher, or a crashed run, can't send them twice
+-- before the lease runs out. Deliveries for paused endpoints wait until the
+-- endpoint is re-enabled.
+create or replace function claim_webhook_deliveries(
+  p_limit integer default 20,
+  p_lease interval default interval '5 minutes'
+)
+returns table (
+  id uuid,
+  event text,
+  data jsonb,
+  attempts integer,
+  created_at timestamptz,
+  url text,
+  secret text
+)
+language plpgsql
+as $$
+#variable_conflict use_column
+begin
+  return query
+  with due as (
+    select d.id
+      from webhook_deliveries d
+      join webhook_endpoints e on e.id = d.endpoint_id
+     where d.status = 'pending'
+       and d.next_attempt_at <= now()
+       and e.is_active
+     order by d.next_attempt_at
+     limit p_limit
+       for update of d skip locked
+  )
+  update webhook_deliveries d
+     set next_attempt_at = now() + p_lease
+    from due, webhook_endpoints e
+   where d.id = due.id
+     and e.id = d.endpoint_id
+  returning d.id, d.event, d.data, d.attempts, d.created_at, e.url, e.secret;
+end;
+$$;
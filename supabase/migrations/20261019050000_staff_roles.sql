@@ -0,0 +1,23 @@
+-- Staff roles
+--
+-- Besides admins and drivers, users can be fleet managers (vehicles, drivers,
+-- time logs and maintenance, but no API keys) or mechanics (the maintenance
+-- queue only). What each role may do is defined in src/utils/permissions.js.
+-- Mechanics and fleet managers keep a running log on each request in
+-- maintenance_notes.
+
+alter table users drop constraint if exists users_role_check;
+alter table users
+  add constraint users_role_check
+  check (role in ('admin', 'fleet_manager', 'mechanic', 'driver'));
+
+create table if not exists maintenance_notes (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid not null references maintenance_requests (id) on delete cascade,
+  author_id uuid references users (id) on delete set null,
+  note text not null check (length(trim(note)) > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists maintenance_notes_request_idx
+  on maintenance_notes (request_id, created_at);
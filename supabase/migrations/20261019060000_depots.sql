@@ -0,0 +1,130 @@
+-- Depots
+--
+-- Every user, vehicle, time log, agreement, maintenance request, API key and
+-- webhook endpoint belongs to a depot; existing rows are moved into a "Main
+-- depot". Staff only see and act on their own depot, while super admins can
+-- switch between depots (see src/utils/depotScope.js). Rows created by drivers
+-- inherit the depot of their vehicle, and API keys that of their owner or of
+-- the key they were rotated from.
+
+create table if not exists depots (
+  id uuid primary key default gen_random_uuid(),
+  name text not null unique,
+  created_at timestamptz not null default now()
+);
+
+insert into depots (name)
+select 'Main depot'
+ where not exists (select 1 from depots);
+
+alter table users drop constraint if exists users_role_check;
+alter table users
+  add constraint users_role_check
+  check (role in ('super_admin', 'admin', 'fleet_manager', 'mechanic', 'driver'));
+
+do $$
+declare
+  v_table text;
+  v_default_depot uuid := (select id from depots order by created_at limit 1);
+begin
+  foreach v_table in array array[
+    'users', 'vehicles', 'time_logs', 'agreements', 'maintenance_requests', 'api_keys', 'webhook_endpoints'
+  ] loop
+    execute format('alter table %I add column if not exists depot_id uuid references depots (id)', v_table);
+    execute format('update %I set depot_id = $1 where depot_id is null', v_table) using v_default_depot;
+    execute format('alter table %I alter column depot_id set not null', v_table);
+    execute format('create index if not exists %I on %I (depot_id)', v_table || '_depot_idx', v_table);
+  end loop;
+end;
+$$;
+
+-- Vehicle numbers only have to be unique within a depot
+alter table vehicles drop constraint if exists vehicles_vehicle_number_key;
+create unique index if not exists vehicles_depot_vehicle_number_key
+  on vehicles (depot_id, vehicle_number);
+
+-- Time logs, agreements and maintenance requests belong to their vehicle's depot
+create or replace function inherit_vehicle_depot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.depot_id is null then
+    select depot_id into new.depot_id from vehicles where id = new.vehicle_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists time_logs_inherit_depot on time_logs;
+create trigger time_logs_inherit_depot
+  before insert on time_logs
+  for each row execute function inherit_vehicle_depot();
+
+drop trigger if exists agreements_inherit_depot on agreements;
+create trigger agreements_inherit_depot
+  before insert on agreements
+  for each row execute function inherit_vehicle_depot();
+
+drop trigger if exists maintenance_requests_inherit_depot on maintenance_requests;
+create trigger maintenance_requests_inherit_depot
+  before insert on maintenance_requests
+  for each row execute function inherit_vehicle_depot();
+
+-- Keys issued by rotate_api_key() stay in the depot of the key they replace
+create or replace function inherit_api_key_depot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.depot_id is null then
+    new.depot_id := coalesce(
+      (select depot_id from api_keys where id = new.rotated_from_id),
+      (select depot_id from users where id = new.user_id)
+    );
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists api_keys_inherit_depot on api_keys;
+create trigger api_keys_inherit_depot
+  before insert on api_keys
+  for each row execute function inherit_api_key_depot();
+
+-- Webhook endpoints only receive events from their own depot
+create or replace function emit_webhook_event()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_event text := tg_argv[0];
+  v_data jsonb;
+begin
+  select coalesce(jsonb_object_agg(key, value), '{}')
+    into v_data
+    from jsonb_each(to_jsonb(new))
+   where key = any (tg_argv[1:tg_nargs - 1]);
+
+  if tg_op = 'UPDATE' and to_jsonb(old) ? 'status' then
+    v_data := v_data || jsonb_build_object('previous_status', to_jsonb(old) -> 'status');
+  end if;
+
+  insert into webhook_deliveries (endpoint_id, event, data)
+  select id, v_event, v_data
+    from webhook_endpoints
+   where is_active
+     and depot_id = new.depot_id
+     and v_event = any (events);
+
+  return null;
+end;
+$$;
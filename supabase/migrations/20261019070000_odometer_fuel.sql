@@ -0,0 +1,120 @@
+-- Odometer and fuel readings
+--
+-- Drivers record the odometer and the fuel or charge level (percent) when
+-- they punch in and out, optionally with a dashboard photo. Readings that go
+-- backwards or jump suspiciously are still accepted but flagged in
+-- reading_warnings (see src/utils/readingUtils.js). Each reading also becomes
+-- the vehicle's last known reading, which the next shift is checked against.
+
+alter table time_logs
+  add column if not exists start_odometer numeric(10, 1) check (start_odometer >= 0),
+  add column if not exists end_odometer numeric(10, 1) check (end_odometer >= 0),
+  add column if not exists start_fuel_level smallint check (start_fuel_level between 0 and 100),
+  add column if not exists end_fuel_level smallint check (end_fuel_level between 0 and 100),
+  add column if not exists start_dashboard_photo_url text,
+  add column if not exists end_dashboard_photo_url text,
+  add column if not exists reading_warnings text[] not null default '{}';
+
+alter table vehicles
+  add column if not exists odometer numeric(10, 1),
+  add column if not exists fuel_level smallint,
+  add column if not exists readings_updated_at timestamptz;
+
+create or replace function record_vehicle_reading()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if coalesce(new.end_odometer, new.start_odometer) is not null then
+    update vehicles
+       set odometer = coalesce(new.end_odometer, new.start_odometer),
+           fuel_level = coalesce(new.end_fuel_level, new.start_fuel_level),
+           readings_updated_at = now()
+     where id = new.vehicle_id;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists time_logs_record_vehicle_reading on time_logs;
+create trigger time_logs_record_vehicle_reading
+  after insert or update of start_odometer, end_odometer on time_logs
+  for each row execute function record_vehicle_reading();
+
+-- checkout_vehicle now takes the punch-in readings; the old signature is
+-- dropped so calls without them don't become ambiguous
+drop function if exists checkout_vehicle(uuid, uuid, uuid, uuid);
+
+create or replace function checkout_vehicle(
+  p_vehicle_id uuid,
+  p_driver_id uuid,
+  p_agreement_id uuid default null,
+  p_inspection_id uuid default null,
+  p_odometer numeric default null,
+  p_fuel_level smallint default null,
+  p_dashboard_photo_url text default null,
+  p_reading_warnings text[] default '{}'
+)
+returns time_logs
+language plpgsql
+as $$
+declare
+  v_log time_logs;
+begin
+  if auth.uid() is not null and auth.uid() <> p_driver_id then
+    raise exception 'Drivers can only check out vehicles for themselves'
+      using errcode = 'PT403';
+  end if;
+
+  if exists (
+    select 1 from time_logs
+     where driver_id = p_driver_id and punch_out is null
+  ) then
+    raise exception 'You already have an active shift'
+      using errcode = 'PT409';
+  end if;
+
+  -- The row lock taken here serialises concurrent checkouts of the same
+  -- vehicle; the loser re-checks the status after the winner commits
+  update vehicles
+     set status = 'in-use',
+         assigned_driver_id = p_driver_id
+   where id = p_vehicle_id
+     and status = 'available';
+
+  if not found then
+    raise exception 'This vehicle has just been taken by another driver'
+      using errcode = 'PT409';
+  end if;
+
+  insert into time_logs (
+    driver_id, vehicle_id, punch_in,
+    start_odometer, start_fuel_level, start_dashboard_photo_url, reading_warnings
+  )
+  values (
+    p_driver_id, p_vehicle_id, now(),
+    p_odometer, p_fuel_level, p_dashboard_photo_url, coalesce(p_reading_warnings, '{}')
+  )
+  returning * into v_log;
+
+  if p_agreement_id is not null then
+    update agreements
+       set time_log_id = v_log.id
+     where id = p_agreement_id
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  if p_inspection_id is not null then
+    update vehicle_inspections
+       set time_log_id = v_log.id
+     where id = p_inspection_id
+       and driver_id = p_driver_id;
+  end if;
+
+  return v_log;
+end;
+$$;
@@ -0,0 +1,217 @@
+-- Punch locations and geofences
+--
+-- The driver app records the device location at punch-in, punch-out and for
+-- each inspection photo. Admins draw geofences (a circle or a polygon of
+-- [lat, lng] pairs) for a whole depot or for a single vehicle; a vehicle with
+-- fences of its own is only checked against those. A punch outside every
+-- applicable fence is refused when any of them is set to 'block' and recorded
+-- as outside otherwise (see src/utils/locationUtils.js). The driver app checks
+-- this before punching; the database checks it again when the punch arrives.
+
+create table if not exists geofences (
+  id uuid primary key default gen_random_uuid(),
+  depot_id uuid not null references depots (id),
+  vehicle_id uuid references vehicles (id) on delete cascade,
+  name text not null,
+  shape text not null check (shape in ('circle', 'polygon')),
+  center_lat double precision check (center_lat between -90 and 90),
+  center_lng double precision check (center_lng between -180 and 180),
+  radius_m integer check (radius_m > 0),
+  points jsonb,
+  enforcement text not null default 'flag' check (enforcement in ('flag', 'block')),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  constraint geofences_shape_fields check (
+    (shape = 'circle' and center_lat is not null and center_lng is not null and radius_m is not null)
+    or (shape = 'polygon' and jsonb_typeof(points) = 'array' and jsonb_array_length(points) >= 3)
+  )
+);
+
+create index if not exists geofences_depot_idx on geofences (depot_id);
+create index if not exists geofences_vehicle_idx on geofences (vehicle_id);
+
+-- Locations are stored as { lat, lng, accuracy, capturedAt }; the inside
+-- flags stay null when no location was given or no fence applied
+alter table time_logs
+  add column if not exists start_location jsonb,
+  add column if not exists end_location jsonb,
+  add column if not exists start_inside_geofence boolean,
+  add column if not exists end_inside_geofence boolean;
+
+-- One location (or null) per photo, in capture order
+alter table vehicle_inspections
+  add column if not exists image_locations jsonb not null default '[]';
+
+-- Whether a point lies within a fence. Mirrors isInsideGeofence in
+-- src/utils/locationUtils.js: great-circle distance for circles, ray casting
+-- on lat/lng for polygons.
+create or replace function geofence_contains(p_fence geofences, p_lat double precision, p_lng double precision)
+returns boolean
+language plpgsql
+immutable
+as $$
+declare
+  v_count integer := coalesce(jsonb_array_length(p_fence.points), 0);
+  v_inside boolean := false;
+  v_lat_i double precision;
+  v_lng_i double precision;
+  v_lat_j double precision;
+  v_lng_j double precision;
+  j integer := v_count - 1;
+begin
+  if p_fence.shape = 'circle' then
+    return 2 * 6371000 * asin(least(1, sqrt(
+      sin(radians(p_fence.center_lat - p_lat) / 2) ^ 2
+      + cos(radians(p_lat)) * cos(radians(p_fence.center_lat)) * sin(radians(p_fence.center_lng - p_lng) / 2) ^ 2
+    ))) <= p_fence.radius_m;
+  end if;
+
+  for i in 0 .. v_count - 1 loop
+    v_lat_i := (p_fence.points -> i ->> 0)::double precision;
+    v_lng_i := (p_fence.points -> i ->> 1)::double precision;
+    v_lat_j := (p_fence.points -> j ->> 0)::double precision;
+    v_lng_j := (p_fence.points -> j ->> 1)::double precision;
+
+    if (v_lng_i > p_lng) <> (v_lng_j > p_lng)
+       and p_lat < (v_lat_j - v_lat_i) * (p_lng - v_lng_i) / (v_lng_j - v_lng_i) + v_lat_i then
+      v_inside := not v_inside;
+    end if;
+
+    j := i;
+  end loop;
+
+  return v_inside;
+end;
+$$;
+
+-- Check a punch location against the active fences of a vehicle, or of its
+-- depot when it has none of its own (checkGeofences in locationUtils.js).
+-- Refuses a punch outside every fence, or one without a location, when any of
+-- them blocks. Returns whether the punch was inside, or null when no fence
+-- applies or no location was given. The punch RPCs store this result rather
+-- than the one the client worked out.
+create or replace function check_punch_location(p_vehicle_id uuid, p_location jsonb)
+returns boolean
+language plpgsql
+stable
+as $$
+declare
+  v_lat double precision := (p_location ->> 'lat')::double precision;
+  v_lng double precision := (p_location ->> 'lng')::double precision;
+  v_enforced boolean;
+  v_inside boolean;
+  v_names text;
+begin
+  select bool_or(f.enforcement = 'block'),
+         bool_or(v_lat is not null and v_lng is not null and geofence_contains(f, v_lat, v_lng)),
+         string_agg(f.name, ' / ' order by f.created_at)
+    into v_enforced, v_inside, v_names
+    from geofences f
+    join vehicles v on v.id = p_vehicle_id and v.depot_id = f.depot_id
+   where f.is_active
+     and (
+       f.vehicle_id = v.id
+       or (
+         f.vehicle_id is null
+         and not exists (select 1 from geofences own where own.vehicle_id = v.id and own.is_active)
+       )
+     );
+
+  if v_enforced is null then
+    return null;
+  end if;
+
+  if v_lat is null or v_lng is null then
+    if v_enforced then
+      raise exception 'Your location is needed to punch at this depot. Allow location access and try again.'
+        using errcode = 'PT403';
+    end if;
+
+    return null;
+  end if;
+
+  if not v_inside and v_enforced then
+    raise exception 'You are outside %. Move to the depot to punch.', v_names
+      using errcode = 'PT403';
+  end if;
+
+  return v_inside;
+end;
+$$;
+
+drop function if exists checkout_vehicle(uuid, uuid, uuid, uuid, numeric, smallint, text, text[]);
+
+create or replace function checkout_vehicle(
+  p_vehicle_id uuid,
+  p_driver_id uuid,
+  p_agreement_id uuid default null,
+  p_inspection_id uuid default null,
+  p_odometer numeric default null,
+  p_fuel_level smallint default null,
+  p_dashboard_photo_url text default null,
+  p_reading_warnings text[] default '{}',
+  p_location jsonb default null,
+  p_inside_geofence boolean default null
+)
+returns time_logs
+language plpgsql
+as $$
+declare
+  v_log time_logs;
+begin
+  if auth.uid() is not null and auth.uid() <> p_driver_id then
+    raise exception 'Drivers can only check out vehicles for themselves'
+      using errcode = 'PT403';
+  end if;
+
+  if exists (
+    select 1 from time_logs
+     where driver_id = p_driver_id and punch_out is null
+  ) then
+    raise exception 'You already have an active shift'
+      using errcode = 'PT409';
+  end if;
+
+  -- The row lock taken here serialises concurrent checkouts of the same
+  -- vehicle; the loser re-checks the status after the winner commits
+  update vehicles
+     set status = 'in-use',
+         assigned_driver_id = p_driver_id
+   where id = p_vehicle_id
+     and status = 'available';
+
+  if not found then
+    raise exception 'This vehicle has just been taken by another driver'
+      using errcode = 'PT409';
+  end if;
+
+  insert into time_logs (
+    driver_id, vehicle_id, punch_in,
+    start_odometer, start_fuel_level, start_dashboard_photo_url, reading_warnings,
+    start_location, start_inside_geofence
+  )
+  values (
+    p_driver_id, p_vehicle_id, now(),
+    p_odometer, p_fuel_level, p_dashboard_photo_url, coalesce(p_reading_warnings, '{}'),
+    p_location, p_inside_geofence
+  )
+  returning * into v_log;
+
+  if p_agreement_id is not null then
+    update agreements
+       set time_log_id = v_log.id
+     where id = p_agreement_id
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  if p_inspection_id is not null then
+    update vehicle_inspections
+       set time_log_id = v_log.id
+     where id = p_inspection_id
+       and driver_id = p_driver_id;
+  end if;
+
+  return v_log;
+end;
+$$;
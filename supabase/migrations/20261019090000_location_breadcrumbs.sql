@@ -0,0 +1,21 @@
+-- Location breadcrumbs
+--
+-- Drivers who opt in have their position sampled about once a minute while a
+-- shift is open. Samples are buffered on the device and uploaded in batches,
+-- so a batch may be sent twice after a dropped connection; the unique key
+-- makes the repeat a no-op. The admin Logs page replays the route from them.
+
+create table if not exists location_breadcrumbs (
+  id uuid primary key default gen_random_uuid(),
+  time_log_id uuid not null references time_logs (id) on delete cascade,
+  driver_id uuid not null references users (id) on delete cascade,
+  lat double precision not null check (lat between -90 and 90),
+  lng double precision not null check (lng between -180 and 180),
+  accuracy real,
+  recorded_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  unique (time_log_id, recorded_at)
+);
+
+create index if not exists location_breadcrumbs_time_log_idx
+  on location_breadcrumbs (time_log_id, recorded_at);
@@ -0,0 +1,109 @@
+-- Offline outbox
+--
+-- The driver app queues punches, agreements, inspections and maintenance
+-- reports on the device and sends them once it is back online, possibly long
+-- after they happened. Records are given their ids on the device so queued
+-- operations can refer to each other (a punch-out to the punch-in it closes),
+-- and they keep the time they were made rather than the time they arrived. A
+-- device clock can be off, so punch times are kept between the punch-in and now.
+
+drop function if exists checkout_vehicle(uuid, uuid, uuid, uuid, numeric, smallint, text, text[], jsonb, boolean);
+
+create or replace function checkout_vehicle(
+  p_vehicle_id uuid,
+  p_driver_id uuid,
+  p_agreement_id uuid default null,
+  p_inspection_id uuid default null,
+  p_odometer numeric default null,
+  p_fuel_level smallint default null,
+  p_dashboard_photo_url text default null,
+  p_reading_warnings text[] default '{}',
+  p_location jsonb default null,
+  p_inside_geofence boolean default null,
+  p_time_log_id uuid default null,
+  p_punched_at timestamptz default null
+)
+returns time_logs
+language plpgsql
+as $$
+declare
+  v_log time_logs;
+begin
+  if auth.uid() is not null and auth.uid() <> p_driver_id then
+    raise exception 'Drivers can only check out vehicles for themselves'
+      using errcode = 'PT403';
+  end if;
+
+  if exists (
+    select 1 from time_logs
+     where driver_id = p_driver_id and punch_out is null
+  ) then
+    raise exception 'You already have an active shift'
+      using errcode = 'PT409';
+  end if;
+
+  -- The row lock taken here serialises concurrent checkouts of the same
+  -- vehicle; the loser re-checks the status after the winner commits
+  update vehicles
+     set status = 'in-use',
+         assigned_driver_id = p_driver_id
+   where id = p_vehicle_id
+     and status = 'available';
+
+  if not found then
+    raise exception 'This vehicle has just been taken by another driver'
+      using errcode = 'PT409';
+  end if;
+
+  -- A punch made offline keeps its own time, but never one in the future
+  insert into time_logs (
+    id, driver_id, vehicle_id, punch_in,
+    start_odometer, start_fuel_level, start_dashboard_photo_url, reading_warnings,
+    start_location, start_inside_geofence
+  )
+  values (
+    coalesce(p_time_log_id, gen_random_uuid()), p_driver_id, p_vehicle_id, least(coalesce(p_punched_at, now()), now()),
+    p_odometer, p_fuel_level, p_dashboard_photo_url, coalesce(p_reading_warnings, '{}'),
+    p_location, p_inside_geofence
+  )
+  returning * into v_log;
+
+  if p_agreement_id is not null then
+    update agreements
+       set time_log_id = v_log.id
+     where id = p_agreement_id
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  if p_inspection_id is not null then
+    update vehicle_inspections
+       set time_log_id = v_log.id
+     where id = p_inspection_id
+       and driver_id = p_driver_id;
+  end if;
+
+  return v_log;
+end;
+$$;
+
+-- A punch-out sent late keeps its own time, but never one in the future or
+-- before the punch-in, whichever path wrote it
+create or replace function clamp_punch_out()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.punch_out is not null
+     and (tg_op = 'INSERT' or new.punch_out is distinct from old.punch_out) then
+    new.punch_out := greatest(least(new.punch_out, now()), new.punch_in);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists time_logs_clamp_punch_out on time_logs;
+create trigger time_logs_clamp_punch_out
+  before insert or update of punch_out on time_logs
+  for each row execute function clamp_punch_out();
@@ -0,0 +1,312 @@
+-- Pre-trip inspection checklists
+--
+-- Admins set up checklists of items (tyres, lights, brakes, ...) for the whole
+-- depot, for a make (optionally narrowed to a model) or for a single vehicle;
+-- the most specific active checklist applies (see src/utils/checklistUtils.js).
+-- Items are stored as [{ id, label, critical }].
+--
+-- Drivers answer every item pass, fail or n/a, with an optional note and a
+-- photo for each failure. Answers keep a copy of the item labels, so editing a
+-- checklist later doesn't change what a driver signed off. A failed critical
+-- item opens a maintenance request and takes the vehicle out of service, which
+-- makes checkout_vehicle refuse it until the fleet puts it back. Otherwise the
+-- answers are filed under the shift at checkout, like the agreement and the
+-- pre-shift inspection. A vehicle a checklist applies to can't be checked out
+-- without them (see the vehicle_reservations migration).
+
+create table if not exists checklists (
+  id uuid primary key default gen_random_uuid(),
+  depot_id uuid not null references depots (id),
+  name text not null,
+  vehicle_id uuid references vehicles (id) on delete cascade,
+  make text,
+  model text,
+  items jsonb not null default '[]' check (jsonb_typeof(items) = 'array'),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  constraint checklists_model_needs_make check (model is null or make is not null)
+);
+
+create index if not exists checklists_depot_idx on checklists (depot_id);
+create index if not exists checklists_vehicle_idx on checklists (vehicle_id);
+
+create table if not exists checklist_responses (
+  id uuid primary key default gen_random_uuid(),
+  depot_id uuid not null references depots (id),
+  checklist_id uuid references checklists (id) on delete set null,
+  checklist_name text not null,
+  driver_id uuid not null references users (id),
+  vehicle_id uuid not null references vehicles (id),
+  time_log_id uuid references time_logs (id) on delete set null,
+  items jsonb not null check (jsonb_typeof(items) = 'array'),
+  has_critical_failure boolean not null default false,
+  maintenance_request_id uuid references maintenance_requests (id) on delete set null,
+  completed_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists checklist_responses_depot_idx on checklist_responses (depot_id);
+create index if not exists checklist_responses_vehicle_idx on checklist_responses (vehicle_id, completed_at desc);
+create index if not exists checklist_responses_time_log_idx on checklist_responses (time_log_id);
+
+drop trigger if exists checklist_responses_inherit_depot on checklist_responses;
+create trigger checklist_responses_inherit_depot
+  before insert on checklist_responses
+  for each row execute function inherit_vehicle_depot();
+
+-- The checklist a vehicle's driver has to complete: the vehicle's own, then
+-- one for its make and model, its make, or the whole depot, the newest on a
+-- tie. Mirrors getApplicableChecklist in src/utils/checklistUtils.js.
+create or replace function applicable_checklist(p_vehicle_id uuid)
+returns setof checklists
+language sql
+stable
+as $$
+  select c.*
+    from checklists c
+    join vehicles v on v.id = p_vehicle_id and v.depot_id = c.depot_id
+   where c.is_active
+     and (
+       c.vehicle_id = v.id
+       or (
+         c.vehicle_id is null
+         and (c.make is null or lower(trim(c.make)) = lower(trim(v.make)))
+         and (c.model is null or lower(trim(c.model)) = lower(trim(v.model)))
+       )
+     )
+   order by case
+              when c.vehicle_id is not null then 3
+              when c.model is not null then 2
+              when c.make is not null then 1
+              else 0
+            end desc,
+            c.created_at desc
+   limit 1;
+$$;
+
+-- Record a driver's answers; p_items are the answered items
+-- [{ id, label, critical, result, note, photo_url }]. Labels and which items
+-- are critical are taken from the stored checklist, never from the client, and
+-- every critical item has to be answered. Safe to call again with the same id
+-- (the driver app retries queued submissions).
+create or replace function submit_checklist(
+  p_id uuid,
+  p_checklist_id uuid,
+  p_driver_id uuid,
+  p_vehicle_id uuid,
+  p_items jsonb,
+  p_completed_at timestamptz default null
+)
+returns checklist_responses
+language plpgsql
+as $$
+declare
+  v_response checklist_responses;
+  v_checklist checklists;
+  v_items jsonb;
+  v_unknown text;
+  v_failed text;
+  v_request_id uuid;
+begin
+  if auth.uid() is not null and auth.uid() <> p_driver_id then
+    raise exception 'Drivers can only submit their own checklists'
+      using errcode = 'PT403';
+  end if;
+
+  select * into v_response from checklist_responses where id = p_id;
+
+  if found then
+    return v_response;
+  end if;
+
+  -- Runs as the owner (see the depot_row_security migration), so the
+  -- checklist and the vehicle have to be in the driver's depot
+  select c.* into v_checklist
+    from checklists c
+    join vehicles v on v.id = p_vehicle_id and v.depot_id = c.depot_id
+    join users u on u.id = p_driver_id and u.depot_id = c.depot_id
+   where c.id = p_checklist_id;
+
+  if not found then
+    raise exception 'This checklist no longer exists'
+      using errcode = 'PT400';
+  end if;
+
+  select string_agg(coalesce(answer->>'id', '(none)'), ', ')
+    into v_unknown
+    from jsonb_array_elements(p_items) as answer
+   where not exists (
+     select 1 from jsonb_array_elements(v_checklist.items) as item
+      where item->>'id' = answer->>'id'
+   );
+
+  if v_unknown is not null then
+    raise exception 'Unknown checklist items: %', v_unknown
+      using errcode = 'PT400';
+  end if;
+
+  if exists (
+    select 1 from jsonb_array_elements(v_checklist.items) as item
+     where coalesce((item->>'critical')::boolean, false)
+       and not exists (
+         select 1 from jsonb_array_elements(p_items) as answer
+          where answer->>'id' = item->>'id'
+       )
+  ) then
+    raise exception 'Every critical item has to be answered'
+      using errcode = 'PT400';
+  end if;
+
+  -- The answers with the checklist's own label and critical flag
+  select coalesce(jsonb_agg(
+           answer || jsonb_build_object(
+             'label', item->'label',
+             'critical', coalesce((item->>'critical')::boolean, false)
+           )
+           order by answers.position
+         ), '[]')
+    into v_items
+    from jsonb_array_elements(p_items) with ordinality as answers (answer, position)
+    join jsonb_array_elements(v_checklist.items) as item on item->>'id' = answer->>'id';
+
+  select string_agg(item->>'label', ', ')
+    into v_failed
+    from jsonb_array_elements(v_items) as item
+   where (item->>'critical')::boolean
+     and item->>'result' = 'fail';
+
+  if v_failed is not null then
+    insert into maintenance_requests (driver_id, vehicle_id, description, severity, status, created_at)
+    values (
+      p_driver_id,
+      p_vehicle_id,
+      'Failed pre-trip checklist: ' || v_failed,
+      'high',
+      'sorted',
+      least(coalesce(p_completed_at, now()), now())
+    )
+    returning id into v_request_id;
+
+    -- A vehicle already out with another driver is left to them to bring back
+    update vehicles
+       set status = 'maintenance'
+     where id = p_vehicle_id
+       and status = 'available';
+  end if;
+
+  insert into checklist_responses (
+    id, checklist_id, checklist_name, driver_id, vehicle_id, items,
+    has_critical_failure, maintenance_request_id, completed_at
+  )
+  values (
+    p_id,
+    p_checklist_id,
+    v_checklist.name,
+    p_driver_id,
+    p_vehicle_id,
+    v_items,
+    v_failed is not null,
+    v_request_id,
+    least(coalesce(p_completed_at, now()), now())
+  )
+  returning * into v_response;
+
+  return v_response;
+end;
+$$;
+
+-- Also files the checklist answers under the new shift, and a vehicle taken
+-- out of service now says so instead of looking like another driver took it
+drop function if exists checkout_vehicle(uuid, uuid, uuid, uuid, numeric, smallint, text, text[], jsonb, boolean, uuid, timestamptz);
+
+create or replace function checkout_vehicle(
+  p_vehicle_id uuid,
+  p_driver_id uuid,
+  p_agreement_id uuid default null,
+  p_inspection_id uuid default null,
+  p_odometer numeric default null,
+  p_fuel_level smallint default null,
+  p_dashboard_photo_url text default null,
+  p_reading_warnings text[] default '{}',
+  p_location jsonb default null,
+  p_inside_geofence boolean default null,
+  p_time_log_id uuid default null,
+  p_punched_at timestamptz default null,
+  p_checklist_response_id uuid default null
+)
+returns time_logs
+language plpgsql
+as $$
+declare
+  v_log time_logs;
+begin
+  if auth.uid() is not null and auth.uid() <> p_driver_id then
+    raise exception 'Drivers can only check out vehicles for themselves'
+      using errcode = 'PT403';
+  end if;
+
+  if exists (
+    select 1 from time_logs
+     where driver_id = p_driver_id and punch_out is null
+  ) then
+    raise exception 'You already have an active shift'
+      using errcode = 'PT409';
+  end if;
+
+  -- The row lock taken here serialises concurrent checkouts of the same
+  -- vehicle; the loser re-checks the status after the winner commits
+  update vehicles
+     set status = 'in-use',
+         assigned_driver_id = p_driver_id
+   where id = p_vehicle_id
+     and status = 'available';
+
+  if not found then
+    if exists (select 1 from vehicles where id = p_vehicle_id and status = 'maintenance') then
+      raise exception 'This vehicle is out of service for maintenance'
+        using errcode = 'PT409';
+    end if;
+
+    raise exception 'This vehicle has just been taken by another driver'
+      using errcode = 'PT409';
+  end if;
+
+  -- A punch made offline keeps its own time, but never one in the future
+  insert into time_logs (
+    id, driver_id, vehicle_id, punch_in,
+    start_odometer, start_fuel_level, start_dashboard_photo_url, reading_warnings,
+    start_location, start_inside_geofence
+  )
+  values (
+    coalesce(p_time_log_id, gen_random_uuid()), p_driver_id, p_vehicle_id, least(coalesce(p_punched_at, now()), now()),
+    p_odometer, p_fuel_level, p_dashboard_photo_url, coalesce(p_reading_warnings, '{}'),
+    p_location, p_inside_geofence
+  )
+  returning * into v_log;
+
+  if p_agreement_id is not null then
+    update agreements
+       set time_log_id = v_log.id
+     where id = p_agreement_id
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  if p_inspection_id is not null then
+    update vehicle_inspections
+       set time_log_id = v_log.id
+     where id = p_inspection_id
+       and driver_id = p_driver_id;
+  end if;
+
+  if p_checklist_response_id is not null then
+    update checklist_responses
+       set time_log_id = v_log.id
+     where id = p_checklist_response_id
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  return v_log;
+end;
+$$;
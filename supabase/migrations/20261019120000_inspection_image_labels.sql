@@ -0,0 +1,10 @@
+-- Inspection photo labels
+--
+-- Drivers now take inspection photos one angle at a time, and the angle each
+-- photo shows is stored with it instead of being inferred from its position in
+-- the capture order. One label per photo, in the same order as image_locations.
+-- Inspections recorded before this have none; their labels still come from the
+-- capture index in the file name.
+
+alter table vehicle_inspections
+  add column if not exists image_labels jsonb not null default '[]';
@@ -0,0 +1,48 @@
+-- Damage found by comparing inspections
+--
+-- Admins compare each vehicle inspection with the one before it, angle by
+-- angle, and mark new damage as a region of the later photo. Regions are
+-- { x, y, width, height } fractions of the photo, so they don't depend on the
+-- size it is shown at.
+--
+-- The two inspections bound the window in which the damage appeared. When both
+-- belong to the same shift (pre- and post-shift photos) the damage is put down
+-- to that shift and its driver; otherwise it appeared between shifts, while the
+-- vehicle was parked or being handed over, and time_log_id stays null.
+
+create table if not exists damage_reports (
+  id uuid primary key default gen_random_uuid(),
+  depot_id uuid not null references depots (id),
+  vehicle_id uuid not null references vehicles (id) on delete cascade,
+  before_inspection_id uuid references vehicle_inspections (id) on delete set null,
+  after_inspection_id uuid not null references vehicle_inspections (id) on delete cascade,
+  angle text not null,
+  image_url text not null,
+  region jsonb not null check (
+    jsonb_typeof(region) = 'object'
+    and (region ->> 'x')::numeric between 0 and 1
+    and (region ->> 'y')::numeric between 0 and 1
+    and (region ->> 'width')::numeric > 0
+    and (region ->> 'height')::numeric > 0
+  ),
+  note text,
+  window_start timestamptz not null,
+  window_end timestamptz not null,
+  time_log_id uuid references time_logs (id) on delete set null,
+  driver_id uuid references users (id) on delete set null,
+  reported_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  constraint damage_reports_window_check check (window_start <= window_end)
+);
+
+create index if not exists damage_reports_depot_idx on damage_reports (depot_id);
+create index if not exists damage_reports_vehicle_idx on damage_reports (vehicle_id, window_end desc);
+create index if not exists damage_reports_after_inspection_idx on damage_reports (after_inspection_id);
+
+drop trigger if exists damage_reports_inherit_depot on damage_reports;
+create trigger damage_reports_inherit_depot
+  before insert on damage_reports
+  for each row execute function inherit_vehicle_depot();
+
+create index if not exists vehicle_inspections_vehicle_idx
+  on vehicle_inspections (vehicle_id, timestamp desc);
@@ -0,0 +1,19 @@
+-- Inspection photo annotations
+--
+-- Drivers can mark existing damage on their inspection photos with circles,
+-- arrows, freehand lines and text notes. The marks are kept as data next to the
+-- photo rather than drawn into it, so the original stays untouched and every
+-- view (the PDF viewer, the Logs gallery, generated reports) draws them itself.
+-- Shapes use fractions of the photo's width and height (see
+-- src/utils/annotationUtils.js):
+--   { type: 'circle', x, y, rx, ry }
+--   { type: 'arrow', x1, y1, x2, y2 }
+--   { type: 'freehand', points: [[x, y], ...] }
+--   { type: 'text', x, y, text }
+
+-- One list of shapes per photo, in the same order as image_labels
+alter table vehicle_inspections
+  add column if not exists image_annotations jsonb not null default '[]';
+
+alter table inspection_images
+  add column if not exists annotations jsonb not null default '[]';
@@ -0,0 +1,12 @@
+-- Signature stroke records
+--
+-- Agreements used to keep only a PNG of the signature. The signature pad now
+-- also records the vector strokes (position, pressure and timing per point)
+-- together with the device they were made on, bound by SHA-256 hashes to the
+-- exact agreement text, the signer and the signing time (see
+-- src/utils/signatureUtils.js). A signature moved onto another agreement text,
+-- or a record edited after signing, no longer verifies.
+
+alter table agreements
+  add column if not exists content_hash text,
+  add column if not exists signature_record jsonb;
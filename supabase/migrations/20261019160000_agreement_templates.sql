@@ -0,0 +1,95 @@
+-- Versioned agreement templates
+--
+-- Admins keep the agreement terms as templates with placeholders like
+-- {{driver_name}} and {{vehicle}} (see src/utils/agreementTemplateUtils.js),
+-- filled in when a driver signs. Each template has a numbered history of
+-- versions: at most one draft being edited and at most one published version
+-- in force; publishing a draft retires the version it replaces. Versions are
+-- never edited once published.
+--
+-- A vehicle uses the template assigned to it, otherwise the depot's default
+-- template. Signed agreements reference the exact version they were signed
+-- under, so publishing a new version makes drivers sign again at their next
+-- checkout.
+
+create table if not exists agreement_templates (
+  id uuid primary key default gen_random_uuid(),
+  depot_id uuid not null references depots (id),
+  name text not null,
+  is_default boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists agreement_templates_depot_idx on agreement_templates (depot_id);
+
+-- One default template per depot
+create unique index if not exists agreement_templates_default_idx
+  on agreement_templates (depot_id)
+  where is_default;
+
+create table if not exists agreement_template_versions (
+  id uuid primary key default gen_random_uuid(),
+  depot_id uuid not null references depots (id),
+  template_id uuid not null references agreement_templates (id) on delete cascade,
+  version integer not null check (version > 0),
+  body text not null,
+  status text not null default 'draft' check (status in ('draft', 'published', 'retired')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  published_at timestamptz,
+  published_by uuid references users (id) on delete set null,
+  unique (template_id, version)
+);
+
+create index if not exists agreement_template_versions_depot_idx on agreement_template_versions (depot_id, status);
+
+create unique index if not exists agreement_template_versions_draft_idx
+  on agreement_template_versions (template_id)
+  where status = 'draft';
+
+create unique index if not exists agreement_template_versions_published_idx
+  on agreement_template_versions (template_id)
+  where status = 'published';
+
+alter table vehicles
+  add column if not exists agreement_template_id uuid references agreement_templates (id) on delete set null;
+
+-- Deleting a template whose versions were signed is refused by this reference
+alter table agreements
+  add column if not exists template_version_id uuid references agreement_template_versions (id);
+
+create index if not exists agreements_template_version_idx on agreements (template_version_id);
+
+-- Publish a draft, retiring the template's current version in the same step
+create or replace function publish_agreement_template_version(p_version_id uuid)
+returns agreement_template_versions
+language plpgsql
+as $$
+declare
+  v_version agreement_template_versions;
+begin
+  select * into v_version
+    from agreement_template_versions
+   where id = p_version_id
+     for update;
+
+  if not found or v_version.status <> 'draft' then
+    raise exception 'Only a draft can be published'
+      using errcode = 'PT409';
+  end if;
+
+  update agreement_template_versions
+     set status = 'retired'
+   where template_id = v_version.template_id
+     and status = 'published';
+
+  update agreement_template_versions
+     set status = 'published',
+         published_at = now(),
+         published_by = auth.uid()
+   where id = p_version_id
+  returning * into v_version;
+
+  return v_version;
+end;
+$$;
@@ -0,0 +1,26 @@
+-- How long a signed agreement stays valid
+--
+-- Each template says when its drivers have to sign again:
+--   shift   - every checkout (the agreement is used up by the shift it is filed under)
+--   day     - until the end of the day it was signed
+--   days    - for validity_days days from signing
+--   version - until a new version of the terms is published
+-- Publishing a new version always ends an agreement, whatever the policy. The
+-- built-in terms used when no template is published are signed every shift.
+-- Inspection photos are still taken every shift.
+--
+-- An agreement reused for later shifts stays filed under the first of them.
+
+alter table agreement_templates
+  add column if not exists validity_policy text not null default 'shift'
+    check (validity_policy in ('shift', 'day', 'days', 'version')),
+  add column if not exists validity_days integer check (validity_days > 0);
+
+alter table agreement_templates drop constraint if exists agreement_templates_validity_days_required;
+alter table agreement_templates
+  add constraint agreement_templates_validity_days_required
+    check (validity_policy <> 'days' or validity_days is not null);
+
+-- Drivers look up their latest agreement for a vehicle at every checkout
+create index if not exists agreements_driver_vehicle_idx
+  on agreements (driver_id, vehicle_id, signed_at desc);
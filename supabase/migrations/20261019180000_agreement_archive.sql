@@ -0,0 +1,43 @@
+-- Signed agreement archive
+--
+-- Agreements record the IP address and browser of the request that stored
+-- them, for the PDF certificate admins download from the archive. For an
+-- agreement signed offline that is the request the outbox sent it with; the
+-- device it was signed on is in signature_record.device.
+
+alter table agreements
+  add column if not exists signer_ip text,
+  add column if not exists signer_user_agent text;
+
+-- The archive lists a depot's agreements newest first, filtered by date
+create index if not exists agreements_depot_signed_idx on agreements (depot_id, signed_at desc);
+
+-- PostgREST exposes the request headers as a setting; they are absent for
+-- inserts made outside an API request
+create or replace function agreements_capture_request()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_headers jsonb := nullif(current_setting('request.headers', true), '')::jsonb;
+begin
+  if v_headers is null then
+    return new;
+  end if;
+
+  -- Always taken from the request, never from the client; the first forwarded
+  -- address is the client and the rest are proxies
+  new.signer_ip := coalesce(
+    nullif(trim(split_part(v_headers ->> 'x-forwarded-for', ',', 1)), ''),
+    v_headers ->> 'x-real-ip'
+  );
+  new.signer_user_agent := v_headers ->> 'user-agent';
+
+  return new;
+end;
+$$;
+
+drop trigger if exists agreements_capture_request on agreements;
+create trigger agreements_capture_request
+  before insert on agreements
+  for each row execute function agreements_capture_request();
@@ -0,0 +1,213 @@
+-- Shift scheduling and vehicle reservations
+--
+-- Admins schedule shifts that give a driver a vehicle for a time window, and
+-- drivers reserve vehicles for later slots themselves; both are rows of
+-- vehicle_reservations, told apart by kind. A vehicle, and a driver, can only
+-- be booked once at any moment: overlapping bookings are rejected by the
+-- exclusion constraints below (SQLSTATE 23P01).
+--
+-- For reservation_hold_minutes before a booking starts, and until it ends, the
+-- vehicle is kept for its driver: other drivers don't see it in the vehicle
+-- list and checkout_vehicle refuses it. Checking out the booked vehicle marks
+-- the booking as taken up by that shift, which ends the hold: once the vehicle
+-- is returned anyone may take it, even before the booking's end.
+
+create extension if not exists btree_gist;
+
+alter table depots
+  add column if not exists reservation_hold_minutes integer not null default 60
+    check (reservation_hold_minutes >= 0);
+
+create table if not exists vehicle_reservations (
+  id uuid primary key default gen_random_uuid(),
+  depot_id uuid not null references depots (id),
+  vehicle_id uuid not null references vehicles (id) on delete cascade,
+  driver_id uuid not null references users (id) on delete cascade,
+  kind text not null default 'reservation' check (kind in ('shift', 'reservation')),
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  notes text,
+  time_log_id uuid references time_logs (id) on delete set null,
+  created_by uuid default auth.uid() references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (ends_at > starts_at),
+  constraint vehicle_reservations_vehicle_overlap
+    exclude using gist (vehicle_id with =, tstzrange(starts_at, ends_at) with &&),
+  constraint vehicle_reservations_driver_overlap
+    exclude using gist (driver_id with =, tstzrange(starts_at, ends_at) with &&)
+);
+
+create index if not exists vehicle_reservations_depot_idx on vehicle_reservations (depot_id, starts_at);
+
+drop trigger if exists vehicle_reservations_inherit_depot on vehicle_reservations;
+create trigger vehicle_reservations_inherit_depot
+  before insert on vehicle_reservations
+  for each row execute function inherit_vehicle_depot();
+
+-- Also refuses vehicles held for another driver's booking, and marks the
+-- driver's own booking as taken up. When a pre-trip checklist applies to the
+-- vehicle the driver has to have passed it: their latest answers for the
+-- vehicle from the last 12 hours, not filed under another shift yet, without a
+-- failed critical item. Whether the punch was inside the vehicle's geofences
+-- is worked out here from the location, no longer taken from the client.
+drop function if exists checkout_vehicle(uuid, uuid, uuid, uuid, numeric, smallint, text, text[], jsonb, boolean, uuid, timestamptz, uuid);
+
+create or replace function checkout_vehicle(
+  p_vehicle_id uuid,
+  p_driver_id uuid,
+  p_agreement_id uuid default null,
+  p_inspection_id uuid default null,
+  p_odometer numeric default null,
+  p_fuel_level smallint default null,
+  p_dashboard_photo_url text default null,
+  p_reading_warnings text[] default '{}',
+  p_location jsonb default null,
+  p_time_log_id uuid default null,
+  p_punched_at timestamptz default null,
+  p_checklist_response_id uuid default null
+)
+returns time_logs
+language plpgsql
+as $$
+declare
+  v_log time_logs;
+  v_punched_at timestamptz := least(coalesce(p_punched_at, now()), now());
+  v_checklist checklists;
+  v_response checklist_responses;
+  v_inside_geofence boolean;
+begin
+  if auth.uid() is not null and auth.uid() <> p_driver_id then
+    raise exception 'Drivers can only check out vehicles for themselves'
+      using errcode = 'PT403';
+  end if;
+
+  -- Runs as the owner (see the depot_row_security migration), so the depot
+  -- isn't left to row security
+  if not exists (
+    select 1
+      from vehicles v
+      join users u on u.id = p_driver_id
+     where v.id = p_vehicle_id
+       and v.depot_id = u.depot_id
+  ) then
+    raise exception 'Vehicle not found'
+      using errcode = 'PT404';
+  end if;
+
+  if exists (
+    select 1 from time_logs
+     where driver_id = p_driver_id and punch_out is null
+  ) then
+    raise exception 'You already have an active shift'
+      using errcode = 'PT409';
+  end if;
+
+  v_inside_geofence := check_punch_location(p_vehicle_id, p_location);
+
+  select * into v_response
+    from checklist_responses
+   where driver_id = p_driver_id
+     and vehicle_id = p_vehicle_id
+     and time_log_id is null
+     and completed_at > v_punched_at - interval '12 hours'
+   order by completed_at desc
+   limit 1;
+
+  select * into v_checklist from applicable_checklist(p_vehicle_id);
+
+  if found then
+    if v_response.id is null then
+      raise exception 'Complete the pre-trip checklist before checking out this vehicle'
+        using errcode = 'PT409';
+    end if;
+
+    if v_response.has_critical_failure then
+      raise exception 'This vehicle failed its pre-trip checklist'
+        using errcode = 'PT409';
+    end if;
+  end if;
+
+  -- Inside the hold before a reservation starts the vehicle is kept for its
+  -- driver, until they take it up
+  if exists (
+    select 1
+      from vehicle_reservations r
+      join depots d on d.id = r.depot_id
+     where r.vehicle_id = p_vehicle_id
+       and r.driver_id <> p_driver_id
+       and r.time_log_id is null
+       and r.ends_at > v_punched_at
+       and r.starts_at - make_interval(mins => d.reservation_hold_minutes) <= v_punched_at
+  ) then
+    raise exception 'This vehicle is reserved for another driver'
+      using errcode = 'PT409';
+  end if;
+
+  -- The row lock taken here serialises concurrent checkouts of the same
+  -- vehicle; the loser re-checks the status after the winner commits
+  update vehicles
+     set status = 'in-use',
+         assigned_driver_id = p_driver_id
+   where id = p_vehicle_id
+     and status = 'available';
+
+  if not found then
+    if exists (select 1 from vehicles where id = p_vehicle_id and status = 'maintenance') then
+      raise exception 'This vehicle is out of service for maintenance'
+        using errcode = 'PT409';
+    end if;
+
+    raise exception 'This vehicle has just been taken by another driver'
+      using errcode = 'PT409';
+  end if;
+
+  -- A punch made offline keeps its own time, but never one in the future
+  insert into time_logs (
+    id, driver_id, vehicle_id, punch_in,
+    start_odometer, start_fuel_level, start_dashboard_photo_url, reading_warnings,
+    start_location, start_inside_geofence
+  )
+  values (
+    coalesce(p_time_log_id, gen_random_uuid()), p_driver_id, p_vehicle_id, v_punched_at,
+    p_odometer, p_fuel_level, p_dashboard_photo_url, coalesce(p_reading_warnings, '{}'),
+    p_location, v_inside_geofence
+  )
+  returning * into v_log;
+
+  if p_agreement_id is not null then
+    update agreements
+       set time_log_id = v_log.id
+     where id = p_agreement_id
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  if p_inspection_id is not null then
+    update vehicle_inspections
+       set time_log_id = v_log.id
+     where id = p_inspection_id
+       and driver_id = p_driver_id;
+  end if;
+
+  -- The driver's own reservation is marked as taken up by this shift
+  update vehicle_reservations r
+     set time_log_id = v_log.id
+    from depots d
+   where d.id = r.depot_id
+     and r.vehicle_id = p_vehicle_id
+     and r.driver_id = p_driver_id
+     and r.time_log_id is null
+     and r.ends_at > v_punched_at
+     and r.starts_at - make_interval(mins => d.reservation_hold_minutes) <= v_punched_at;
+
+  if v_response.id is not null or p_checklist_response_id is not null then
+    update checklist_responses
+       set time_log_id = v_log.id
+     where id = coalesce(v_response.id, p_checklist_response_id)
+       and driver_id = p_driver_id
+       and time_log_id is null;
+  end if;
+
+  return v_log;
+end;
+$$;
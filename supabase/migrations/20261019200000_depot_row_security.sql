@@ -0,0 +1,468 @@
+-- Depot row security
+--
+-- The app filters every query on the current depot (src/utils/depotScope.js)
+-- and checks the user's role (src/utils/permissions.js), but both run on the
+-- client. Row level security enforces the same rules in the database, so a
+-- signed-in user calling PostgREST directly only reaches rows of their own
+-- depot, and only changes what their role may manage. Super admins may act on
+-- any depot. Drivers read the fleet data the driver app needs and their own
+-- records; what they change goes through the RPCs below or a policy of their
+-- own. Tables without a depot_id are scoped through the row they belong to.
+-- The API server and its jobs use the service role key, which bypasses these
+-- policies.
+
+-- The caller's depot and role; security definer so the users policies can call
+-- them without recursing into themselves
+create or replace function auth_depot_id()
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select depot_id from users where id = auth.uid();
+$$;
+
+create or replace function auth_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from users where id = auth.uid();
+$$;
+
+create or replace function auth_is_super_admin()
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(auth_role() = 'super_admin', false);
+$$;
+
+create or replace function auth_in_depot(p_depot_id uuid)
+returns boolean
+language sql
+stable
+as $$
+  select auth_is_super_admin() or p_depot_id = auth_depot_id();
+$$;
+
+-- Whether the caller's role has a permission. Mirrors ROLE_PERMISSIONS in
+-- src/utils/permissions.js; a change to one needs the same change in the other
+create or replace function auth_has_permission(p_permission text)
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(p_permission = any (
+    case auth_role()
+      when 'super_admin' then array[
+        'admin_panel:access', 'dashboard:view', 'drivers:manage', 'vehicles:manage', 'logs:view',
+        'maintenance:view', 'maintenance:update', 'api_keys:manage', 'geofences:manage',
+        'checklists:manage', 'damage:manage', 'schedule:manage', 'agreements:view',
+        'agreements:manage', 'depots:switch'
+      ]
+      when 'admin' then array[
+        'admin_panel:access', 'dashboard:view', 'drivers:manage', 'vehicles:manage', 'logs:view',
+        'maintenance:view', 'maintenance:update', 'api_keys:manage', 'geofences:manage',
+        'checklists:manage', 'damage:manage', 'schedule:manage', 'agreements:view',
+        'agreements:manage'
+      ]
+      when 'fleet_manager' then array[
+        'admin_panel:access', 'dashboard:view', 'drivers:manage', 'vehicles:manage', 'logs:view',
+        'agreements:view', 'maintenance:view', 'maintenance:update', 'checklists:manage',
+        'damage:manage', 'schedule:manage'
+      ]
+      when 'mechanic' then array['admin_panel:access', 'maintenance:view', 'maintenance:update']
+      when 'driver' then array['driver_app:access']
+    end
+  ), false);
+$$;
+
+-- Reads. Fleet data the driver app shows is readable by everyone in the depot;
+-- the records drivers create are readable by staff and by their own driver
+do $$
+declare
+  v_table text;
+begin
+  foreach v_table in array array[
+    'users', 'vehicles', 'time_logs', 'agreements', 'maintenance_requests', 'api_keys',
+    'webhook_endpoints', 'geofences', 'checklists', 'checklist_responses', 'damage_reports',
+    'agreement_templates', 'agreement_template_versions', 'vehicle_reservations', 'depots',
+    'location_breadcrumbs', 'maintenance_notes', 'api_key_history', 'api_request_log',
+    'webhook_deliveries', 'webhook_delivery_attempts'
+  ] loop
+    execute format('alter table %I enable row level security', v_table);
+  end loop;
+
+  foreach v_table in array array[
+    'vehicles', 'geofences', 'checklists', 'damage_reports', 'agreement_templates',
+    'agreement_template_versions', 'vehicle_reservations'
+  ] loop
+    execute format('drop policy if exists %I on %I', v_table || '_read', v_table);
+    execute format(
+      'create policy %I on %I for select to authenticated using (auth_in_depot(depot_id))',
+      v_table || '_read', v_table
+    );
+  end loop;
+
+  foreach v_table in array array['time_logs', 'agreements', 'maintenance_requests', 'checklist_responses'] loop
+    execute format('drop policy if exists %I on %I', v_table || '_read', v_table);
+    execute format(
+      'create policy %I on %I for select to authenticated
+         using (auth_in_depot(depot_id) and (driver_id = auth.uid() or auth_has_permission(''admin_panel:access'')))',
+      v_table || '_read', v_table
+    );
+  end loop;
+end;
+$$;
+
+drop policy if exists users_read on users;
+create policy users_read on users
+  for select to authenticated
+  using (id = auth.uid() or (auth_in_depot(depot_id) and auth_has_permission('admin_panel:access')));
+
+drop policy if exists depots_read on depots;
+create policy depots_read on depots
+  for select to authenticated
+  using (auth_in_depot(id));
+
+-- API keys and webhook endpoints are only visible to those who manage them
+drop policy if exists api_keys_read on api_keys;
+create policy api_keys_read on api_keys
+  for select to authenticated
+  using (auth_in_depot(depot_id) and auth_has_permission('api_keys:manage'));
+
+drop policy if exists webhook_endpoints_read on webhook_endpoints;
+create policy webhook_endpoints_read on webhook_endpoints
+  for select to authenticated
+  using (auth_in_depot(depot_id) and auth_has_permission('api_keys:manage'));
+
+-- Writes, by the permission that manages each table in the app
+do $$
+declare
+  v_rule text[];
+  v_command text;
+begin
+  foreach v_rule slice 1 in array array[
+    ['users', 'drivers:manage'],
+    ['vehicles', 'vehicles:manage'],
+    ['agreements', 'agreements:manage'],
+    ['maintenance_requests', 'maintenance:update'],
+    ['api_keys', 'api_keys:manage'],
+    ['webhook_endpoints', 'api_keys:manage'],
+    ['geofences', 'geofences:manage'],
+    ['checklists', 'checklists:manage'],
+    ['checklist_responses', 'checklists:manage'],
+    ['damage_reports', 'damage:manage'],
+    ['agreement_templates', 'agreements:manage'],
+    ['agreement_template_versions', 'agreements:manage'],
+    ['vehicle_reservations', 'schedule:manage']
+  ] loop
+    foreach v_command in array array['insert', 'update', 'delete'] loop
+      execute format('drop policy if exists %I on %I', v_rule[1] || '_' || v_command, v_rule[1]);
+      execute format(
+        'create policy %I on %I for %s to authenticated %s',
+        v_rule[1] || '_' || v_command,
+        v_rule[1],
+        v_command,
+        case v_command
+          when 'insert' then format('with check (auth_in_depot(depot_id) and auth_has_permission(%L))', v_rule[2])
+          when 'update' then format(
+            'using (auth_in_depot(depot_id) and auth_has_permission(%1$L))
+             with check (auth_in_depot(depot_id) and auth_has_permission(%1$L))',
+            v_rule[2]
+          )
+          else format('using (auth_in_depot(depot_id) and auth_has_permission(%L))', v_rule[2])
+        end
+      );
+    end loop;
+  end loop;
+end;
+$$;
+
+-- What drivers write themselves: their agreements, maintenance reports and
+-- reservations, the route of their shifts, and their own name and phone
+drop policy if exists agreements_insert_own on agreements;
+create policy agreements_insert_own on agreements
+  for insert to authenticated
+  with check (auth_in_depot(depot_id) and driver_id = auth.uid());
+
+drop policy if exists maintenance_requests_insert_own on maintenance_requests;
+create policy maintenance_requests_insert_own on maintenance_requests
+  for insert to authenticated
+  with check (auth_in_depot(depot_id) and driver_id = auth.uid());
+
+drop policy if exists vehicle_reservations_insert_own on vehicle_reservations;
+create policy vehicle_reservations_insert_own on vehicle_reservations
+  for insert to authenticated
+  with check (
+    auth_in_depot(depot_id) and driver_id = auth.uid()
+    and kind = 'reservation' and time_log_id is null
+  );
+
+drop policy if exists vehicle_reservations_delete_own on vehicle_reservations;
+create policy vehicle_reservations_delete_own on vehicle_reservations
+  for delete to authenticated
+  using (driver_id = auth.uid() and kind = 'reservation' and time_log_id is null);
+
+drop policy if exists users_update_own on users;
+create policy users_update_own on users
+  for update to authenticated
+  using (id = auth.uid())
+  with check (id = auth.uid());
+
+-- Policies can't compare a row with its previous version, so who may change
+-- which account is checked here. Users only change their own name and phone
+-- (admins managing drivers may edit more of their own row, but never their
+-- role or depot); managing drivers doesn't extend to staff accounts, which are
+-- left to admins; and only super admins make or change a super admin.
+create or replace function users_guard_roles()
+returns trigger
+language plpgsql
+as $$
+begin
+  if auth.uid() is null then
+    return coalesce(new, old);
+  end if;
+
+  if tg_op = 'UPDATE' and new.id = auth.uid() then
+    if new.role is distinct from old.role or new.depot_id is distinct from old.depot_id then
+      raise exception 'You cannot change your own role or depot'
+        using errcode = 'PT403';
+    end if;
+
+    if not auth_has_permission('drivers:manage')
+       and to_jsonb(new) - array['name', 'phone'] <> to_jsonb(old) - array['name', 'phone'] then
+      raise exception 'You can only change your own name and phone'
+        using errcode = 'PT403';
+    end if;
+
+    return new;
+  end if;
+
+  if coalesce(auth_role(), '') not in ('admin', 'super_admin')
+     and ((tg_op <> 'INSERT' and old.role <> 'driver') or (tg_op <> 'DELETE' and new.role <> 'driver')) then
+    raise exception 'Only admins can manage staff accounts'
+      using errcode = 'PT403';
+  end if;
+
+  if not auth_is_super_admin()
+     and ((tg_op <> 'INSERT' and old.role = 'super_admin') or (tg_op <> 'DELETE' and new.role = 'super_admin')) then
+    raise exception 'Only super admins can manage super admin accounts'
+      using errcode = 'PT403';
+  end if;
+
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists users_guard_roles on users;
+create trigger users_guard_roles
+  before insert or update or delete on users
+  for each row execute function users_guard_roles();
+
+-- The only depot setting changed from the app is the reservation hold
+revoke update on depots from authenticated;
+grant update (reservation_hold_minutes) on depots to authenticated;
+
+drop policy if exists depots_update on depots;
+create policy depots_update on depots
+  for update to authenticated
+  using (auth_in_depot(id) and auth_has_permission('schedule:manage'))
+  with check (auth_in_depot(id) and auth_has_permission('schedule:manage'));
+
+-- Key hashes (and the plaintext column left from before hashing) are only read
+-- by the API server
+revoke select on api_keys from anon, authenticated;
+grant select (
+  id, user_id, depot_id, description, key_prefix, scopes, expires_at, created_at, last_used_at,
+  rotated_from_id, replaced_by_id, grace_ends_at, revoked_at
+) on api_keys to authenticated;
+
+-- Rows without a depot of their own follow their parent, whose policies
+-- already apply inside these subqueries
+drop policy if exists location_breadcrumbs_read on location_breadcrumbs;
+create policy location_breadcrumbs_read on location_breadcrumbs
+  for select to authenticated
+  using (exists (select 1 from time_logs t where t.id = time_log_id));
+
+drop policy if exists location_breadcrumbs_insert_own on location_breadcrumbs;
+create policy location_breadcrumbs_insert_own on location_breadcrumbs
+  for insert to authenticated
+  with check (driver_id = auth.uid() and exists (select 1 from time_logs t where t.id = time_log_id and t.driver_id = auth.uid()));
+
+drop policy if exists maintenance_notes_read on maintenance_notes;
+create policy maintenance_notes_read on maintenance_notes
+  for select to authenticated
+  using (exists (select 1 from maintenance_requests m where m.id = request_id));
+
+drop policy if exists maintenance_notes_write on maintenance_notes;
+create policy maintenance_notes_write on maintenance_notes
+  for all to authenticated
+  using (
+    auth_has_permission('maintenance:update')
+    and exists (select 1 from maintenance_requests m where m.id = request_id)
+  )
+  with check (
+    auth_has_permission('maintenance:update')
+    and exists (select 1 from maintenance_requests m where m.id = request_id)
+  );
+
+-- API keys and webhook endpoints are only visible with api_keys:manage, so
+-- their records are too
+drop policy if exists api_key_history_depot_isolation on api_key_history;
+create policy api_key_history_depot_isolation on api_key_history
+  for all to authenticated
+  using (exists (select 1 from api_keys k where k.id = api_key_id))
+  with check (exists (select 1 from api_keys k where k.id = api_key_id));
+
+drop policy if exists api_request_log_depot_isolation on api_request_log;
+create policy api_request_log_depot_isolation on api_request_log
+  for select to authenticated
+  using (exists (select 1 from api_keys k where k.id = api_key_id));
+
+drop policy if exists webhook_deliveries_depot_isolation on webhook_deliveries;
+create policy webhook_deliveries_depot_isolation on webhook_deliveries
+  for all to authenticated
+  using (exists (select 1 from webhook_endpoints e where e.id = endpoint_id))
+  with check (exists (select 1 from webhook_endpoints e where e.id = endpoint_id));
+
+drop policy if exists webhook_delivery_attempts_depot_isolation on webhook_delivery_attempts;
+create policy webhook_delivery_attempts_depot_isolation on webhook_delivery_attempts
+  for select to authenticated
+  using (exists (select 1 from webhook_deliveries d where d.id = delivery_id));
+
+-- Rotation reads and returns whole key rows, hash included, so it runs as the
+-- owner and checks the caller itself
+create or replace function rotate_api_key(
+  p_key_id uuid,
+  p_key_prefix text,
+  p_key_hash text,
+  p_grace interval
+)
+returns api_keys
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old api_keys;
+  v_new api_keys;
+begin
+  select * into v_old from api_keys where id = p_key_id for update;
+
+  if not found
+     or (auth.uid() is not null and not (auth_in_depot(v_old.depot_id) and auth_has_permission('api_keys:manage'))) then
+    raise exception 'API key not found'
+      using errcode = 'PT404';
+  end if;
+
+  if v_old.revoked_at is not null or v_old.replaced_by_id is not null then
+    raise exception 'This API key has already been rotated or revoked'
+      using errcode = 'PT409';
+  end if;
+
+  insert into api_keys (user_id, description, key_prefix, key_hash, scopes, expires_at, rotated_from_id)
+  values (v_old.user_id, v_old.description, p_key_prefix, p_key_hash, v_old.scopes, v_old.expires_at, v_old.id)
+  returning * into v_new;
+
+  update api_keys
+     set replaced_by_id = v_new.id,
+         grace_ends_at = now() + p_grace
+   where id = v_old.id;
+
+  insert into api_key_history (api_key_id, event, details)
+  values (
+    v_old.id,
+    'rotated',
+    jsonb_build_object(
+      'successor_id', v_new.id,
+      'successor_prefix', v_new.key_prefix,
+      'grace_ends_at', now() + p_grace
+    )
+  );
+
+  return v_new;
+end;
+$$;
+
+-- Punch out and hand the vehicle back. Drivers can't update time logs or
+-- vehicles themselves, so the driver app punches out through here. Safe to
+-- call again for a shift that is already closed (the outbox retries it).
+create or replace function punch_out(
+  p_time_log_id uuid,
+  p_odometer numeric default null,
+  p_fuel_level smallint default null,
+  p_dashboard_photo_url text default null,
+  p_reading_warnings text[] default null,
+  p_location jsonb default null,
+  p_punched_out_at timestamptz default null
+)
+returns time_logs
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_log time_logs;
+  v_inside_geofence boolean;
+begin
+  select * into v_log from time_logs where id = p_time_log_id for update;
+
+  if not found or (auth.uid() is not null and auth.uid() <> v_log.driver_id) then
+    raise exception 'Shift not found'
+      using errcode = 'PT404';
+  end if;
+
+  if v_log.punch_out is not null then
+    return v_log;
+  end if;
+
+  -- Refused outside a blocking geofence, like checkout_vehicle
+  v_inside_geofence := check_punch_location(v_log.vehicle_id, p_location);
+
+  -- Readings are only sent with the punch-out form; without them the start
+  -- readings' warnings are kept
+  update time_logs
+     set punch_out = coalesce(p_punched_out_at, now()),
+         end_location = p_location,
+         end_inside_geofence = v_inside_geofence,
+         end_odometer = p_odometer,
+         end_fuel_level = p_fuel_level,
+         end_dashboard_photo_url = p_dashboard_photo_url,
+         reading_warnings = coalesce(p_reading_warnings, reading_warnings)
+   where id = p_time_log_id
+  returning * into v_log;
+
+  -- Only while the driver still has it: a punch out sent late mustn't undo the
+  -- fleet taking the vehicle out of service, or hand back another driver's
+  update vehicles
+     set status = 'available',
+         assigned_driver_id = null
+   where id = v_log.vehicle_id
+     and status = 'in-use'
+     and assigned_driver_id = v_log.driver_id;
+
+  return v_log;
+end;
+$$;
+
+-- The driver app's other RPCs change vehicles, maintenance requests and
+-- checklist answers on the driver's behalf. They check that the driver is the
+-- caller and the vehicle is in the driver's depot, and run as the owner.
+alter function checkout_vehicle(uuid, uuid, uuid, uuid, numeric, smallint, text, text[], jsonb, uuid, timestamptz, uuid)
+  security definer set search_path = public;
+alter function submit_checklist(uuid, uuid, uuid, uuid, jsonb, timestamptz)
+  security definer set search_path = public;
+
+revoke execute on function checkout_vehicle(uuid, uuid, uuid, uuid, numeric, smallint, text, text[], jsonb, uuid, timestamptz, uuid) from public, anon;
+revoke execute on function submit_checklist(uuid, uuid, uuid, uuid, jsonb, timestamptz) from public, anon;
+revoke execute on function punch_out(uuid, numeric, smallint, text, text[], jsonb, timestamptz) from public, anon;
+revoke execute on function rotate_api_key(uuid, text, text, interval) from public, anon;
+grant execute on function checkout_vehicle(uuid, uuid, uuid, uuid, numeric, smallint, text, text[], jsonb, uuid, timestamptz, uuid) to authenticated, service_role;
+grant execute on function submit_checklist(uuid, uuid, uuid, uuid, jsonb, timestamptz) to authenticated, service_role;
+grant execute on function punch_out(uuid, numeric, smallint, text, text[], jsonb, timestamptz) to authenticated, service_role;
+grant execute on function rotate_api_key(uuid, text, text, interval) to authenticated, service_role;
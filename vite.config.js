@@ -16,7 +16,9 @@ export default defineConfig({
     // Define process.env for use in the config
     'process.env': {
       NODE_ENV: JSON.stringify(process.env.NODE_ENV || 'development')
-    }
+    },
+    // Identifies the build to the service worker, so each deploy gets a fresh app-shell cache
+    'import.meta.env.VITE_BUILD_ID': JSON.stringify(Date.now().toString(36))
   },
   resolve: {
     alias: {
@@ -45,6 +47,8 @@ export default defineConfig({
     outDir: 'dist',
     assetsDir: 'assets',
     sourcemap: false,
+    // Lists every hashed bundle, so the service worker can precache them all at install
+    manifest: 'asset-manifest.json',
     // Prevent bundle size warnings
     chunkSizeWarningLimit: 1000,
     rollupOptions: {